@@ -39,6 +39,15 @@ import deliveryDriverRoutes from "./routes/deliveryDriver.routes.js";
 import foodDeliveryRoutes from "./routes/foodDelivery.routes.js";
 import FoodDeliveryPaymentRoutes from "./routes/foodDeliveryPayment.routes.js";
 import registerBusinessRoutes from "./routes/registerBusiness.routes.js";
+import promotionRoutes from "./routes/promotion.routes.js";
+import deliveryZoneRoutes from "./routes/deliveryZone.routes.js";
+import cartRoutes from "./routes/cart.routes.js";
+import groupOrderRoutes from "./routes/groupOrder.routes.js";
+import dineInRoutes from "./routes/dineIn.routes.js";
+import kitchenDisplayRoutes from "./routes/kitchenDisplay.routes.js";
+import taxRuleRoutes from "./routes/taxRule.routes.js";
+import exchangeRateRoutes from "./routes/exchangeRate.routes.js";
+import orderIssueRoutes from "./routes/orderIssue.routes.js";
 
 //initialising router
 app.use("/api/v1/users", userRouter);
@@ -52,6 +61,15 @@ app.use("/api/v1/deliveryDriver", deliveryDriverRoutes);
 app.use("/api/v1/foodDelivery", foodDeliveryRoutes);
 app.use("/api/v1/foodDeliveryPayments", FoodDeliveryPaymentRoutes);
 app.use("/api/v1/register-business", registerBusinessRoutes);
+app.use("/api/v1/promotions", promotionRoutes);
+app.use("/api/v1/deliveryZones", deliveryZoneRoutes);
+app.use("/api/v1/carts", cartRoutes);
+app.use("/api/v1/groupOrders", groupOrderRoutes);
+app.use("/api/v1/dineIn", dineInRoutes);
+app.use("/api/v1/kitchen", kitchenDisplayRoutes);
+app.use("/api/v1/taxRules", taxRuleRoutes);
+app.use("/api/v1/exchangeRates", exchangeRateRoutes);
+app.use("/api/v1/orderIssues", orderIssueRoutes);
 
 // ✅ Global error handler
 import errorHandler from "./middlewares/error.middleware.js";
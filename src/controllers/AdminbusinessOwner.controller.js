@@ -4,6 +4,8 @@ import FoodVenue from "../models/foodVenue.models.js";
 import {ApiResponse} from "../utils/ApiResponse.js";
 import BusinessOwner from "../models/businessOwner.models.js";
 import {uploadOnCloudinary, deleteFromCloudinary} from "../utils/cloudinary.js";
+import {validatePickupSettings} from "../utils/pickupOrders.js";
+import {checkAdminPermissions} from "../utils/adminPermissions.js";
 import logger from "../utils/logger.js";
 import mongoose from "mongoose";
 
@@ -365,6 +367,56 @@ const getAllFoodVenues = asyncHandler(async (req, res) => {
     throw error;
   }
 });
+
+// @desc    Update a food venue's pickup settings (enable takeaway orders, prep time, collection instructions)
+// @route   PATCH /api/business-owner/food-venues/:venueId/pickup-settings
+// @access  Private/Admin
+const updateVenuePickupSettings = asyncHandler(async (req, res) => {
+  try {
+    const {venueId} = req.params;
+    checkAdminPermissions(req.admin, "managePickupSettings");
+
+    if (!mongoose.Types.ObjectId.isValid(venueId)) {
+      throw new ApiError(400, "Invalid food venue ID");
+    }
+
+    const {isEnabled, prepTimeMinutes, instructions} = req.body;
+    validatePickupSettings({isEnabled, prepTimeMinutes, instructions});
+
+    const update = {};
+    if (isEnabled !== undefined) 
+      update["pickupSettings.isEnabled"] = isEnabled;
+    if (prepTimeMinutes !== undefined) 
+      update["pickupSettings.prepTimeMinutes"] = prepTimeMinutes;
+    if (instructions !== undefined) 
+      update["pickupSettings.instructions"] = instructions;
+
+    if (Object.keys(update).length === 0) {
+      throw new ApiError(400, "No pickup settings provided");
+    }
+
+    const venue = await FoodVenue.findByIdAndUpdate(venueId, {
+      $set: update
+    }, {
+      new: true,
+      runValidators: true
+    }).select("name pickupSettings");
+
+    if (!venue) {
+      throw new ApiError(404, "Food venue not found");
+    }
+
+    logger.info(`Admin ${req.admin._id} updated pickup settings of venue ${venueId}`);
+    return res.status(200).json(new ApiResponse(200, venue, "Pickup settings updated successfully"));
+  } catch (error) {
+    logger.error(`Error in updateVenuePickupSettings: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof ApiError) 
+      throw error;
+    throw new ApiError(500, "Failed to update pickup settings");
+  }
+});
+
 export {
   getAllBusinessOwners,
   getBusinessOwnerById,
@@ -372,5 +424,6 @@ export {
   verifyBusinessOwner,
   featureBusinessOwner,
   deleteBusinessOwner,
-  getAllFoodVenues
+  getAllFoodVenues,
+  updateVenuePickupSettings
 };
\ No newline at end of file
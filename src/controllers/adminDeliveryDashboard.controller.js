@@ -3,6 +3,8 @@ import {ApiError} from "../utils/ApiError.js";
 import {ApiResponse} from "../utils/ApiResponse.js";
 import mongoose from "mongoose";
 import DeliveryDriver from "../models/deliveryDriver.models.js";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import DeliveryOffer from "../models/deliveryOffer.models.js";
 import Admin from "../models/admin.models.js";
 import {isEmailValid, isPhoneValid, isPasswordStrong} from "../utils/validator.js";
 import {uploadOnCloudinary, deleteFromCloudinary} from "../utils/cloudinary.js";
@@ -333,6 +335,72 @@ const getNearbyDrivers = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    Get how a driver was chosen for an order (dispatch mode, score, ranked candidates and offers)
+// @route   GET /api/admin/delivery-drivers/dispatch/:orderId
+// @access  Private/Admin
+const getOrderDispatchDetails = asyncHandler(async (req, res) => {
+  try {
+    const {orderId} = req.params;
+    logger.info(`Admin ${req.admin._id} fetching dispatch details for order ${orderId}`);
+
+    checkAdminPermissions(req.admin, "manageDeliverySettings");
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new ApiError(400, "Invalid order ID");
+    }
+
+    const order = await FoodDelivery.findById(orderId).select("venue deliveryStatus deliveryDriver dispatch").populate("venue", "name dispatchMode").populate("deliveryDriver", "fullName phone vehicleType averageRating onTimePercentage").populate("dispatch.candidates.driver", "fullName vehicleType averageRating onTimePercentage");
+
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    // Every driver the order was offered to, in order
+    const offers = await DeliveryOffer.find({order: order._id}).select("driver mode status score distanceKm expectedEarnings expiresAt respondedAt declineReason createdAt").populate("driver", "fullName vehicleType").sort({createdAt: 1});
+
+    return res.status(200).json(new ApiResponse(200, {
+      order,
+      offers
+    }, "Dispatch details retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getOrderDispatchDetails: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof ApiError) 
+      throw error;
+    throw new ApiError(500, "Failed to retrieve dispatch details");
+  }
+});
+
+// @desc    Get the proof of delivery for an order (handoff PIN check, drop-off photo and tracking) for disputes
+// @route   GET /api/admin/delivery-drivers/delivery-proof/:orderId
+// @access  Private/Admin
+const getOrderDeliveryProof = asyncHandler(async (req, res) => {
+  try {
+    const {orderId} = req.params;
+    logger.info(`Admin ${req.admin._id} fetching proof of delivery for order ${orderId}`);
+
+    checkAdminPermissions(req.admin, "manageOrders");
+
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new ApiError(400, "Invalid order ID");
+    }
+
+    const order = await FoodDelivery.findById(orderId).select("customer venue deliveryDriver deliveryStatus deliveryAddress estimatedDeliveryTime actualDeliveryTime proofOfDelivery trackingUpdates").populate("customer", "fullName phone").populate("venue", "name").populate("deliveryDriver", "fullName phone vehicleType");
+
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    return res.status(200).json(new ApiResponse(200, order, "Proof of delivery retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getOrderDeliveryProof: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof ApiError) 
+      throw error;
+    throw new ApiError(500, "Failed to retrieve proof of delivery");
+  }
+});
+
 // @desc    Reset driver password
 // @route   POST /api/admin/delivery-drivers/:id/reset-password
 // @access  Private/Admin
@@ -542,6 +610,8 @@ export {
   updateDriver,
   deleteDriver,
   getNearbyDrivers,
+  getOrderDispatchDetails,
+  getOrderDeliveryProof,
   resetDriverPassword,
   getDriverStats,
   deleteDriverDocument
@@ -0,0 +1,527 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import Cart from "../models/cart.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import BusinessOwner from "../models/businessOwner.models.js";
+import {Service} from "../models/services.models.js";
+import {resolveOrderItems, toRequestItem} from "../utils/orderPricing.js";
+import {placeFoodDeliveryOrder} from "../utils/orderPlacement.js";
+import {buildCartPreview, findActiveCart, findMatchingLine, getCartExpiry, repriceCart} from "../utils/carts.js";
+import {publishNewOrder} from "../utils/orderEvents.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+// Helper function to make sure only customers use carts
+const ensureCustomer = user => {
+  if (
+    user
+    ?.role !== "customer") {
+    throw new ApiError(403, "Only customers can use a cart");
+  }
+};
+
+// Helper function to load the venue a cart belongs to
+const getCartVenue = async (venueId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(venueId)) {
+    throw new ApiError(400, "Invalid venue ID");
+  }
+
+  const venue = await FoodVenue.findById(venueId).session(session);
+  if (!venue) {
+    throw new ApiError(404, "Venue not found");
+  }
+  return venue;
+};
+
+// Helper function to reprice, save and return a cart with its checkout preview.
+// Only changes to the cart push its expiry back, viewing it doesn't keep it from being abandoned
+const sendCartPreview = async (res, cart, venue, statusCode, message, {changed = true} = {}) => {
+  const preview = await buildCartPreview(cart, venue);
+  if (changed) {
+    cart.expiresAt = getCartExpiry();
+  }
+  await cart.save();
+
+  return res.status(statusCode).json(new ApiResponse(statusCode, preview, message));
+};
+
+/**
+ * @desc    Get the customer's open carts, one per venue
+ * @route   GET /api/v1/carts
+ * @access  Private (Customer)
+ */
+const getMyCarts = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+
+    const carts = await Cart.find({
+      user: req.user._id,
+      status: "active",
+      expiresAt: {
+        $gt: new Date()
+      }
+    }).populate("venue", "name images isAvailable").sort({updatedAt: -1});
+
+    return res.status(200).json(new ApiResponse(200, carts, "Carts retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getMyCarts: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve carts");
+  }
+});
+
+/**
+ * @desc    Get the cart at a venue, repriced from the live menu with a fee and tax preview
+ * @route   GET /api/v1/carts/:venueId
+ * @access  Private (Customer)
+ */
+const getCart = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+    const venue = await getCartVenue(req.params.venueId);
+
+    const cart = await findActiveCart(req.user._id, venue._id);
+    if (!cart) {
+      return res.status(200).json(new ApiResponse(200, null, "Cart is empty"));
+    }
+
+    return sendCartPreview(res, cart, venue, 200, "Cart retrieved successfully", {changed: false});
+  } catch (error) {
+    logger.error(`Error in getCart: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve cart");
+  }
+});
+
+/**
+ * @desc    Add an item to the cart at a venue (the same item with the same options is merged)
+ * @route   POST /api/v1/carts/:venueId/items
+ * @access  Private (Customer)
+ */
+const addCartItem = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+    const venue = await getCartVenue(req.params.venueId);
+
+    const {menuItemId, quantity = 1, options = [], specialInstructions = ""} = req.body;
+
+    // Priced server-side, the same way checkout does
+    const {items: [item], errors} = resolveOrderItems(venue, [
+      {
+        menuItemId,
+        quantity,
+        options,
+        specialInstructions
+      }
+    ]);
+    if (errors.length > 0) {
+      throw new ApiError(400, "Item could not be added to the cart", errors);
+    }
+
+    let cart = await findActiveCart(req.user._id, venue._id);
+    if (!cart) {
+      cart = new Cart({user: req.user._id, venue: venue._id, expiresAt: getCartExpiry()});
+    }
+
+    const existingLine = findMatchingLine(cart, item);
+    if (existingLine) {
+      existingLine.quantity += item.quantity;
+    } else {
+      cart.items.push(item);
+    }
+
+    return sendCartPreview(res, cart, venue, 201, "Item added to cart");
+  } catch (error) {
+    logger.error(`Error in addCartItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to add item to cart");
+  }
+});
+
+/**
+ * @desc    Change the quantity, options or instructions of a cart line (quantity 0 removes it)
+ * @route   PATCH /api/v1/carts/:venueId/items/:itemId
+ * @access  Private (Customer)
+ */
+const updateCartItem = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+    const venue = await getCartVenue(req.params.venueId);
+
+    const cart = await findActiveCart(req.user._id, venue._id);
+    const line = cart
+      ?.items.id(req.params.itemId);
+    if (!line) {
+      throw new ApiError(404, "Cart item not found");
+    }
+
+    const {quantity, options, specialInstructions} = req.body;
+
+    if (Number(quantity) === 0) {
+      line.deleteOne();
+      return sendCartPreview(res, cart, venue, 200, "Item removed from cart");
+    }
+
+    const {items: [item], errors} = resolveOrderItems(venue, [
+      {
+        ...toRequestItem(line),
+        ...(quantity !== undefined && {quantity}),
+        ...(options !== undefined && {options}),
+        ...(specialInstructions !== undefined && {specialInstructions})
+      }
+    ]);
+    if (errors.length > 0) {
+      throw new ApiError(400, "Cart item could not be updated", errors);
+    }
+
+    line.set({
+      ...item,
+      isAvailable: true,
+      issues: []
+    });
+
+    return sendCartPreview(res, cart, venue, 200, "Cart item updated");
+  } catch (error) {
+    logger.error(`Error in updateCartItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update cart item");
+  }
+});
+
+/**
+ * @desc    Remove a line from the cart
+ * @route   DELETE /api/v1/carts/:venueId/items/:itemId
+ * @access  Private (Customer)
+ */
+const removeCartItem = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+    const venue = await getCartVenue(req.params.venueId);
+
+    const cart = await findActiveCart(req.user._id, venue._id);
+    const line = cart
+      ?.items.id(req.params.itemId);
+    if (!line) {
+      throw new ApiError(404, "Cart item not found");
+    }
+
+    line.deleteOne();
+
+    return sendCartPreview(res, cart, venue, 200, "Item removed from cart");
+  } catch (error) {
+    logger.error(`Error in removeCartItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to remove cart item");
+  }
+});
+
+/**
+ * @desc    Set the delivery location, address, promotion code, tip or notes used for the preview and checkout
+ * @route   PATCH /api/v1/carts/:venueId
+ * @access  Private (Customer)
+ */
+const updateCartDetails = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+    const venue = await getCartVenue(req.params.venueId);
+
+    const cart = await findActiveCart(req.user._id, venue._id);
+    if (!cart) {
+      throw new ApiError(404, "Cart not found");
+    }
+
+    const {fulfillmentType, coordinates, deliveryAddress, promoCode, tip, customerNotes} = req.body;
+
+    if (fulfillmentType !== undefined) {
+      if (!["delivery", "pickup"].includes(fulfillmentType)) {
+        throw new ApiError(400, "Fulfillment type must be either 'delivery' or 'pickup'");
+      }
+      cart.fulfillmentType = fulfillmentType;
+    }
+    if (coordinates !== undefined) {
+      if (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(c => typeof c === "number")) {
+        throw new ApiError(400, "Coordinates must be an array of [longitude, latitude]");
+      }
+      cart.coordinates = coordinates;
+    }
+    if (tip !== undefined) {
+      if (typeof tip !== "number" || tip < 0) {
+        throw new ApiError(400, "Tip must be a positive number");
+      }
+      cart.tip = tip;
+    }
+    if (deliveryAddress !== undefined) {
+      cart.deliveryAddress = deliveryAddress;
+    }
+    if (promoCode !== undefined) {
+      cart.promoCode = promoCode || undefined;
+    }
+    if (customerNotes !== undefined) {
+      cart.customerNotes = customerNotes;
+    }
+
+    return sendCartPreview(res, cart, venue, 200, "Cart updated");
+  } catch (error) {
+    logger.error(`Error in updateCartDetails: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update cart");
+  }
+});
+
+/**
+ * @desc    Empty the cart at a venue
+ * @route   DELETE /api/v1/carts/:venueId
+ * @access  Private (Customer)
+ */
+const clearCart = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+    const venue = await getCartVenue(req.params.venueId);
+
+    await Cart.deleteOne({user: req.user._id, venue: venue._id, status: "active"});
+
+    return res.status(200).json(new ApiResponse(200, null, "Cart cleared"));
+  } catch (error) {
+    logger.error(`Error in clearCart: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to clear cart");
+  }
+});
+
+/**
+ * @desc    Turn the cart into a food delivery order
+ * @route   POST /api/v1/carts/:venueId/checkout
+ * @access  Private (Customer)
+ */
+const checkoutCart = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    ensureCustomer(req.user);
+    const venue = await getCartVenue(req.params.venueId, session);
+
+    const cart = await findActiveCart(req.user._id, venue._id, session);
+    if (!cart || cart.items.length === 0) {
+      throw new ApiError(400, "Cart is empty");
+    }
+
+    // Prices may have moved since the customer last saw the cart
+    const {repriced} = repriceCart(cart, venue);
+    const unavailable = cart.items.filter(line => !line.isAvailable);
+    if (unavailable.length > 0) {
+      throw new ApiError(409, "Some items in your cart are no longer available", unavailable.map(line => ({lineId: line._id, name: line.name, reasons: line.issues})));
+    }
+    if (repriced.length > 0 && !req.body.acceptChanges) {
+      throw new ApiError(409, "Some prices in your cart have changed. Review the cart or check out with acceptChanges", repriced);
+    }
+
+    const saved = cart.toObject();
+    const createdOrder = await placeFoodDeliveryOrder(req.user._id, {
+      venue: venue._id,
+      items: cart.items.map(toRequestItem),
+      fulfillmentType: req.body.fulfillmentType || saved.fulfillmentType,
+      coordinates: req.body.coordinates || saved.coordinates,
+      deliveryAddress: {
+        ...saved.deliveryAddress,
+        ...req.body.deliveryAddress
+      },
+      paymentMethod: req.body.paymentMethod,
+      tip: req.body.tip ?? saved.tip,
+      promoCode: req.body.promoCode ?? saved.promoCode,
+      customerNotes: req.body.customerNotes ?? saved.customerNotes,
+      scheduledFor: req.body.scheduledFor,
+      requireHandoffPin: req.body.requireHandoffPin,
+      contactlessDelivery: req.body.contactlessDelivery
+    }, session);
+
+    cart.status = "checked_out";
+    cart.order = createdOrder._id;
+    cart.checkedOutAt = new Date();
+    await cart.save({session});
+
+    await session.commitTransaction();
+
+    publishNewOrder(createdOrder);
+
+    logger.info(`Cart ${cart._id} checked out as order ${createdOrder._id}`);
+    return res.status(201).json(new ApiResponse(201, createdOrder, "Food delivery order created successfully"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in checkoutCart: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to check out cart");
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @desc    Abandoned cart summary for the business owner's venue: value, most left-behind items and recent carts
+ * @route   GET /api/v1/carts/venue/abandoned
+ * @access  Private (Business Owner)
+ */
+const getAbandonedCarts = asyncHandler(async (req, res) => {
+  try {
+    const businessOwner = await BusinessOwner.findOne({user: req.user._id});
+    if (!businessOwner) {
+      throw new ApiError(403, "User is not a registered business owner");
+    }
+
+    const service = await Service.findOne({owner: businessOwner._id});
+    if (!service) {
+      throw new ApiError(403, "Business owner doesn't have any associated service");
+    }
+
+    const foodVenue = await FoodVenue.findOne({service: service._id});
+    if (!foodVenue) {
+      throw new ApiError(403, "No food venue found for this business");
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const [result] = await Cart.aggregate([
+      {
+        $match: {
+          venue: foodVenue._id,
+          status: {
+            $in: ["abandoned", "checked_out"]
+          },
+          updatedAt: {
+            $gte: since
+          }
+        }
+      }, {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: "$status",
+                count: {
+                  $sum: 1
+                },
+                value: {
+                  $sum: "$subtotal"
+                }
+              }
+            }
+          ],
+          topItems: [
+            {
+              $match: {
+                status: "abandoned"
+              }
+            }, {
+              $unwind: "$items"
+            }, {
+              $group: {
+                _id: "$items.menuItemId",
+                name: {
+                  $last: "$items.name"
+                },
+                quantity: {
+                  $sum: "$items.quantity"
+                },
+                carts: {
+                  $sum: 1
+                }
+              }
+            }, {
+              $sort: {
+                carts: -1
+              }
+            }, {
+              $limit: 10
+            }
+          ],
+          recent: [
+            {
+              $match: {
+                status: "abandoned"
+              }
+            }, {
+              $sort: {
+                updatedAt: -1
+              }
+            }, {
+              $limit: 20
+            }, {
+              $project: {
+                items: {
+                  name: 1,
+                  quantity: 1,
+                  price: 1
+                },
+                subtotal: 1,
+                updatedAt: 1
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const abandoned = result.totals.find(t => t._id === "abandoned") || {count: 0, value: 0};
+    const checkedOut = result.totals.find(t => t._id === "checked_out") || {count: 0, value: 0};
+    const totalCarts = abandoned.count + checkedOut.count;
+
+    return res.status(200).json(new ApiResponse(200, {
+      days,
+      abandonedCarts: abandoned.count,
+      abandonedValue: parseFloat(abandoned.value.toFixed(2)),
+      checkedOutCarts: checkedOut.count,
+      abandonmentRate: totalCarts > 0
+        ? parseFloat(((abandoned.count / totalCarts) * 100).toFixed(2))
+        : 0,
+      topAbandonedItems: result.topItems,
+      recentAbandonedCarts: result.recent
+    }, "Abandoned cart data retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getAbandonedCarts: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve abandoned carts");
+  }
+});
+
+export {
+  getMyCarts,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  updateCartDetails,
+  clearCart,
+  checkoutCart,
+  getAbandonedCarts
+};
@@ -2,6 +2,7 @@ import {asyncHandler} from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js";
 import {ApiResponse} from "../utils/ApiResponse.js";
 import DeliveryDriver from "../models/deliveryDriver.models.js";
+import DeliveryOffer from "../models/deliveryOffer.models.js";
 import mongoose from "mongoose";
 import {isPasswordStrong, isEmailValid, isPhoneValid, areRequiredFieldsProvided} from "../utils/validator.js";
 import {sendWhatsAppMessage} from "../utils/twilioService.js";
@@ -9,6 +10,9 @@ import {uploadOnCloudinary, deleteFromCloudinary} from "../utils/cloudinary.js";
 import logger from "../utils/logger.js";
 import jwt from "jsonwebtoken";
 import geocodeCoordinates from "../utils/geoCordinates.js";
+import {acceptDeliveryOffer, declineDeliveryOffer} from "../utils/driverDispatch.js";
+import {refreshDriverOrderEtas} from "../utils/deliveryEta.js";
+import {streamDriverEvents} from "../utils/orderEvents.js";
 // Helper functions
 const generateDriverTokens = async driverId => {
   try {
@@ -489,6 +493,11 @@ const updateDriverLocation = asyncHandler(async (req, res) => {
       throw new ApiError(404, "Driver not found");
     }
 
+    // Re-estimate the orders the driver is carrying from the new position
+    await refreshDriverOrderEtas(driver._id).catch(etaError => {
+      logger.error(`Failed to update ETAs for driver ${driver._id}: ${etaError.message}`);
+    });
+
     return res.status(200).json(new ApiResponse(200, driver, "Location and address updated successfully"));
   } catch (error) {
     logger.error(`Location update failed: ${error.message}`, {stack: error.stack});
@@ -533,6 +542,65 @@ const updateDriverStatus = asyncHandler(async (req, res) => {
   return res.status(200).json(new ApiResponse(200, driver, "Driver status updated successfully"));
 });
 
+// Get Pending Delivery Offers
+const getDeliveryOffers = asyncHandler(async (req, res) => {
+  const offers = await DeliveryOffer.find({
+    driver: req.driver._id,
+    status: "pending",
+    expiresAt: {
+      $gt: new Date()
+    }
+  }).sort({createdAt: -1});
+
+  return res.status(200).json(new ApiResponse(200, offers, "Delivery offers fetched successfully"));
+});
+
+// Stream Delivery Offers (Server-Sent Events)
+const streamDeliveryOffers = asyncHandler(async (req, res) => {
+  const offers = await DeliveryOffer.find({
+    driver: req.driver._id,
+    status: "pending",
+    expiresAt: {
+      $gt: new Date()
+    }
+  }).sort({createdAt: -1});
+
+  streamDriverEvents(req, res, req.driver._id, offers);
+});
+
+// Accept Delivery Offer
+const acceptOffer = asyncHandler(async (req, res) => {
+  const {offerId} = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(offerId)) {
+    throw new ApiError(400, "Invalid offer ID");
+  }
+
+  const {offer, order} = await acceptDeliveryOffer(offerId, req.driver._id);
+
+  return res.status(200).json(new ApiResponse(200, {
+    offer,
+    order
+  }, "Delivery offer accepted successfully"));
+});
+
+// Decline Delivery Offer
+const declineOffer = asyncHandler(async (req, res) => {
+  const {offerId} = req.params;
+  const {reason = ""} = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(offerId)) {
+    throw new ApiError(400, "Invalid offer ID");
+  }
+  if (typeof reason !== "string" || reason.length > 200) {
+    throw new ApiError(400, "Reason must be a string of at most 200 characters");
+  }
+
+  const offer = await declineDeliveryOffer(offerId, req.driver._id, reason.trim());
+
+  return res.status(200).json(new ApiResponse(200, offer, "Delivery offer declined"));
+});
+
 // Delete Driver Account
 const deleteDriverAccount = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
@@ -725,6 +793,10 @@ export {
   updateDriverPassword,
   updateDriverLocation,
   updateDriverStatus,
+  getDeliveryOffers,
+  streamDeliveryOffers,
+  acceptOffer,
+  declineOffer,
   deleteDriverAccount,
   uploadDriverDocument,
   deleteDriverDocument
@@ -0,0 +1,215 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import DeliveryZone from "../models/deliveryZone.models.js";
+import {isValidPolygon} from "../utils/geoZones.js";
+import {checkAdminPermissions} from "../utils/adminPermissions.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "country",
+  "city",
+  "area",
+  "fee",
+  "isActive"
+];
+
+// Helper function to validate the editable fields of a delivery zone
+const validateZoneFields = ({area, fee}) => {
+  if (area !== undefined && !isValidPolygon(area)) {
+    throw new ApiError(400, "Zone area must be a GeoJSON Polygon or MultiPolygon with closed [longitude, latitude] rings");
+  }
+
+  if (fee !== undefined && (typeof fee !== "number" || fee < 0)) {
+    throw new ApiError(400, "Zone fee must be a non-negative number");
+  }
+};
+
+// @desc    Create a platform delivery zone (e.g. a city centre congestion zone)
+// @route   POST /api/v1/deliveryZones
+// @access  Private/Admin
+const createDeliveryZone = asyncHandler(async (req, res) => {
+  try {
+    checkAdminPermissions(req.admin, "manageDeliverySettings");
+
+    const {
+      name,
+      description,
+      country,
+      city,
+      area,
+      fee,
+      isActive
+    } = req.body;
+
+    if (!name || !country || !city || !area || fee === undefined) {
+      throw new ApiError(400, "Name, country, city, area and fee are required");
+    }
+
+    validateZoneFields({area, fee});
+
+    const zone = await DeliveryZone.create({
+      name,
+      description,
+      country,
+      city,
+      area,
+      fee,
+      isActive,
+      createdBy: req.admin._id
+    });
+
+    logger.info(`Delivery zone ${zone._id} (${zone.name}) created by admin ${req.admin._id}`);
+    return res.status(201).json(new ApiResponse(201, zone, "Delivery zone created successfully"));
+  } catch (error) {
+    logger.error(`Error in createDeliveryZone: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof mongoose.Error.ValidationError) {
+      const messages = Object.values(error.errors).map(err => err.message);
+      throw new ApiError(400, `Validation error: ${messages.join(", ")}`);
+    }
+
+    // MongoDB rejects self-intersecting or otherwise invalid polygons when indexing them
+    if (error.code === 16755) {
+      throw new ApiError(400, "Zone area is not a valid polygon");
+    }
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    throw new ApiError(500, "Failed to create delivery zone");
+  }
+});
+
+// @desc    Get platform delivery zones
+// @route   GET /api/v1/deliveryZones
+// @access  Private/Admin
+const getDeliveryZones = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageDeliverySettings");
+
+  const {
+    page = 1,
+    limit = 10,
+    country,
+    city,
+    isActive
+  } = req.query;
+
+  const query = {};
+  if (country)
+    query.country = country;
+  if (city)
+    query.city = city;
+  if (isActive !== undefined)
+    query.isActive = isActive === "true";
+
+  const zones = await DeliveryZone.paginate(query, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: {
+      createdAt: -1
+    }
+  });
+
+  return res.status(200).json(new ApiResponse(200, zones, "Delivery zones retrieved successfully"));
+});
+
+// @desc    Get a platform delivery zone
+// @route   GET /api/v1/deliveryZones/:id
+// @access  Private/Admin
+const getDeliveryZoneById = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageDeliverySettings");
+
+  const {id} = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid delivery zone ID");
+  }
+
+  const zone = await DeliveryZone.findById(id);
+  if (!zone) {
+    throw new ApiError(404, "Delivery zone not found");
+  }
+
+  return res.status(200).json(new ApiResponse(200, zone, "Delivery zone retrieved successfully"));
+});
+
+// @desc    Update a platform delivery zone
+// @route   PATCH /api/v1/deliveryZones/:id
+// @access  Private/Admin
+const updateDeliveryZone = asyncHandler(async (req, res) => {
+  try {
+    checkAdminPermissions(req.admin, "manageDeliverySettings");
+
+    const {id} = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Invalid delivery zone ID");
+    }
+
+    validateZoneFields(req.body);
+
+    const zone = await DeliveryZone.findById(id);
+    if (!zone) {
+      throw new ApiError(404, "Delivery zone not found");
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        zone[field] = req.body[field];
+      }
+    });
+
+    await zone.save();
+
+    logger.info(`Delivery zone ${zone._id} updated by admin ${req.admin._id}`);
+    return res.status(200).json(new ApiResponse(200, zone, "Delivery zone updated successfully"));
+  } catch (error) {
+    logger.error(`Error in updateDeliveryZone: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof mongoose.Error.ValidationError) {
+      const messages = Object.values(error.errors).map(err => err.message);
+      throw new ApiError(400, `Validation error: ${messages.join(", ")}`);
+    }
+
+    if (error.code === 16755) {
+      throw new ApiError(400, "Zone area is not a valid polygon");
+    }
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    throw new ApiError(500, "Failed to update delivery zone");
+  }
+});
+
+// @desc    Delete a platform delivery zone
+// @route   DELETE /api/v1/deliveryZones/:id
+// @access  Private/Admin
+const deleteDeliveryZone = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageDeliverySettings");
+
+  const {id} = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid delivery zone ID");
+  }
+
+  const zone = await DeliveryZone.findByIdAndDelete(id);
+  if (!zone) {
+    throw new ApiError(404, "Delivery zone not found");
+  }
+
+  logger.info(`Delivery zone ${id} deleted by admin ${req.admin._id}`);
+  return res.status(200).json(new ApiResponse(200, null, "Delivery zone deleted successfully"));
+});
+
+export {
+  createDeliveryZone,
+  getDeliveryZones,
+  getDeliveryZoneById,
+  updateDeliveryZone,
+  deleteDeliveryZone
+};
@@ -0,0 +1,610 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import DiningTab from "../models/diningTab.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import BusinessOwner from "../models/businessOwner.models.js";
+import {Service} from "../models/services.models.js";
+import {createStripePaymentIntent} from "../utils/payment_gateways/stripe.js";
+import {applyTabPayment, cancelPendingTabPayment, findOpenTab, generateTabAccessKey, generateTabJoinCode, getTableLink, isTabKeyValid, joinTab, placeDineInRound, refreshTabTotals, resolveTableToken, signTableToken} from "../utils/dineIn.js";
+import {getOpeningStatus} from "../utils/openingHours.js";
+import {publishNewOrder} from "../utils/orderEvents.js";
+import {getOrderCurrency, getVenueCurrency} from "../utils/currency.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+// Helper function to load the venue of the signed in business owner
+const getOwnerVenue = async (userId, session = null) => {
+  const businessOwner = await BusinessOwner.findOne({user: userId}).session(session);
+  if (!businessOwner) {
+    throw new ApiError(403, "User is not a registered business owner");
+  }
+
+  const service = await Service.findOne({owner: businessOwner._id}).session(session);
+  if (!service) {
+    throw new ApiError(403, "Business owner doesn't have any associated service");
+  }
+
+  const foodVenue = await FoodVenue.findOne({service: service._id}).session(session);
+  if (!foodVenue) {
+    throw new ApiError(403, "No food venue found for this business");
+  }
+  return foodVenue;
+};
+
+// Helper function to find one of the venue's tables
+const getVenueTable = (venue, tableId) => {
+  if (!mongoose.Types.ObjectId.isValid(tableId)) {
+    throw new ApiError(400, "Invalid table ID");
+  }
+
+  const table = venue.diningTables.id(tableId);
+  if (!table) {
+    throw new ApiError(404, "Table not found");
+  }
+  return table;
+};
+
+// Helper function to validate the editable fields of a table
+const validateTableFields = (venue, {label, seats, isActive}, tableId = null) => {
+  if (label !== undefined) {
+    if (typeof label !== "string" || !label.trim()) {
+      throw new ApiError(400, "Table label is required");
+    }
+    const taken = venue.diningTables.some(table => table.label.toLowerCase() === label.trim().toLowerCase() && table._id.toString() !== tableId
+      ?.toString());
+    if (taken) {
+      throw new ApiError(409, `A table labelled ${label.trim()} already exists`);
+    }
+  }
+  if (seats !== undefined && (!Number.isInteger(seats) || seats < 1)) {
+    throw new ApiError(400, "Seats must be a positive whole number");
+  }
+  if (isActive !== undefined && typeof isActive !== "boolean") {
+    throw new ApiError(400, "isActive must be a boolean");
+  }
+};
+
+// Helper function to return a tab with its rounds
+const getTabWithRounds = tabId => DiningTab.findById(tabId).populate({
+  path: "rounds",
+  select: "dineIn.round items subtotal tax totalAmount deliveryStatus estimatedDeliveryTime customerNotes createdAt"
+});
+
+// Helper function to load the table's open tab for a guest holding its key (sent in the X-Tab-Key header)
+const getGuestTab = async (req, venue, table, session = null) => {
+  const tab = await findOpenTab(venue._id, table._id, session);
+  if (!tab) {
+    throw new ApiError(404, "This table has no open tab");
+  }
+  if (!isTabKeyValid(tab, req.header("X-Tab-Key"))) {
+    throw new ApiError(403, "Join the table's tab with its join code first");
+  }
+  return tab;
+};
+
+/**
+ * @desc    Get the venue's dine-in tables
+ * @route   GET /api/v1/dineIn/venue/tables
+ * @access  Private (Business Owner)
+ */
+const getDiningTables = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+
+    return res.status(200).json(new ApiResponse(200, venue.diningTables, "Tables retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getDiningTables: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve tables");
+  }
+});
+
+/**
+ * @desc    Register a dine-in table and get its QR code link
+ * @route   POST /api/v1/dineIn/venue/tables
+ * @access  Private (Business Owner)
+ */
+const addDiningTable = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const {label, seats = 4} = req.body;
+
+    if (label === undefined) {
+      throw new ApiError(400, "Table label is required");
+    }
+    validateTableFields(venue, {label, seats});
+
+    venue.diningTables.push({label: label.trim(), seats});
+    await venue.save();
+
+    const table = venue.diningTables[venue.diningTables.length - 1];
+    const token = signTableToken(venue._id, table);
+
+    logger.info(`Table ${table.label} added to venue ${venue._id}`);
+    return res.status(201).json(new ApiResponse(201, {
+      table,
+      qrToken: token,
+      qrLink: getTableLink(token)
+    }, "Table added successfully"));
+  } catch (error) {
+    logger.error(`Error in addDiningTable: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to add table");
+  }
+});
+
+/**
+ * @desc    Rename a table, change its seats or take it out of service
+ * @route   PATCH /api/v1/dineIn/venue/tables/:tableId
+ * @access  Private (Business Owner)
+ */
+const updateDiningTable = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const table = getVenueTable(venue, req.params.tableId);
+    const {label, seats, isActive} = req.body;
+
+    validateTableFields(venue, {label, seats, isActive}, table._id);
+
+    if (label !== undefined) {
+      table.label = label.trim();
+    }
+    if (seats !== undefined) {
+      table.seats = seats;
+    }
+    if (isActive !== undefined) {
+      table.isActive = isActive;
+    }
+    await venue.save();
+
+    return res.status(200).json(new ApiResponse(200, table, "Table updated successfully"));
+  } catch (error) {
+    logger.error(`Error in updateDiningTable: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update table");
+  }
+});
+
+/**
+ * @desc    Remove a table that has no open tab
+ * @route   DELETE /api/v1/dineIn/venue/tables/:tableId
+ * @access  Private (Business Owner)
+ */
+const removeDiningTable = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const table = getVenueTable(venue, req.params.tableId);
+
+    if (await findOpenTab(venue._id, table._id)) {
+      throw new ApiError(409, "Settle the table's open tab before removing it");
+    }
+
+    table.deleteOne();
+    await venue.save();
+
+    logger.info(`Table ${table.label} removed from venue ${venue._id}`);
+    return res.status(200).json(new ApiResponse(200, {}, "Table removed successfully"));
+  } catch (error) {
+    logger.error(`Error in removeDiningTable: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to remove table");
+  }
+});
+
+/**
+ * @desc    Get the signed token and link to print as a table's QR code
+ * @route   GET /api/v1/dineIn/venue/tables/:tableId/qr
+ * @access  Private (Business Owner)
+ */
+const getTableQrCode = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const table = getVenueTable(venue, req.params.tableId);
+    const token = signTableToken(venue._id, table);
+
+    return res.status(200).json(new ApiResponse(200, {
+      table,
+      qrToken: token,
+      qrLink: getTableLink(token)
+    }, "Table QR code retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getTableQrCode: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve table QR code");
+  }
+});
+
+/**
+ * @desc    Replace a table's QR code; codes printed before stop working
+ * @route   POST /api/v1/dineIn/venue/tables/:tableId/qr/rotate
+ * @access  Private (Business Owner)
+ */
+const rotateTableQrCode = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const table = getVenueTable(venue, req.params.tableId);
+
+    table.qrVersion += 1;
+    await venue.save();
+
+    const token = signTableToken(venue._id, table);
+
+    logger.info(`QR code of table ${table.label} at venue ${venue._id} rotated to version ${table.qrVersion}`);
+    return res.status(200).json(new ApiResponse(200, {
+      table,
+      qrToken: token,
+      qrLink: getTableLink(token)
+    }, "Table QR code replaced successfully"));
+  } catch (error) {
+    logger.error(`Error in rotateTableQrCode: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to replace table QR code");
+  }
+});
+
+/**
+ * @desc    Get the venue's dine-in tabs, open ones by default
+ * @route   GET /api/v1/dineIn/venue/tabs
+ * @access  Private (Business Owner)
+ */
+const getVenueTabs = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const {status} = req.query;
+
+    const validStatuses = ["open", "payment_pending", "paid", "cancelled"];
+    if (status && !validStatuses.includes(status)) {
+      throw new ApiError(400, `Status must be one of: ${validStatuses.join(", ")}`);
+    }
+
+    const tabs = await DiningTab.find({
+      venue: venue._id,
+      status: status || {
+        $in: ["open", "payment_pending"]
+      }
+    }).populate({
+      path: "rounds",
+      select: "dineIn.round items totalAmount deliveryStatus createdAt"
+    }).sort({createdAt: -1}).limit(100);
+
+    return res.status(200).json(new ApiResponse(200, tabs, "Tabs retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getVenueTabs: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve tabs");
+  }
+});
+
+/**
+ * @desc    Close a tab the guests paid to staff at the table
+ * @route   POST /api/v1/dineIn/venue/tabs/:tabId/settle
+ * @access  Private (Business Owner)
+ */
+const settleTab = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const venue = await getOwnerVenue(req.user._id, session);
+    const {tabId} = req.params;
+    const {method, tip} = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(tabId)) {
+      throw new ApiError(400, "Invalid tab ID");
+    }
+    if (!["cash", "card_terminal"].includes(method)) {
+      throw new ApiError(400, "Method must be either 'cash' or 'card_terminal'");
+    }
+    if (tip !== undefined && (typeof tip !== "number" || tip < 0)) {
+      throw new ApiError(400, "Tip must be a positive number");
+    }
+
+    const tab = await DiningTab.findOne({_id: tabId, venue: venue._id}).session(session);
+    if (!tab) {
+      throw new ApiError(404, "Tab not found");
+    }
+    if (!["open", "payment_pending"].includes(tab.status)) {
+      throw new ApiError(400, `Tab is already ${tab.status}`);
+    }
+
+    if (tip !== undefined) {
+      tab.tip = tip;
+    }
+    await cancelPendingTabPayment(tab);
+    await refreshTabTotals(tab, session);
+    await tab.save({session});
+
+    await applyTabPayment({tabId: tab._id, method, session});
+    await session.commitTransaction();
+
+    logger.info(`Tab ${tab._id} at table ${tab.table.label} settled by ${method}`);
+    return res.status(200).json(new ApiResponse(200, await getTabWithRounds(tab._id), "Tab settled successfully"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in settleTab: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to settle tab");
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @desc    Open a scanned table: venue, available menu and the table's open tab
+ * @route   GET /api/v1/dineIn/tables/:token
+ * @access  Public (guests may be signed in)
+ */
+const getTable = asyncHandler(async (req, res) => {
+  try {
+    const {venue, table} = await resolveTableToken(req.params.token);
+    const tab = await findOpenTab(venue._id, table._id);
+    const hasTabKey = tab && isTabKeyValid(tab, req.header("X-Tab-Key"));
+
+    return res.status(200).json(new ApiResponse(200, {
+      venue: {
+        _id: venue._id,
+        name: venue.name,
+        images: venue.images,
+        ...getOpeningStatus(venue)
+      },
+      table: {
+        _id: table._id,
+        label: table.label,
+        seats: table.seats
+      },
+      menuItems: venue.menuItems.filter(item => item.isAvailable !== false),
+      hasOpenTab: !!tab,
+      tab: hasTabKey
+        ? await getTabWithRounds(tab._id)
+        : null
+    }, "Table retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getTable: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve table");
+  }
+});
+
+/**
+ * @desc    Open a tab for the table, or join the one already open with its join code
+ * @route   POST /api/v1/dineIn/tables/:token/tab
+ * @access  Public (guests may be signed in)
+ */
+const openTab = asyncHandler(async (req, res) => {
+  try {
+    const {venue, table} = await resolveTableToken(req.params.token);
+
+    // Guests at the table share its tab; scanning the code alone doesn't let anyone onto it
+    const existing = await findOpenTab(venue._id, table._id);
+    if (existing) {
+      const accessKey = await joinTab(existing, req.body.joinCode);
+      return res.status(200).json(new ApiResponse(200, {
+        tab: await getTabWithRounds(existing._id),
+        accessKey
+      }, "Joined the table's open tab"));
+    }
+
+    const {guestName} = req.body;
+    if (guestName !== undefined && (typeof guestName !== "string" || guestName.length > 50)) {
+      throw new ApiError(400, "Guest name must be a string of at most 50 characters");
+    }
+
+    const tab = await DiningTab.create({
+      venue: venue._id,
+      table: {
+        _id: table._id,
+        label: table.label
+      },
+      guest: {
+        user: req.user
+          ?._id,
+        name: guestName || req.user
+          ?.fullName
+      },
+      currency: getVenueCurrency(venue),
+      joinCode: generateTabJoinCode(),
+      accessKey: generateTabAccessKey()
+    });
+
+    logger.info(`Tab ${tab._id} opened at table ${table.label} of venue ${venue._id}`);
+    return res.status(201).json(new ApiResponse(201, {
+      tab: await getTabWithRounds(tab._id),
+      accessKey: tab.accessKey
+    }, "Tab opened successfully"));
+  } catch (error) {
+    // Two guests opened the table's tab at the same time
+    if (error.code === 11000) {
+      throw new ApiError(409, "A tab was just opened for this table. Ask the guest who opened it for its join code");
+    }
+    logger.error(`Error in openTab: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to open tab");
+  }
+});
+
+/**
+ * @desc    Get the table's open tab with its rounds and totals
+ * @route   GET /api/v1/dineIn/tables/:token/tab
+ * @access  Public (guests may be signed in)
+ */
+const getTab = asyncHandler(async (req, res) => {
+  try {
+    const {venue, table} = await resolveTableToken(req.params.token);
+    const tab = await getGuestTab(req, venue, table);
+
+    return res.status(200).json(new ApiResponse(200, await getTabWithRounds(tab._id), "Tab retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getTab: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve tab");
+  }
+});
+
+/**
+ * @desc    Send a round of items to the kitchen on the table's tab
+ * @route   POST /api/v1/dineIn/tables/:token/tab/rounds
+ * @access  Public (guests may be signed in)
+ */
+const addTabRound = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {venue, table} = await resolveTableToken(req.params.token, session);
+
+    const tab = await getGuestTab(req, venue, table, session);
+    if (tab.status !== "open") {
+      throw new ApiError(400, "The bill has been requested for this tab. Ask the staff to add more items");
+    }
+
+    const order = await placeDineInRound({
+      tab,
+      venue,
+      items: req.body.items,
+      customerNotes: req.body.customerNotes,
+      user: req.user || null,
+      session
+    });
+
+    await session.commitTransaction();
+
+    publishNewOrder(order);
+
+    logger.info(`Round ${order.dineIn.round} of tab ${tab._id} sent to the kitchen as order ${order._id}`);
+    return res.status(201).json(new ApiResponse(201, {
+      order,
+      tab
+    }, "Round sent to the kitchen"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in addTabRound: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to place round");
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @desc    Ask for the bill: pay the tab online, or have staff take payment at the table
+ * @route   POST /api/v1/dineIn/tables/:token/tab/pay
+ * @access  Public (guests may be signed in)
+ */
+const requestTabPayment = asyncHandler(async (req, res) => {
+  try {
+    const {venue, table} = await resolveTableToken(req.params.token);
+    const {paymentMethod, tip} = req.body;
+
+    if (!["stripe", "at_table"].includes(paymentMethod)) {
+      throw new ApiError(400, "Payment method must be either 'stripe' or 'at_table'");
+    }
+    if (tip !== undefined && (typeof tip !== "number" || tip < 0)) {
+      throw new ApiError(400, "Tip must be a positive number");
+    }
+
+    const tab = await getGuestTab(req, venue, table);
+
+    if (tip !== undefined) {
+      tab.tip = tip;
+    }
+    await refreshTabTotals(tab);
+    if (tab.totalAmount <= 0) {
+      throw new ApiError(400, "There is nothing to pay on this tab");
+    }
+
+    // A bill asked for again replaces the earlier payment
+    await cancelPendingTabPayment(tab);
+
+    // No more rounds once the bill is asked for
+    tab.status = "payment_pending";
+
+    let clientSecret = null;
+    if (paymentMethod === "stripe") {
+      const paymentIntent = await createStripePaymentIntent(tab.totalAmount, getOrderCurrency(tab), {
+        tab: tab._id.toString(),
+        venue: venue._id.toString(),
+        user: req.user
+          ?._id
+      });
+      tab.payment = {
+        method: "stripe",
+        status: "pending",
+        transactionId: paymentIntent.id
+      };
+      clientSecret = paymentIntent.client_secret;
+    }
+    await tab.save();
+
+    logger.info(`Bill requested for tab ${tab._id} (${paymentMethod}), total ${tab.totalAmount}`);
+    return res.status(200).json(new ApiResponse(200, {
+      tab,
+      clientSecret
+    }, paymentMethod === "stripe"
+      ? "Payment created successfully"
+      : "The staff will bring the bill to your table"));
+  } catch (error) {
+    logger.error(`Error in requestTabPayment: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to request payment for the tab");
+  }
+});
+
+export {
+  getDiningTables,
+  addDiningTable,
+  updateDiningTable,
+  removeDiningTable,
+  getTableQrCode,
+  rotateTableQrCode,
+  getVenueTabs,
+  settleTab,
+  getTable,
+  openTab,
+  getTab,
+  addTabRound,
+  requestTabPayment
+};
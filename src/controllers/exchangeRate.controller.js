@@ -0,0 +1,187 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import ExchangeRate from "../models/exchangeRate.models.js";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import {DEFAULT_CURRENCY, convertToBaseCurrency, getBaseCurrency, isValidCurrency, roundToCurrency} from "../utils/currency.js";
+import {checkAdminPermissions} from "../utils/adminPermissions.js";
+import logger from "../utils/logger.js";
+
+// Helper function to read a currency code from the route
+const getCurrencyParam = req => {
+  const currency = req.params.currency
+    ?.toUpperCase();
+  if (!isValidCurrency(currency)) {
+    throw new ApiError(400, "Currency must be a valid 3-letter ISO code");
+  }
+  if (currency === getBaseCurrency()) {
+    throw new ApiError(400, `${currency} is the base currency, its rate is always 1`);
+  }
+  return currency;
+};
+
+// @desc    Get the exchange rates to the base currency
+// @route   GET /api/v1/exchangeRates
+// @access  Private/Admin
+const getExchangeRates = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "viewSalesReports");
+
+  const rates = await ExchangeRate.find().sort({currency: 1});
+
+  return res.status(200).json(new ApiResponse(200, {
+    baseCurrency: getBaseCurrency(),
+    rates
+  }, "Exchange rates retrieved successfully"));
+});
+
+// @desc    Set the exchange rate of a currency to the base currency
+// @route   PUT /api/v1/exchangeRates/:currency
+// @access  Private/Admin
+const setExchangeRate = asyncHandler(async (req, res) => {
+  try {
+    checkAdminPermissions(req.admin, "managePayments");
+
+    const currency = getCurrencyParam(req);
+    const {rate} = req.body;
+    if (typeof rate !== "number" || !Number.isFinite(rate) || rate <= 0) {
+      throw new ApiError(400, "Rate must be a positive number of base currency units per unit of the currency");
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate({currency}, {
+      $set: {
+        rate,
+        updatedBy: req.admin._id
+      }
+    }, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true
+    });
+
+    logger.info(`Exchange rate of ${currency} set to ${rate} ${getBaseCurrency()} by admin ${req.admin._id}`);
+    return res.status(200).json(new ApiResponse(200, exchangeRate, "Exchange rate saved successfully"));
+  } catch (error) {
+    logger.error(`Error in setExchangeRate: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    throw new ApiError(500, "Failed to save exchange rate");
+  }
+});
+
+// @desc    Delete the exchange rate of a currency
+// @route   DELETE /api/v1/exchangeRates/:currency
+// @access  Private/Admin
+const deleteExchangeRate = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "managePayments");
+
+  const currency = getCurrencyParam(req);
+  const exchangeRate = await ExchangeRate.findOneAndDelete({currency});
+  if (!exchangeRate) {
+    throw new ApiError(404, "Exchange rate not found");
+  }
+
+  logger.info(`Exchange rate of ${currency} deleted by admin ${req.admin._id}`);
+  return res.status(200).json(new ApiResponse(200, null, "Exchange rate deleted successfully"));
+});
+
+// @desc    Paid order revenue per currency, and net of refunds in the base currency at the current rates
+// @route   GET /api/v1/exchangeRates/revenue
+// @access  Private/Admin
+const getRevenueReport = asyncHandler(async (req, res) => {
+  try {
+    checkAdminPermissions(req.admin, "viewSalesReports");
+
+    const {from, to} = req.query;
+    const createdAt = {};
+    const range = {
+      $gte: from,
+      $lt: to
+    };
+    for (const [operator, value] of Object.entries(range)) {
+      if (value === undefined) {
+        continue;
+      }
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new ApiError(400, "from and to must be valid dates");
+      }
+      createdAt[operator] = date;
+    }
+
+    const byCurrency = await FoodDelivery.aggregate([
+      {
+        $match: {
+          isDeleted: false,
+          paymentStatus: "paid",
+          ...(Object.keys(createdAt).length > 0 && {
+            createdAt
+          })
+        }
+      }, {
+        $group: {
+          _id: {
+            $ifNull: [
+              "$currency", {
+                $ifNull: ["$deliveryFee.currency", DEFAULT_CURRENCY]
+              }
+            ]
+          },
+          orders: {
+            $sum: 1
+          },
+          revenue: {
+            $sum: "$totalAmount"
+          },
+          refunded: {
+            $sum: {
+              $ifNull: ["$refundAmount", 0]
+            }
+          }
+        }
+      }, {
+        $sort: {
+          _id: 1
+        }
+      }
+    ]);
+
+    const rates = new Map((await ExchangeRate.find()).map(entry => [entry.currency, entry.rate]));
+    const baseCurrency = getBaseCurrency();
+
+    const currencies = byCurrency.map(({_id: currency, orders, revenue, refunded}) => ({
+      currency,
+      orders,
+      revenue: roundToCurrency(revenue, currency),
+      refunded: roundToCurrency(refunded, currency),
+      netRevenueInBaseCurrency: convertToBaseCurrency(revenue - refunded, currency, rates)
+    }));
+    const converted = currencies.filter(entry => entry.netRevenueInBaseCurrency !== null);
+
+    return res.status(200).json(new ApiResponse(200, {
+      baseCurrency,
+      totalNetRevenue: roundToCurrency(converted.reduce((sum, entry) => sum + entry.netRevenueInBaseCurrency, 0), baseCurrency),
+      currencies,
+      // Left out of the total until an admin sets their rate
+      missingRates: currencies.filter(entry => entry.netRevenueInBaseCurrency === null).map(entry => entry.currency)
+    }, "Revenue report retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getRevenueReport: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+
+    throw new ApiError(500, "Failed to retrieve revenue report");
+  }
+});
+
+export {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  getRevenueReport
+};
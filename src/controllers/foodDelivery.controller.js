@@ -4,11 +4,25 @@ import {ApiResponse} from "../utils/ApiResponse.js";
 import FoodDelivery from "../models/foodDelivery.models.js";
 import BusinessOwner from "../models/businessOwner.models.js";
 import {Service} from "../models/services.models.js";
-import User from "../models/users.models.js";
 import FoodVenue from "../models/foodVenue.models.js";
 import DeliveryDriver from "../models/deliveryDriver.models.js";
+import DeliveryTrip from "../models/deliveryTrip.models.js";
 // import {createStripePaymentIntent, refundStripePayment, handleStripeWebhook, confirmStripePaymentIntent} from "../utils/payment_gateways/stripe.js";
-import geocodeCoordinates from "../utils/geoCordinates.js";
+import {getCancellationTerms, issueOrderRefunds, refundOrderPayment} from "../utils/orderCancellation.js";
+import {checkVenueDelivers, placeFoodDeliveryOrder} from "../utils/orderPlacement.js";
+import {resolveReorderItems, roundMoney} from "../utils/orderPricing.js";
+import {offerOrderToDriver, rankDispatchCandidates} from "../utils/driverDispatch.js";
+import {updateTripStop} from "../utils/deliveryTrips.js";
+import {collectDeliveryProof} from "../utils/proofOfDelivery.js";
+import {PICKUP_TRANSITIONS, isPickupOrder, verifyPickupCode} from "../utils/pickupOrders.js";
+import {DINE_IN_TRANSITIONS, isDineInOrder, refreshTabTotals} from "../utils/dineIn.js";
+import DiningTab from "../models/diningTab.models.js";
+import {SUBSTITUTION_RESPONSE_MINUTES, hasPendingItemIssues, reportUnavailableItem, resolveItemIssue} from "../utils/itemSubstitutions.js";
+import {refreshOrderEta} from "../utils/deliveryEta.js";
+import {getVenueCurrency} from "../utils/currency.js";
+import {getDeliveryEarnings} from "../utils/driverEarnings.js";
+import {requestTipAdjustment} from "../utils/tipAdjustments.js";
+import {publishNewOrder, publishStatusChange, publishOrderEvent, publishVenueEvent, streamOrderEvents, streamVenueEvents} from "../utils/orderEvents.js";
 import logger from "../utils/logger.js";
 import mongoose from "mongoose";
 
@@ -18,19 +32,6 @@ import mongoose from "mongoose";
  * @access  Private (Customer)
  */
 
-// Helper function to calculate distance in km using Haversine formula
-function calculateDistance(venueCoords, deliveryCoords) {
-  const [lon1, lat1] = venueCoords;
-  const [lon2, lat2] = deliveryCoords;
-
-  const R = 6371; // Earth's radius in km
-  const dLat = ((lat2 - lat1) * Math.PI) / 180;
-  const dLon = ((lon2 - lon1) * Math.PI) / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) + Math.cos((lat1 * Math.PI) / 180) * Math.cos((lat2 * Math.PI) / 180) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return parseFloat((R * c).toFixed(2)); // Distance in km with 2 decimal places
-}
-
 const createFoodDeliveryOrder = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -41,254 +42,185 @@ const createFoodDeliveryOrder = asyncHandler(async (req, res) => {
       throw new ApiError(403, "Only customers can place orders");
     }
 
+    const createdOrder = await placeFoodDeliveryOrder(req.user._id, req.body, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    publishNewOrder(createdOrder);
+
+    logger.info(`Order created successfully: ${createdOrder._id}`);
+    return res.status(201).json(new ApiResponse(201, createdOrder, "Food delivery order created successfully"));
+  } catch (error) {
+    // Only abort if transaction hasn't been committed
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    session.endSession();
+
+    logger.error(`Order creation failed: ${error.message}`, {error});
+
+    // Paused or full venues: tell the client when to try again
+    const retryAfterSeconds = error.statusCode === 503 && error.errors
+      ?.[0]
+        ?.retryAfterSeconds;
+    if (retryAfterSeconds) {
+      res.set("Retry-After", String(retryAfterSeconds));
+    }
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to create food delivery order");
+  }
+});
+
+/**
+ * @desc    Reorder a past order: re-resolve its items against the venue's current menu and
+ *          return a prefilled cart, or place the order straight away with placeOrder
+ * @route   POST /api/food-delivery/customer/:id/reorder
+ * @access  Private (Customer)
+ */
+const reorderFoodDelivery = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+
+  try {
+    if (req.user.role !== "customer") {
+      throw new ApiError(403, "Only customers can reorder");
+    }
+
+    const {id} = req.params;
     const {
-      venue,
-      items,
-      customerNotes,
-      tip = 0,
-      coordinates,
-      paymentMethod,
+      placeOrder = false,
+      acceptChanges = false,
+      scheduledFor,
       deliveryAddress = {}
     } = req.body;
 
-    // Extract unitNumber from either deliveryAddress object or root of request body
-    const unitNumber = deliveryAddress.unitNumber || req.body.unitNumber || "";
-
-    // Validate required fields
-    if (!venue || !coordinates || !items || items.length === 0 || !paymentMethod) {
-      throw new ApiError(400, "Venue, coordinates, items, and payment method are required");
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Invalid order ID");
     }
 
-    // Validate coordinates format
-    if (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(c => typeof c === "number")) {
-      throw new ApiError(400, "Coordinates must be an array of [longitude, latitude]");
+    const pastOrder = await FoodDelivery.findOne({_id: id, "customer._id": req.user._id, isDeleted: false});
+    if (!pastOrder) {
+      throw new ApiError(404, "Order not found");
     }
 
-    // Validate items structure
-    for (const item of items) {
-      if (!item.menuItemId || !item.quantity || !item.price) {
-        throw new ApiError(400, "Each item must have menuItemId, quantity, and price");
-      }
-      if (item.quantity < 1) 
-        throw new ApiError(400, "Quantity must be at least 1");
-      if (item.price < 0) 
-        throw new ApiError(400, "Price cannot be negative");
-      }
-    
-    // Validate payment method
-    const validPaymentMethods = [
-      "credit_card",
-      "debit_card",
-      "paypal",
-      "stripe",
-      "cash_on_delivery",
-      "wallet",
-      "razorpay"
-    ];
-    if (!validPaymentMethods.includes(paymentMethod)) {
-      throw new ApiError(400, "Invalid payment method");
+    const venue = await FoodVenue.findById(pastOrder.venue);
+    if (!venue) {
+      throw new ApiError(404, "Venue not found");
     }
 
-    // Get customer details
-    const customer = await User.findById(req.user._id).select("fullName email phone").session(session);
-    if (!customer) {
-      throw new ApiError(404, "Customer not found");
+    // Same fulfillment as last time unless the customer switches between delivery and pickup
+    const fulfillmentType = req.body.fulfillmentType || pastOrder.fulfillmentType;
+    if (!["delivery", "pickup"].includes(fulfillmentType)) {
+      throw new ApiError(400, "Fulfillment type must be either 'delivery' or 'pickup'");
     }
+    const isPickup = fulfillmentType === "pickup";
 
-    logger.info(`Creating food delivery order for venue: ${venue} by user: ${customer._id}`);
+    // Deliver to the same place unless the customer picked a new location
+    const coordinates = req.body.coordinates || pastOrder.deliveryAddress
+      ?.coordinates
+        ?.coordinates;
+    if (!isPickup && !coordinates) {
+      throw new ApiError(400, "Coordinates are required to deliver this order");
+    }
+    if (coordinates && (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(c => typeof c === "number"))) {
+      throw new ApiError(400, "Coordinates must be an array of [longitude, latitude]");
+    }
+    await checkVenueDelivers(venue, coordinates, {scheduledFor, fulfillmentType});
 
-    // Get venue with delivery fee configuration
-    const venueDetails = await FoodVenue.findById(venue).session(session);
-    if (!venueDetails) 
-      throw new ApiError(404, "Venue not found");
-    if (!venueDetails.isAvailable) 
-      throw new ApiError(400, "Venue is currently unavailable for delivery");
-    
-    // Calculate distance between venue and delivery location
-    const distance = calculateDistance(venueDetails.address.coordinates.coordinates, coordinates);
-
-    // Check if within delivery radius
-    if (distance > venueDetails.deliveryRadius) {
-      throw new ApiError(400, `Delivery location is outside the venue's ${venueDetails.deliveryRadius}km delivery radius`);
-    }
-
-    // Calculate subtotal
-    const subtotal = items.reduce((sum, item) => {
-      const optionsCost = item.options
-        ?.reduce((optSum, opt) => optSum + (opt.additionalCost || 0), 0) || 0;
-      return sum + item.price * item.quantity + optionsCost;
-    }, 0);
-
-    // Calculate tax (10% of subtotal)
-    const tax = parseFloat((subtotal * 0.1).toFixed(2));
-
-    // Get current time for surge pricing
-    const now = new Date();
-    const currentTime = `${now.getHours().toString().padStart(2, "0")}:${now.getMinutes().toString().padStart(2, "0")}`;
-
-    // Calculate dynamic delivery fee
-    const deliveryFee = calculateDynamicDeliveryFee({venueConfig: venueDetails.deliveryFee, distance, currentTime, subtotal});
-
-    // Calculate total amount
-    const totalAmount = parseFloat((subtotal + deliveryFee.total + tax + (tip || 0)).toFixed(2));
-
-    // Geocode coordinates using your actual utility
-    let geocodedAddress;
-    try {
-      geocodedAddress = await geocodeCoordinates(coordinates);
-    } catch (err) {
-      logger.warn("Geocoding failed, using default values", {error: err.message});
-      geocodedAddress = {
-        country: "Unknown",
-        city: "Unknown",
-        street: "Unknown",
-        zipCode: "Unknown"
-      };
+    const {items, requestItems, subtotal, unavailable, repriced} = resolveReorderItems(venue, pastOrder.items);
+    if (items.length === 0) {
+      throw new ApiError(400, "None of the items from this order are available anymore", unavailable);
     }
 
-    // Create order with all address details including unitNumber
-    const [createdOrder] = await FoodDelivery.create([
-      {
-        customer: {
-          _id: customer._id,
-          name: customer.fullName,
-          email: customer.email,
-          phone: customer.phone
-        },
-        venue,
-        deliveryAddress: {
-          country: geocodedAddress.country || deliveryAddress.country || "Unknown",
-          city: geocodedAddress.city || deliveryAddress.city || "Unknown",
-          street: geocodedAddress.street || deliveryAddress.street || "Unknown",
-          zipCode: geocodedAddress.zipCode || deliveryAddress.zipCode || "Unknown",
-          unitNumber: unitNumber || undefined, // Include unitNumber here
-          coordinates: {
-            type: "Point",
-            coordinates
-          },
-          additionalInfo: deliveryAddress.additionalInfo || ""
+    const previousAddress = pastOrder.deliveryAddress || {};
+    const cart = {
+      reorderedFrom: pastOrder._id,
+      venue: {
+        _id: venue._id,
+        name: venue.name
+      },
+      items,
+      subtotal,
+      unavailableItems: unavailable,
+      repricedItems: repriced,
+      fulfillmentType,
+      coordinates,
+      deliveryAddress: isPickup
+        ? undefined
+        : {
+          street: deliveryAddress.street || previousAddress.street,
+          city: deliveryAddress.city || previousAddress.city,
+          zipCode: deliveryAddress.zipCode || previousAddress.zipCode,
+          country: deliveryAddress.country || previousAddress.country,
+          unitNumber: deliveryAddress.unitNumber || previousAddress.unitNumber,
+          additionalInfo: deliveryAddress.additionalInfo || previousAddress.additionalInfo
         },
-        items: items.map(item => ({
-          menuItemId: item.menuItemId,
-          name: item.name,
-          quantity: item.quantity,
-          price: item.price,
-          specialInstructions: item.specialInstructions || "",
-          options: item.options || []
-        })),
-        subtotal: parseFloat(subtotal.toFixed(2)),
-        deliveryFee,
-        tax: parseFloat(tax),
-        tip: parseFloat(tip),
-        totalAmount: parseFloat(totalAmount),
-        customerNotes: customerNotes || "",
-        paymentMethod,
-        deliveryStatus: "pending"
-      }
-    ], {session});
+      paymentMethod: req.body.paymentMethod || pastOrder.paymentMethod
+    };
 
-    // Update venue's order count
-    await FoodVenue.findByIdAndUpdate(venue, {
-      $inc: {
-        totalOrders: 1
-      }
-    }, {session});
+    if (!placeOrder) {
+      return res.status(200).json(new ApiResponse(200, cart, unavailable.length || repriced.length
+        ? "Cart prefilled from your previous order. Some items have changed"
+        : "Cart prefilled from your previous order"));
+    }
 
+    // Nothing is ordered at a price or without an item the customer has not seen
+    if ((unavailable.length || repriced.length) && !acceptChanges) {
+      throw new ApiError(409, "Some items have changed since this order was placed. Review the cart or reorder with acceptChanges", [
+        ...unavailable.map(item => ({
+          ...item,
+          issue: "unavailable"
+        })),
+        ...repriced.map(item => ({
+          ...item,
+          issue: "repriced"
+        }))
+      ]);
+    }
+
+    session.startTransaction();
+    const createdOrder = await placeFoodDeliveryOrder(req.user._id, {
+      venue: venue._id,
+      items: requestItems,
+      fulfillmentType,
+      coordinates,
+      deliveryAddress: cart.deliveryAddress,
+      paymentMethod: cart.paymentMethod,
+      tip: req.body.tip ?? 0,
+      promoCode: req.body.promoCode,
+      scheduledFor,
+      customerNotes: req.body.customerNotes ?? pastOrder.customerNotes,
+      requireHandoffPin: req.body.requireHandoffPin ?? pastOrder.proofOfDelivery?.pinRequired,
+      contactlessDelivery: req.body.contactlessDelivery ?? pastOrder.proofOfDelivery?.contactless
+    }, session);
     await session.commitTransaction();
-    session.endSession();
 
-    logger.info(`Order created successfully: ${createdOrder._id}`);
-    return res.status(201).json(new ApiResponse(201, createdOrder, "Food delivery order created successfully"));
+    publishNewOrder(createdOrder);
+
+    logger.info(`Order ${createdOrder._id} placed as a reorder of ${pastOrder._id}`);
+    return res.status(201).json(new ApiResponse(201, {
+      order: createdOrder,
+      unavailableItems: unavailable,
+      repricedItems: repriced
+    }, "Order placed again successfully"));
   } catch (error) {
-    // Only abort if transaction hasn't been committed
     if (session.inTransaction()) {
       await session.abortTransaction();
     }
-    session.endSession();
-
-    logger.error(`Order creation failed: ${error.message}`, {error});
+    logger.error(`Error in reorderFoodDelivery: ${error.message}`);
 
     if (error instanceof ApiError) {
       throw error;
     }
-    throw new ApiError(500, "Failed to create food delivery order");
+    throw new ApiError(500, "Failed to reorder");
+  } finally {
+    session.endSession();
   }
 });
 
-// Helper function to calculate dynamic delivery fee
-function calculateDynamicDeliveryFee({venueConfig, distance, currentTime, subtotal}) {
-  // Calculate distance fee
-  let distanceFee = 0;
-  for (const rate of venueConfig.distanceRates) {
-    if (distance >= rate.minDistance && distance <= rate.maxDistance) {
-      distanceFee = rate.rate * distance;
-      break;
-    }
-  }
-
-  // Check for surge pricing
-  let surgeMultiplier = 1;
-  for (const surge of venueConfig.surgeMultipliers) {
-    if (currentTime >= surge.startTime && currentTime <= surge.endTime) {
-      surgeMultiplier = surge.multiplier;
-      break;
-    }
-  }
-
-  // Calculate small order fee
-  const smallOrderFee = subtotal < venueConfig.smallOrderThreshold
-    ? venueConfig.smallOrderFee
-    : 0;
-
-  // Calculate service fee (percentage of subtotal)
-  const serviceFee = subtotal * (venueConfig.serviceFeePercentage / 100);
-
-  // Calculate total fee components
-  const baseFee = venueConfig.base * surgeMultiplier;
-  const distanceFeeWithSurge = distanceFee * surgeMultiplier;
-
-  const total = baseFee + distanceFeeWithSurge + smallOrderFee + serviceFee + venueConfig.handlingFee;
-
-  return {
-    base: parseFloat(venueConfig.base.toFixed(2)),
-    distanceFee: parseFloat(distanceFeeWithSurge.toFixed(2)),
-    surgeFee: parseFloat((baseFee * (surgeMultiplier - 1)).toFixed(2)), // only the surge portion
-    smallOrderFee: parseFloat(smallOrderFee.toFixed(2)),
-    serviceFee: parseFloat(serviceFee.toFixed(2)),
-    handlingFee: parseFloat(venueConfig.handlingFee.toFixed(2)),
-    zoneFee: 0, // Can be implemented based on zones if needed
-    currency: venueConfig.currency,
-    discount: 0, // Can be applied from promotions
-    isFree: false, // Can be set based on promotions
-    breakdown: new Map([
-      [
-        "baseFee",
-        parseFloat(baseFee.toFixed(2))
-      ],
-      [
-        "distanceFee",
-        parseFloat(distanceFeeWithSurge.toFixed(2))
-      ],
-      [
-        "surgeMultiplier", surgeMultiplier
-      ],
-      [
-        "smallOrderFee",
-        parseFloat(smallOrderFee.toFixed(2))
-      ],
-      [
-        "serviceFee",
-        parseFloat(serviceFee.toFixed(2))
-      ],
-      [
-        "handlingFee",
-        parseFloat(venueConfig.handlingFee.toFixed(2))
-      ]
-    ]),
-    total: parseFloat(total.toFixed(2))
-  };
-}
-
 /**
 
 /**
@@ -305,15 +237,18 @@ const getOrderDetailsForCustomers = asyncHandler(async (req, res) => {
     const userRole = req.user.role;
 
     // Find the order with full details
-    const order = await FoodDelivery.findById(id).populate("venue", "name address phone").populate("deliveryDriver", "fullName phone vehicleType").session(session);
+    // The handoff PIN and pickup code are only ever returned to the customer
+    const order = await FoodDelivery.findById(id).select("+proofOfDelivery.pin +pickup.code").populate("venue", "name address phone pickupSettings.instructions").populate("deliveryDriver", "fullName phone vehicleType").session(session);
 
     if (!order) {
       throw new ApiError(404, "Order not found");
     }
 
-    // Verify access rights - ONLY ALLOW CUSTOMERS WHO PLACED THE ORDER
+    // Verify access rights - ONLY ALLOW CUSTOMERS WHO PLACED THE ORDER (or took part in it as a group order)
     if (userRole === "customer") {
-      if (order.customer._id.toString() !== userId.toString()) {
+      const isGroupParticipant = order.groupOrder
+        ?.participants.some(p => p.user.toString() === userId.toString());
+      if (order.customer?._id.toString() !== userId.toString() && !isGroupParticipant) {
         throw new ApiError(403, "You can only view your own orders"); // Block all other roles (business owners, drivers, etc.);
       }
     } else {
@@ -421,6 +356,67 @@ const getOrderDetailsForDrivers = asyncHandler(async (req, res) => {
     session.endSession();
   }
 });
+/**
+ * @desc    Get the driver's current trip with its stops in visiting order
+ * @route   GET /api/food-delivery/driver/trips/current
+ * @access  Private (Driver)
+ */
+const getCurrentTrip = asyncHandler(async (req, res) => {
+  try {
+    const trip = await DeliveryTrip.findOne({driver: req.driver._id, status: "active"}).populate("orders", "deliveryStatus estimatedDeliveryTime customer.name customer.phone items totalAmount paymentMethod customerNotes");
+
+    if (trip) {
+      trip.stops.sort((a, b) => a.sequence - b.sequence);
+    }
+
+    return res.status(200).json(new ApiResponse(200, trip, trip
+      ? "Current trip retrieved successfully"
+      : "No active trip"));
+  } catch (error) {
+    logger.error(`Error in getCurrentTrip: ${error.message}`);
+    throw new ApiError(500, "Failed to retrieve current trip");
+  }
+});
+
+/**
+ * @desc    Mark a trip stop as arrived or completed (completing a pickup or dropoff moves its order on)
+ *          Completing a dropoff takes the handoff PIN or a "photo" upload as proof of delivery
+ * @route   PATCH /api/food-delivery/driver/trips/:tripId/stops/:stopId
+ * @access  Private (Driver)
+ */
+const updateTripStopStatus = asyncHandler(async (req, res) => {
+  try {
+    const {tripId, stopId} = req.params;
+    const {status, pin, location} = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(tripId) || !mongoose.Types.ObjectId.isValid(stopId)) {
+      throw new ApiError(400, "Invalid trip or stop ID");
+    }
+
+    const trip = await updateTripStop({
+      tripId,
+      stopId,
+      driverId: req.driver._id,
+      status,
+      proof: {
+        pin,
+        photoPath: req.file
+          ?.path,
+        coordinates: location
+      }
+    });
+
+    return res.status(200).json(new ApiResponse(200, trip, "Trip stop updated successfully"));
+  } catch (error) {
+    logger.error(`Error in updateTripStopStatus: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update trip stop");
+  }
+});
+
 /**
  * @desc    Get all food delivery orders for a customer
  * @route   GET /api/food-delivery/customer
@@ -547,16 +543,30 @@ const getVenueOrders = asyncHandler(async (req, res) => {
     // 4. Parse query parameters
     const {
       status,
+      timing,
+      fulfillmentType,
       limit = 10,
       page = 1
     } = req.query;
 
+    if (timing && !["asap", "scheduled"].includes(timing)) {
+      throw new ApiError(400, "Timing must be either asap or scheduled");
+    }
+    if (fulfillmentType && !["delivery", "pickup", "dine_in"].includes(fulfillmentType)) {
+      throw new ApiError(400, "Fulfillment type must be delivery, pickup or dine_in");
+    }
+
     const options = {
       page: parseInt(page, 10) || 1,
       limit: parseInt(limit, 10) || 10,
-      sort: {
-        createdAt: -1
-      },
+      // Scheduled orders are listed by their delivery slot, soonest first
+      sort: timing === "scheduled"
+        ? {
+          scheduledFor: 1
+        }
+        : {
+          createdAt: -1
+        },
       // Remove customer population since we're storing it directly
       populate: [
         {
@@ -579,8 +589,45 @@ const getVenueOrders = asyncHandler(async (req, res) => {
       query.deliveryStatus = status;
     }
 
-    // 6. Fetch orders
-    const orders = await FoodDelivery.paginate(query, options);
+    if (timing) {
+      query.deliveryTiming = timing;
+    }
+
+    if (fulfillmentType) {
+      query.fulfillmentType = fulfillmentType;
+    }
+
+    // 6. Fetch orders, with ASAP/scheduled counts so the venue can see what is coming up
+    const [orders, timingCounts] = await Promise.all([
+      FoodDelivery.paginate(query, options),
+      FoodDelivery.aggregate([
+        {
+          $match: {
+            venue: foodVenue._id,
+            isDeleted: false,
+            ...(status && {
+              deliveryStatus: status
+            })
+          }
+        }, {
+          $group: {
+            _id: "$deliveryTiming",
+            count: {
+              $sum: 1
+            }
+          }
+        }
+      ])
+    ]);
+
+    orders.timingSummary = {
+      asap: 0,
+      scheduled: 0
+    };
+    timingCounts.forEach(({_id, count}) => {
+      // Orders created before order-ahead existed have no deliveryTiming and count as ASAP
+      orders.timingSummary[_id || "asap"] += count;
+    });
 
     return res.status(200).json(new ApiResponse(200, orders, "Venue orders retrieved successfully"));
   } catch (error) {
@@ -629,6 +676,7 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     const validStatuses = [
       "preparing",
       "ready",
+      "ready_for_pickup",
       "dispatched",
       "in_transit",
       "delivered",
@@ -644,8 +692,8 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
       throw new ApiError(404, "Order not found");
     }
 
-    // Check if payment is completed (except for failed status)
-    if (status !== "failed" && order.paymentStatus !== "paid") {
+    // Check if payment is completed (except for failed status); dine-in rounds are paid with the tab at the end
+    if (status !== "failed" && order.paymentStatus !== "paid" && !isDineInOrder(order)) {
       throw new ApiError(400, "Order status cannot be updated until payment is completed");
     }
 
@@ -668,11 +716,13 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
       }
 
       // Business owners can update:
-      // - from pending to preparing
+      // - from pending or scheduled to preparing (scheduled orders can be started early)
       // - from preparing to ready
       // - or to failed at any time
-      if (!((order.deliveryStatus === "pending" && status === "preparing") || (order.deliveryStatus === "preparing" && status === "ready") || status === "failed")) {
-        throw new ApiError(403, "Business owners can only: 1) Start preparing pending orders, 2) Mark prepared orders as ready, or 3) Mark any order as failed");
+      // Pickup and dine-in orders have no driver, so the venue also hands them over
+      // (see PICKUP_TRANSITIONS and DINE_IN_TRANSITIONS)
+      if (!isPickupOrder(order) && !isDineInOrder(order) && !((["pending", "scheduled"].includes(order.deliveryStatus) && status === "preparing") || (order.deliveryStatus === "preparing" && status === "ready") || status === "failed")) {
+        throw new ApiError(403, "Business owners can only: 1) Start preparing pending or scheduled orders, 2) Mark prepared orders as ready, or 3) Mark any order as failed");
       }
     } else if (isDriver) {
       // Driver verification
@@ -720,6 +770,9 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
       pending: [
         "preparing", "failed"
       ],
+      scheduled: [
+        "preparing", "failed"
+      ],
       preparing: [
         "ready", "failed"
       ],
@@ -736,12 +789,43 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
       failed: []
     };
 
+    const transitions = isPickupOrder(order)
+      ? PICKUP_TRANSITIONS
+      : isDineInOrder(order)
+        ? DINE_IN_TRANSITIONS
+        : validTransitions;
     if (
-      !validTransitions[order.deliveryStatus]
+      !transitions[order.deliveryStatus]
       ?.includes(status)) {
       throw new ApiError(400, `Invalid status transition from ${order.deliveryStatus} to ${status}`);
     }
 
+    // What goes out has to be settled with the customer before the order is ready
+    if (["ready", "ready_for_pickup"].includes(status) && hasPendingItemIssues(order)) {
+      throw new ApiError(400, "Wait for the customer to answer about the unavailable items first");
+    }
+
+    // Pickup orders are handed over when the customer shows their pickup code
+    if (isPickupOrder(order)) {
+      if (status === "ready_for_pickup") {
+        order.set("pickup.readyAt", new Date());
+      } else if (status === "delivered") {
+        order.set(await verifyPickupCode({orderId: order._id, code: req.body.pickupCode}));
+      }
+    }
+
+    // Drivers hand over with the customer's PIN, or a photo for contactless drop-offs
+    if (status === "delivered" && isDriver) {
+      const proof = await collectDeliveryProof({
+        orderId: order._id,
+        pin: req.body.pin,
+        photoPath: req.file
+          ?.path,
+        coordinates: location
+      });
+      order.set(proof);
+    }
+
     // Update status
     order.deliveryStatus = status;
     order.trackingUpdates.push({
@@ -762,10 +846,11 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     if (status === "delivered") {
       order.actualDeliveryTime = new Date();
       if (order.deliveryDriver) {
+        // The driver is made available again once their trip is finished
         await DeliveryDriver.findByIdAndUpdate(order.deliveryDriver, {
-          isAvailable: true,
           $inc: {
-            completedDeliveries: 1
+            completedDeliveries: 1,
+            ...getDeliveryEarnings(order)
           },
           lastActive: new Date()
         }, {session});
@@ -773,8 +858,32 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
     }
 
     await order.save({session});
+
+    // A cancelled round is taken off the table's tab
+    if (status === "failed" && isDineInOrder(order)) {
+      const tab = await DiningTab.findById(order.dineIn.tab).session(session);
+      if (tab && ["open", "payment_pending"].includes(tab.status)) {
+        await refreshTabTotals(tab, session);
+        await tab.save({session});
+      }
+    }
+
     await session.commitTransaction();
 
+    publishStatusChange(order, {
+      updatedBy: isBusinessOwner
+        ? "venue"
+        : "driver",
+      notes: notes || ""
+    });
+
+    // Refresh the driver's on-time and cancellation stats with this delivery
+    if (status === "delivered" && order.deliveryDriver) {
+      DeliveryDriver.findById(order.deliveryDriver).then(driver => driver?.calculateStats()).catch(error => {
+        logger.error(`Failed to update stats for driver ${order.deliveryDriver}: ${error.message}`);
+      });
+    }
+
     return res.status(200).json(new ApiResponse(200, order, "Order status updated successfully"));
   } catch (error) {
     await session.abortTransaction();
@@ -864,19 +973,20 @@ const getAllCustomerOrders = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Assign driver to order
+ * @desc    Offer an order to a driver, who is assigned once they accept
  * @route   POST /api/food-delivery/:id/assign-driver
  * @access  Private (Venue Owner)
  */
 const assignDriverToOrder = asyncHandler(async (req, res) => {
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
   try {
     const {id} = req.params;
     const {driverId} = req.body;
     const userId = req.user._id;
 
+    if (!mongoose.Types.ObjectId.isValid(driverId)) {
+      throw new ApiError(400, "A valid driverId is required");
+    }
+
     // Verify business owner access
     const businessOwner = await BusinessOwner.findOne({user: userId});
     if (!businessOwner) {
@@ -894,7 +1004,7 @@ const assignDriverToOrder = asyncHandler(async (req, res) => {
     }
 
     // Find the order
-    const order = await FoodDelivery.findById(id).session(session);
+    const order = await FoodDelivery.findById(id);
     if (!order) {
       throw new ApiError(404, "Order not found");
     }
@@ -904,46 +1014,79 @@ const assignDriverToOrder = asyncHandler(async (req, res) => {
       throw new ApiError(403, "Not authorized to assign driver for this order");
     }
 
-    if (order.deliveryStatus !== "ready") {
-      throw new ApiError(400, "Order must be in 'ready' status to assign driver");
+    if ((order.fulfillmentType || "delivery") !== "delivery") {
+      throw new ApiError(400, "Only delivery orders can be assigned a driver");
     }
 
-    // Find and verify driver
-    const driver = await DeliveryDriver.findById(driverId).session(session);
-    if (!driver) {
-      throw new ApiError(404, "Driver not found");
+    if (!["preparing", "ready"].includes(order.deliveryStatus)) {
+      throw new ApiError(400, "Order must be 'preparing' or 'ready' to assign a driver");
     }
-    if (!driver.isAvailable || !driver.isOnDuty) {
-      throw new ApiError(400, "Driver is not available or not on duty");
-    }
-
-    // Assign driver
-    order.deliveryDriver = driverId;
-    order.deliveryStatus = "dispatched";
-    await order.save({session});
-
-    // Update driver status
-    driver.isAvailable = false;
-    await driver.save({session});
 
-    await session.commitTransaction();
+    // The driver has to accept; if they decline or let it expire the order cascades to the next ranked driver
+    const offer = await offerOrderToDriver({order, venue: foodVenue, driverId});
 
-    return res.status(200).json(new ApiResponse(200, order, "Driver assigned successfully"));
+    return res.status(201).json(new ApiResponse(201, offer, "Delivery offer sent to driver"));
   } catch (error) {
-    await session.abortTransaction();
     logger.error(`Error in assignDriverToOrder: ${error.message}`);
 
     if (error instanceof ApiError) {
       throw error;
     }
     throw new ApiError(500, "Failed to assign driver");
-  } finally {
-    session.endSession();
   }
 });
+// Helper function to cancel an order under the venue's cancellation policy, queueing the refund of a paid order
+const cancelOrderWithPolicy = async ({order, cancelledBy, reason, session}) => {
+  const venue = await FoodVenue.findById(order.venue).session(session);
+  const {cancellationFee, refundAmount} = getCancellationTerms(order, venue, cancelledBy);
+
+  // Queued on the payments with the cancellation; the caller sends it once the transaction is committed
+  const refund = await refundOrderPayment({
+    order,
+    amount: refundAmount,
+    reason: `Cancelled by ${cancelledBy}: ${reason}`,
+    session
+  });
+
+  if (refund) {
+    order.paymentStatus = refund.isFullRefund
+      ? "refunded"
+      : "partially_refunded";
+  }
+
+  order.deliveryStatus = "failed";
+  order.cancellationReason = reason;
+  order.cancelledBy = cancelledBy;
+  order.cancellationTime = new Date();
+  order.cancellationFee = cancellationFee;
+  // Added to refunds already made for items removed from the order
+  order.refundAmount = roundMoney((order.refundAmount || 0) + (
+    refund
+    ? refund.refundAmount
+    : 0));
+  order.trackingUpdates.push({status: "cancelled", notes: reason, updatedBy: cancelledBy});
+
+  // An assigned driver is freed, or their trip continues without this order, once the cancellation is published
+  await order.save({session});
+  return order;
+};
+
+// Helper function to validate a cancellation reason
+const validateCancellationReason = (reason, required) => {
+  if (reason !== undefined && typeof reason !== "string") {
+    throw new ApiError(400, "Cancellation reason must be a string");
+  }
+  if (required && !reason?.trim()) {
+    throw new ApiError(400, "A cancellation reason is required");
+  }
+  if (reason && reason.length > 200) {
+    throw new ApiError(400, "Cancellation reason cannot exceed 200 characters");
+  }
+};
+
 /**
  * @desc    Cancel food delivery order
- * @route   POST /api/food-delivery/:id/cancel
+ * @route   POST /api/food-delivery/customer/:id/cancel
  * @access  Private (Customer)
  */
 const cancelOrder = asyncHandler(async (req, res) => {
@@ -952,9 +1095,11 @@ const cancelOrder = asyncHandler(async (req, res) => {
 
   try {
     const {id} = req.params;
-    const {reason} = req.body;
+    const {reason = "Cancelled by customer"} = req.body;
     const customerId = req.user._id;
 
+    validateCancellationReason(reason, false);
+
     // Find the order
     const order = await FoodDelivery.findById(id).session(session);
     if (!order) {
@@ -962,42 +1107,17 @@ const cancelOrder = asyncHandler(async (req, res) => {
     }
 
     // Verify customer owns the order
-    if (order.customer.toString() !== customerId.toString()) {
+    if (order.customer?._id.toString() !== customerId.toString()) {
       throw new ApiError(403, "Not authorized to cancel this order");
     }
 
-    // Check if order can be cancelled
-    if (!order.isCancellable) {
-      throw new ApiError(400, "Order cannot be cancelled at this stage");
-    }
-
-    //  Process refund if payment was made and succeeded
-    // if (order.payment && order.payment.status === "succeeded") {
-    //   try {
-    //     await refundStripePayment(order.payment.transactionId, order.totalAmount);
-    //     order.payment.status = "refunded";
-    //   } catch (error) {
-    //     logger.error(`Refund failed: ${error.message}`);
-    //     throw new ApiError(500, "Refund processing failed");
-    //   }
-    // }
-
-    // Update order status
-    order.deliveryStatus = "failed";
-    order.cancellationReason = reason;
-    order.cancelledBy = "customer";
-    order.cancellationTime = new Date();
-
-    // Mark driver as available if assigned
-    if (order.deliveryDriver) {
-      await DeliveryDriver.findByIdAndUpdate(order.deliveryDriver, {
-        isAvailable: true
-      }, {session});
-    }
-
-    await order.save({session});
+    await cancelOrderWithPolicy({order, cancelledBy: "customer", reason, session});
     await session.commitTransaction();
+    issueOrderRefunds(order._id);
+
+    publishStatusChange(order, {updatedBy: "customer", notes: reason});
 
+    logger.info(`Order ${order._id} cancelled by customer ${customerId} - fee: ${order.cancellationFee}, refund: ${order.refundAmount}`);
     return res.status(200).json(new ApiResponse(200, order, "Order cancelled successfully"));
   } catch (error) {
     await session.abortTransaction();
@@ -1013,92 +1133,440 @@ const cancelOrder = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get nearby drivers for an order
- * @route   GET /api/food-delivery/:id/nearby-drivers
+ * @desc    Cancel an order on behalf of the venue (customer is fully refunded)
+ * @route   POST /api/food-delivery/venue/:id/cancel
  * @access  Private (Venue Owner)
  */
-const getNearbyDrivers = asyncHandler(async (req, res) => {
+const cancelOrderByVenue = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     const {id} = req.params;
-    const userId = req.user._id;
-
-    // 1. Find the business owner associated with this user
-    const businessOwner = await BusinessOwner.findOne({user: userId}).session(session);
-    if (!businessOwner) {
-      throw new ApiError(403, "User is not a registered business owner");
-    }
+    const {reason} = req.body;
 
-    // 2. Find the service associated with this business owner
-    const service = await Service.findOne({owner: businessOwner._id}).session(session);
-    if (!service) {
-      throw new ApiError(403, "Business owner doesn't have any associated service");
+    if (req.user.role !== "business_owner") {
+      throw new ApiError(403, "Only business owners can cancel orders for a venue");
     }
 
-    // 3. Find the food venue associated with this service
-    const foodVenue = await FoodVenue.findOne({service: service._id}).session(session);
-    if (!foodVenue) {
-      throw new ApiError(403, "No food venue found for this business");
-    }
+    validateCancellationReason(reason, true);
 
-    // 4. Find the order and verify it belongs to this venue
     const order = await FoodDelivery.findById(id).session(session);
     if (!order) {
       throw new ApiError(404, "Order not found");
     }
 
-    if (order.venue.toString() !== foodVenue._id.toString()) {
-      throw new ApiError(403, "Not authorized to view drivers for this order");
+    // Verify the order belongs to one of this business owner's venues
+    const businessOwner = await BusinessOwner.findOne({user: req.user._id}).session(session);
+    if (!businessOwner) {
+      throw new ApiError(403, "User is not a registered business owner");
     }
 
-    // 5. Check if order has valid coordinates
-    if (
-      !order.deliveryAddress
-      ?.coordinates
-        ?.coordinates) {
-      throw new ApiError(400, "Order does not have valid delivery coordinates");
+    const venue = await FoodVenue.findById(order.venue).session(session);
+    const service = venue && await Service.findById(venue.service).session(session);
+    if (!service || service.owner.toString() !== businessOwner._id.toString()) {
+      throw new ApiError(403, "Not authorized to cancel this order");
     }
 
-    // 6. Find nearby drivers (15km radius)
-    const maxDistance = 15000; // 15km in meters
-    const drivers = await DeliveryDriver.find({
-      isAvailable: true,
-      isOnDuty: true,
-      status: "active",
-      currentLocation: {
-        $near: {
-          $geometry: {
-            type: "Point",
-            coordinates: order.deliveryAddress.coordinates.coordinates
-          },
-          $maxDistance: maxDistance
-        }
-      }
-    }).session(session);
-
+    await cancelOrderWithPolicy({order, cancelledBy: "venue", reason, session});
     await session.commitTransaction();
-    return res.status(200).json(new ApiResponse(200, drivers, "Nearby drivers retrieved successfully"));
+    issueOrderRefunds(order._id);
+
+    publishStatusChange(order, {updatedBy: "venue", notes: reason});
+
+    logger.info(`Order ${order._id} cancelled by venue ${venue._id} - refund: ${order.refundAmount}`);
+    return res.status(200).json(new ApiResponse(200, order, "Order cancelled successfully"));
   } catch (error) {
     await session.abortTransaction();
-    logger.error(`Error in getNearbyDrivers: ${error.message}`);
+    logger.error(`Error in cancelOrderByVenue: ${error.message}`);
 
     if (error instanceof ApiError) {
       throw error;
     }
-    if (error instanceof mongoose.Error.CastError) {
-      throw new ApiError(400, "Invalid ID format");
-    }
-    throw new ApiError(500, "Failed to find nearby drivers");
+    throw new ApiError(500, "Failed to cancel order");
   } finally {
     session.endSession();
   }
 });
+
 /**
- * @desc    Get venue statistics
- * @route   GET /api/food-delivery/venue/stats
- * @access  Private (Venue Owner)
+ * @desc    Cancel an order on behalf of the assigned driver (customer is fully refunded)
+ * @route   POST /api/food-delivery/driver/:id/cancel
+ * @access  Private (Driver)
+ */
+const cancelOrderByDriver = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {id} = req.params;
+    const {reason} = req.body;
+
+    validateCancellationReason(reason, true);
+
+    const order = await FoodDelivery.findById(id).session(session);
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    if (!order.deliveryDriver || order.deliveryDriver.toString() !== req.driver._id.toString()) {
+      throw new ApiError(403, "Not authorized to cancel this order");
+    }
+
+    await cancelOrderWithPolicy({order, cancelledBy: "driver", reason, session});
+    await session.commitTransaction();
+    issueOrderRefunds(order._id);
+
+    publishStatusChange(order, {updatedBy: "driver", notes: reason});
+
+    logger.info(`Order ${order._id} cancelled by driver ${req.driver._id} - refund: ${order.refundAmount}`);
+    return res.status(200).json(new ApiResponse(200, order, "Order cancelled successfully"));
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Error in cancelOrderByDriver: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to cancel order");
+  } finally {
+    session.endSession();
+  }
+});
+
+// Helper function to load the venue of an order, checking it belongs to the signed in business owner
+const getOwnedOrderVenue = async (userId, order, session) => {
+  const businessOwner = await BusinessOwner.findOne({user: userId}).session(session);
+  if (!businessOwner) {
+    throw new ApiError(403, "User is not a registered business owner");
+  }
+
+  const venue = await FoodVenue.findById(order.venue).session(session);
+  const service = venue && await Service.findById(venue.service).session(session);
+  if (!service || service.owner.toString() !== businessOwner._id.toString()) {
+    throw new ApiError(403, "Not authorized to update this order");
+  }
+  return venue;
+};
+
+/**
+ * @desc    Flag an ordered item as unavailable and propose substitutes to the customer
+ * @route   POST /api/food-delivery/venue/:id/items/:itemId/unavailable
+ * @access  Private (Venue Owner)
+ */
+const reportUnavailableOrderItem = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {id, itemId} = req.params;
+    const {reason, substitutes, markOutOfStock = false} = req.body;
+
+    if (req.user.role !== "business_owner") {
+      throw new ApiError(403, "Only business owners can change orders for a venue");
+    }
+
+    const order = await FoodDelivery.findById(id).session(session);
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    const venue = await getOwnedOrderVenue(req.user._id, order, session);
+    const issue = reportUnavailableItem({order, venue, itemId, reason, substitutes});
+    await order.save({session});
+
+    // Keep the item from being ordered again until the venue restocks it
+    if (markOutOfStock === true) {
+      const menuItem = venue.menuItems.id(order.items.id(itemId).menuItemId);
+      if (menuItem) {
+        menuItem.isAvailable = false;
+        await venue.save({session});
+      }
+    }
+
+    await session.commitTransaction();
+
+    publishOrderEvent(order._id, "item_unavailable", {
+      orderId: order._id,
+      issue,
+      answerBy: new Date(issue.reportedAt.getTime() + SUBSTITUTION_RESPONSE_MINUTES * 60000)
+    });
+
+    logger.info(`Item ${issue.name} of order ${order._id} reported unavailable with ${issue.substitutes.length} substitute(s)`);
+    return res.status(201).json(new ApiResponse(201, issue, "Customer asked to choose a substitute"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in reportUnavailableOrderItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to report unavailable item");
+  } finally {
+    session.endSession();
+  }
+});
+
+// Helper function to apply an answer to an unavailable item and cancel the order when the change was rejected
+const applyItemIssueAnswer = async ({order, venue, issueId, action, substituteId, resolvedBy, session}) => {
+  const {issue, refundAmount, cancelOrder} = await resolveItemIssue({
+    order,
+    issueId,
+    action,
+    substituteId,
+    resolvedBy,
+    feeConfig: venue.deliveryFee,
+    session
+  });
+
+  // The venue can't make the order as placed, so the customer is fully refunded
+  if (cancelOrder) {
+    await cancelOrderWithPolicy({order, cancelledBy: "venue", reason: `Customer declined the change to ${issue.name}`, session});
+  } else {
+    await order.save({session});
+  }
+
+  return {issue, refundAmount, cancelOrder};
+};
+
+/**
+ * @desc    Answer an unavailable item: accept a substitute, remove the item, or reject the change and cancel the order
+ * @route   POST /api/food-delivery/customer/:id/item-issues/:issueId
+ * @access  Private (Customer)
+ */
+const respondToItemIssue = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {id, issueId} = req.params;
+    const {action, substituteId} = req.body;
+
+    const order = await FoodDelivery.findById(id).session(session);
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+    if (order.customer?._id.toString() !== req.user._id.toString()) {
+      throw new ApiError(403, "Not authorized to change this order");
+    }
+
+    const venue = await FoodVenue.findById(order.venue).session(session);
+    const {issue, refundAmount, cancelOrder} = await applyItemIssueAnswer({
+      order,
+      venue,
+      issueId,
+      action,
+      substituteId,
+      resolvedBy: "customer",
+      session
+    });
+    await session.commitTransaction();
+    issueOrderRefunds(order._id);
+
+    if (cancelOrder) {
+      publishStatusChange(order, {updatedBy: "customer", notes: order.cancellationReason});
+    }
+    publishVenueEvent(order.venue, "item_issue", {orderId: order._id, issue, refundAmount});
+
+    logger.info(`Customer answered unavailable item ${issue.name} of order ${order._id}: ${issue.status}, refund: ${refundAmount}`);
+    return res.status(200).json(new ApiResponse(200, order, cancelOrder
+      ? "Order cancelled successfully"
+      : "Order updated successfully"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in respondToItemIssue: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update order");
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @desc    Remove an unavailable item the customer didn't answer for in time
+ * @route   POST /api/food-delivery/venue/:id/item-issues/:issueId/remove
+ * @access  Private (Venue Owner)
+ */
+const removeUnansweredItem = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {id, issueId} = req.params;
+
+    if (req.user.role !== "business_owner") {
+      throw new ApiError(403, "Only business owners can change orders for a venue");
+    }
+
+    const order = await FoodDelivery.findById(id).session(session);
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    const venue = await getOwnedOrderVenue(req.user._id, order, session);
+    const {issue, refundAmount} = await applyItemIssueAnswer({
+      order,
+      venue,
+      issueId,
+      action: "remove",
+      resolvedBy: "venue",
+      session
+    });
+    await session.commitTransaction();
+    issueOrderRefunds(order._id);
+
+    publishOrderEvent(order._id, "item_removed", {
+      orderId: order._id,
+      issue,
+      refundAmount,
+      totalAmount: order.totalAmount
+    });
+
+    logger.info(`Venue removed unanswered item ${issue.name} from order ${order._id}, refund: ${refundAmount}`);
+    return res.status(200).json(new ApiResponse(200, order, "Item removed from the order"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in removeUnansweredItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to remove item");
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @desc    Add a tip after delivery, charged on its own and credited in full to the driver once paid
+ * @route   POST /api/food-delivery/customer/:id/tip
+ * @access  Private (Customer)
+ */
+const addOrderTip = asyncHandler(async (req, res) => {
+  try {
+    const {id} = req.params;
+    const {amount} = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Invalid order ID");
+    }
+
+    const order = await FoodDelivery.findOne({_id: id, isDeleted: false});
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    const {adjustment, clientSecret} = await requestTipAdjustment({order, amount, userId: req.user._id});
+    await order.save();
+
+    logger.info(`Customer ${req.user._id} started a tip of ${amount} on order ${order._id} (${adjustment.transactionId})`);
+    return res.status(201).json(new ApiResponse(201, {
+      tipAdjustment: adjustment,
+      clientSecret
+    }, "Confirm the payment to add the tip"));
+  } catch (error) {
+    logger.error(`Error in addOrderTip: ${error.message}`);
+
+    // Two tips started at the same time, only the first one is kept
+    if (error instanceof mongoose.Error.VersionError) {
+      throw new ApiError(409, "A tip for this order is still being processed");
+    }
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to add tip");
+  }
+});
+
+/**
+ * @desc    Get nearby drivers for an order
+ * @route   GET /api/food-delivery/:id/nearby-drivers
+ * @access  Private (Venue Owner)
+ */
+const getNearbyDrivers = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {id} = req.params;
+    const userId = req.user._id;
+
+    // 1. Find the business owner associated with this user
+    const businessOwner = await BusinessOwner.findOne({user: userId}).session(session);
+    if (!businessOwner) {
+      throw new ApiError(403, "User is not a registered business owner");
+    }
+
+    // 2. Find the service associated with this business owner
+    const service = await Service.findOne({owner: businessOwner._id}).session(session);
+    if (!service) {
+      throw new ApiError(403, "Business owner doesn't have any associated service");
+    }
+
+    // 3. Find the food venue associated with this service
+    const foodVenue = await FoodVenue.findOne({service: service._id}).session(session);
+    if (!foodVenue) {
+      throw new ApiError(403, "No food venue found for this business");
+    }
+
+    // 4. Find the order and verify it belongs to this venue
+    const order = await FoodDelivery.findById(id).session(session);
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    if (order.venue.toString() !== foodVenue._id.toString()) {
+      throw new ApiError(403, "Not authorized to view drivers for this order");
+    }
+
+    // 5. Check if order has valid coordinates
+    if (
+      !order.deliveryAddress
+      ?.coordinates
+        ?.coordinates) {
+      throw new ApiError(400, "Order does not have valid delivery coordinates");
+    }
+
+    // 6. Rank available drivers around the venue, best match first
+    const candidates = await rankDispatchCandidates(order, foodVenue);
+    const drivers = candidates.map(({driver, score, distanceKm, activeDeliveries, breakdown}) => ({
+      ...driver.toObject(),
+      dispatchScore: score,
+      distanceKm,
+      activeDeliveries,
+      scoreBreakdown: breakdown
+    }));
+
+    await session.commitTransaction();
+    return res.status(200).json(new ApiResponse(200, drivers, "Nearby drivers retrieved successfully"));
+  } catch (error) {
+    await session.abortTransaction();
+    logger.error(`Error in getNearbyDrivers: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    if (error instanceof mongoose.Error.CastError) {
+      throw new ApiError(400, "Invalid ID format");
+    }
+    throw new ApiError(500, "Failed to find nearby drivers");
+  } finally {
+    session.endSession();
+  }
+});
+/**
+ * @desc    Get venue statistics
+ * @route   GET /api/food-delivery/venue/stats
+ * @access  Private (Venue Owner)
  */
 const getVenueStats = asyncHandler(async (req, res) => {
   const session = await mongoose.startSession();
@@ -1184,6 +1652,90 @@ const getVenueStats = asyncHandler(async (req, res) => {
       totalRevenue: 0,
       avgPreparationTime: null
     };
+    // Revenue is in the venue's currency
+    result.currency = getVenueCurrency(foodVenue);
+
+    // 5. Delivery, pickup and dine-in orders separately; pickup orders are completed when collected
+    const fulfillmentStats = await FoodDelivery.aggregate([
+      {
+        $match: {
+          venue: new mongoose.Types.ObjectId(foodVenue._id),
+          isDeleted: false
+        }
+      }, {
+        $group: {
+          _id: {
+            $ifNull: ["$fulfillmentType", "delivery"]
+          },
+          totalOrders: {
+            $sum: 1
+          },
+          completedOrders: {
+            $sum: {
+              $cond: [
+                {
+                  $eq: ["$deliveryStatus", "delivered"]
+                },
+                1,
+                0
+              ]
+            }
+          },
+          cancelledOrders: {
+            $sum: {
+              $cond: [
+                {
+                  $ne: ["$cancelledBy", null]
+                },
+                1,
+                0
+              ]
+            }
+          },
+          totalRevenue: {
+            $sum: "$totalAmount"
+          },
+          avgCompletionTime: {
+            $avg: {
+              $divide: [
+                {
+                  $subtract: ["$actualDeliveryTime", "$createdAt"]
+                },
+                60000 // Convert to minutes
+              ]
+            }
+          },
+          avgCollectionWait: {
+            $avg: {
+              $divide: [
+                {
+                  $subtract: ["$pickup.collectedAt", "$pickup.readyAt"]
+                },
+                60000 // Minutes a pickup order waited at the counter
+              ]
+            }
+          }
+        }
+      }
+    ]).session(session);
+
+    result.byFulfillmentType = {};
+    for (const type of ["delivery", "pickup", "dine_in"]) {
+      const {_id, avgCollectionWait, ...typeStats} = fulfillmentStats.find(entry => entry._id === type) || {
+        totalOrders: 0,
+        completedOrders: 0,
+        cancelledOrders: 0,
+        totalRevenue: 0,
+        avgCompletionTime: null,
+        avgCollectionWait: null
+      };
+      result.byFulfillmentType[type] = type === "pickup"
+        ? {
+          ...typeStats,
+          avgCollectionWait
+        }
+        : typeStats;
+    }
 
     await session.commitTransaction();
     return res.status(200).json(new ApiResponse(200, result, "Venue statistics retrieved successfully"));
@@ -1215,7 +1767,7 @@ const updateDeliveryLocation = asyncHandler(async (req, res) => {
   try {
     const {id} = req.params;
     const {coordinates} = req.body;
-    const driverId = req.user._id;
+    const driverId = req.driver._id;
 
     // Validate coordinates
     if (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(c => typeof c === "number")) {
@@ -1233,30 +1785,14 @@ const updateDeliveryLocation = asyncHandler(async (req, res) => {
       throw new ApiError(403, "Not authorized to update this order");
     }
 
-    // Geocode new coordinates
-    let geocodedAddress;
-    try {
-      geocodedAddress = await geocodeCoordinates(coordinates);
-      if (!geocodedAddress) {
-        throw new ApiError(400, "Could not determine address from coordinates");
-      }
-    } catch (error) {
-      logger.error(`Geocoding error: ${error.message}`);
-      throw new ApiError(400, "Invalid coordinates");
-    }
-
-    // Update delivery address
-    order.deliveryAddress = {
-      country: geocodedAddress.country,
-      city: geocodedAddress.city,
-      street: geocodedAddress.street,
-      zipCode: geocodedAddress.zipCode,
-      coordinates: {
+    // Record the driver's position (the customer's delivery address is left untouched)
+    await DeliveryDriver.findByIdAndUpdate(driverId, {
+      currentLocation: {
         type: "Point",
-        coordinates: coordinates
+        coordinates
       },
-      additionalInfo: order.deliveryAddress.additionalInfo
-    };
+      lastActive: new Date()
+    }, {session});
 
     // Add tracking update with location
     order.trackingUpdates.push({
@@ -1272,6 +1808,16 @@ const updateDeliveryLocation = asyncHandler(async (req, res) => {
     await order.save({session});
     await session.commitTransaction();
 
+    publishOrderEvent(order._id, "location", {
+      orderId: order._id,
+      driverId,
+      coordinates,
+      timestamp: new Date()
+    });
+    await refreshOrderEta(order._id).catch(error => {
+      logger.error(`Failed to update ETA for order ${order._id}: ${error.message}`);
+    });
+
     return res.status(200).json(new ApiResponse(200, order, "Delivery location updated successfully"));
   } catch (error) {
     await session.abortTransaction();
@@ -1430,19 +1976,119 @@ const updateDriverRating = async (driverId, session) => {
   }
 };
 
+// Helper function to resolve the venue a business owner is following, defaulting to their first venue
+const getOwnedVenueForStream = async (userId, venueId) => {
+  const businessOwner = await BusinessOwner.findOne({user: userId});
+  if (!businessOwner) {
+    throw new ApiError(403, "User is not a registered business owner");
+  }
+
+  const services = await Service.find({owner: businessOwner._id}).select("_id");
+  const query = {
+    service: {
+      $in: services.map(s => s._id)
+    }
+  };
+  if (venueId) {
+    if (!mongoose.Types.ObjectId.isValid(venueId)) {
+      throw new ApiError(400, "Invalid venue ID");
+    }
+    query._id = venueId;
+  }
+
+  const foodVenue = await FoodVenue.findOne(query).select("_id");
+  if (!foodVenue) {
+    throw new ApiError(403, "No food venue found for this business");
+  }
+  return foodVenue;
+};
+
+/**
+ * @desc    Live updates for an order (status, driver location, ETA) over Server-Sent Events
+ * @route   GET /api/food-delivery/:id/stream
+ * @access  Private (Order's customer, venue owner or assigned driver)
+ */
+const streamOrderUpdates = asyncHandler(async (req, res) => {
+  const {id} = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid order ID");
+  }
+
+  const order = await FoodDelivery.findById(id).populate("deliveryDriver", "currentLocation");
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  // Only the order's customer, the venue's owner and the assigned driver may follow it
+  let authorized = false;
+  if (req.driver) {
+    authorized = !!order.deliveryDriver && order.deliveryDriver._id.toString() === req.driver._id.toString();
+  } else if (req.user?.role === "customer") {
+    authorized = order.customer?._id.toString() === req.user._id.toString();
+  } else if (req.user?.role === "business_owner") {
+    const businessOwner = await BusinessOwner.findOne({user: req.user._id});
+    const venue = businessOwner && await FoodVenue.findById(order.venue).select("service");
+    const service = venue && await Service.findById(venue.service).select("owner");
+    authorized = !!service && service.owner.toString() === businessOwner._id.toString();
+  }
+
+  if (!authorized) {
+    throw new ApiError(403, "Not authorized to follow this order");
+  }
+
+  logger.info(`Live update stream opened for order ${order._id}`);
+  streamOrderEvents(req, res, order._id, {
+    orderId: order._id,
+    status: order.deliveryStatus,
+    paymentStatus: order.paymentStatus,
+    deliveryTiming: order.deliveryTiming,
+    scheduledFor: order.scheduledFor || null,
+    estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+    driverLocation: order.deliveryDriver?.currentLocation?.coordinates || null,
+    lastUpdate: order.trackingUpdates[order.trackingUpdates.length - 1] || null
+  });
+});
+
+/**
+ * @desc    Live feed of new and updated orders for a venue over Server-Sent Events
+ * @route   GET /api/food-delivery/venue/stream
+ * @access  Private (Venue Owner)
+ */
+const streamVenueOrders = asyncHandler(async (req, res) => {
+  if (req.user.role !== "business_owner") {
+    throw new ApiError(403, "Only business owners can follow venue orders");
+  }
+
+  const foodVenue = await getOwnedVenueForStream(req.user._id, req.query.venueId);
+
+  logger.info(`Live order stream opened for venue ${foodVenue._id}`);
+  streamVenueEvents(req, res, foodVenue._id);
+});
+
 export {
   createFoodDeliveryOrder,
+  reorderFoodDelivery,
   getCustomerOrders,
   getVenueOrders,
   getAllCustomerOrders,
   updateOrderStatus,
   assignDriverToOrder,
   cancelOrder,
+  cancelOrderByVenue,
+  cancelOrderByDriver,
+  reportUnavailableOrderItem,
+  respondToItemIssue,
+  removeUnansweredItem,
+  addOrderTip,
   getOrderDetailsForCustomers,
   getOrderDetailsForBusinessOwners,
   getOrderDetailsForDrivers,
+  getCurrentTrip,
+  updateTripStopStatus,
   getNearbyDrivers,
   getVenueStats,
   updateDeliveryLocation,
-  submitOrderRating
+  submitOrderRating,
+  streamOrderUpdates,
+  streamVenueOrders
 };
@@ -5,9 +5,22 @@ import FoodDelivery from "../models/foodDelivery.models.js";
 import FoodDeliveryPayment from "../models/foodDeliveryPayment.models.js";
 import User from "../models/users.models.js";
 import {createStripePaymentIntent, refundStripePayment, handleStripeWebhook, confirmStripePaymentIntent} from "../utils/payment_gateways/stripe.js";
+import {applyOrderPayment, applyOrderPaymentFailure, closeOpenPayments, getAmountDue} from "../utils/orderPayments.js";
+import {publishDriverEvent, publishOrderEvent, publishStatusChange} from "../utils/orderEvents.js";
+import {applyTabPayment, applyTabPaymentFailure} from "../utils/dineIn.js";
+import {applyTipAdjustmentFailure, applyTipAdjustmentPayment} from "../utils/tipAdjustments.js";
+import {fromMinorUnits, getCurrencyDecimals, getOrderCurrency} from "../utils/currency.js";
 import logger from "../utils/logger.js";
 import mongoose from "mongoose";
 
+// PaymentIntent metadata keys the webhook routes payments by; only the server sets them
+const RESERVED_STRIPE_METADATA_KEYS = ["order", "user", "tab", "tipAdjustment"];
+
+// Helper function to keep the client's PaymentIntent metadata from posing as a tab, tip or another order
+const getClientStripeMetadata = paymentMetadata => paymentMetadata && typeof paymentMetadata === "object" && !Array.isArray(paymentMetadata)
+  ? Object.fromEntries(Object.entries(paymentMetadata).filter(([key]) => !RESERVED_STRIPE_METADATA_KEYS.includes(key)))
+  : {};
+
 /**
  * @desc    Handle Stripe webhook events for food delivery payments
  * @route   POST /api/food-delivery/payments/webhook
@@ -21,6 +34,57 @@ const handleFoodDeliveryStripeWebhook = asyncHandler(async (req, res) => {
     const event = await handleStripeWebhook(payload, sig, process.env.STRIPE_FOOD_DELIVERY_WEBHOOK_SECRET);
     logger.info(`Stripe webhook event received: ${event.type}`);
 
+    // Dine-in tabs are paid as a whole rather than per order
+    const tabId = event.data.object.metadata
+      ?.tab;
+    if (tabId && event.type.startsWith("payment_intent.")) {
+      if (event.type === "payment_intent.succeeded") {
+        const paidTab = await applyTabPayment({
+          tabId,
+          method: "stripe",
+          transactionId: event.data.object.id,
+          amount: fromMinorUnits(event.data.object.amount_received, event.data.object.currency)
+        });
+        if (paidTab) {
+          logger.info(`Tab ${tabId} paid with ${event.data.object.id}`);
+        } else {
+          logger.error(`Payment ${event.data.object.id} did not close tab ${tabId}: the tab is closed, or the payment was replaced or doesn't cover it`);
+        }
+      } else if (event.type === "payment_intent.payment_failed") {
+        logger.error(`Payment failed for tab ${tabId}: ${event.data.object.last_payment_error
+          ?.message}`);
+        await applyTabPaymentFailure(tabId, event.data.object.id);
+      }
+      return res.json({received: true});
+    }
+
+    // Tips added after delivery are charged on a PaymentIntent of their own
+    const tipAdjustmentId = event.data.object.metadata
+      ?.tipAdjustment;
+    if (tipAdjustmentId && event.type.startsWith("payment_intent.")) {
+      const {order: orderId} = event.data.object.metadata;
+      if (event.type === "payment_intent.succeeded") {
+        const applied = await applyTipAdjustmentPayment({
+          orderId,
+          adjustmentId: tipAdjustmentId,
+          transactionId: event.data.object.id,
+          amount: fromMinorUnits(event.data.object.amount_received, event.data.object.currency)
+        });
+        if (applied) {
+          logger.info(`Tip of ${applied.amount} added to order ${orderId} with ${event.data.object.id}`);
+          publishOrderEvent(orderId, "tip_added", {amount: applied.amount, tip: applied.order.tip});
+          publishDriverEvent(applied.order.deliveryDriver, "tip_added", {orderId, amount: applied.amount});
+        } else {
+          logger.error(`Payment ${event.data.object.id} did not add tip ${tipAdjustmentId} to order ${orderId}: the tip is not pending on this payment, or the amounts differ`);
+        }
+      } else if (event.type === "payment_intent.payment_failed") {
+        logger.error(`Tip payment failed for order ${orderId}: ${event.data.object.last_payment_error
+          ?.message}`);
+        await applyTipAdjustmentFailure({orderId, adjustmentId: tipAdjustmentId});
+      }
+      return res.json({received: true});
+    }
+
     switch (event.type) {
       case "payment_intent.created":
         const createdPaymentIntent = event.data.object;
@@ -32,7 +96,7 @@ const handleFoodDeliveryStripeWebhook = asyncHandler(async (req, res) => {
           return res.status(404).json({error: "Order or User not found"});
         }
 
-        if (order.customer._id.toString() !== createdPaymentIntent.metadata.user) {
+        if (getAmountDue(order, createdPaymentIntent.metadata.user) === null) {
           logger.error(`User ${createdPaymentIntent.metadata.user} is not the owner of order ${createdPaymentIntent.metadata.order}`);
           return res.status(403).json({error: "Unauthorized access to order"});
         }
@@ -41,13 +105,14 @@ const handleFoodDeliveryStripeWebhook = asyncHandler(async (req, res) => {
           user: user._id,
           order: order._id,
           paymentMethod: "stripe",
-          amount: createdPaymentIntent.amount / 100,
+          amount: fromMinorUnits(createdPaymentIntent.amount, createdPaymentIntent.currency),
           transactionId: createdPaymentIntent.id,
           paymentStatus: createdPaymentIntent.status,
           paymentMetadata: {
             gateway: "stripe",
             gatewayResponse: createdPaymentIntent,
-            gatewayId: createdPaymentIntent.id
+            gatewayId: createdPaymentIntent.id,
+            currency: createdPaymentIntent.currency
           }
         });
         break;
@@ -58,13 +123,11 @@ const handleFoodDeliveryStripeWebhook = asyncHandler(async (req, res) => {
           transactionId: succeededPaymentIntent.id
         }, {paymentStatus: "succeeded"});
 
-        // Update food delivery order payment status
-        await FoodDelivery.findOneAndUpdate({
-          _id: succeededPaymentIntent.metadata.order
-        }, {
-          paymentStatus: "paid",
-          deliveryStatus: "preparing" // Move to next status
-        });
+        // Update food delivery order payment status (split group orders wait for every share)
+        const paidOrder = await applyOrderPayment({orderId: succeededPaymentIntent.metadata.order, userId: succeededPaymentIntent.metadata.user});
+        if (paidOrder) {
+          publishStatusChange(paidOrder, {notes: "Payment received"});
+        }
         break;
 
       case "payment_intent.payment_failed":
@@ -74,30 +137,39 @@ const handleFoodDeliveryStripeWebhook = asyncHandler(async (req, res) => {
         }, {paymentStatus: "failed"});
 
         // Update food delivery order status
-        await FoodDelivery.findOneAndUpdate({
-          _id: failedPaymentIntent.metadata.order
-        }, {
-          paymentStatus: "failed",
-          deliveryStatus: "failed"
-        });
+        await applyOrderPaymentFailure({orderId: failedPaymentIntent.metadata.order, userId: failedPaymentIntent.metadata.user});
         break;
 
       case "charge.refunded":
+        // Sent for partial refunds too (removed items, order issues); refunded is only true once nothing is left
         const refundedCharge = event.data.object;
-        await FoodDeliveryPayment.findOneAndUpdate({
+        const isFullyRefunded = refundedCharge.refunded === true;
+        const refundedPayment = await FoodDeliveryPayment.findOneAndUpdate({
           transactionId: refundedCharge.payment_intent
         }, {
-          paymentStatus: "refunded",
-          refundStatus: "fully_refunded"
-        });
-
-        // Update food delivery order status if refunded
-        await FoodDelivery.findOneAndUpdate({
-          _id: refundedCharge.metadata.order
-        }, {
-          paymentStatus: "refunded",
-          deliveryStatus: "failed"
-        });
+          paymentStatus: isFullyRefunded
+            ? "refunded"
+            : "partially_refunded",
+          refundStatus: isFullyRefunded
+            ? "fully_refunded"
+            : "partially_refunded",
+          refundAmount: fromMinorUnits(refundedCharge.amount_refunded, refundedCharge.currency)
+        }, {new: true});
+
+        // The order is refunded once every payment of it is; its delivery status is left to the cancellation
+        if (refundedPayment && isFullyRefunded) {
+          const hasPaymentLeft = await FoodDeliveryPayment.exists({
+            order: refundedPayment.order,
+            paymentStatus: {
+              $in: ["paid", "succeeded", "partially_refunded"]
+            }
+          });
+          if (!hasPaymentLeft) {
+            await FoodDelivery.updateOne({
+              _id: refundedPayment.order
+            }, {paymentStatus: "refunded"});
+          }
+        }
         break;
 
       default:
@@ -154,23 +226,37 @@ const createFoodDeliveryPayment = asyncHandler(async (req, res) => {
       throw new ApiError(404, "Food delivery order not found");
     }
 
-    if (order.customer._id.toString() !== userId.toString()) {
+    // The customer pays the total, participants of a split group order pay their share
+    const amountDue = getAmountDue(order, userId);
+    if (amountDue === null) {
       throw new ApiError(403, "Not authorized to pay for this order");
     }
 
+    const isSplitOrder = order.groupOrder
+      ?.paymentMode === "split";
+    if (isSplitOrder && order.groupOrder.participants.some(p => p.user.toString() === userId.toString() && p.paymentStatus === "paid")) {
+      throw new ApiError(400, "Your share of this order is already paid");
+    }
+
     // Verify order amount matches
-    if (Math.abs(amount - order.totalAmount) > 0.01) {
-      // Allow small floating point differences
-      throw new ApiError(400, "Payment amount doesn't match order total");
+    const currency = getOrderCurrency(order);
+    if (Math.abs(amount - amountDue) > 10 ** -getCurrencyDecimals(currency)) {
+      // Allow small floating point differences, up to the currency's smallest unit
+      throw new ApiError(400, isSplitOrder
+        ? "Payment amount doesn't match your share of the order"
+        : "Payment amount doesn't match order total");
     }
 
+    // One payment per order, or per share of a split group order
+    await closeOpenPayments({order, userId, session});
+
     // Handle Stripe payment
     if (paymentMethod === "stripe") {
       try {
-        const paymentIntent = await createStripePaymentIntent(amount, "usd", {
+        const paymentIntent = await createStripePaymentIntent(amount, currency, {
+          ...getClientStripeMetadata(paymentMetadata),
           order: orderId,
-          user: userId,
-          ...paymentMetadata
+          user: userId
         });
 
         const newPayment = await FoodDeliveryPayment.create([
@@ -183,7 +269,8 @@ const createFoodDeliveryPayment = asyncHandler(async (req, res) => {
             paymentMetadata: {
               gateway: "stripe",
               gatewayResponse: paymentIntent,
-              gatewayId: paymentIntent.id
+              gatewayId: paymentIntent.id,
+              currency
             },
             paymentStatus: paymentIntent.status
           }
@@ -214,7 +301,8 @@ const createFoodDeliveryPayment = asyncHandler(async (req, res) => {
           paymentStatus: "pending",
           paymentMetadata: {
             gateway: "cash",
-            gatewayResponse: {}
+            gatewayResponse: {},
+            currency
           }
         }
       ], {session});
@@ -242,9 +330,12 @@ const createFoodDeliveryPayment = asyncHandler(async (req, res) => {
           paymentMethod,
           amount,
           transactionId,
-          paymentMetadata: paymentMetadata || {
-            gateway: paymentMethod,
-            gatewayResponse: {}
+          paymentMetadata: {
+            ...(paymentMetadata || {
+              gateway: paymentMethod,
+              gatewayResponse: {}
+            }),
+            currency
           },
           paymentStatus: "pending"
         }
@@ -303,14 +394,15 @@ const confirmFoodDeliveryPayment = asyncHandler(async (req, res) => {
     }
 
     // Update food delivery order payment status if succeeded
+    let paidOrder = null;
     if (confirmedPaymentIntent.status === "succeeded") {
-      await FoodDelivery.findByIdAndUpdate(updatedPayment.order, {
-        paymentStatus: "paid",
-        deliveryStatus: "preparing" // Move to next status
-      }, {session});
+      paidOrder = await applyOrderPayment({orderId: updatedPayment.order, userId, session}); // Move to next status
     }
 
     await session.commitTransaction();
+    if (paidOrder) {
+      publishStatusChange(paidOrder, {notes: "Payment received"});
+    }
     return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment confirmed successfully"));
   } catch (error) {
     await session.abortTransaction();
@@ -374,16 +466,11 @@ const updateFoodDeliveryPaymentStatus = asyncHandler(async (req, res) => {
     const updatedPayment = await payment.save({session});
 
     // Update food delivery order if payment succeeded or failed
+    let paidOrder = null;
     if (paymentStatus === "succeeded" || paymentStatus === "paid") {
-      await FoodDelivery.findByIdAndUpdate(payment.order, {
-        paymentStatus: "paid",
-        deliveryStatus: "preparing" // Move to next status
-      }, {session});
+      paidOrder = await applyOrderPayment({orderId: payment.order, userId: payment.user, session}); // Move to next status
     } else if (paymentStatus === "failed") {
-      await FoodDelivery.findByIdAndUpdate(payment.order, {
-        paymentStatus: "failed",
-        deliveryStatus: "failed"
-      }, {session});
+      await applyOrderPaymentFailure({orderId: payment.order, userId: payment.user, session});
     } else if (paymentStatus === "refunded") {
       await FoodDelivery.findByIdAndUpdate(payment.order, {
         paymentStatus: "refunded",
@@ -392,6 +479,9 @@ const updateFoodDeliveryPaymentStatus = asyncHandler(async (req, res) => {
     }
 
     await session.commitTransaction();
+    if (paidOrder) {
+      publishStatusChange(paidOrder, {notes: "Payment received"});
+    }
     return res.status(200).json(new ApiResponse(200, updatedPayment, "Payment status updated successfully"));
   } catch (error) {
     await session.abortTransaction();
@@ -513,7 +603,7 @@ const handleFoodDeliveryPaymentRefund = asyncHandler(async (req, res) => {
     // Handle Stripe refund
     if (payment.paymentMethod === "stripe") {
       try {
-        await refundStripePayment(payment.transactionId, refundAmount);
+        await refundStripePayment(payment.transactionId, refundAmount, payment.paymentMetadata.currency);
 
         // Update payment status based on refund amount
         if (refundAmount === payment.amount) {
@@ -8,6 +8,11 @@ import BusinessOwner from "../models/businessOwner.models.js";
 import logger from "../utils/logger.js";
 import mongoose from "mongoose";
 import geocodeCoordinates from "../utils/geoCordinates.js";
+import {isValidPolygon} from "../utils/geoZones.js";
+import {getOpeningStatus, isValidTimeZone} from "../utils/openingHours.js";
+import {validatePickupSettings} from "../utils/pickupOrders.js";
+import {getVenueLoad, validatePauseMinutes, validateThrottlingSettings} from "../utils/venueThrottling.js";
+import {DEFAULT_CURRENCY, getVenueCurrency, isValidCurrency} from "../utils/currency.js";
 
 // Helper functions to validate IDs
 const validateIds = {
@@ -116,11 +121,14 @@ const validateDeliveryFee = deliveryFee => {
       if (!zone.zoneName || zone.fee === undefined || zone.fee < 0) {
         errors.push(`Zone fee at index ${index} is invalid`);
       }
+      if (!isValidPolygon(zone.area)) {
+        errors.push(`Zone fee at index ${index} must have a GeoJSON Polygon or MultiPolygon area`);
+      }
     });
   }
 
   // Validate currency
-  if (deliveryFee.currency && !/^[A-Z]{3}$/.test(deliveryFee.currency)) {
+  if (deliveryFee.currency && !isValidCurrency(deliveryFee.currency)) {
     errors.push("Currency must be a valid 3-letter ISO code");
   }
 
@@ -131,6 +139,69 @@ const validateDeliveryFee = deliveryFee => {
   return true;
 };
 
+// Helper function to validate a menu item modifier group (e.g. "Size: required, pick 1")
+const validateModifierGroup = group => {
+  const errors = [];
+
+  if (!group || typeof group !== "object") {
+    throw new ApiError(400, "Modifier group must be an object");
+  }
+
+  if (!group.name || typeof group.name !== "string" || !group.name.trim()) {
+    errors.push("Modifier group name is required");
+  }
+
+  if (group.isRequired !== undefined && typeof group.isRequired !== "boolean") {
+    errors.push("isRequired must be a boolean");
+  }
+
+  const minSelections = group.minSelections ?? 0;
+  const maxSelections = group.maxSelections ?? 1;
+
+  if (!Number.isInteger(minSelections) || minSelections < 0) {
+    errors.push("minSelections must be a non-negative whole number");
+  }
+
+  if (!Number.isInteger(maxSelections) || maxSelections < 1) {
+    errors.push("maxSelections must be a whole number of at least 1");
+  } else if (maxSelections < minSelections) {
+    errors.push("maxSelections cannot be less than minSelections");
+  }
+
+  if (!Array.isArray(group.options) || group.options.length === 0) {
+    errors.push("Modifier group must have at least one option");
+  } else {
+    const names = new Set();
+    group.options.forEach((option, index) => {
+      if (!option.name || typeof option.name !== "string" || !option.name.trim()) {
+        errors.push(`Option at index ${index} is missing a name`);
+        return;
+      }
+      if (names.has(option.name.trim().toLowerCase())) {
+        errors.push(`Option "${option.name}" is listed more than once`);
+      }
+      names.add(option.name.trim().toLowerCase());
+
+      if (option.price !== undefined && (typeof option.price !== "number" || option.price < 0)) {
+        errors.push(`Option "${option.name}" must have a non-negative price`);
+      }
+      if (option.isAvailable !== undefined && typeof option.isAvailable !== "boolean") {
+        errors.push(`Option "${option.name}" isAvailable must be a boolean`);
+      }
+    });
+
+    if (Number.isInteger(minSelections) && minSelections > group.options.length) {
+      errors.push("minSelections cannot exceed the number of options");
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, `Invalid modifier group: ${errors.join(", ")}`);
+  }
+
+  return true;
+};
+
 // @desc    Create a new food venue
 // @route   POST /api/food-venues
 // @access  Private/BusinessOwner
@@ -150,7 +221,10 @@ const createFoodVenue = asyncHandler(async (req, res) => {
       menuItems,
       isAvailable,
       deliveryFee,
-      deliveryRadius
+      deliveryRadius,
+      serviceArea,
+      timezone,
+      currency
     } = req.body;
 
     const userId = req.user._id;
@@ -224,6 +298,16 @@ const createFoodVenue = asyncHandler(async (req, res) => {
       throw new ApiError(400, "Delivery radius must be a positive number");
     }
 
+    // Validate timezone if provided (opening hours and surge windows are read in this timezone)
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      throw new ApiError(400, "Timezone must be a valid IANA timezone, e.g. Asia/Kathmandu");
+    }
+
+    // Validate service area polygon if provided
+    if (serviceArea !== undefined && !isValidPolygon(serviceArea)) {
+      throw new ApiError(400, "Service area must be a GeoJSON Polygon or MultiPolygon with closed [longitude, latitude] rings");
+    }
+
     // Validate delivery fee configuration if provided
     if (deliveryFee) {
       // Ensure distance rates are numbers
@@ -277,6 +361,21 @@ const createFoodVenue = asyncHandler(async (req, res) => {
           throw new ApiError(400, "Price cannot be negative");
         }
 
+        if (item.isAvailable !== undefined && typeof item.isAvailable !== "boolean") {
+          throw new ApiError(400, "Menu item isAvailable must be a boolean");
+        }
+
+        if (item.taxCategory !== undefined && typeof item.taxCategory !== "string") {
+          throw new ApiError(400, "Menu item taxCategory must be a string");
+        }
+
+        if (item.modifierGroups !== undefined) {
+          if (!Array.isArray(item.modifierGroups)) {
+            throw new ApiError(400, "Menu item modifierGroups must be an array");
+          }
+          item.modifierGroups.forEach(validateModifierGroup);
+        }
+
         // Validate images if provided
         if (item.images && Array.isArray(item.images)) {
           const imageRegex = /^(https?:\/\/.*\.(?:png|jpg|jpeg|gif|webp))$/i;
@@ -289,6 +388,11 @@ const createFoodVenue = asyncHandler(async (req, res) => {
       }
     }
 
+    // Validate currency if provided, otherwise it is taken from the delivery fee configuration
+    if (currency !== undefined && !isValidCurrency(currency)) {
+      throw new ApiError(400, "Currency must be a valid 3-letter ISO code");
+    }
+
     // Create default delivery fee configuration if not provided
     const defaultDeliveryFee = {
       base: 5,
@@ -299,7 +403,7 @@ const createFoodVenue = asyncHandler(async (req, res) => {
       serviceFeePercentage: 10,
       handlingFee: 1,
       zoneFees: [],
-      currency: "USD"
+      currency: currency || DEFAULT_CURRENCY
     };
 
     // Create new food venue with all fields
@@ -319,12 +423,15 @@ const createFoodVenue = asyncHandler(async (req, res) => {
       },
       seatingCapacity,
       amenities: amenities || [],
+      timezone,
+      currency,
       openingHours: openingHours || [],
       menuItems: menuItems || [],
       deliveryFee: deliveryFee || defaultDeliveryFee,
       deliveryRadius: deliveryRadius !== undefined
         ? deliveryRadius
         : 10,
+      serviceArea,
       isAvailable: isAvailable !== undefined
         ? isAvailable
         : true
@@ -455,6 +562,13 @@ const createFoodVenue = asyncHandler(async (req, res) => {
 
       const result = await FoodVenue.paginate(query, options);
 
+      // Add open/closed state in each venue's local time
+      const now = new Date();
+      result.docs = result.docs.map(venue => ({
+        ...venue.toObject(),
+        ...getOpeningStatus(venue, now)
+      }));
+
       const response = new ApiResponse(200, result, "Food venues retrieved successfully");
       logger.info(`Successfully retrieved ${result.docs.length} food venues out of ${result.totalDocs} total`);
       logger.debug(`Pagination details - Page: ${page}, Limit: ${limit}, Total Pages: ${result.totalPages}`);
@@ -490,7 +604,11 @@ const createFoodVenue = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Food venue not found");
       }
 
-      const response = new ApiResponse(200, foodVenue, "Food venue retrieved successfully");
+      const response = new ApiResponse(200, {
+        ...foodVenue.toObject(),
+        ...getOpeningStatus(foodVenue),
+        load: await getVenueLoad(foodVenue)
+      }, "Food venue retrieved successfully");
       logger.info(`Successfully retrieved food venue - ID: ${id}, Name: ${foodVenue.name}`);
       logger.debug(`Venue details: ${JSON.stringify({service: foodVenue.service, seatingCapacity: foodVenue.seatingCapacity, isAvailable: foodVenue.isAvailable})}`);
         return res.status(200).json(response);
@@ -516,7 +634,7 @@ const createFoodVenue = asyncHandler(async (req, res) => {
         const foodVenue = await verifyOwnership(id, req.user._id, session);
 
         // Prevent changing certain fields
-        const restrictedFields = ["service", "address.coordinates"];
+        const restrictedFields = ["service", "address.coordinates", "orderThrottling"];
         restrictedFields.forEach(field => {
           if (updateData[field]) {
             throw new ApiError(400, `Cannot modify ${field} through this endpoint`);
@@ -538,9 +656,43 @@ const createFoodVenue = asyncHandler(async (req, res) => {
           }
         }
 
+        // Validate timezone if being updated
+        if (updateData.timezone !== undefined && !isValidTimeZone(updateData.timezone)) {
+          throw new ApiError(400, "Timezone must be a valid IANA timezone, e.g. Asia/Kathmandu");
+        }
+
+        // Validate currency if being updated; menu prices and fees are read in the new currency from then on
+        if (updateData.currency !== undefined && !isValidCurrency(updateData.currency)) {
+          throw new ApiError(400, "Currency must be a valid 3-letter ISO code");
+        }
+
+        // Validate dispatch mode if being updated
+        if (updateData.dispatchMode !== undefined && !["manual", "auto"].includes(updateData.dispatchMode)) {
+          throw new ApiError(400, "Dispatch mode must be either 'manual' or 'auto'");
+        }
+
+        // Validate pickup settings if being updated (merged so a partial update keeps the other settings)
+        if (updateData.pickupSettings !== undefined) {
+          validatePickupSettings(updateData.pickupSettings);
+          updateData.pickupSettings = {
+            ...foodVenue.toObject().pickupSettings,
+            ...updateData.pickupSettings
+          };
+        }
+
+        // Validate service area if being updated (null removes it and falls back to the delivery radius)
+        if (updateData.serviceArea !== undefined && updateData.serviceArea !== null && !isValidPolygon(updateData.serviceArea)) {
+          throw new ApiError(400, "Service area must be a GeoJSON Polygon or MultiPolygon with closed [longitude, latitude] rings");
+        }
+
         // Validate delivery fee configuration if being updated
         if (updateData.deliveryFee) {
           validateDeliveryFee(updateData.deliveryFee);
+
+          // A fee update without a currency keeps the venue's currency
+          if (!updateData.deliveryFee.currency) {
+            updateData.deliveryFee.currency = updateData.currency || getVenueCurrency(foodVenue);
+          }
         }
 
         // Keep track of original values for logging
@@ -554,6 +706,9 @@ const createFoodVenue = asyncHandler(async (req, res) => {
 
         // Apply updates
         Object.assign(foodVenue, updateData);
+        if (updateData.serviceArea === null) {
+          foodVenue.serviceArea = undefined;
+        }
 
         await foodVenue.save({session});
         await session.commitTransaction();
@@ -634,6 +789,120 @@ const createFoodVenue = asyncHandler(async (req, res) => {
           }
         });
 
+        // @desc    Get a food venue's throttling settings and current load
+        // @route   GET /api/food-venues/:id/throttling
+        // @access  Private/BusinessOwner
+        const getFoodVenueThrottling = asyncHandler(async (req, res) => {
+          try {
+            const {id} = req.params;
+            validateIds.venueId(id);
+
+            const foodVenue = await verifyOwnership(id, req.user._id);
+
+            return res.status(200).json(new ApiResponse(200, {
+              settings: foodVenue.orderThrottling,
+              load: await getVenueLoad(foodVenue)
+            }, "Food venue throttling retrieved successfully"));
+          } catch (error) {
+            logger.error(`Error in getFoodVenueThrottling: ${error.message}`, {stack: error.stack});
+            throw error;
+          }
+        });
+
+        // @desc    Update a food venue's active order cap and busy mode
+        // @route   PATCH /api/food-venues/:id/throttling
+        // @access  Private/BusinessOwner
+        const updateFoodVenueThrottling = asyncHandler(async (req, res) => {
+          try {
+            const {id} = req.params;
+            validateIds.venueId(id);
+
+            const {maxActiveOrders, busyThreshold, busyExtraPrepMinutes} = req.body;
+            const updates = Object.fromEntries(Object.entries({maxActiveOrders, busyThreshold, busyExtraPrepMinutes}).filter(([, value]) => value !== undefined));
+            if (Object.keys(updates).length === 0) {
+              throw new ApiError(400, "Provide maxActiveOrders, busyThreshold or busyExtraPrepMinutes");
+            }
+            validateThrottlingSettings(updates);
+
+            const foodVenue = await verifyOwnership(id, req.user._id);
+
+            // Merged so a partial update keeps the other settings
+            const settings = {
+              ...foodVenue.toObject().orderThrottling,
+              ...updates
+            };
+            if (settings.maxActiveOrders && settings.busyThreshold && settings.busyThreshold > settings.maxActiveOrders) {
+              throw new ApiError(400, "Busy threshold cannot be above the maximum active orders");
+            }
+
+            foodVenue.orderThrottling = settings;
+            await foodVenue.save();
+
+            logger.info(`Throttling updated for food venue - ID: ${id}, Settings: ${JSON.stringify(updates)}`);
+            return res.status(200).json(new ApiResponse(200, {
+              settings: foodVenue.orderThrottling,
+              load: await getVenueLoad(foodVenue)
+            }, "Food venue throttling updated successfully"));
+          } catch (error) {
+            logger.error(`Error in updateFoodVenueThrottling: ${error.message}`, {stack: error.stack});
+            throw error;
+          }
+        });
+
+        // @desc    Stop new orders for a number of minutes; orders resume by themselves afterwards
+        // @route   POST /api/food-venues/:id/pause
+        // @access  Private/BusinessOwner
+        const pauseFoodVenueOrders = asyncHandler(async (req, res) => {
+          try {
+            const {id} = req.params;
+            const {minutes, reason} = req.body;
+            validateIds.venueId(id);
+            validatePauseMinutes(minutes);
+
+            if (reason !== undefined && (typeof reason !== "string" || reason.length > 200)) {
+              throw new ApiError(400, "Pause reason must be a string of at most 200 characters");
+            }
+
+            const foodVenue = await verifyOwnership(id, req.user._id);
+            foodVenue.orderThrottling.pausedUntil = new Date(Date.now() + minutes * 60000);
+            foodVenue.orderThrottling.pauseReason = reason;
+            await foodVenue.save();
+
+            logger.info(`Orders paused for food venue - ID: ${id}, Until: ${foodVenue.orderThrottling.pausedUntil.toISOString()}`);
+            return res.status(200).json(new ApiResponse(200, {
+              settings: foodVenue.orderThrottling,
+              load: await getVenueLoad(foodVenue)
+            }, `Orders paused for ${minutes} minutes`));
+          } catch (error) {
+            logger.error(`Error in pauseFoodVenueOrders: ${error.message}`, {stack: error.stack});
+            throw error;
+          }
+        });
+
+        // @desc    Resume orders before a pause ends
+        // @route   DELETE /api/food-venues/:id/pause
+        // @access  Private/BusinessOwner
+        const resumeFoodVenueOrders = asyncHandler(async (req, res) => {
+          try {
+            const {id} = req.params;
+            validateIds.venueId(id);
+
+            const foodVenue = await verifyOwnership(id, req.user._id);
+            foodVenue.orderThrottling.pausedUntil = undefined;
+            foodVenue.orderThrottling.pauseReason = undefined;
+            await foodVenue.save();
+
+            logger.info(`Orders resumed for food venue - ID: ${id}`);
+            return res.status(200).json(new ApiResponse(200, {
+              settings: foodVenue.orderThrottling,
+              load: await getVenueLoad(foodVenue)
+            }, "Orders resumed"));
+          } catch (error) {
+            logger.error(`Error in resumeFoodVenueOrders: ${error.message}`, {stack: error.stack});
+            throw error;
+          }
+        });
+
         // @desc    Delete a food venue
         // @route   DELETE /api/food-venues/:id
         // @access  Private/BusinessOwner
@@ -909,15 +1178,213 @@ const createFoodVenue = asyncHandler(async (req, res) => {
           }
         });
 
+        // Helper function to load a menu item from a venue the user owns
+        const getOwnedMenuItem = async (venueId, menuItemId, userId, session) => {
+          validateIds.venueId(venueId);
+
+          if (!mongoose.Types.ObjectId.isValid(menuItemId)) {
+            throw new ApiError(400, "Invalid menu item ID");
+          }
+
+          const foodVenue = await verifyOwnership(venueId, userId, session);
+          const menuItem = foodVenue.menuItems.id(menuItemId);
+          if (!menuItem) {
+            throw new ApiError(404, "Menu item not found");
+          }
+
+          return {foodVenue, menuItem};
+        };
+
+        // @desc    Get modifier groups for a menu item
+        // @route   GET /api/food-venues/:id/menu-items/:menuItemId/modifier-groups
+        // @access  Private/BusinessOwner
+        const getModifierGroups = asyncHandler(async (req, res) => {
+          try {
+            const {id, menuItemId} = req.params;
+            const {menuItem} = await getOwnedMenuItem(id, menuItemId, req.user._id);
+
+            return res.status(200).json(new ApiResponse(200, menuItem.modifierGroups, "Modifier groups retrieved successfully"));
+          } catch (error) {
+            logger.error(`Error in getModifierGroups: ${error.message}`, {stack: error.stack});
+            throw error;
+          }
+        });
+
+        // @desc    Add a modifier group to a menu item
+        // @route   POST /api/food-venues/:id/menu-items/:menuItemId/modifier-groups
+        // @access  Private/BusinessOwner
+        const addModifierGroup = asyncHandler(async (req, res) => {
+          const session = await mongoose.startSession();
+          session.startTransaction();
+
+          try {
+            const {id, menuItemId} = req.params;
+            const {
+              name,
+              isRequired = false,
+              minSelections = 0,
+              maxSelections = 1,
+              options
+            } = req.body;
+
+            validateModifierGroup({name, isRequired, minSelections, maxSelections, options});
+
+            const {foodVenue, menuItem} = await getOwnedMenuItem(id, menuItemId, req.user._id, session);
+
+            if (menuItem.modifierGroups.some(group => group.name.toLowerCase() === name.trim().toLowerCase())) {
+              throw new ApiError(409, `Menu item already has a modifier group named "${name}"`);
+            }
+
+            menuItem.modifierGroups.push({
+              name,
+              isRequired,
+              minSelections,
+              maxSelections,
+              options: options.map(option => ({name: option.name, price: option.price ?? 0, isAvailable: option.isAvailable ?? true}))
+            });
+
+            await foodVenue.save({session});
+            await session.commitTransaction();
+
+            const createdGroup = menuItem.modifierGroups[menuItem.modifierGroups.length - 1];
+            logger.info(`Modifier group added - Venue ID: ${id}, MenuItem ID: ${menuItemId}, Group: ${createdGroup.name}`);
+            return res.status(201).json(new ApiResponse(201, createdGroup, "Modifier group added successfully"));
+          } catch (error) {
+            await session.abortTransaction();
+            logger.error(`Error in addModifierGroup: ${error.message}`, {stack: error.stack});
+
+            if (error instanceof mongoose.Error.ValidationError) {
+              const messages = Object.values(error.errors).map(err => err.message);
+              throw new ApiError(400, `Validation error: ${messages.join(", ")}`);
+            }
+
+            throw error;
+          } finally {
+            session.endSession();
+          }
+        });
+
+        // @desc    Update a menu item modifier group
+        // @route   PUT /api/food-venues/:id/menu-items/:menuItemId/modifier-groups/:groupId
+        // @access  Private/BusinessOwner
+        const updateModifierGroup = asyncHandler(async (req, res) => {
+          const session = await mongoose.startSession();
+          session.startTransaction();
+
+          try {
+            const {id, menuItemId, groupId} = req.params;
+
+            if (!mongoose.Types.ObjectId.isValid(groupId)) {
+              throw new ApiError(400, "Invalid modifier group ID");
+            }
+
+            const {foodVenue, menuItem} = await getOwnedMenuItem(id, menuItemId, req.user._id, session);
+
+            const group = menuItem.modifierGroups.id(groupId);
+            if (!group) {
+              throw new ApiError(404, "Modifier group not found");
+            }
+
+            // Validate the group as it will look after the update
+            const updated = {
+              name: req.body.name ?? group.name,
+              isRequired: req.body.isRequired ?? group.isRequired,
+              minSelections: req.body.minSelections ?? group.minSelections,
+              maxSelections: req.body.maxSelections ?? group.maxSelections,
+              options: req.body.options ?? group.options.map(option => option.toObject())
+            };
+            validateModifierGroup(updated);
+
+            const nameTaken = menuItem.modifierGroups.some(other => other._id.toString() !== groupId && other.name.toLowerCase() === updated.name.trim().toLowerCase());
+            if (nameTaken) {
+              throw new ApiError(409, `Menu item already has a modifier group named "${updated.name}"`);
+            }
+
+            group.set({
+              ...updated,
+              options: updated.options.map(option => ({
+                ...(option._id && {
+                  _id: option._id
+                }),
+                name: option.name,
+                price: option.price ?? 0,
+                isAvailable: option.isAvailable ?? true
+              }))
+            });
+
+            await foodVenue.save({session});
+            await session.commitTransaction();
+
+            logger.info(`Modifier group updated - Venue ID: ${id}, MenuItem ID: ${menuItemId}, Group ID: ${groupId}`);
+            return res.status(200).json(new ApiResponse(200, group, "Modifier group updated successfully"));
+          } catch (error) {
+            await session.abortTransaction();
+            logger.error(`Error in updateModifierGroup: ${error.message}`, {stack: error.stack});
+
+            if (error instanceof mongoose.Error.ValidationError) {
+              const messages = Object.values(error.errors).map(err => err.message);
+              throw new ApiError(400, `Validation error: ${messages.join(", ")}`);
+            }
+
+            throw error;
+          } finally {
+            session.endSession();
+          }
+        });
+
+        // @desc    Delete a menu item modifier group
+        // @route   DELETE /api/food-venues/:id/menu-items/:menuItemId/modifier-groups/:groupId
+        // @access  Private/BusinessOwner
+        const deleteModifierGroup = asyncHandler(async (req, res) => {
+          const session = await mongoose.startSession();
+          session.startTransaction();
+
+          try {
+            const {id, menuItemId, groupId} = req.params;
+
+            if (!mongoose.Types.ObjectId.isValid(groupId)) {
+              throw new ApiError(400, "Invalid modifier group ID");
+            }
+
+            const {foodVenue, menuItem} = await getOwnedMenuItem(id, menuItemId, req.user._id, session);
+
+            const group = menuItem.modifierGroups.id(groupId);
+            if (!group) {
+              throw new ApiError(404, "Modifier group not found");
+            }
+
+            group.deleteOne();
+            await foodVenue.save({session});
+            await session.commitTransaction();
+
+            logger.info(`Modifier group deleted - Venue ID: ${id}, MenuItem ID: ${menuItemId}, Group ID: ${groupId}`);
+            return res.status(200).json(new ApiResponse(200, menuItem.modifierGroups, "Modifier group deleted successfully"));
+          } catch (error) {
+            await session.abortTransaction();
+            logger.error(`Error in deleteModifierGroup: ${error.message}`, {stack: error.stack});
+            throw error;
+          } finally {
+            session.endSession();
+          }
+        });
+
         export {
           createFoodVenue,
           getAllFoodVenues,
           getFoodVenueById,
           updateFoodVenue,
           updateFoodVenueAvailability,
+          getFoodVenueThrottling,
+          updateFoodVenueThrottling,
+          pauseFoodVenueOrders,
+          resumeFoodVenueOrders,
           deleteFoodVenue,
           uploadVenueImages,
           deleteVenueImage,
           uploadMenuItemImages,
-          deleteMenuItemImage
+          deleteMenuItemImage,
+          getModifierGroups,
+          addModifierGroup,
+          updateModifierGroup,
+          deleteModifierGroup
         };
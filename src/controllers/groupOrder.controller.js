@@ -0,0 +1,681 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import GroupOrder from "../models/groupOrder.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import {resolveOrderItems, roundMoney, toRequestItem} from "../utils/orderPricing.js";
+import {placeFoodDeliveryOrder} from "../utils/orderPlacement.js";
+import {buildCartPreview, findMatchingLine, repriceCart} from "../utils/carts.js";
+import {generateInviteCode, getGroupOrderExpiry, getInviteLink, isGroupParticipant, splitOrderTotal} from "../utils/groupOrders.js";
+import {publishNewOrder} from "../utils/orderEvents.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+// Helper function to make sure only customers take part in group orders
+const ensureCustomer = user => {
+  if (
+    user
+    ?.role !== "customer") {
+    throw new ApiError(403, "Only customers can take part in group orders");
+  }
+};
+
+// Helper function to load a group order the user has joined
+const getParticipantGroup = async (id, userId, session = null) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid group order ID");
+  }
+
+  const group = await GroupOrder.findById(id).session(session);
+  if (!group) {
+    throw new ApiError(404, "Group order not found");
+  }
+  if (!isGroupParticipant(group, userId)) {
+    throw new ApiError(403, "You are not part of this group order");
+  }
+  return group;
+};
+
+// Helper function to restrict an action to the host
+const ensureHost = (group, userId) => {
+  if (group.host.toString() !== userId.toString()) {
+    throw new ApiError(403, "Only the host can do this");
+  }
+};
+
+// Helper function to make sure items can still be changed
+const ensureOpen = group => {
+  if (group.status !== "open") {
+    throw new ApiError(400, group.status === "locked"
+      ? "The host has locked this group order"
+      : `Group order is ${group.status}`);
+  }
+};
+
+// Helper function to reprice, save and return a group order with its checkout preview and per-participant totals
+const sendGroupPreview = async (res, group, statusCode, message) => {
+  const venue = await FoodVenue.findById(group.venue);
+  if (!venue) {
+    throw new ApiError(404, "Venue not found");
+  }
+
+  const preview = await buildCartPreview(group, venue, group.host);
+  await group.save();
+
+  const participants = group.participants.map(participant => {
+    const lines = group.items.filter(line => line.participant.toString() === participant.user.toString());
+    const subtotal = lines.filter(line => line.isAvailable).reduce((sum, line) => {
+      const optionsCost = line.options.reduce((optSum, opt) => optSum + (opt.additionalCost || 0), 0);
+      return sum + (line.price + optionsCost) * line.quantity;
+    }, 0);
+    return {
+      user: participant.user,
+      name: participant.name,
+      itemCount: lines.reduce((sum, line) => sum + line.quantity, 0),
+      subtotal: roundMoney(subtotal)
+    };
+  });
+
+  return res.status(statusCode).json(new ApiResponse(statusCode, {
+    ...preview,
+    inviteLink: getInviteLink(group.inviteCode),
+    participants
+  }, message));
+};
+
+/**
+ * @desc    Start a group order at a venue and get its invite link
+ * @route   POST /api/v1/groupOrders
+ * @access  Private (Customer)
+ */
+const createGroupOrder = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+
+    const {venueId, paymentMode = "host", fulfillmentType = "delivery", coordinates, deliveryAddress} = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(venueId)) {
+      throw new ApiError(400, "Invalid venue ID");
+    }
+    if (!["host", "split"].includes(paymentMode)) {
+      throw new ApiError(400, "Payment mode must be 'host' or 'split'");
+    }
+    if (!["delivery", "pickup"].includes(fulfillmentType)) {
+      throw new ApiError(400, "Fulfillment type must be either 'delivery' or 'pickup'");
+    }
+    if (coordinates !== undefined && (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(c => typeof c === "number"))) {
+      throw new ApiError(400, "Coordinates must be an array of [longitude, latitude]");
+    }
+
+    const venue = await FoodVenue.findById(venueId);
+    if (!venue) {
+      throw new ApiError(404, "Venue not found");
+    }
+    if (!venue.isAvailable) {
+      throw new ApiError(400, "Venue is currently unavailable for delivery");
+    }
+
+    const group = new GroupOrder({
+      host: req.user._id,
+      venue: venue._id,
+      inviteCode: generateInviteCode(),
+      paymentMode,
+      participants: [
+        {
+          user: req.user._id,
+          name: req.user.fullName
+        }
+      ],
+      fulfillmentType,
+      coordinates,
+      deliveryAddress,
+      expiresAt: getGroupOrderExpiry()
+    });
+
+    logger.info(`Group order ${group._id} started by ${req.user._id} at venue ${venue._id}`);
+    return sendGroupPreview(res, group, 201, "Group order created successfully");
+  } catch (error) {
+    logger.error(`Error in createGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to create group order");
+  }
+});
+
+/**
+ * @desc    Get the open group orders the customer hosts or has joined
+ * @route   GET /api/v1/groupOrders
+ * @access  Private (Customer)
+ */
+const getMyGroupOrders = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+
+    const groups = await GroupOrder.find({
+      "participants.user": req.user._id,
+      status: {
+        $in: ["open", "locked"]
+      }
+    }).populate("venue", "name images").sort({updatedAt: -1});
+
+    return res.status(200).json(new ApiResponse(200, groups, "Group orders retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getMyGroupOrders: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve group orders");
+  }
+});
+
+/**
+ * @desc    See who is hosting an invite before joining it
+ * @route   GET /api/v1/groupOrders/join/:inviteCode
+ * @access  Private (Customer)
+ */
+const getGroupOrderInvite = asyncHandler(async (req, res) => {
+  try {
+    const group = await GroupOrder.findOne({inviteCode: req.params.inviteCode}).populate("venue", "name images").populate("host", "fullName");
+    if (!group) {
+      throw new ApiError(404, "Invite not found");
+    }
+
+    return res.status(200).json(new ApiResponse(200, {
+      _id: group._id,
+      venue: group.venue,
+      host: group.host,
+      paymentMode: group.paymentMode,
+      participantCount: group.participants.length,
+      status: group.status,
+      expiresAt: group.expiresAt,
+      canJoin: group.status === "open" && group.expiresAt > new Date()
+    }, "Invite retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getGroupOrderInvite: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve invite");
+  }
+});
+
+/**
+ * @desc    Join a group order from its invite link
+ * @route   POST /api/v1/groupOrders/join/:inviteCode
+ * @access  Private (Customer)
+ */
+const joinGroupOrder = asyncHandler(async (req, res) => {
+  try {
+    ensureCustomer(req.user);
+
+    const group = await GroupOrder.findOne({inviteCode: req.params.inviteCode});
+    if (!group) {
+      throw new ApiError(404, "Invite not found");
+    }
+    if (isGroupParticipant(group, req.user._id)) {
+      return sendGroupPreview(res, group, 200, "You are already part of this group order");
+    }
+
+    ensureOpen(group);
+    if (group.expiresAt <= new Date()) {
+      throw new ApiError(400, "This invite has expired");
+    }
+
+    group.participants.push({user: req.user._id, name: req.user.fullName});
+
+    logger.info(`User ${req.user._id} joined group order ${group._id}`);
+    return sendGroupPreview(res, group, 200, "Joined group order successfully");
+  } catch (error) {
+    logger.error(`Error in joinGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to join group order");
+  }
+});
+
+/**
+ * @desc    Get a group order with live prices, fees and what each participant has added
+ * @route   GET /api/v1/groupOrders/:id
+ * @access  Private (Participant)
+ */
+const getGroupOrder = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+
+    return sendGroupPreview(res, group, 200, "Group order retrieved successfully");
+  } catch (error) {
+    logger.error(`Error in getGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve group order");
+  }
+});
+
+/**
+ * @desc    Add an item under the participant's name
+ * @route   POST /api/v1/groupOrders/:id/items
+ * @access  Private (Participant)
+ */
+const addGroupOrderItem = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureOpen(group);
+
+    const venue = await FoodVenue.findById(group.venue);
+    if (!venue) {
+      throw new ApiError(404, "Venue not found");
+    }
+
+    const {menuItemId, quantity = 1, options = [], specialInstructions = ""} = req.body;
+
+    const {items: [item], errors} = resolveOrderItems(venue, [
+      {
+        menuItemId,
+        quantity,
+        options,
+        specialInstructions
+      }
+    ]);
+    if (errors.length > 0) {
+      throw new ApiError(400, "Item could not be added to the group order", errors);
+    }
+
+    // Only merge with the participant's own lines
+    const existingLine = findMatchingLine({
+      items: group.items.filter(line => line.participant.toString() === req.user._id.toString())
+    }, item);
+    if (existingLine) {
+      existingLine.quantity += item.quantity;
+    } else {
+      group.items.push({
+        ...item,
+        participant: req.user._id
+      });
+    }
+
+    return sendGroupPreview(res, group, 201, "Item added to group order");
+  } catch (error) {
+    logger.error(`Error in addGroupOrderItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to add item to group order");
+  }
+});
+
+/**
+ * @desc    Change the quantity, options or instructions of the participant's own line (quantity 0 removes it)
+ * @route   PATCH /api/v1/groupOrders/:id/items/:itemId
+ * @access  Private (Participant)
+ */
+const updateGroupOrderItem = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureOpen(group);
+
+    const line = group.items.id(req.params.itemId);
+    if (!line) {
+      throw new ApiError(404, "Item not found");
+    }
+    if (line.participant.toString() !== req.user._id.toString()) {
+      throw new ApiError(403, "You can only change your own items");
+    }
+
+    const {quantity, options, specialInstructions} = req.body;
+
+    if (Number(quantity) === 0) {
+      line.deleteOne();
+      return sendGroupPreview(res, group, 200, "Item removed from group order");
+    }
+
+    const venue = await FoodVenue.findById(group.venue);
+    if (!venue) {
+      throw new ApiError(404, "Venue not found");
+    }
+
+    const {items: [item], errors} = resolveOrderItems(venue, [
+      {
+        ...toRequestItem(line),
+        ...(quantity !== undefined && {quantity}),
+        ...(options !== undefined && {options}),
+        ...(specialInstructions !== undefined && {specialInstructions})
+      }
+    ]);
+    if (errors.length > 0) {
+      throw new ApiError(400, "Item could not be updated", errors);
+    }
+
+    line.set({
+      ...item,
+      isAvailable: true,
+      issues: []
+    });
+
+    return sendGroupPreview(res, group, 200, "Item updated");
+  } catch (error) {
+    logger.error(`Error in updateGroupOrderItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update group order item");
+  }
+});
+
+/**
+ * @desc    Remove a line (participants remove their own, the host can remove any)
+ * @route   DELETE /api/v1/groupOrders/:id/items/:itemId
+ * @access  Private (Participant)
+ */
+const removeGroupOrderItem = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureOpen(group);
+
+    const line = group.items.id(req.params.itemId);
+    if (!line) {
+      throw new ApiError(404, "Item not found");
+    }
+    if (line.participant.toString() !== req.user._id.toString() && group.host.toString() !== req.user._id.toString()) {
+      throw new ApiError(403, "You can only remove your own items");
+    }
+
+    line.deleteOne();
+
+    return sendGroupPreview(res, group, 200, "Item removed from group order");
+  } catch (error) {
+    logger.error(`Error in removeGroupOrderItem: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to remove group order item");
+  }
+});
+
+/**
+ * @desc    Leave a group order, taking the participant's items out of it
+ * @route   DELETE /api/v1/groupOrders/:id/participants/me
+ * @access  Private (Participant)
+ */
+const leaveGroupOrder = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureOpen(group);
+
+    if (group.host.toString() === req.user._id.toString()) {
+      throw new ApiError(400, "The host can't leave the group order. Cancel it instead");
+    }
+
+    const userId = req.user._id.toString();
+    group.participants = group.participants.filter(p => p.user.toString() !== userId);
+    group.items = group.items.filter(line => line.participant.toString() !== userId);
+    await group.save();
+
+    return res.status(200).json(new ApiResponse(200, null, "Left group order successfully"));
+  } catch (error) {
+    logger.error(`Error in leaveGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to leave group order");
+  }
+});
+
+/**
+ * @desc    Set the delivery location, address, payment mode, promotion code, tip or notes
+ * @route   PATCH /api/v1/groupOrders/:id
+ * @access  Private (Host)
+ */
+const updateGroupOrderDetails = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureHost(group, req.user._id);
+    if (!["open", "locked"].includes(group.status)) {
+      throw new ApiError(400, `Group order is ${group.status}`);
+    }
+
+    const {fulfillmentType, coordinates, deliveryAddress, paymentMode, promoCode, tip, customerNotes} = req.body;
+
+    if (fulfillmentType !== undefined) {
+      if (!["delivery", "pickup"].includes(fulfillmentType)) {
+        throw new ApiError(400, "Fulfillment type must be either 'delivery' or 'pickup'");
+      }
+      group.fulfillmentType = fulfillmentType;
+    }
+    if (coordinates !== undefined) {
+      if (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(c => typeof c === "number")) {
+        throw new ApiError(400, "Coordinates must be an array of [longitude, latitude]");
+      }
+      group.coordinates = coordinates;
+    }
+    if (paymentMode !== undefined) {
+      if (!["host", "split"].includes(paymentMode)) {
+        throw new ApiError(400, "Payment mode must be 'host' or 'split'");
+      }
+      group.paymentMode = paymentMode;
+    }
+    if (tip !== undefined) {
+      if (typeof tip !== "number" || tip < 0) {
+        throw new ApiError(400, "Tip must be a positive number");
+      }
+      group.tip = tip;
+    }
+    if (deliveryAddress !== undefined) {
+      group.deliveryAddress = deliveryAddress;
+    }
+    if (promoCode !== undefined) {
+      group.promoCode = promoCode || undefined;
+    }
+    if (customerNotes !== undefined) {
+      group.customerNotes = customerNotes;
+    }
+
+    return sendGroupPreview(res, group, 200, "Group order updated");
+  } catch (error) {
+    logger.error(`Error in updateGroupOrderDetails: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update group order");
+  }
+});
+
+/**
+ * @desc    Lock the group order so nobody changes items while the host checks out
+ * @route   POST /api/v1/groupOrders/:id/lock
+ * @access  Private (Host)
+ */
+const lockGroupOrder = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureHost(group, req.user._id);
+    ensureOpen(group);
+
+    if (group.items.length === 0) {
+      throw new ApiError(400, "Add items before locking the group order");
+    }
+
+    group.status = "locked";
+    group.lockedAt = new Date();
+
+    return sendGroupPreview(res, group, 200, "Group order locked");
+  } catch (error) {
+    logger.error(`Error in lockGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to lock group order");
+  }
+});
+
+/**
+ * @desc    Unlock the group order so participants can change their items again
+ * @route   POST /api/v1/groupOrders/:id/unlock
+ * @access  Private (Host)
+ */
+const unlockGroupOrder = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureHost(group, req.user._id);
+
+    if (group.status !== "locked") {
+      throw new ApiError(400, "Group order is not locked");
+    }
+
+    group.status = "open";
+    group.lockedAt = undefined;
+
+    return sendGroupPreview(res, group, 200, "Group order unlocked");
+  } catch (error) {
+    logger.error(`Error in unlockGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to unlock group order");
+  }
+});
+
+/**
+ * @desc    Submit the locked group order as one food delivery order with per-participant attribution and shares
+ * @route   POST /api/v1/groupOrders/:id/submit
+ * @access  Private (Host)
+ */
+const submitGroupOrder = asyncHandler(async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id, session);
+    ensureHost(group, req.user._id);
+    if (group.status !== "locked") {
+      throw new ApiError(400, "Lock the group order before submitting it");
+    }
+
+    const venue = await FoodVenue.findById(group.venue).session(session);
+    if (!venue) {
+      throw new ApiError(404, "Venue not found");
+    }
+
+    // Prices may have moved since the participants added their items
+    const {repriced} = repriceCart(group, venue);
+    const unavailable = group.items.filter(line => !line.isAvailable);
+    if (unavailable.length > 0) {
+      throw new ApiError(409, "Some items in the group order are no longer available", unavailable.map(line => ({lineId: line._id, name: line.name, participant: line.participant, reasons: line.issues})));
+    }
+    if (repriced.length > 0 && !req.body.acceptChanges) {
+      throw new ApiError(409, "Some prices in the group order have changed. Review it or submit with acceptChanges", repriced);
+    }
+
+    const saved = group.toObject();
+    const createdOrder = await placeFoodDeliveryOrder(req.user._id, {
+      venue: venue._id,
+      items: group.items.map(toRequestItem),
+      fulfillmentType: req.body.fulfillmentType || saved.fulfillmentType,
+      coordinates: req.body.coordinates || saved.coordinates,
+      deliveryAddress: {
+        ...saved.deliveryAddress,
+        ...req.body.deliveryAddress
+      },
+      paymentMethod: req.body.paymentMethod,
+      tip: req.body.tip ?? saved.tip,
+      promoCode: req.body.promoCode ?? saved.promoCode,
+      customerNotes: req.body.customerNotes ?? saved.customerNotes,
+      scheduledFor: req.body.scheduledFor,
+      requireHandoffPin: req.body.requireHandoffPin,
+      contactlessDelivery: req.body.contactlessDelivery
+    }, session);
+
+    // Order lines follow the group's lines one for one; who added each is only ever taken from the group
+    createdOrder.items.forEach((item, index) => {
+      item.participant = group.items[index].participant;
+    });
+    createdOrder.groupOrder = {
+      group: group._id,
+      paymentMode: group.paymentMode,
+      participants: splitOrderTotal(createdOrder, {participants: group.participants, hostId: group.host, paymentMode: group.paymentMode})
+    };
+    await createdOrder.save({session});
+
+    group.status = "submitted";
+    group.order = createdOrder._id;
+    group.submittedAt = new Date();
+    await group.save({session});
+
+    await session.commitTransaction();
+
+    publishNewOrder(createdOrder);
+
+    logger.info(`Group order ${group._id} submitted as order ${createdOrder._id}`);
+    return res.status(201).json(new ApiResponse(201, createdOrder, "Group order submitted successfully"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in submitGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to submit group order");
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @desc    Cancel a group order that hasn't been submitted
+ * @route   DELETE /api/v1/groupOrders/:id
+ * @access  Private (Host)
+ */
+const cancelGroupOrder = asyncHandler(async (req, res) => {
+  try {
+    const group = await getParticipantGroup(req.params.id, req.user._id);
+    ensureHost(group, req.user._id);
+    if (!["open", "locked"].includes(group.status)) {
+      throw new ApiError(400, `Group order is already ${group.status}`);
+    }
+
+    group.status = "cancelled";
+    await group.save();
+
+    return res.status(200).json(new ApiResponse(200, null, "Group order cancelled"));
+  } catch (error) {
+    logger.error(`Error in cancelGroupOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to cancel group order");
+  }
+});
+
+export {
+  createGroupOrder,
+  getMyGroupOrders,
+  getGroupOrderInvite,
+  joinGroupOrder,
+  getGroupOrder,
+  addGroupOrderItem,
+  updateGroupOrderItem,
+  removeGroupOrderItem,
+  leaveGroupOrder,
+  updateGroupOrderDetails,
+  lockGroupOrder,
+  unlockGroupOrder,
+  submitGroupOrder,
+  cancelGroupOrder
+};
@@ -0,0 +1,198 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import BusinessOwner from "../models/businessOwner.models.js";
+import {Service} from "../models/services.models.js";
+import {KITCHEN_QUEUE_STATUSES, buildKitchenCard, buildKitchenQueue, getBumpStatus, getStatusTransitions} from "../utils/kitchenDisplay.js";
+import {hasPendingItemIssues} from "../utils/itemSubstitutions.js";
+import {isDineInOrder} from "../utils/dineIn.js";
+import {getVenuePrepMinutes} from "../utils/deliveryEta.js";
+import {publishVenueEvent} from "../utils/orderEvents.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+// Helper function to load the venue of the signed in business owner
+const getOwnerVenue = async userId => {
+  const businessOwner = await BusinessOwner.findOne({user: userId});
+  if (!businessOwner) {
+    throw new ApiError(403, "User is not a registered business owner");
+  }
+
+  const service = await Service.findOne({owner: businessOwner._id});
+  if (!service) {
+    throw new ApiError(403, "Business owner doesn't have any associated service");
+  }
+
+  const foodVenue = await FoodVenue.findOne({service: service._id}).select("_id name");
+  if (!foodVenue) {
+    throw new ApiError(403, "No food venue found for this business");
+  }
+  return foodVenue;
+};
+
+// Helper function to find one of the venue's orders
+const getVenueOrder = async (venueId, orderId) => {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) {
+    throw new ApiError(400, "Invalid order ID");
+  }
+
+  const order = await FoodDelivery.findOne({_id: orderId, venue: venueId, isDeleted: false});
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+  return order;
+};
+
+/**
+ * @desc    Active orders grouped by kitchen stage (new, preparing, ready, awaiting driver) with timers and flags
+ * @route   GET /api/v1/kitchen/queue
+ * @access  Private (Business Owner)
+ */
+const getKitchenQueue = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+
+    const [orders, historicalPrepMinutes] = await Promise.all([
+      FoodDelivery.find({
+        venue: venue._id,
+        isDeleted: false,
+        deliveryStatus: {
+          $in: KITCHEN_QUEUE_STATUSES
+        }
+      }).select("customer.name fulfillmentType dineIn.table deliveryTiming scheduledFor releaseAt items busyExtraPrepMinutes deliveryStatus paymentStatus customerNotes " +
+        "trackingUpdates.status trackingUpdates.timestamp itemIssues.status deliveryDriver createdAt").populate("deliveryDriver", "fullName phone"),
+      getVenuePrepMinutes(venue._id)
+    ]);
+
+    const queue = buildKitchenQueue(orders, {historicalPrepMinutes});
+
+    return res.status(200).json(new ApiResponse(200, {
+      venue: {
+        _id: venue._id,
+        name: venue.name
+      },
+      counts: Object.fromEntries(Object.entries(queue).map(([stage, cards]) => [stage, cards.length])),
+      queue,
+      generatedAt: new Date()
+    }, "Kitchen queue retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getKitchenQueue: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve kitchen queue");
+  }
+});
+
+/**
+ * @desc    Bump an order to its next kitchen stage
+ * @route   POST /api/v1/kitchen/orders/:id/bump
+ * @access  Private (Business Owner)
+ */
+const bumpKitchenOrder = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const order = await getVenueOrder(venue._id, req.params.id);
+    const {fromStatus, notes} = req.body;
+
+    // Two screens bumping the same ticket only move it once
+    if (fromStatus && fromStatus !== order.deliveryStatus) {
+      throw new ApiError(409, `Order was already moved to ${order.deliveryStatus}`);
+    }
+
+    const nextStatus = getBumpStatus(order);
+    if (!nextStatus) {
+      throw new ApiError(400, order.deliveryStatus === "ready_for_pickup"
+        ? "Hand pickup orders over with the customer's pickup code"
+        : `Nothing left for the kitchen to do while the order is ${order.deliveryStatus}`);
+    }
+
+    if (order.paymentStatus !== "paid" && !isDineInOrder(order)) {
+      throw new ApiError(400, "Order status cannot be updated until payment is completed");
+    }
+    if (["ready", "ready_for_pickup"].includes(nextStatus) && hasPendingItemIssues(order)) {
+      throw new ApiError(400, "Wait for the customer to answer about the unavailable items first");
+    }
+    if (notes !== undefined && (typeof notes !== "string" || notes.length > 200)) {
+      throw new ApiError(400, "Notes must be a string of at most 200 characters");
+    }
+
+    if (nextStatus === "ready_for_pickup") {
+      order.set("pickup.readyAt", new Date());
+    }
+    await order.updateStatus(nextStatus, "venue", notes || "Bumped on the kitchen display", null, {transitions: getStatusTransitions(order)});
+
+    const historicalPrepMinutes = await getVenuePrepMinutes(venue._id);
+
+    logger.info(`Order ${order._id} bumped to ${nextStatus} on the kitchen display of venue ${venue._id}`);
+    return res.status(200).json(new ApiResponse(200, buildKitchenCard(order, {historicalPrepMinutes}), "Order bumped successfully"));
+  } catch (error) {
+    logger.error(`Error in bumpKitchenOrder: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to bump order");
+  }
+});
+
+/**
+ * @desc    Check an item off as done, or uncheck it
+ * @route   PATCH /api/v1/kitchen/orders/:id/items/:itemId
+ * @access  Private (Business Owner)
+ */
+const setKitchenItemDone = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const order = await getVenueOrder(venue._id, req.params.id);
+    const {done} = req.body;
+
+    if (typeof done !== "boolean") {
+      throw new ApiError(400, "done must be a boolean");
+    }
+    if (!["pending", "scheduled", "preparing"].includes(order.deliveryStatus)) {
+      throw new ApiError(400, `Items cannot be checked off once the order is ${order.deliveryStatus}`);
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.itemId)) {
+      throw new ApiError(400, "Invalid item ID");
+    }
+
+    const item = order.items.id(req.params.itemId);
+    if (!item) {
+      throw new ApiError(404, "Item not found in this order");
+    }
+
+    item.preparedAt = done
+      ? item.preparedAt || new Date()
+      : undefined;
+    await order.save();
+
+    // Keeps every kitchen screen of the venue in sync
+    publishVenueEvent(venue._id, "kitchen_item", {
+      orderId: order._id,
+      itemId: item._id,
+      done
+    });
+
+    const historicalPrepMinutes = await getVenuePrepMinutes(venue._id);
+    return res.status(200).json(new ApiResponse(200, buildKitchenCard(order, {historicalPrepMinutes}), done
+      ? "Item checked off"
+      : "Item unchecked"));
+  } catch (error) {
+    logger.error(`Error in setKitchenItemDone: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to update item");
+  }
+});
+
+export {
+  getKitchenQueue,
+  bumpKitchenOrder,
+  setKitchenItemDone
+};
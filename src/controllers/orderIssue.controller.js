@@ -0,0 +1,598 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import OrderIssue from "../models/orderIssue.models.js";
+import StoreCredit from "../models/storeCredit.models.js";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import DeliveryDriver from "../models/deliveryDriver.models.js";
+import BusinessOwner from "../models/businessOwner.models.js";
+import {Service} from "../models/services.models.js";
+import {RESOLUTION_OUTCOMES, openOrderIssue as openIssue, resolveOrderIssue as resolveIssue, respondToOrderIssue as respondToIssue} from "../utils/orderIssues.js";
+import {roundToCurrency} from "../utils/currency.js";
+import {issueOrderRefunds} from "../utils/orderCancellation.js";
+import {publishOrderEvent, publishVenueEvent} from "../utils/orderEvents.js";
+import {checkAdminPermissions} from "../utils/adminPermissions.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const ISSUE_STATUSES = ["open", "venue_responded", "resolving", "resolved"];
+
+// Helper function to load the venue of the signed in business owner
+const getOwnerVenue = async userId => {
+  const businessOwner = await BusinessOwner.findOne({user: userId});
+  if (!businessOwner) {
+    throw new ApiError(403, "User is not a registered business owner");
+  }
+
+  const service = await Service.findOne({owner: businessOwner._id});
+  if (!service) {
+    throw new ApiError(403, "Business owner doesn't have any associated service");
+  }
+
+  const foodVenue = await FoodVenue.findOne({service: service._id}).select("_id name");
+  if (!foodVenue) {
+    throw new ApiError(403, "No food venue found for this business");
+  }
+  return foodVenue;
+};
+
+// Helper function to find an issue matching the caller's scope
+const findIssue = async (id, scope = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid issue ID");
+  }
+
+  const issue = await OrderIssue.findOne({
+    _id: id,
+    ...scope
+  });
+  if (!issue) {
+    throw new ApiError(404, "Issue not found");
+  }
+  return issue;
+};
+
+// Helper function to read pagination and a status filter from the query
+const getListOptions = query => {
+  const {
+    page = 1,
+    limit = 10,
+    status
+  } = query;
+
+  if (status && !ISSUE_STATUSES.includes(status)) {
+    throw new ApiError(400, `Status must be one of: ${ISSUE_STATUSES.join(", ")}`);
+  }
+
+  return {
+    filter: status
+      ? {
+        status
+      }
+      : {},
+    options: {
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit) || 10, 100),
+      sort: {
+        createdAt: -1
+      }
+    }
+  };
+};
+
+// Helper function to read the issue items sent as JSON in a multipart form
+const parseIssueItems = items => {
+  if (typeof items !== "string") {
+    return items;
+  }
+  try {
+    return JSON.parse(items);
+  } catch {
+    throw new ApiError(400, "Items must be a JSON array");
+  }
+};
+
+/**
+ * @desc    Report missing, wrong or damaged items of a delivered order, with up to 5 photos
+ * @route   POST /api/v1/orderIssues/customer/orders/:orderId
+ * @access  Private (Customer)
+ */
+const openOrderIssue = asyncHandler(async (req, res) => {
+  const photoPaths = (req.files || []).map(file => file.path);
+
+  try {
+    const {orderId} = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      throw new ApiError(400, "Invalid order ID");
+    }
+
+    const order = await FoodDelivery.findOne({_id: orderId, isDeleted: false});
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    const issue = await openIssue({
+      order,
+      userId: req.user._id,
+      items: parseIssueItems(req.body.items),
+      description: req.body.description,
+      photoPaths
+    });
+
+    publishVenueEvent(order.venue, "order_issue_opened", {
+      orderId: order._id,
+      issueId: issue._id,
+      items: issue.items
+    });
+
+    logger.info(`Customer ${req.user._id} reported issue ${issue._id} with ${issue.items.length} item(s) of order ${order._id}`);
+    return res.status(201).json(new ApiResponse(201, issue, "Issue reported successfully"));
+  } catch (error) {
+    logger.error(`Error in openOrderIssue: ${error.message}`);
+
+    // Two reports sent at the same time, only the first one is kept
+    if (error.code === 11000) {
+      throw new ApiError(409, "An issue with this order is already being handled");
+    }
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to report issue");
+  }
+});
+
+/**
+ * @desc    Get the signed in customer's issues
+ * @route   GET /api/v1/orderIssues/customer
+ * @access  Private (Customer)
+ */
+const getMyOrderIssues = asyncHandler(async (req, res) => {
+  const {filter, options} = getListOptions(req.query);
+
+  const issues = await OrderIssue.paginate({
+    ...filter,
+    customer: req.user._id
+  }, {
+    ...options,
+    select: "-timeline.actorId",
+    populate: {
+      path: "venue",
+      select: "name"
+    }
+  });
+
+  return res.status(200).json(new ApiResponse(200, issues, "Issues retrieved successfully"));
+});
+
+/**
+ * @desc    Get one of the signed in customer's issues with its timeline
+ * @route   GET /api/v1/orderIssues/customer/:id
+ * @access  Private (Customer)
+ */
+const getMyOrderIssue = asyncHandler(async (req, res) => {
+  const issue = await findIssue(req.params.id, {customer: req.user._id});
+  await issue.populate("venue", "name");
+
+  return res.status(200).json(new ApiResponse(200, issue, "Issue retrieved successfully"));
+});
+
+/**
+ * @desc    Store credit balance of the signed in customer per currency, with the latest entries
+ * @route   GET /api/v1/orderIssues/customer/store-credit
+ * @access  Private (Customer)
+ */
+const getMyStoreCredit = asyncHandler(async (req, res) => {
+  const [balances, entries] = await Promise.all([
+    StoreCredit.aggregate([
+      {
+        $match: {
+          user: req.user._id
+        }
+      }, {
+        $group: {
+          _id: "$currency",
+          balance: {
+            $sum: "$amount"
+          }
+        }
+      }, {
+        $sort: {
+          _id: 1
+        }
+      }
+    ]),
+    StoreCredit.find({user: req.user._id}).select("-createdBy").sort({createdAt: -1}).limit(20)
+  ]);
+
+  return res.status(200).json(new ApiResponse(200, {
+    balances: balances.map(({_id: currency, balance}) => ({
+      currency,
+      balance: roundToCurrency(balance, currency)
+    })),
+    entries
+  }, "Store credit retrieved successfully"));
+});
+
+/**
+ * @desc    Issues reported with the business owner's venue orders, or ?status=
+ * @route   GET /api/v1/orderIssues/venue
+ * @access  Private (Business Owner)
+ */
+const getVenueOrderIssues = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const {filter, options} = getListOptions(req.query);
+
+    const issues = await OrderIssue.paginate({
+      ...filter,
+      venue: venue._id
+    }, {
+      ...options,
+      select: "-customer -timeline.actorId"
+    });
+
+    return res.status(200).json(new ApiResponse(200, issues, "Issues retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getVenueOrderIssues: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve issues");
+  }
+});
+
+/**
+ * @desc    Accept or dispute an issue reported with one of the venue's orders
+ * @route   POST /api/v1/orderIssues/venue/:id/response
+ * @access  Private (Business Owner)
+ */
+const respondToOrderIssue = asyncHandler(async (req, res) => {
+  try {
+    const venue = await getOwnerVenue(req.user._id);
+    const issue = await findIssue(req.params.id, {venue: venue._id});
+    const {stance, message} = req.body;
+
+    respondToIssue({issue, stance, message, userId: req.user._id});
+    await issue.save();
+
+    publishOrderEvent(issue.order, "order_issue_updated", {
+      issueId: issue._id,
+      status: issue.status,
+      venueResponse: issue.venueResponse
+    });
+
+    logger.info(`Venue ${venue._id} ${stance} issue ${issue._id}`);
+    return res.status(200).json(new ApiResponse(200, issue, "Response recorded successfully"));
+  } catch (error) {
+    logger.error(`Error in respondToOrderIssue: ${error.message}`);
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to record response");
+  }
+});
+
+/**
+ * @desc    Get issues, filtered by ?status=, ?venue= or ?driver=
+ * @route   GET /api/v1/orderIssues/admin
+ * @access  Private (Admin)
+ */
+const getOrderIssues = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageOrders");
+
+  const {filter, options} = getListOptions(req.query);
+  for (const field of ["venue", "driver"]) {
+    const value = req.query[field];
+    if (value === undefined) {
+      continue;
+    }
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      throw new ApiError(400, `Invalid ${field} ID`);
+    }
+    filter[field] = value;
+  }
+
+  const issues = await OrderIssue.paginate(filter, {
+    ...options,
+    populate: [
+      {
+        path: "venue",
+        select: "name"
+      }, {
+        path: "driver",
+        select: "fullName"
+      }
+    ]
+  });
+
+  return res.status(200).json(new ApiResponse(200, issues, "Issues retrieved successfully"));
+});
+
+/**
+ * @desc    Get an issue with its order, timeline and resolution
+ * @route   GET /api/v1/orderIssues/admin/:id
+ * @access  Private (Admin)
+ */
+const getOrderIssueById = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageOrders");
+
+  const issue = await findIssue(req.params.id);
+  await issue.populate([
+    {
+      path: "order",
+      select: "items subtotal tax tip totalAmount refundAmount currency paymentMethod paymentStatus actualDeliveryTime proofOfDelivery.photoUrl"
+    }, {
+      path: "venue",
+      select: "name"
+    }, {
+      path: "driver",
+      select: "fullName phone"
+    }, {
+      path: "customer",
+      select: "fullName email"
+    }
+  ]);
+
+  return res.status(200).json(new ApiResponse(200, issue, "Issue retrieved successfully"));
+});
+
+/**
+ * @desc    Resolve an issue with a full, partial or item refund, store credit or no action
+ * @route   POST /api/v1/orderIssues/admin/:id/resolve
+ * @access  Private (Admin)
+ */
+const resolveOrderIssue = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "managePayments");
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const {id} = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Invalid issue ID");
+    }
+
+    // Claim the issue before any money moves, so only one admin can resolve it
+    const issue = await OrderIssue.findOneAndUpdate({
+      _id: id,
+      status: {
+        $in: ["open", "venue_responded"]
+      }
+    }, {
+      $set: {
+        status: "resolving"
+      }
+    }, {
+      new: true,
+      session
+    });
+    if (!issue) {
+      const exists = await OrderIssue.exists({_id: id}).session(session);
+      throw exists
+        ? new ApiError(409, "This issue is already resolved or being resolved")
+        : new ApiError(404, "Issue not found");
+    }
+
+    const order = await FoodDelivery.findById(issue.order).session(session);
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    const {outcome, amount, responsibleParty, note} = req.body;
+    await resolveIssue({
+      issue,
+      order,
+      outcome,
+      amount,
+      responsibleParty,
+      note,
+      adminId: req.admin._id,
+      session
+    });
+    await issue.save({session});
+    await session.commitTransaction();
+    issueOrderRefunds(order._id);
+
+    publishOrderEvent(order._id, "order_issue_updated", {
+      issueId: issue._id,
+      status: issue.status,
+      resolution: {
+        outcome: issue.resolution.outcome,
+        amount: issue.resolution.amount
+      }
+    });
+    publishVenueEvent(order.venue, "order_issue_resolved", {
+      orderId: order._id,
+      issueId: issue._id,
+      outcome: issue.resolution.outcome,
+      responsibleParty: issue.resolution.responsibleParty
+    });
+
+    logger.info(`Issue ${issue._id} resolved with ${outcome} of ${issue.resolution.amount} ${issue.currency} by admin ${req.admin._id}`);
+    return res.status(200).json(new ApiResponse(200, issue, "Issue resolved successfully"));
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    logger.error(`Error in resolveOrderIssue: ${error.message}`);
+
+    // Another admin claimed the issue at the same time (112: transaction write conflict)
+    if (error instanceof mongoose.Error.VersionError || error.code === 112) {
+      throw new ApiError(409, "This issue was updated by someone else, reload it and try again");
+    }
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to resolve issue");
+  } finally {
+    session.endSession();
+  }
+});
+
+/**
+ * @desc    Issues and resolution outcomes per venue or per driver (?groupBy=venue|driver&from&to), per currency
+ * @route   GET /api/v1/orderIssues/admin/reports
+ * @access  Private (Admin)
+ */
+const getOrderIssueReport = asyncHandler(async (req, res) => {
+  try {
+    checkAdminPermissions(req.admin, "viewSalesReports");
+
+    const {
+      groupBy = "venue",
+      from,
+      to
+    } = req.query;
+    if (!["venue", "driver"].includes(groupBy)) {
+      throw new ApiError(400, "groupBy must be venue or driver");
+    }
+
+    const createdAt = {};
+    const range = {
+      $gte: from,
+      $lt: to
+    };
+    for (const [operator, value] of Object.entries(range)) {
+      if (value === undefined) {
+        continue;
+      }
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new ApiError(400, "from and to must be valid dates");
+      }
+      createdAt[operator] = date;
+    }
+
+    const countWhen = condition => ({
+      $sum: {
+        $cond: [condition, 1, 0]
+      }
+    });
+    const sumWhen = (condition, value) => ({
+      $sum: {
+        $cond: [condition, value, 0]
+      }
+    });
+    const isRefund = {
+      $in: [
+        "$resolution.outcome",
+        ["full_refund", "partial_refund", "item_refund"]
+      ]
+    };
+
+    const rows = await OrderIssue.aggregate([
+      {
+        $match: {
+          [groupBy]: {
+            $ne: null
+          },
+          ...(Object.keys(createdAt).length > 0 && {
+            createdAt
+          })
+        }
+      }, {
+        $group: {
+          _id: {
+            party: `$${groupBy}`,
+            currency: "$currency"
+          },
+          issues: {
+            $sum: 1
+          },
+          unresolved: countWhen({
+            $ne: ["$status", "resolved"]
+          }),
+          // Resolved issues the admin put down to this venue or driver
+          attributed: countWhen({
+            $eq: ["$resolution.responsibleParty", groupBy]
+          }),
+          disputedByVenue: countWhen({
+            $eq: ["$venueResponse.stance", "disputed"]
+          }),
+          ...Object.fromEntries(RESOLUTION_OUTCOMES.map(outcome => [
+            outcome,
+            countWhen({
+              $eq: ["$resolution.outcome", outcome]
+            })
+          ])),
+          refunded: sumWhen(isRefund, "$resolution.amount"),
+          storeCredit: sumWhen({
+            $eq: ["$resolution.outcome", "store_credit"]
+          }, "$resolution.amount"),
+          attributedAmount: sumWhen({
+            $eq: ["$resolution.responsibleParty", groupBy]
+          }, "$resolution.amount")
+        }
+      }, {
+        $sort: {
+          issues: -1
+        }
+      }, {
+        $limit: 500
+      }
+    ]);
+
+    const partyModel = groupBy === "venue"
+      ? FoodVenue
+      : DeliveryDriver;
+    const parties = await partyModel.find({
+      _id: {
+        $in: rows.map(row => row._id.party)
+      }
+    }).select(groupBy === "venue"
+      ? "name"
+      : "fullName");
+    const names = new Map(parties.map(party => [
+      party._id.toString(),
+      party.name || party.fullName
+    ]));
+
+    const report = rows.map(row => {
+      const currency = row._id.currency;
+      return {
+        [groupBy]: {
+          _id: row._id.party,
+          name: names.get(row._id.party.toString()) || null
+        },
+        currency,
+        issues: row.issues,
+        unresolved: row.unresolved,
+        attributed: row.attributed,
+        disputedByVenue: row.disputedByVenue,
+        outcomes: Object.fromEntries(RESOLUTION_OUTCOMES.map(outcome => [outcome, row[outcome]])),
+        refunded: roundToCurrency(row.refunded, currency),
+        storeCredit: roundToCurrency(row.storeCredit, currency),
+        attributedAmount: roundToCurrency(row.attributedAmount, currency)
+      };
+    });
+
+    return res.status(200).json(new ApiResponse(200, {
+      groupBy,
+      report
+    }, "Issue report retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getOrderIssueReport: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(500, "Failed to retrieve issue report");
+  }
+});
+
+export {
+  openOrderIssue,
+  getMyOrderIssues,
+  getMyOrderIssue,
+  getMyStoreCredit,
+  getVenueOrderIssues,
+  respondToOrderIssue,
+  getOrderIssues,
+  getOrderIssueById,
+  resolveOrderIssue,
+  getOrderIssueReport
+};
@@ -0,0 +1,397 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import Promotion from "../models/promotion.models.js";
+import PromotionRedemption from "../models/promotionRedemption.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import BusinessOwner from "../models/businessOwner.models.js";
+import {Service} from "../models/services.models.js";
+import {findApplicablePromotion, applyPromotion} from "../utils/promotions.js";
+import {checkAdminPermissions} from "../utils/adminPermissions.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const EDITABLE_FIELDS = [
+  "description",
+  "type",
+  "value",
+  "maxDiscount",
+  "minSubtotal",
+  "startsAt",
+  "endsAt",
+  "usageLimit",
+  "usageLimitPerUser",
+  "venues",
+  "isActive"
+];
+
+// Discount terms that are fixed once the promotion has been redeemed
+const LOCKED_AFTER_REDEMPTION = ["type", "value"];
+
+// Helper function to work out who is managing promotions (admin or business owner) and which venues they may scope to
+const resolvePromotionManager = async req => {
+  if (req.admin) {
+    checkAdminPermissions(req.admin, "manageDiscounts");
+    return {model: "Admin", id: req.admin._id, venueIds: null};
+  }
+
+  if (
+    req.user
+    ?.role !== "business_owner") {
+    throw new ApiError(403, "Only admins and business owners can manage promotions");
+  }
+
+  const businessOwner = await BusinessOwner.findOne({user: req.user._id});
+  if (!businessOwner) {
+    throw new ApiError(403, "User is not a registered business owner");
+  }
+
+  const services = await Service.find({owner: businessOwner._id}).select("_id");
+  const venues = await FoodVenue.find({
+    service: {
+      $in: services.map(s => s._id)
+    }
+  }).select("_id");
+
+  if (venues.length === 0) {
+    throw new ApiError(403, "No food venue found for this business");
+  }
+
+  return {
+    model: "BusinessOwner",
+    id: businessOwner._id,
+    venueIds: venues.map(v => v._id.toString())
+  };
+};
+
+// Helper function to validate the venue scope of a promotion for its manager
+const resolveVenueScope = async (manager, venues) => {
+  if (venues !== undefined && !Array.isArray(venues)) {
+    throw new ApiError(400, "Venues must be an array of venue IDs");
+  }
+
+  // Business owner promotions default to (and must stay within) their own venues
+  if (manager.venueIds) {
+    if (!venues || venues.length === 0) {
+      return manager.venueIds;
+    }
+    const foreign = venues.filter(v => !manager.venueIds.includes(v.toString()));
+    if (foreign.length > 0) {
+      throw new ApiError(403, "You can only create promotions for your own venues");
+    }
+    return venues;
+  }
+
+  if (!venues || venues.length === 0) {
+    return [];
+  }
+
+  if (!venues.every(v => mongoose.Types.ObjectId.isValid(v))) {
+    throw new ApiError(400, "Invalid venue ID in promotion venues");
+  }
+
+  const found = await FoodVenue.countDocuments({
+    _id: {
+      $in: venues
+    }
+  });
+  if (found !== new Set(venues.map(v => v.toString())).size) {
+    throw new ApiError(404, "One or more promotion venues were not found");
+  }
+
+  return venues;
+};
+
+// Helper function to load a promotion the manager is allowed to change
+const getManagedPromotion = async (id, manager) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid promotion ID");
+  }
+
+  const promotion = await Promotion.findById(id);
+  if (!promotion) {
+    throw new ApiError(404, "Promotion not found");
+  }
+
+  if (manager.model === "BusinessOwner" && (promotion.createdByModel !== "BusinessOwner" || promotion.createdBy.toString() !== manager.id.toString())) {
+    throw new ApiError(403, "You can only manage your own promotions");
+  }
+
+  return promotion;
+};
+
+// @desc    Create a promotion
+// @route   POST /api/v1/promotions/admin | POST /api/v1/promotions/venue
+// @access  Private/Admin (manageDiscounts) or BusinessOwner
+const createPromotion = asyncHandler(async (req, res) => {
+  try {
+    const manager = await resolvePromotionManager(req);
+    const {code} = req.body;
+
+    if (!code || !req.body.type) {
+      throw new ApiError(400, "Promotion code and type are required");
+    }
+
+    const existing = await Promotion.findOne({
+      code: code.toString().trim().toUpperCase()
+    });
+    if (existing) {
+      throw new ApiError(409, `Promotion code "${code}" already exists`);
+    }
+
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+    });
+    data.venues = await resolveVenueScope(manager, req.body.venues);
+
+    const promotion = await Promotion.create({
+      ...data,
+      code,
+      createdBy: manager.id,
+      createdByModel: manager.model
+    });
+
+    logger.info(`Promotion created - Code: ${promotion.code}, By: ${manager.model} ${manager.id}`);
+    return res.status(201).json(new ApiResponse(201, promotion, "Promotion created successfully"));
+  } catch (error) {
+    logger.error(`Error in createPromotion: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof mongoose.Error.ValidationError) {
+      const messages = Object.values(error.errors).map(err => err.message);
+      throw new ApiError(400, `Validation error: ${messages.join(", ")}`);
+    }
+    if (error.code === 11000) {
+      throw new ApiError(409, "Promotion code already exists");
+    }
+    throw error;
+  }
+});
+
+// @desc    Get promotions (all for admins, own for business owners)
+// @route   GET /api/v1/promotions/admin | GET /api/v1/promotions/venue
+// @access  Private/Admin (manageDiscounts) or BusinessOwner
+const getPromotions = asyncHandler(async (req, res) => {
+  try {
+    const manager = await resolvePromotionManager(req);
+    const {
+      page = 1,
+      limit = 10,
+      isActive,
+      venue,
+      search
+    } = req.query;
+
+    const query = {};
+
+    if (manager.model === "BusinessOwner") {
+      query.createdByModel = "BusinessOwner";
+      query.createdBy = manager.id;
+    }
+
+    if (isActive !== undefined) {
+      query.isActive = isActive === "true";
+    }
+
+    if (venue) {
+      if (!mongoose.Types.ObjectId.isValid(venue)) {
+        throw new ApiError(400, "Invalid venue ID");
+      }
+      query.venues = venue;
+    }
+
+    if (search) {
+      query.code = {
+        $regex: search,
+        $options: "i"
+      };
+    }
+
+    const promotions = await Promotion.paginate(query, {
+      page: parseInt(page) || 1,
+      limit: Math.min(parseInt(limit) || 10, 100),
+      sort: {
+        createdAt: -1
+      }
+    });
+
+    return res.status(200).json(new ApiResponse(200, promotions, "Promotions retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getPromotions: ${error.message}`, {stack: error.stack});
+    throw error;
+  }
+});
+
+// @desc    Get a promotion with its redemption summary
+// @route   GET /api/v1/promotions/admin/:id | GET /api/v1/promotions/venue/:id
+// @access  Private/Admin (manageDiscounts) or BusinessOwner
+const getPromotionById = asyncHandler(async (req, res) => {
+  try {
+    const manager = await resolvePromotionManager(req);
+    const promotion = await getManagedPromotion(req.params.id, manager);
+
+    const [summary] = await PromotionRedemption.aggregate([
+      {
+        $match: {
+          promotion: promotion._id
+        }
+      }, {
+        $group: {
+          _id: null,
+          redemptions: {
+            $sum: 1
+          },
+          uniqueCustomers: {
+            $addToSet: "$user"
+          },
+          totalDiscount: {
+            $sum: "$discountAmount"
+          }
+        }
+      }
+    ]);
+
+    return res.status(200).json(new ApiResponse(200, {
+      promotion,
+      redemptions: {
+        count: summary
+          ?.redemptions || 0,
+        uniqueCustomers: summary
+          ?.uniqueCustomers.length || 0,
+        totalDiscount: summary
+          ?.totalDiscount || 0
+      }
+    }, "Promotion retrieved successfully"));
+  } catch (error) {
+    logger.error(`Error in getPromotionById: ${error.message}`, {stack: error.stack});
+    throw error;
+  }
+});
+
+// @desc    Update a promotion
+// @route   PATCH /api/v1/promotions/admin/:id | PATCH /api/v1/promotions/venue/:id
+// @access  Private/Admin (manageDiscounts) or BusinessOwner
+const updatePromotion = asyncHandler(async (req, res) => {
+  try {
+    const manager = await resolvePromotionManager(req);
+    const promotion = await getManagedPromotion(req.params.id, manager);
+
+    const {code} = req.body;
+    if (code !== undefined && typeof code !== "string") {
+      throw new ApiError(400, "Promotion code must be a string");
+    }
+    if (code !== undefined && code.trim().toUpperCase() !== promotion.code) {
+      throw new ApiError(400, "Promotion code cannot be changed; create a new promotion instead");
+    }
+
+    // Customers who redeemed the promotion got the discount it gave then
+    const changedTerms = LOCKED_AFTER_REDEMPTION.filter(field => req.body[field] !== undefined && req.body[field] !== promotion[field]);
+    if (promotion.usageCount > 0 && changedTerms.length > 0) {
+      throw new ApiError(400, `The ${changedTerms.join(" and ")} of a redeemed promotion cannot be changed; create a new promotion instead`);
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && field !== "venues") {
+        promotion[field] = req.body[field];
+      }
+    });
+
+    if (req.body.venues !== undefined) {
+      promotion.venues = await resolveVenueScope(manager, req.body.venues);
+    }
+
+    await promotion.save();
+
+    logger.info(`Promotion updated - Code: ${promotion.code}, By: ${manager.model} ${manager.id}`);
+    return res.status(200).json(new ApiResponse(200, promotion, "Promotion updated successfully"));
+  } catch (error) {
+    logger.error(`Error in updatePromotion: ${error.message}`, {stack: error.stack});
+
+    if (error instanceof mongoose.Error.ValidationError) {
+      const messages = Object.values(error.errors).map(err => err.message);
+      throw new ApiError(400, `Validation error: ${messages.join(", ")}`);
+    }
+    throw error;
+  }
+});
+
+// @desc    Delete an unused promotion (used promotions can only be deactivated)
+// @route   DELETE /api/v1/promotions/admin/:id | DELETE /api/v1/promotions/venue/:id
+// @access  Private/Admin (manageDiscounts) or BusinessOwner
+const deletePromotion = asyncHandler(async (req, res) => {
+  try {
+    const manager = await resolvePromotionManager(req);
+    const promotion = await getManagedPromotion(req.params.id, manager);
+
+    if (promotion.usageCount > 0) {
+      throw new ApiError(400, "Promotion has already been redeemed; deactivate it instead of deleting it");
+    }
+
+    await Promotion.findByIdAndDelete(promotion._id);
+
+    logger.info(`Promotion deleted - Code: ${promotion.code}, By: ${manager.model} ${manager.id}`);
+    return res.status(200).json(new ApiResponse(200, null, "Promotion deleted successfully"));
+  } catch (error) {
+    logger.error(`Error in deletePromotion: ${error.message}`, {stack: error.stack});
+    throw error;
+  }
+});
+
+// @desc    Check a promotion code against a basket before checkout
+// @route   POST /api/v1/promotions/validate
+// @access  Private (Customer)
+const validatePromotionCode = asyncHandler(async (req, res) => {
+  try {
+    const {code, venue, subtotal} = req.body;
+
+    if (req.user.role !== "customer") {
+      throw new ApiError(403, "Only customers can apply promotion codes");
+    }
+
+    if (!code || !venue || typeof subtotal !== "number" || subtotal < 0) {
+      throw new ApiError(400, "Code, venue and a non-negative subtotal are required");
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(venue)) {
+      throw new ApiError(400, "Invalid venue ID");
+    }
+
+    const venueDetails = await FoodVenue.findById(venue).select("deliveryFee");
+    if (!venueDetails) {
+      throw new ApiError(404, "Venue not found");
+    }
+
+    const promotion = await findApplicablePromotion({code, userId: req.user._id, venueId: venue, subtotal});
+
+    // Delivery fee depends on the address, so preview free delivery against the venue's base fee
+    const deliveryFee = {
+      base: venueDetails.deliveryFee.base,
+      total: venueDetails.deliveryFee.base
+    };
+    const {discount, deliveryFee: adjustedDeliveryFee} = applyPromotion(promotion, {subtotal, deliveryFee});
+
+    return res.status(200).json(new ApiResponse(200, {
+      code: promotion.code,
+      type: promotion.type,
+      description: promotion.description,
+      discountAmount: discount.amount,
+      freeDelivery: promotion.type === "free_delivery",
+      estimatedDeliveryDiscount: adjustedDeliveryFee.discount || 0,
+      endsAt: promotion.endsAt
+    }, "Promotion code is valid"));
+  } catch (error) {
+    logger.error(`Error in validatePromotionCode: ${error.message}`);
+    throw error;
+  }
+});
+
+export {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  validatePromotionCode
+};
@@ -0,0 +1,212 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import TaxRule from "../models/taxRule.models.js";
+import {validateTaxRuleFields} from "../utils/taxes.js";
+import {checkAdminPermissions} from "../utils/adminPermissions.js";
+import logger from "../utils/logger.js";
+import mongoose from "mongoose";
+
+const EDITABLE_FIELDS = [
+  "name",
+  "country",
+  "city",
+  "rate",
+  "categoryRates",
+  "pricesIncludeTax",
+  "appliesToDeliveryFee",
+  "appliesToServiceFee",
+  "isActive"
+];
+
+// Helper function to turn database errors of a tax rule into client errors
+const toTaxRuleError = (error, fallbackMessage) => {
+  if (error instanceof mongoose.Error.ValidationError) {
+    const messages = Object.values(error.errors).map(err => err.message);
+    return new ApiError(400, `Validation error: ${messages.join(", ")}`);
+  }
+
+  if (error.code === 11000) {
+    return new ApiError(409, "A tax rule for this country and city already exists");
+  }
+
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  return new ApiError(500, fallbackMessage);
+};
+
+// @desc    Create a tax rule for a country, or a city overriding its country
+// @route   POST /api/v1/taxRules
+// @access  Private/Admin
+const createTaxRule = asyncHandler(async (req, res) => {
+  try {
+    checkAdminPermissions(req.admin, "manageTaxSettings");
+
+    const {
+      name,
+      country,
+      city,
+      rate,
+      categoryRates,
+      pricesIncludeTax,
+      appliesToDeliveryFee,
+      appliesToServiceFee,
+      isActive
+    } = req.body;
+
+    if (!name || !country || rate === undefined) {
+      throw new ApiError(400, "Name, country and rate are required");
+    }
+
+    const errors = validateTaxRuleFields(req.body);
+    if (errors.length > 0) {
+      throw new ApiError(400, "Invalid tax rule", errors);
+    }
+
+    const taxRule = await TaxRule.create({
+      name,
+      country,
+      city: city || null,
+      rate,
+      categoryRates,
+      pricesIncludeTax,
+      appliesToDeliveryFee,
+      appliesToServiceFee,
+      isActive,
+      createdBy: req.admin._id
+    });
+
+    logger.info(`Tax rule ${taxRule._id} (${taxRule.name}, ${taxRule.city || "all cities"}, ${taxRule.country}) created by admin ${req.admin._id}`);
+    return res.status(201).json(new ApiResponse(201, taxRule, "Tax rule created successfully"));
+  } catch (error) {
+    logger.error(`Error in createTaxRule: ${error.message}`, {stack: error.stack});
+    throw toTaxRuleError(error, "Failed to create tax rule");
+  }
+});
+
+// @desc    Get tax rules
+// @route   GET /api/v1/taxRules
+// @access  Private/Admin
+const getTaxRules = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageTaxSettings");
+
+  const {
+    page = 1,
+    limit = 10,
+    country,
+    city,
+    isActive
+  } = req.query;
+
+  const query = {};
+  if (country)
+    query.country = country;
+  if (city)
+    query.city = city;
+  if (isActive !== undefined)
+    query.isActive = isActive === "true";
+
+  const taxRules = await TaxRule.paginate(query, {
+    page: parseInt(page),
+    limit: parseInt(limit),
+    sort: {
+      country: 1,
+      city: 1
+    },
+    collation: {
+      locale: "en",
+      strength: 2
+    }
+  });
+
+  return res.status(200).json(new ApiResponse(200, taxRules, "Tax rules retrieved successfully"));
+});
+
+// @desc    Get a tax rule
+// @route   GET /api/v1/taxRules/:id
+// @access  Private/Admin
+const getTaxRuleById = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageTaxSettings");
+
+  const {id} = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid tax rule ID");
+  }
+
+  const taxRule = await TaxRule.findById(id);
+  if (!taxRule) {
+    throw new ApiError(404, "Tax rule not found");
+  }
+
+  return res.status(200).json(new ApiResponse(200, taxRule, "Tax rule retrieved successfully"));
+});
+
+// @desc    Update a tax rule. Orders already placed keep the tax they were charged
+// @route   PATCH /api/v1/taxRules/:id
+// @access  Private/Admin
+const updateTaxRule = asyncHandler(async (req, res) => {
+  try {
+    checkAdminPermissions(req.admin, "manageTaxSettings");
+
+    const {id} = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new ApiError(400, "Invalid tax rule ID");
+    }
+
+    const errors = validateTaxRuleFields(req.body);
+    if (errors.length > 0) {
+      throw new ApiError(400, "Invalid tax rule", errors);
+    }
+
+    const taxRule = await TaxRule.findById(id);
+    if (!taxRule) {
+      throw new ApiError(404, "Tax rule not found");
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        taxRule[field] = field === "city"
+          ? req.body.city || null
+          : req.body[field];
+      }
+    });
+
+    await taxRule.save();
+
+    logger.info(`Tax rule ${taxRule._id} updated by admin ${req.admin._id}`);
+    return res.status(200).json(new ApiResponse(200, taxRule, "Tax rule updated successfully"));
+  } catch (error) {
+    logger.error(`Error in updateTaxRule: ${error.message}`, {stack: error.stack});
+    throw toTaxRuleError(error, "Failed to update tax rule");
+  }
+});
+
+// @desc    Delete a tax rule. Venues it covered fall back to their country's rule or the platform default
+// @route   DELETE /api/v1/taxRules/:id
+// @access  Private/Admin
+const deleteTaxRule = asyncHandler(async (req, res) => {
+  checkAdminPermissions(req.admin, "manageTaxSettings");
+
+  const {id} = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid tax rule ID");
+  }
+
+  const taxRule = await TaxRule.findByIdAndDelete(id);
+  if (!taxRule) {
+    throw new ApiError(404, "Tax rule not found");
+  }
+
+  logger.info(`Tax rule ${id} deleted by admin ${req.admin._id}`);
+  return res.status(200).json(new ApiResponse(200, null, "Tax rule deleted successfully"));
+});
+
+export {
+  createTaxRule,
+  getTaxRules,
+  getTaxRuleById,
+  updateTaxRule,
+  deleteTaxRule
+};
@@ -0,0 +1,39 @@
+import FoodDeliveryPayment from "../models/foodDeliveryPayment.models.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Changes existing databases need that creating the schemas' indexes doesn't make. Every step checks
+ * whether it is still needed, so they all run on each start.
+ */
+
+// Payments were unique per order until split group orders took one payment per participant
+const dropUniquePaymentOrderIndex = async () => {
+  let indexes;
+  try {
+    indexes = await FoodDeliveryPayment.collection.indexes();
+  } catch (error) {
+    // Nothing to migrate before the first payment is stored
+    if (error.codeName === "NamespaceNotFound") {
+      return;
+    }
+    throw error;
+  }
+
+  const legacyIndex = indexes.find(index => index.unique && Object.keys(index.key).join() === "order");
+  if (!legacyIndex) {
+    return;
+  }
+
+  await FoodDeliveryPayment.collection.dropIndex(legacyIndex.name);
+  // Mongoose could not build the plain order index while the unique one had its name
+  await FoodDeliveryPayment.createIndexes();
+  logger.info(`Dropped the unique ${legacyIndex.name} index of ${FoodDeliveryPayment.collection.collectionName}`);
+};
+
+/**
+ * Bring the connected database up to date with the models
+ * @returns {Promise<void>}
+ */
+export const runMigrations = async () => {
+  await dropUniquePaymentOrderIndex();
+};
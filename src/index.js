@@ -1,13 +1,23 @@
 import db_connection from "./db/index.js";
+import {runMigrations} from "./db/migrations.js";
 import dotenv from "dotenv";
 import app from "./app.js";
+import {startScheduledOrderRelease} from "./utils/scheduledOrders.js";
+import {startAutoDispatch} from "./utils/driverDispatch.js";
+import {startEtaUpdates} from "./utils/deliveryEta.js";
+import {startTripSync} from "./utils/deliveryTrips.js";
+import {startCartExpiry} from "./utils/carts.js";
+import {startRefundRetry} from "./utils/orderCancellation.js";
 // import geocodeCoordinates from "./utils/geoCordinates.js";
 
 // import {createStripePaymentIntent} from "./utils/payment_gateways/stripe.js";
 
 dotenv.config({path: "./.env" , quiet:true});
 
-db_connection().then(() => {
+db_connection().then(async () => {
+  // Update indexes the models changed before serving requests
+  await runMigrations();
+
   const port = process.env.PORT || 8000;
   app.on("err", err => {
     console.log(err);
@@ -16,6 +26,24 @@ db_connection().then(() => {
   app.listen(port, () => {
     console.log("server is listening on port:", port);
   });
+
+  // Release scheduled (order-ahead) orders to venues as their slots approach
+  startScheduledOrderRelease();
+
+  // Offer orders to drivers, expiring unanswered offers and passing them to the next driver
+  startAutoDispatch();
+
+  // Re-estimate delivery times as orders move through their statuses
+  startEtaUpdates();
+
+  // Keep driver trips in step with order status changes
+  startTripSync();
+
+  // Mark carts left untouched past their expiry as abandoned
+  startCartExpiry();
+
+  // Send refunds queued by cancellations and order changes that have not gone through yet
+  startRefundRetry();
 }).catch(err => {
   console.log("something went wrong: \n", err);
 });
@@ -35,3 +35,32 @@ export const verifyJwt = asyncHandler(async (req, _, next) => {
     "invalid access Token");
   }
 });
+
+// Like verifyJwt, but lets requests without a token through as guests (req.user stays unset)
+export const optionalJwt = asyncHandler(async (req, _, next) => {
+  const token = req.cookies
+    ?.accessToken || req.header("Authorization")
+      ?.replace("Bearer ", "");
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+    const user = await User.findById(
+      decodedToken
+      ?._id).select("-password -refreshToken");
+    if (!user) {
+      throw new ApiError(403, "Invalid access Token");
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    throw new ApiError(
+      401, error
+      ?.message,
+    "invalid access Token");
+  }
+});
@@ -0,0 +1,44 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import jwt from "jsonwebtoken";
+import User from "../models/users.models.js";
+import DeliveryDriver from "../models/deliveryDriver.models.js";
+import {ApiError} from "../utils/ApiError.js";
+import dotenv from "dotenv";
+
+dotenv.config({path: "./.env"});
+
+// Accepts either a user (customer/business owner) or a delivery driver token.
+// Sets req.user or req.driver the same way verifyJwt and verifyDriverJwt do.
+export const verifyAnyJwt = asyncHandler(async (req, _, next) => {
+  try {
+    const token = req.cookies
+      ?.accessToken || req.header("Authorization")
+        ?.replace("Bearer ", "");
+
+    if (!token) {
+      throw new ApiError(401, "unauthorised request");
+    }
+
+    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+    if (decodedToken?.role === "driver") {
+      const driver = await DeliveryDriver.findById(decodedToken._id).select("-password -refreshToken -deviceToken -fcmToken");
+      if (!driver) {
+        throw new ApiError(403, "Invalid access token: Driver not found");
+      }
+      req.driver = driver;
+    } else {
+      const user = await User.findById(decodedToken?._id).select("-password -refreshToken");
+      if (!user) {
+        throw new ApiError(403, "Invalid access Token");
+      }
+      req.user = user;
+    }
+
+    next();
+  } catch (error) {
+    throw new ApiError(
+      401, error
+      ?.message || "Invalid access token");
+  }
+});
@@ -0,0 +1,135 @@
+import mongoose, {Schema} from "mongoose";
+
+export const CartItemSchema = new Schema({
+  menuItemId: {
+    type: Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  price: {
+    type: Number,
+    min: 0
+  }, // unit price from the menu when the cart was last priced
+  specialInstructions: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  options: [
+    {
+      _id: false,
+      name: String,
+      choice: String,
+      additionalCost: {
+        type: Number,
+        default: 0
+      },
+      groupId: Schema.Types.ObjectId,
+      optionId: Schema.Types.ObjectId
+    }
+  ],
+  isAvailable: {
+    type: Boolean,
+    default: true
+  },
+  issues: [String] // why the line can't be ordered right now
+});
+
+// A customer's basket at one venue, kept on the server until checkout or expiry
+const cartSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  venue: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodVenue",
+    required: true,
+    index: true
+  },
+  items: [CartItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // available lines only
+  fulfillmentType: {
+    type: String,
+    enum: [
+      "delivery", "pickup"
+    ],
+    default: "delivery"
+  }, // pickup carts need no delivery location
+  coordinates: {
+    type: [Number] // [longitude, latitude]
+  },
+  deliveryAddress: {
+    street: String,
+    city: String,
+    zipCode: String,
+    country: String,
+    unitNumber: String,
+    additionalInfo: String
+  },
+  promoCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  tip: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  customerNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: [
+      "active", "checked_out", "abandoned"
+    ],
+    default: "active",
+    index: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodDelivery"
+  }, // order the cart was checked out into
+  checkedOutAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  } // pushed back on every change, the cart is abandoned after it
+}, {timestamps: true});
+
+// One open cart per customer and venue
+cartSchema.index({
+  user: 1,
+  venue: 1
+}, {
+  unique: true,
+  partialFilterExpression: {
+    status: "active"
+  }
+});
+cartSchema.index({status: 1, expiresAt: 1});
+cartSchema.index({venue: 1, status: 1, updatedAt: -1});
+
+const Cart = mongoose.model("Cart", cartSchema);
+
+export default Cart;
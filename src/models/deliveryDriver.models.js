@@ -217,18 +217,38 @@ const deliveryDriverSchema = new Schema({
     default: 0,
     min: 0
   },
+  declinedOffers: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  expiredOffers: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // offers left unanswered until they timed out
   cancellationRate: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
-  },
+  }, // driver cancellations, declined and expired offers over all deliveries and offers not taken
   onTimePercentage: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
   },
+  totalEarnings: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // delivery fees and tips credited for delivered orders
+  totalTips: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // part of totalEarnings, including tips added after delivery
 
   // Documents
   licensePhoto: {
@@ -333,6 +353,16 @@ deliveryDriverSchema.virtual("activeDeliveries", {
   }
 });
 
+deliveryDriverSchema.virtual("currentTrip", {
+  ref: "DeliveryTrip",
+  localField: "_id",
+  foreignField: "driver",
+  justOne: true,
+  match: {
+    status: "active"
+  }
+});
+
 deliveryDriverSchema.virtual("deliveryHistory", {
   ref: "FoodDelivery",
   localField: "_id",
@@ -439,7 +469,11 @@ deliveryDriverSchema.methods.calculateStats = async function () {
           $sum: {
             $cond: [
               {
-                $lte: ["$actualDeliveryTime", "$estimatedDeliveryTime"]
+                $lte: [
+                  "$actualDeliveryTime", {
+                    $ifNull: ["$etaAtPickup", "$estimatedDeliveryTime"]
+                  }
+                ]
               },
               1,
               0
@@ -450,15 +484,20 @@ deliveryDriverSchema.methods.calculateStats = async function () {
     }
   ]);
 
+  const missedOffers = (this.declinedOffers || 0) + (this.expiredOffers || 0);
+
   if (stats.length > 0) {
     this.totalDeliveries = stats[0].total;
     this.completedDeliveries = stats[0].completed;
-    this.cancellationRate = stats[0].total > 0
-      ? (stats[0].cancelled / stats[0].total) * 100
-      : 0;
     this.onTimePercentage = stats[0].completed > 0
       ? (stats[0].onTime / stats[0].completed) * 100
       : 100;
+  }
+
+  if (stats.length > 0 || missedOffers > 0) {
+    const cancelled = (stats[0]?.cancelled || 0) + missedOffers;
+    const total = (stats[0]?.total || 0) + missedOffers;
+    this.cancellationRate = (cancelled / total) * 100;
     await this.save();
   }
 };
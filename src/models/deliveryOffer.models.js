@@ -0,0 +1,108 @@
+import mongoose, {Schema} from "mongoose";
+
+const OfferStopSchema = new Schema({
+  name: {
+    type: String,
+    trim: true
+  },
+  street: {
+    type: String,
+    trim: true
+  },
+  city: {
+    type: String,
+    trim: true
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  }
+}, {_id: false});
+
+// A delivery job offered to one driver, who accepts or declines it before it expires
+const deliveryOfferSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodDelivery",
+    required: true,
+    index: true
+  },
+  driver: {
+    type: Schema.Types.ObjectId,
+    ref: "DeliveryDriver",
+    required: true,
+    index: true
+  },
+  venue: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodVenue",
+    required: true
+  },
+  trip: {
+    type: Schema.Types.ObjectId,
+    ref: "DeliveryTrip"
+  }, // set when the order would be added to the driver's current trip
+  mode: {
+    type: String,
+    enum: [
+      "manual", "auto"
+    ],
+    required: true
+  }, // venue picked the driver, or the dispatcher did
+  status: {
+    type: String,
+    enum: [
+      "pending", "accepted", "declined", "expired", "withdrawn"
+    ],
+    default: "pending",
+    index: true
+  },
+  pickup: {
+    type: OfferStopSchema,
+    required: true
+  },
+  dropoff: {
+    type: OfferStopSchema,
+    required: true
+  },
+  distanceKm: {
+    type: Number,
+    min: 0
+  }, // driver to venue when the offer was made
+  tripKm: {
+    type: Number,
+    min: 0
+  }, // venue to customer
+  expectedEarnings: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: "USD",
+    uppercase: true
+  },
+  score: {
+    type: Number
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date
+  },
+  declineReason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  }
+}, {timestamps: true});
+
+deliveryOfferSchema.index({status: 1, expiresAt: 1});
+deliveryOfferSchema.index({driver: 1, status: 1, createdAt: -1});
+
+const DeliveryOffer = mongoose.model("DeliveryOffer", deliveryOfferSchema);
+
+export default DeliveryOffer;
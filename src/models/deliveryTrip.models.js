@@ -0,0 +1,92 @@
+import mongoose, {Schema} from "mongoose";
+
+const TripStopSchema = new Schema({
+  type: {
+    type: String,
+    enum: [
+      "pickup", "dropoff"
+    ],
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodDelivery",
+    required: true
+  },
+  venue: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodVenue"
+  },
+  name: {
+    type: String,
+    trim: true
+  }, // venue name or customer name
+  address: {
+    type: String,
+    trim: true
+  },
+  coordinates: {
+    type: [Number], // [longitude, latitude]
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: [
+      "pending", "arrived", "completed", "cancelled"
+    ],
+    default: "pending"
+  },
+  estimatedArrival: {
+    type: Date
+  },
+  arrivedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
+// One driver run carrying one or more orders: every pickup first, then every dropoff
+const deliveryTripSchema = new Schema({
+  driver: {
+    type: Schema.Types.ObjectId,
+    ref: "DeliveryDriver",
+    required: true,
+    index: true
+  },
+  orders: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "FoodDelivery"
+    }
+  ],
+  stops: [TripStopSchema],
+  status: {
+    type: String,
+    enum: [
+      "active", "completed", "cancelled"
+    ],
+    default: "active",
+    index: true
+  },
+  hasPendingOffer: {
+    type: Boolean,
+    default: false
+  }, // an order is being offered to the driver to add to this trip
+  completedAt: {
+    type: Date
+  }
+}, {timestamps: true});
+
+deliveryTripSchema.index({driver: 1, status: 1});
+deliveryTripSchema.index({"stops.coordinates": "2dsphere"});
+
+const DeliveryTrip = mongoose.model("DeliveryTrip", deliveryTripSchema);
+
+export default DeliveryTrip;
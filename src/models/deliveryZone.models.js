@@ -0,0 +1,65 @@
+import mongoose, {Schema} from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+// Platform-wide fee zones managed by admins (e.g. city centre congestion zones)
+const deliveryZoneSchema = new Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: [
+      true, "Zone name is required"
+    ],
+    maxlength: [100, "Zone name cannot exceed 100 characters"]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Description cannot exceed 500 characters"]
+  },
+  country: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  city: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  area: {
+    type: {
+      type: String,
+      enum: [
+        "Polygon", "MultiPolygon"
+      ],
+      required: true
+    },
+    coordinates: {
+      type: Array,
+      required: true
+    }
+  },
+  fee: {
+    type: Number,
+    required: true,
+    min: [0, "Zone fee cannot be negative"]
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin"
+  }
+}, {timestamps: true});
+
+deliveryZoneSchema.index({area: "2dsphere"});
+deliveryZoneSchema.index({country: 1, city: 1});
+
+deliveryZoneSchema.plugin(mongoosePaginate);
+
+const DeliveryZone = mongoose.model("DeliveryZone", deliveryZoneSchema);
+
+export default DeliveryZone;
@@ -0,0 +1,120 @@
+import mongoose, {Schema} from "mongoose";
+
+// A dine-in tab: the rounds ordered at one table, paid together at the end
+const diningTabSchema = new Schema({
+  venue: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodVenue",
+    required: true,
+    index: true
+  },
+  table: {
+    _id: {
+      type: Schema.Types.ObjectId,
+      required: true
+    },
+    label: {
+      type: String,
+      required: true
+    }
+  }, // copied from FoodVenue.diningTables when the tab is opened
+  status: {
+    type: String,
+    enum: [
+      "open", "payment_pending", "paid", "cancelled"
+    ],
+    default: "open",
+    index: true
+  }, // payment_pending: the bill was asked for and no more rounds can be added
+  joinCode: {
+    type: String
+  }, // guests at the table give it to each other to join the tab; staff can read it out too
+  accessKey: {
+    type: String,
+    select: false
+  }, // handed to guests who opened or joined the tab, needed for everything done on it
+  joinAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  }, // wrong join codes since the code was last replaced
+  guest: {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User"
+    }, // set when the guest who opened the tab was signed in
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    }
+  },
+  rounds: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "FoodDelivery"
+    }
+  ],
+  currency: {
+    type: String,
+    uppercase: true
+  }, // the venue's currency when the tab was opened
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tip: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // rounds that were not cancelled, plus tip
+  payment: {
+    method: {
+      type: String,
+      enum: ["stripe", "cash", "card_terminal"]
+    }, // cash and card terminal payments are taken by staff at the table
+    status: {
+      type: String,
+      enum: [
+        "pending", "paid", "failed"
+      ]
+    },
+    transactionId: {
+      type: String
+    },
+    paidAt: {
+      type: Date
+    }
+  },
+  closedAt: {
+    type: Date
+  }
+}, {timestamps: true});
+
+// One tab at a time per table
+diningTabSchema.index({
+  venue: 1,
+  "table._id": 1
+}, {
+  unique: true,
+  partialFilterExpression: {
+    status: {
+      $in: ["open", "payment_pending"]
+    }
+  }
+});
+
+const DiningTab = mongoose.model("DiningTab", diningTabSchema);
+
+export default DiningTab;
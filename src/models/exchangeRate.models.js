@@ -0,0 +1,26 @@
+import mongoose, {Schema} from "mongoose";
+
+// Admin-managed rate of a currency to the platform base currency (BASE_CURRENCY), used for reporting only
+const exchangeRateSchema = new Schema({
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    required: true,
+    unique: true,
+    match: [/^[A-Z]{3}$/, "Currency must be a valid 3-letter ISO code"]
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0.00000001, "Rate must be greater than 0"]
+  }, // base currency units per unit of currency, e.g. 0.0075 for NPR with a USD base
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin"
+  }
+}, {timestamps: true});
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+
+export default ExchangeRate;
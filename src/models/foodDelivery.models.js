@@ -1,5 +1,7 @@
 import mongoose, {Schema} from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import {publishStatusChange} from "../utils/orderEvents.js";
+import {calculateTax} from "../utils/taxes.js";
 
 const foodDeliverySchema = new Schema({
   //  Reference to the customer placing the order
@@ -16,7 +18,7 @@ const foodDeliverySchema = new Schema({
   //     message: "Customer must be a valid user with customer role"
   //   }
   // },
-  // Reference to the customer placing the order
+  // Reference to the customer placing the order (dine-in guests may order without an account)
   customer: {
     type: new Schema({
       _id: {
@@ -35,7 +37,9 @@ const foodDeliverySchema = new Schema({
         type: String
       }
     }),
-    required: true
+    required: function () {
+      return this.fulfillmentType !== "dine_in";
+    }
   },
   // Reference to the food venue
   venue: {
@@ -52,6 +56,16 @@ const foodDeliverySchema = new Schema({
     }
   },
 
+  // Delivered by a driver, collected at the venue by the customer, or served at a table
+  fulfillmentType: {
+    type: String,
+    enum: [
+      "delivery", "pickup", "dine_in"
+    ],
+    default: "delivery",
+    index: true
+  },
+
   // Delivery address (can be different from user's default address)
   deliveryAddress: {
     type: {
@@ -100,7 +114,9 @@ const foodDeliverySchema = new Schema({
         maxlength: 200
       }
     },
-    required: true
+    required: function () {
+      return this.fulfillmentType === "delivery";
+    }
   },
 
   // Order items with detailed information
@@ -111,7 +127,8 @@ const foodDeliverySchema = new Schema({
         required: true,
         validate: {
           validator: async function (menuItemId) {
-            const venue = await mongoose.model("FoodVenue").findOne({"menuItems._id": menuItemId});
+            const venueId = this.ownerDocument().venue;
+            const venue = await mongoose.model("FoodVenue").findOne({_id: venueId, "menuItems._id": menuItemId});
             return !!venue;
           },
           message: "Menu item must exist in the venue's menu"
@@ -153,9 +170,106 @@ const foodDeliverySchema = new Schema({
             type: Number,
             default: 0,
             min: 0
+          },
+          // References to the menu item's modifier group/option this choice was priced from
+          groupId: {
+            type: Schema.Types.ObjectId
+          },
+          optionId: {
+            type: Schema.Types.ObjectId
           }
         }
-      ]
+      ],
+      participant: {
+        type: Schema.Types.ObjectId,
+        ref: "User"
+      }, // group orders: who added the item, for the receipt
+      taxCategory: {
+        type: String
+      }, // copied from the menu item, picks the tax rate of the line
+      preparedAt: {
+        type: Date
+      } // checked off as done on the kitchen display
+    }
+  ],
+
+  // Lines the venue ran out of after the order was placed, and what the customer chose to do
+  itemIssues: [
+    {
+      item: {
+        type: Schema.Types.ObjectId,
+        required: true
+      }, // _id of the line in items
+      name: {
+        type: String,
+        required: true
+      },
+      quantity: {
+        type: Number,
+        required: true
+      },
+      unitPrice: {
+        type: Number,
+        required: true
+      }, // price of one unit including options, as ordered
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: 200
+      },
+      substitutes: [
+        {
+          menuItemId: {
+            type: Schema.Types.ObjectId,
+            required: true
+          },
+          name: {
+            type: String,
+            required: true
+          },
+          price: {
+            type: Number,
+            required: true,
+            min: 0
+          },
+          options: [
+            {
+              name: String,
+              choice: String,
+              additionalCost: Number,
+              groupId: Schema.Types.ObjectId,
+              optionId: Schema.Types.ObjectId
+            }
+          ],
+          taxCategory: String
+        }
+      ], // proposed by the venue, priced from the menu
+      status: {
+        type: String,
+        enum: [
+          "pending", "substituted", "removed", "rejected"
+        ],
+        default: "pending"
+      }, // rejected: the customer declined the change and the order was cancelled
+      substitute: {
+        type: Schema.Types.ObjectId
+      }, // substitutes entry the customer accepted
+      resolvedBy: {
+        type: String,
+        enum: ["customer", "venue"]
+      },
+      refundAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      reportedAt: {
+        type: Date,
+        default: Date.now
+      },
+      resolvedAt: {
+        type: Date
+      }
     }
   ],
 
@@ -195,6 +309,25 @@ const foodDeliverySchema = new Schema({
         type: Number,
         default: 0
       }, // city-zone based surcharge (NYC congestion fee, SG CBD fee, etc.)
+      zones: [
+        {
+          zoneId: {
+            type: Schema.Types.ObjectId
+          },
+          zoneName: {
+            type: String,
+            trim: true
+          },
+          source: {
+            type: String,
+            enum: ["venue", "platform"]
+          },
+          fee: {
+            type: Number,
+            default: 0
+          }
+        }
+      ], // fee zones the delivery address resolved to
       currency: {
         type: String,
         default: "USD",
@@ -224,16 +357,88 @@ const foodDeliverySchema = new Schema({
     },
     required: true
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    validate: {
+      validator: v => /^[A-Z]{3}$/.test(v),
+      message: props => `${props.value} is not a valid ISO currency code`
+    }
+  }, // the venue's currency when the order was placed; every amount of the order is in it
   tax: {
     type: Number,
     required: true,
     min: 0
+  }, // added on top of the prices; 0 when prices include tax, see taxBreakdown.totalTax
+  // Tax rule the order was charged under and the tax of each rate
+  taxBreakdown: {
+    rule: {
+      type: Schema.Types.ObjectId,
+      ref: "TaxRule"
+    }, // unset when the platform default applied
+    name: String,
+    rate: Number,
+    categoryRates: [
+      {
+        _id: false,
+        category: String,
+        rate: Number
+      }
+    ],
+    pricesIncludeTax: Boolean,
+    appliesToDeliveryFee: Boolean,
+    appliesToServiceFee: Boolean,
+    lines: [
+      {
+        _id: false,
+        type: {
+          type: String,
+          enum: ["items", "delivery_fee", "service_fee"]
+        },
+        category: String, // items of a category with its own rate
+        rate: Number,
+        taxableAmount: Number,
+        amount: Number
+      }
+    ],
+    totalTax: Number
   },
   tip: {
     type: Number,
     default: 0,
     min: 0
-  },
+  }, // includes tips added after delivery once they are paid
+  // Tips the customer added after delivery, each charged on its own and credited in full to the driver
+  tipAdjustments: [
+    {
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      paymentMethod: {
+        type: String,
+        required: true
+      },
+      transactionId: {
+        type: String
+      }, // Stripe PaymentIntent of the tip
+      status: {
+        type: String,
+        enum: [
+          "pending", "paid", "failed"
+        ],
+        default: "pending"
+      },
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      },
+      paidAt: {
+        type: Date
+      }
+    }
+  ],
   totalAmount: {
     type: Number,
     required: true,
@@ -241,6 +446,10 @@ const foodDeliverySchema = new Schema({
   },
   discount: {
     type: {
+      promotion: {
+        type: Schema.Types.ObjectId,
+        ref: "Promotion"
+      },
       code: {
         type: String,
         trim: true
@@ -248,11 +457,19 @@ const foodDeliverySchema = new Schema({
       amount: {
         type: Number,
         min: 0
-      },
+      }, // money taken off the subtotal
       type: {
         type: String,
-        enum: ["percentage", "fixed"]
-      }
+        enum: ["percentage", "fixed", "free_delivery"]
+      },
+      value: {
+        type: Number,
+        min: 0
+      }, // percentage or fixed value the promotion was configured with
+      maxAmount: {
+        type: Number,
+        min: 0
+      } // cap for percentage discounts
     }
   },
 
@@ -272,13 +489,15 @@ const foodDeliverySchema = new Schema({
       "esewa",
       "cash-on-delivery"
     ],
-    required: true
+    required: function () {
+      return this.fulfillmentType !== "dine_in";
+    } // dine-in rounds are paid together with their tab
   },
 
   paymentStatus: {
     type: String,
     enum: [
-      "pending", "paid", "failed", "refunded"
+      "pending", "paid", "failed", "refunded", "partially_refunded"
     ],
     default: "pending"
   },
@@ -288,8 +507,10 @@ const foodDeliverySchema = new Schema({
     type: String,
     enum: [
       "pending",
+      "scheduled",
       "preparing",
       "ready",
+      "ready_for_pickup",
       "dispatched",
       "in_transit",
       "delivered",
@@ -297,6 +518,24 @@ const foodDeliverySchema = new Schema({
     ],
     default: "pending"
   },
+  // ASAP orders go to the venue once paid, scheduled orders are held until releaseAt
+  deliveryTiming: {
+    type: String,
+    enum: [
+      "asap", "scheduled"
+    ],
+    default: "asap",
+    index: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: function () {
+      return this.deliveryTiming === "scheduled";
+    }
+  },
+  releaseAt: {
+    type: Date
+  },
   estimatedDeliveryTime: {
     type: Date,
     validate: {
@@ -306,6 +545,18 @@ const foodDeliverySchema = new Schema({
       message: "Estimated delivery time must be in the future"
     }
   },
+  estimatedPrepTime: {
+    type: Number,
+    min: 0
+  }, // minutes, from the venue's recent orders when it has enough history
+  busyExtraPrepMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // added to the prep time because the venue was busy when the order was placed
+  etaAtPickup: {
+    type: Date
+  }, // estimate when the driver left the venue, drivers' on-time rate is measured against it
   actualDeliveryTime: {
     type: Date,
     validate: {
@@ -328,6 +579,11 @@ const foodDeliverySchema = new Schema({
       message: "Driver must be available and on duty"
     }
   },
+  trip: {
+    type: Schema.Types.ObjectId,
+    ref: "DeliveryTrip",
+    index: true
+  }, // driver trip the order is delivered on, possibly with other orders
 
   // Tracking information
   trackingUpdates: [
@@ -435,6 +691,187 @@ const foodDeliverySchema = new Schema({
       message: "Cancellation time cannot be before order creation"
     }
   },
+  cancellationFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  }, // kept from the payment under the venue's cancellation policy
+  refundAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // How the driver was chosen, kept for admins
+  dispatch: {
+    mode: {
+      type: String,
+      enum: ["manual", "auto"]
+    },
+    status: {
+      type: String,
+      enum: [
+        "searching", "offered", "assigned"
+      ],
+      index: true
+    },
+    offer: {
+      type: Schema.Types.ObjectId,
+      ref: "DeliveryOffer"
+    }, // offer currently waiting for, or accepted by, a driver
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    assignedAt: {
+      type: Date
+    },
+    score: {
+      type: Number
+    },
+    reason: {
+      type: String,
+      trim: true
+    },
+    candidates: [
+      {
+        _id: false,
+        driver: {
+          type: Schema.Types.ObjectId,
+          ref: "DeliveryDriver"
+        },
+        score: Number,
+        distanceKm: Number,
+        activeDeliveries: Number,
+        breakdown: {
+          distance: Number,
+          rating: Number,
+          onTime: Number,
+          vehicle: Number,
+          load: Number
+        }
+      }
+    ] // top ranked drivers at the time of assignment
+  },
+
+  // Group orders: who took part, what their items came to and what they owe
+  groupOrder: {
+    group: {
+      type: Schema.Types.ObjectId,
+      ref: "GroupOrder"
+    },
+    paymentMode: {
+      type: String,
+      enum: ["host", "split"]
+    }, // host pays the total, or every participant pays their share
+    participants: [
+      {
+        _id: false,
+        user: {
+          type: Schema.Types.ObjectId,
+          ref: "User"
+        },
+        name: String,
+        itemsSubtotal: {
+          type: Number,
+          min: 0
+        },
+        amountDue: {
+          type: Number,
+          min: 0
+        }, // items plus their part of tax, fees, tip and discount
+        paymentStatus: {
+          type: String,
+          enum: [
+            "pending", "paid", "failed", "not_required"
+          ],
+          default: "pending"
+        },
+        paidAt: Date
+      }
+    ]
+  },
+
+  // Evidence the driver handed the order over, kept for customers and disputes
+  proofOfDelivery: {
+    pinRequired: {
+      type: Boolean,
+      default: false
+    }, // customer asked for a handoff PIN at checkout
+    pin: {
+      type: String,
+      select: false
+    }, // shown to the customer only, the driver submits it at the door
+    pinAttempts: {
+      type: Number,
+      default: 0
+    },
+    contactless: {
+      type: Boolean,
+      default: false
+    }, // leave at the door, a photo is required instead of the PIN
+    pinVerified: {
+      type: Boolean,
+      default: false
+    },
+    photoUrl: {
+      type: String
+    },
+    photoPublicId: {
+      type: String
+    },
+    capturedAt: {
+      type: Date
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ["Point"]
+      },
+      coordinates: {
+        type: [Number] // [longitude, latitude]
+      }
+    }
+  },
+
+  // Collection of pickup orders: the customer shows the code at the counter
+  pickup: {
+    code: {
+      type: String,
+      select: false
+    }, // shown to the customer only, the venue checks it before handing the order over
+    codeAttempts: {
+      type: Number,
+      default: 0
+    },
+    readyAt: {
+      type: Date
+    },
+    collectedAt: {
+      type: Date
+    }
+  },
+
+  // Dine-in rounds: the tab they are paid with and the table they are served to
+  dineIn: {
+    tab: {
+      type: Schema.Types.ObjectId,
+      ref: "DiningTab",
+      index: true
+    },
+    table: {
+      _id: {
+        type: Schema.Types.ObjectId
+      },
+      label: {
+        type: String
+      }
+    },
+    round: {
+      type: Number,
+      min: 1
+    }
+  },
 
   // Technical fields
   isDeleted: {
@@ -469,6 +906,7 @@ foodDeliverySchema.index({customer: 1, createdAt: -1});
 foodDeliverySchema.index({venue: 1, createdAt: -1});
 foodDeliverySchema.index({deliveryDriver: 1, deliveryStatus: 1});
 foodDeliverySchema.index({deliveryStatus: 1, createdAt: 1});
+foodDeliverySchema.index({deliveryStatus: 1, releaseAt: 1});
 foodDeliverySchema.index({"deliveryAddress.coordinates": "2dsphere"});
 foodDeliverySchema.index({createdAt: -1});
 foodDeliverySchema.index({totalAmount: 1});
@@ -492,22 +930,73 @@ foodDeliverySchema.pre("save", function (next) {
 });
 
 // Methods
-foodDeliverySchema.methods.calculateTotals = function () {
-  this.subtotal = this.items.reduce((sum, item) => {
+/**
+ * Recalculate subtotal, tax, discount and total from the items.
+ * Tax is recalculated under the tax rule the order was charged under. Pass the venue's delivery fee configuration to also
+ * recalculate the fees that depend on the subtotal (small order and service fee), e.g. after items changed.
+ * @param {Object} [options]
+ * @param {Object} [options.feeConfig] - FoodVenue.deliveryFee
+ */
+foodDeliverySchema.methods.calculateTotals = function ({feeConfig} = {}) {
+  const previousSubtotal = this.subtotal;
+
+  // Option costs are charged per unit, the same way orders are priced from the menu
+  const subtotal = this.items.reduce((sum, item) => {
     const optionsCost = item.options
       ?.reduce((optSum, opt) => optSum + (opt.additionalCost || 0), 0) || 0;
-    return sum + item.price * item.quantity + optionsCost;
+    return sum + (item.price + optionsCost) * item.quantity;
   }, 0);
+  this.subtotal = parseFloat(subtotal.toFixed(2));
 
-  // Apply discount if exists
+  // Free delivery promotions never waive these fees, so they are recalculated either way
+  if (feeConfig && this.deliveryFee && (this.fulfillmentType || "delivery") === "delivery") {
+    const smallOrderFee = parseFloat((
+      this.subtotal < feeConfig.smallOrderThreshold
+      ? feeConfig.smallOrderFee
+      : 0).toFixed(2));
+    const serviceFee = parseFloat((this.subtotal * (feeConfig.serviceFeePercentage / 100)).toFixed(2));
+
+    this.deliveryFee.total = parseFloat((this.deliveryFee.total - (this.deliveryFee.smallOrderFee || 0) - (this.deliveryFee.serviceFee || 0) + smallOrderFee + serviceFee).toFixed(2));
+    this.deliveryFee.smallOrderFee = smallOrderFee;
+    this.deliveryFee.serviceFee = serviceFee;
+    this.deliveryFee.breakdown
+      ?.set("smallOrderFee", smallOrderFee);
+    this.deliveryFee.breakdown
+      ?.set("serviceFee", serviceFee);
+  }
+
+  // Orders from before tax rules keep their effective rate
+  if (typeof this.taxBreakdown
+    ?.rate === "number") {
+    const {tax, taxBreakdown} = calculateTax({rule: this.taxBreakdown, items: this.items, deliveryFee: this.deliveryFee});
+    this.tax = tax;
+    this.taxBreakdown.lines = taxBreakdown.lines;
+    this.taxBreakdown.totalTax = taxBreakdown.totalTax;
+  } else if (previousSubtotal > 0 && this.subtotal !== previousSubtotal) {
+    this.tax = parseFloat(((this.tax || 0) * (this.subtotal / previousSubtotal)).toFixed(2));
+  }
+
+  // Re-apply discount if exists (free delivery promotions are applied on the delivery fee instead)
   let discountAmount = 0;
-  if (this.discount) {
-    discountAmount = this.discount.type === "percentage"
-      ? this.subtotal * (this.discount.amount / 100)
-      : this.discount.amount;
+  if (this.discount
+    ?.type === "percentage") {
+    const percentageDiscount = this.subtotal * ((this.discount.value || 0) / 100);
+    discountAmount = this.discount.maxAmount
+      ? Math.min(percentageDiscount, this.discount.maxAmount)
+      : percentageDiscount;
+  } else if (this.discount
+    ?.type === "fixed") {
+    discountAmount = Math.min(this.discount.value ?? this.discount.amount ?? 0, this.subtotal);
+  }
+  if (this.discount
+    ?.type) {
+    this.discount.amount = parseFloat(discountAmount.toFixed(2));
   }
 
-  this.totalAmount = this.subtotal + this.deliveryFee + this.tax + this.tip - discountAmount;
+  const deliveryFeeTotal = this.deliveryFee
+    ?.total || 0;
+  const total = this.subtotal + deliveryFeeTotal + (this.tax || 0) + (this.tip || 0) - discountAmount;
+  this.totalAmount = parseFloat(Math.max(total, 0).toFixed(2));
 };
 
 foodDeliverySchema.methods.cancelOrder = async function (reason, cancelledBy, refundAmount = 0) {
@@ -528,11 +1017,23 @@ foodDeliverySchema.methods.cancelOrder = async function (reason, cancelledBy, re
   await this.save();
 };
 
-foodDeliverySchema.methods.updateStatus = async function (newStatus, updatedBy, notes = "", location = null) {
-  const validTransitions = {
+/**
+ * Move the order to a new status, record it in trackingUpdates, save and publish the change
+ * @param {string} newStatus
+ * @param {string} updatedBy - "system", "venue", "driver" or "customer"
+ * @param {string} [notes]
+ * @param {number[]} [location] - [longitude, latitude]
+ * @param {Object} [options]
+ * @param {Object} [options.transitions] - Status flow to check against, e.g. PICKUP_TRANSITIONS; delivery flow by default
+ */
+foodDeliverySchema.methods.updateStatus = async function (newStatus, updatedBy, notes = "", location = null, {transitions} = {}) {
+  const deliveryTransitions = {
     pending: [
       "preparing", "failed"
     ],
+    scheduled: [
+      "preparing", "failed"
+    ],
     preparing: [
       "ready", "failed"
     ],
@@ -549,6 +1050,7 @@ foodDeliverySchema.methods.updateStatus = async function (newStatus, updatedBy,
     failed: []
   };
 
+  const validTransitions = transitions || deliveryTransitions;
   if (
     !validTransitions[this.deliveryStatus]
     ?.includes(newStatus)) {
@@ -579,6 +1081,7 @@ foodDeliverySchema.methods.updateStatus = async function (newStatus, updatedBy,
   }
 
   await this.save();
+  publishStatusChange(this, {updatedBy, notes});
 };
 
 foodDeliverySchema.methods.assignDriver = async function (driverId) {
@@ -604,23 +1107,13 @@ foodDeliverySchema.methods.assignDriver = async function (driverId) {
 };
 
 // Virtuals
-foodDeliverySchema.virtual("estimatedPrepTime").get(function () {
-  // Base time + 2 minutes per item
-  return 15 + (
-    this.items
-    ?.length * 2 || 0);
-});
-
+// Minutes from checkout to delivery, estimated until the order is delivered
 foodDeliverySchema.virtual("deliveryDuration").get(function () {
-  if (
-    !this.deliveryAddress
-    ?.coordinates || !this.venue
-      ?.address
-        ?.coordinates) {
-    return 30; // Default estimate
+  const deliveredAt = this.actualDeliveryTime || this.estimatedDeliveryTime;
+  if (!deliveredAt || !this.createdAt) {
+    return null;
   }
-  // In a real app, use proper distance calculation
-  return 30; // Placeholder
+  return Math.round((deliveredAt - this.createdAt) / 60000);
 });
 
 foodDeliverySchema.virtual("isCancellable").get(function () {
@@ -691,8 +1184,9 @@ foodDeliverySchema.query.recent = function (days = 7) {
 };
 
 // Static methods
+// Drivers pick up at the venue, so search around it rather than the delivery address
 foodDeliverySchema.statics.findNearbyDrivers = async function (orderId, maxDistance = 5000) {
-  const order = await this.findById(orderId);
+  const order = await this.findById(orderId).populate("venue", "address");
   if (!order) 
     throw new Error("Order not found");
   
@@ -704,7 +1198,7 @@ foodDeliverySchema.statics.findNearbyDrivers = async function (orderId, maxDista
       $near: {
         $geometry: {
           type: "Point",
-          coordinates: order.deliveryAddress.coordinates.coordinates
+          coordinates: order.venue.address.coordinates.coordinates
         },
         $maxDistance: maxDistance
       }
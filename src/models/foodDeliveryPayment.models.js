@@ -2,13 +2,12 @@ import mongoose, {Schema} from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
 
 const foodDeliveryPaymentSchema = new Schema({
-  // Reference to the order
+  // Reference to the order (split group orders get one payment per participant)
   order: {
     type: Schema.Types.ObjectId,
     ref: "FoodDelivery",
     required: true,
     index: true,
-    unique: true,
     validate: {
       validator: async function (orderId) {
         const order = await mongoose.model("FoodDelivery").findById(orderId);
@@ -122,6 +121,28 @@ const foodDeliveryPaymentSchema = new Schema({
     type: Date
   },
 
+  // Tips added after delivery, charged separately from the order payment
+  tips: [
+    {
+      _id: false,
+      tipAdjustment: {
+        type: Schema.Types.ObjectId
+      }, // FoodDelivery.tipAdjustments entry
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      transactionId: {
+        type: String,
+        trim: true
+      },
+      paidAt: {
+        type: Date
+      }
+    }
+  ],
+
   // Refund status if the payment is refunded
   refundStatus: {
     type: String,
@@ -131,6 +152,52 @@ const foodDeliveryPaymentSchema = new Schema({
     default: "not_refunded"
   },
 
+  // Refunds to send back through the gateway. They are queued with the order change that gives the money
+  // back and sent once that change is committed, retried while they fail.
+  gatewayRefunds: [
+    {
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      currency: {
+        type: String,
+        uppercase: true,
+        required: true
+      },
+      reason: {
+        type: String,
+        trim: true
+      },
+      status: {
+        type: String,
+        enum: [
+          "pending", "issuing", "issued", "failed"
+        ],
+        default: "pending"
+      }, // issuing: claimed by the process sending it to the gateway
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      gatewayRefundId: {
+        type: String,
+        trim: true
+      },
+      lastError: {
+        type: String
+      },
+      requestedAt: {
+        type: Date,
+        default: Date.now
+      },
+      issuedAt: {
+        type: Date
+      }
+    }
+  ],
+
   // Transaction details
   gatewayName: {
     type: String,
@@ -190,6 +257,7 @@ const foodDeliveryPaymentSchema = new Schema({
 //   sparse: true
 // });
 foodDeliveryPaymentSchema.index({"paymentMetadata.gatewayId": 1});
+foodDeliveryPaymentSchema.index({"gatewayRefunds.status": 1});
 
 // Pre-save hooks
 foodDeliveryPaymentSchema.pre("save", function (next) {
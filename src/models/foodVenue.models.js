@@ -1,5 +1,6 @@
 import mongoose, {Schema} from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import {DEFAULT_TIMEZONE, isValidTimeZone} from "../utils/openingHours.js";
 
 const DistanceRateSchema = new mongoose.Schema({
   minDistance: {
@@ -31,6 +32,21 @@ const SurgeMultiplierSchema = new mongoose.Schema({
   }
 });
 
+// GeoJSON polygon, coordinates are [longitude, latitude]
+const PolygonSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      "Polygon", "MultiPolygon"
+    ],
+    required: true
+  },
+  coordinates: {
+    type: Array,
+    required: true
+  }
+}, {_id: false});
+
 const ZoneFeeSchema = new mongoose.Schema({
   zoneName: {
     type: String,
@@ -39,6 +55,64 @@ const ZoneFeeSchema = new mongoose.Schema({
   fee: {
     type: Number,
     required: true
+  },
+  // Orders delivered inside this polygon are charged the zone fee
+  area: {
+    type: PolygonSchema,
+    default: undefined
+  }
+});
+
+const ModifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: [true, "Modifier option name is required."]
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, "Modifier option price cannot be negative."]
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// e.g. "Size: required, pick 1" or "Extra toppings: pick up to 3"
+const ModifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: [true, "Modifier group name is required."]
+  },
+  isRequired: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: [0, "Minimum selections cannot be negative."]
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: [1, "Maximum selections must be at least 1."],
+    validate: {
+      validator: function (value) {
+        return value >= (this.minSelections || 0);
+      },
+      message: "Maximum selections cannot be less than minimum selections."
+    }
+  },
+  options: {
+    type: [ModifierOptionSchema],
+    validate: {
+      validator: options => Array.isArray(options) && options.length > 0,
+      message: "A modifier group must have at least one option."
+    }
   }
 });
 
@@ -81,6 +155,29 @@ const DeliveryFeeSchema = new mongoose.Schema({
   }
 });
 
+// Table dine-in guests order from by scanning its QR code
+const DiningTableSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, "Table label is required"],
+    trim: true,
+    maxlength: [30, "Table label cannot exceed 30 characters"]
+  }, // e.g. "12" or "Terrace 3"
+  seats: {
+    type: Number,
+    default: 4,
+    min: [1, "A table needs at least 1 seat"]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  qrVersion: {
+    type: Number,
+    default: 1
+  } // bumped to invalidate QR codes printed before
+});
+
 const foodVenueSchema = new Schema({
   // Reference to the Service (like the brand or owner service)
   service: {
@@ -154,6 +251,12 @@ const foodVenueSchema = new Schema({
     min: [1, "Seating capacity must be at least 1."]
   },
 
+  // Tables registered for dine-in QR ordering
+  diningTables: {
+    type: [DiningTableSchema],
+    default: []
+  },
+
   // Amenities such as WiFi, AC, Parking, etc.
   amenities: {
     type: [
@@ -166,6 +269,17 @@ const foodVenueSchema = new Schema({
     default: []
   },
 
+  // IANA timezone the opening hours are expressed in (e.g. "Asia/Kathmandu")
+  timezone: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+
   // Opening hours - supports multiple time slots per day
   openingHours: [
     {
@@ -233,6 +347,22 @@ const foodVenueSchema = new Schema({
         ],
         min: [0, "Price cannot be negative."]
       },
+      // Lets venues take an item off the menu temporarily without deleting it
+      isAvailable: {
+        type: Boolean,
+        default: true
+      },
+      // Items taxed at a different rate than the rest of the menu, e.g. "alcohol" (see TaxRule.categoryRates)
+      taxCategory: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [50, "Tax category cannot exceed 50 characters."]
+      },
+      modifierGroups: {
+        type: [ModifierGroupSchema],
+        default: []
+      },
       images: {
         // Changed from single image to array
         type: [
@@ -269,6 +399,109 @@ const foodVenueSchema = new Schema({
     required: true,
     default: 10
   },
+  // Order-ahead settings: scheduled orders are released to the venue leadTimeMinutes before their slot
+  orderAhead: {
+    isEnabled: {
+      type: Boolean,
+      default: true
+    },
+    leadTimeMinutes: {
+      type: Number,
+      default: 45,
+      min: [0, "Lead time cannot be negative"]
+    },
+    maxDaysAhead: {
+      type: Number,
+      default: 7,
+      min: [1, "Scheduled orders must be allowed at least 1 day ahead"]
+    }
+  },
+  // Customers cancel free until the order reaches freeUntilStatus, after that the fee is kept from the refund
+  cancellationPolicy: {
+    freeUntilStatus: {
+      type: String,
+      enum: [
+        "pending", "preparing", "ready"
+      ],
+      default: "preparing"
+    },
+    feePercentage: {
+      type: Number,
+      default: 50,
+      min: [0, "Cancellation fee percentage cannot be negative"],
+      max: [100, "Cancellation fee percentage cannot exceed 100"]
+    },
+    flatFee: {
+      type: Number,
+      default: 0,
+      min: [0, "Cancellation flat fee cannot be negative"]
+    }
+  },
+  // Takeaway orders the customer collects at the venue; prepTimeMinutes is quoted as the time until collection
+  pickupSettings: {
+    isEnabled: {
+      type: Boolean,
+      default: false
+    },
+    prepTimeMinutes: {
+      type: Number,
+      default: 15,
+      min: [1, "Pickup prep time must be at least 1 minute"],
+      max: [240, "Pickup prep time cannot exceed 240 minutes"]
+    },
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Pickup instructions cannot exceed 300 characters"]
+    } // e.g. "Collect at the side counter", shown to customers with their pickup code
+  },
+  // Currency of the menu prices, fees and orders of the venue (ISO 4217); deliveryFee.currency mirrors it
+  currency: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, "Currency must be a valid 3-letter ISO code."]
+  },
+  // Rush controls: a cap on active orders, an automatic busy state that quotes longer prep times and timed pauses
+  orderThrottling: {
+    maxActiveOrders: {
+      type: Number,
+      default: null,
+      min: [1, "Maximum active orders must be at least 1"]
+    }, // null: no cap
+    busyThreshold: {
+      type: Number,
+      default: null,
+      min: [1, "Busy threshold must be at least 1 active order"]
+    }, // active orders from which the venue is busy; null: never busy
+    busyExtraPrepMinutes: {
+      type: Number,
+      default: 10,
+      min: [0, "Extra prep time cannot be negative"],
+      max: [120, "Extra prep time cannot exceed 120 minutes"]
+    },
+    pausedUntil: {
+      type: Date
+    }, // no new orders until then; resumes by itself
+    pauseReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Pause reason cannot exceed 200 characters"]
+    }
+  },
+  // "auto" assigns the best scored driver as soon as an order is being prepared, "manual" leaves it to the venue
+  dispatchMode: {
+    type: String,
+    enum: [
+      "manual", "auto"
+    ],
+    default: "manual"
+  },
+  // Optional polygon the venue delivers to; when set it replaces the deliveryRadius check
+  serviceArea: {
+    type: PolygonSchema,
+    default: undefined
+  },
   // Availability status (open for bookings/orders)
   isAvailable: {
     type: Boolean,
@@ -277,8 +510,22 @@ const foodVenueSchema = new Schema({
   }
 }, {timestamps: true});
 
+// Keep deliveryFee.currency in step with the venue currency; clients that only set the former still change it
+foodVenueSchema.pre("validate", function (next) {
+  if (
+    this.deliveryFee
+    ?.currency && (!this.currency || (this.isModified("deliveryFee.currency") && !this.isModified("currency")))) {
+    this.currency = this.deliveryFee.currency;
+  }
+  if (this.currency && this.deliveryFee) {
+    this.deliveryFee.currency = this.currency;
+  }
+  next();
+});
+
 // Create 2dsphere index for geospatial queries
 foodVenueSchema.index({"address.coordinates": "2dsphere"});
+foodVenueSchema.index({serviceArea: "2dsphere"});
 
 // Virtual for service name (populate from Service model)
 foodVenueSchema.virtual("serviceDetails", {
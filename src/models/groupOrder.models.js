@@ -0,0 +1,123 @@
+import mongoose, {Schema} from "mongoose";
+import {CartItemSchema} from "./cart.models.js";
+
+const GroupOrderItemSchema = CartItemSchema.clone();
+GroupOrderItemSchema.add({
+  participant: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  } // who added the item
+});
+
+// A shared cart several customers fill at one venue, submitted by the host as one order
+const groupOrderSchema = new Schema({
+  host: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  venue: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodVenue",
+    required: true
+  },
+  inviteCode: {
+    type: String,
+    required: true,
+    unique: true
+  }, // shared in the invite link
+  status: {
+    type: String,
+    enum: [
+      "open", "locked", "submitted", "cancelled"
+    ],
+    default: "open",
+    index: true
+  }, // locked: the host is checking out and nobody can change items
+  paymentMode: {
+    type: String,
+    enum: [
+      "host", "split"
+    ],
+    default: "host"
+  }, // host pays the total, or every participant pays their share
+  participants: [
+    {
+      _id: false,
+      user: {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+      },
+      name: {
+        type: String,
+        trim: true
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  items: [GroupOrderItemSchema],
+  subtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  }, // available lines only
+  fulfillmentType: {
+    type: String,
+    enum: [
+      "delivery", "pickup"
+    ],
+    default: "delivery"
+  }, // pickup carts need no delivery location
+  coordinates: {
+    type: [Number] // [longitude, latitude]
+  },
+  deliveryAddress: {
+    street: String,
+    city: String,
+    zipCode: String,
+    country: String,
+    unitNumber: String,
+    additionalInfo: String
+  },
+  promoCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  tip: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  customerNotes: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodDelivery"
+  },
+  lockedAt: {
+    type: Date
+  },
+  submittedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  } // the invite link stops working after it
+}, {timestamps: true});
+
+groupOrderSchema.index({"participants.user": 1, status: 1});
+
+const GroupOrder = mongoose.model("GroupOrder", groupOrderSchema);
+
+export default GroupOrder;
@@ -1,5 +1,6 @@
 import mongoose, {Schema} from "mongoose";
 import mongoosePaginate from "mongoose-paginate-v2";
+import {DEFAULT_TIMEZONE, isValidTimeZone} from "../utils/openingHours.js";
 const liquorStoreSchema = new Schema({
   // Reference to the Service (parent service/brand)
   service: {
@@ -95,6 +96,17 @@ const liquorStoreSchema = new Schema({
     default: []
   },
 
+  // IANA timezone the opening hours are expressed in (e.g. "Asia/Kathmandu")
+  timezone: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimeZone,
+      message: props => `${props.value} is not a valid timezone`
+    }
+  },
+
   // Opening hours with support for multiple time slots
   openingHours: [
     {
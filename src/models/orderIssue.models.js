@@ -0,0 +1,180 @@
+import mongoose, {Schema} from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+// A problem a customer reports with items of a delivered order, answered by the venue and resolved by an admin
+const orderIssueSchema = new Schema({
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodDelivery",
+    required: true,
+    index: true
+  },
+  venue: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodVenue",
+    required: true,
+    index: true
+  },
+  driver: {
+    type: Schema.Types.ObjectId,
+    ref: "DeliveryDriver",
+    default: null,
+    index: true
+  }, // who delivered the order, null for pickup and dine-in orders
+  customer: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  items: {
+    type: [
+      {
+        item: {
+          type: Schema.Types.ObjectId,
+          required: true
+        }, // FoodDelivery.items entry
+        name: {
+          type: String,
+          required: true
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, "Quantity must be at least 1"]
+        }, // how many of the line are affected
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0
+        }, // price charged for one, options included
+        problem: {
+          type: String,
+          enum: [
+            "missing", "wrong_item", "damaged", "poor_quality"
+          ],
+          required: true
+        }
+      }
+    ],
+    validate: {
+      validator: items => items.length > 0,
+      message: "An issue needs at least one item"
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, "Description cannot exceed 1000 characters"]
+  },
+  photos: [
+    {
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: String
+    }
+  ],
+  currency: {
+    type: String,
+    uppercase: true,
+    required: true
+  }, // the order's currency, amounts below are in it
+  status: {
+    type: String,
+    enum: [
+      "open", "venue_responded", "resolving", "resolved"
+    ],
+    default: "open",
+    index: true
+  }, // resolving: claimed by an admin whose refund or credit is being issued
+  venueResponse: {
+    stance: {
+      type: String,
+      enum: ["accepted", "disputed"]
+    }, // whether the venue agrees the items were missing or wrong
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Response cannot exceed 1000 characters"]
+    },
+    respondedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User"
+    },
+    respondedAt: Date
+  },
+  resolution: {
+    outcome: {
+      type: String,
+      enum: ["full_refund", "partial_refund", "item_refund", "store_credit", "no_action"]
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0
+    }, // refunded to the payment, or credited for store_credit
+    responsibleParty: {
+      type: String,
+      enum: ["venue", "driver", "platform", "none"]
+    }, // who the problem is attributed to in reports
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Note cannot exceed 1000 characters"]
+    },
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin"
+    },
+    resolvedAt: Date
+  },
+  // Every step of the issue, oldest first
+  timeline: [
+    {
+      action: {
+        type: String,
+        enum: ["opened", "venue_responded", "resolved"],
+        required: true
+      },
+      actor: {
+        type: String,
+        enum: ["customer", "venue", "admin"],
+        required: true
+      },
+      actorId: {
+        type: Schema.Types.ObjectId
+      },
+      note: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ]
+}, {
+  timestamps: true,
+  optimisticConcurrency: true
+});
+
+// One unresolved issue per order at a time
+orderIssueSchema.index({
+  order: 1
+}, {
+  name: "order_1_unresolved",
+  unique: true,
+  partialFilterExpression: {
+    status: {
+      $in: ["open", "venue_responded", "resolving"]
+    }
+  }
+});
+
+orderIssueSchema.index({venue: 1, status: 1, createdAt: -1});
+
+orderIssueSchema.plugin(mongoosePaginate);
+
+const OrderIssue = mongoose.model("OrderIssue", orderIssueSchema);
+
+export default OrderIssue;
@@ -0,0 +1,135 @@
+import mongoose, {Schema} from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+const promotionSchema = new Schema({
+  // Code customers enter at checkout
+  code: {
+    type: String,
+    required: [
+      true, "Promotion code is required"
+    ],
+    trim: true,
+    uppercase: true,
+    unique: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, "Promotion code must be 3-30 characters of letters, numbers, - or _"]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, "Description cannot exceed 500 characters"]
+  },
+
+  // Discount configuration
+  type: {
+    type: String,
+    enum: [
+      "percentage", "fixed", "free_delivery"
+    ],
+    required: true
+  },
+  value: {
+    type: Number,
+    min: [0, "Promotion value cannot be negative"],
+    required: function () {
+      return this.type !== "free_delivery";
+    },
+    validate: {
+      validator: function (value) {
+        return this.type !== "percentage" || value <= 100;
+      },
+      message: "Percentage promotions cannot exceed 100%"
+    }
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0
+  }, // cap for percentage promotions
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Validity window
+  startsAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    validate: {
+      validator: function (value) {
+        return !value || value > this.startsAt;
+      },
+      message: "Promotion end date must be after its start date"
+    }
+  },
+
+  // Usage limits (null means unlimited)
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Venues the code can be used at (empty means every venue)
+  venues: [
+    {
+      type: Schema.Types.ObjectId,
+      ref: "FoodVenue"
+    }
+  ],
+
+  // Who manages the promotion
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    refPath: "createdByModel",
+    required: true
+  },
+  createdByModel: {
+    type: String,
+    enum: [
+      "Admin", "BusinessOwner"
+    ],
+    required: true
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+promotionSchema.index({venues: 1, isActive: 1});
+promotionSchema.index({createdByModel: 1, createdBy: 1});
+
+promotionSchema.virtual("isExpired").get(function () {
+  return !!this.endsAt && this.endsAt < new Date();
+});
+
+promotionSchema.plugin(mongoosePaginate);
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
@@ -0,0 +1,44 @@
+import mongoose, {Schema} from "mongoose";
+
+// One record per order a promotion code was applied to
+const promotionRedemptionSchema = new Schema({
+  promotion: {
+    type: Schema.Types.ObjectId,
+    ref: "Promotion",
+    required: true,
+    index: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodDelivery",
+    required: true,
+    unique: true
+  },
+  venue: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodVenue",
+    required: true
+  },
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  discountAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {timestamps: true});
+
+promotionRedemptionSchema.index({promotion: 1, user: 1});
+
+const PromotionRedemption = mongoose.model("PromotionRedemption", promotionRedemptionSchema);
+
+export default PromotionRedemption;
@@ -0,0 +1,46 @@
+import mongoose, {Schema} from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+// Entry in a customer's store credit ledger; the balance of a currency is the sum of its entries
+const storeCreditSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }, // positive when credit is granted, negative when it is spent or revoked
+  currency: {
+    type: String,
+    uppercase: true,
+    required: true
+  }, // credit can only be spent at venues pricing in this currency
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, "Reason cannot exceed 300 characters"]
+  },
+  orderIssue: {
+    type: Schema.Types.ObjectId,
+    ref: "OrderIssue"
+  },
+  order: {
+    type: Schema.Types.ObjectId,
+    ref: "FoodDelivery"
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin"
+  }
+}, {timestamps: true});
+
+storeCreditSchema.index({user: 1, currency: 1});
+
+storeCreditSchema.plugin(mongoosePaginate);
+
+const StoreCredit = mongoose.model("StoreCredit", storeCreditSchema);
+
+export default StoreCredit;
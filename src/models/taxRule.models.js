@@ -0,0 +1,86 @@
+import mongoose, {Schema} from "mongoose";
+import mongoosePaginate from "mongoose-paginate-v2";
+
+// Sales tax of a country, or of a city overriding its country, managed by admins
+const taxRuleSchema = new Schema({
+  name: {
+    type: String,
+    trim: true,
+    required: [
+      true, "Tax rule name is required"
+    ],
+    maxlength: [100, "Tax rule name cannot exceed 100 characters"]
+  }, // shown to customers, e.g. "VAT" or "GST"
+  country: {
+    type: String,
+    trim: true,
+    required: true
+  },
+  city: {
+    type: String,
+    trim: true,
+    default: null
+  }, // null: the rule applies to the whole country
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, "Tax rate cannot be negative"],
+    max: [100, "Tax rate cannot exceed 100%"]
+  }, // percentage
+  categoryRates: [
+    {
+      category: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        required: true,
+        maxlength: [50, "Tax category cannot exceed 50 characters"]
+      }, // matches FoodVenue.menuItems.taxCategory, e.g. "alcohol"
+      rate: {
+        type: Number,
+        required: true,
+        min: [0, "Tax rate cannot be negative"],
+        max: [100, "Tax rate cannot exceed 100%"]
+      }
+    }
+  ],
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  }, // menu prices and fees already contain the tax, nothing is added on top
+  appliesToDeliveryFee: {
+    type: Boolean,
+    default: false
+  },
+  appliesToServiceFee: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: "Admin"
+  }
+}, {timestamps: true});
+
+// One rule per country and city, whatever the casing
+taxRuleSchema.index({
+  country: 1,
+  city: 1
+}, {
+  unique: true,
+  collation: {
+    locale: "en",
+    strength: 2
+  }
+});
+
+taxRuleSchema.plugin(mongoosePaginate);
+
+const TaxRule = mongoose.model("TaxRule", taxRuleSchema);
+
+export default TaxRule;
@@ -6,6 +6,7 @@ import {
   verifyBusinessOwner,
   featureBusinessOwner,
   getAllFoodVenues,
+  updateVenuePickupSettings,
   deleteBusinessOwner
 } from "../controllers/AdminbusinessOwner.controller.js";
 import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
@@ -18,6 +19,7 @@ router.use(verifyAdminJwt);
 // Business listing and viewing routes (admin only)
 router.route("/").get(getAllBusinessOwners); // Get all business owners with pagination and filtering
 router.route("/getAllFoodVenue").get(getAllFoodVenues); // Get all food venues with pagination and filtering
+router.route("/food-venues/:venueId/pickup-settings").patch(authRateLimiter, updateVenuePickupSettings); // Update a venue's pickup settings
 
 router.route("/:id").get(getBusinessOwnerById). // Get business by ID
 delete(authRateLimiter, deleteBusinessOwner); // Delete business (admin only)
@@ -6,6 +6,8 @@ import {
   updateDriver,
   deleteDriver,
   getNearbyDrivers,
+  getOrderDispatchDetails,
+  getOrderDeliveryProof,
   resetDriverPassword,
   getDriverStats,
   deleteDriverDocument
@@ -31,6 +33,10 @@ router.route("/:id/reset-password").post(authRateLimiter, resetDriverPassword);
 
 router.route("/nearby").get(authRateLimiter, getNearbyDrivers); // GET /api/admin/delivery-drivers/nearby
 
+router.route("/dispatch/:orderId").get(authRateLimiter, getOrderDispatchDetails); // GET /api/admin/delivery-drivers/dispatch/:orderId
+
+router.route("/delivery-proof/:orderId").get(authRateLimiter, getOrderDeliveryProof); // GET /api/admin/delivery-drivers/delivery-proof/:orderId
+
 router.route("/stats").get(authRateLimiter, getDriverStats); // GET /api/admin/delivery-drivers/stats
 
 router.route("/:id/delete-document/:documentType").delete(deleteDriverDocument); // Delete driver document
@@ -0,0 +1,37 @@
+import {Router} from "express";
+import {
+  getMyCarts,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  updateCartDetails,
+  clearCart,
+  checkoutCart,
+  getAbandonedCarts
+} from "../controllers/cart.controller.js";
+import {verifyJwt} from "../middlewares/userAuth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+router.use(verifyJwt);
+
+// Business owner routes
+router.route("/venue/abandoned").get(authRateLimiter, getAbandonedCarts); // Abandoned cart value and items for the owner's venue
+
+// Customer routes
+router.route("/").get(authRateLimiter, getMyCarts); // Open carts, one per venue
+
+router.route("/:venueId").get(authRateLimiter, getCart). // Cart with live prices, fees and tax
+patch(authRateLimiter, updateCartDetails). // Delivery location, address, promo code, tip and notes
+delete(authRateLimiter, clearCart); // Empty the cart
+
+router.route("/:venueId/items").post(authRateLimiter, addCartItem); // Add an item
+
+router.route("/:venueId/items/:itemId").patch(authRateLimiter, updateCartItem). // Change quantity, options or instructions
+delete(authRateLimiter, removeCartItem); // Remove an item
+
+router.route("/:venueId/checkout").post(authRateLimiter, checkoutCart); // Place the order
+
+export default router;
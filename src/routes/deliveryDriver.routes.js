@@ -9,6 +9,10 @@ import {
   updateDriverPassword,
   updateDriverLocation,
   updateDriverStatus,
+  getDeliveryOffers,
+  streamDeliveryOffers,
+  acceptOffer,
+  declineOffer,
   deleteDriverAccount,
   uploadDriverDocument,
   deleteDriverDocument
@@ -41,6 +45,12 @@ router.route("/change-password").post(updateDriverPassword); // Change password
 router.route("/update-location").patch(updateDriverLocation); // Update driver's current location
 router.route("/update-status").patch(updateDriverStatus); // Update driver availability/on-duty status
 
+// Delivery offers
+router.route("/offers").get(getDeliveryOffers); // Pending offers for the driver
+router.route("/offers/stream").get(streamDeliveryOffers); // Live offers (Server-Sent Events)
+router.route("/offers/:offerId/accept").post(acceptOffer); // Accept a delivery offer
+router.route("/offers/:offerId/decline").post(declineOffer); // Decline a delivery offer
+
 // Document management
 router.route("/upload-document").post(upload.single("document"), // Using multer middleware for single file upload
     uploadDriverDocument);
@@ -0,0 +1,25 @@
+import {Router} from "express";
+import {
+  createDeliveryZone,
+  getDeliveryZones,
+  getDeliveryZoneById,
+  updateDeliveryZone,
+  deleteDeliveryZone
+} from "../controllers/deliveryZone.controller.js";
+import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+// Apply admin authentication middleware to all routes
+router.use(verifyAdminJwt);
+
+// Platform delivery zones (city-wide fee zones such as congestion charges)
+router.route("/").post(authRateLimiter, createDeliveryZone). // Create delivery zone
+get(authRateLimiter, getDeliveryZones); // Get delivery zones
+
+router.route("/:id").get(authRateLimiter, getDeliveryZoneById). // Get delivery zone
+patch(authRateLimiter, updateDeliveryZone). // Update delivery zone
+delete(authRateLimiter, deleteDeliveryZone); // Delete delivery zone
+
+export default router;
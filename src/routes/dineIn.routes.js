@@ -0,0 +1,44 @@
+import {Router} from "express";
+import {
+  getDiningTables,
+  addDiningTable,
+  updateDiningTable,
+  removeDiningTable,
+  getTableQrCode,
+  rotateTableQrCode,
+  getVenueTabs,
+  settleTab,
+  getTable,
+  openTab,
+  getTab,
+  addTabRound,
+  requestTabPayment
+} from "../controllers/dineIn.controller.js";
+import {optionalJwt, verifyJwt} from "../middlewares/userAuth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+// Venue: tables, QR codes and tabs
+router.route("/venue/tables").get(verifyJwt, authRateLimiter, getDiningTables). // Venue's tables
+post(verifyJwt, authRateLimiter, addDiningTable); // Register a table
+
+router.route("/venue/tables/:tableId").patch(verifyJwt, authRateLimiter, updateDiningTable). // Rename, change seats or take out of service
+delete(verifyJwt, authRateLimiter, removeDiningTable); // Remove a table without an open tab
+
+router.route("/venue/tables/:tableId/qr").get(verifyJwt, authRateLimiter, getTableQrCode); // Token and link to print as QR code
+router.route("/venue/tables/:tableId/qr/rotate").post(verifyJwt, authRateLimiter, rotateTableQrCode); // Replace the table's QR code
+
+router.route("/venue/tabs").get(verifyJwt, authRateLimiter, getVenueTabs); // Open tabs, or ?status=
+router.route("/venue/tabs/:tabId/settle").post(verifyJwt, authRateLimiter, settleTab); // Close a tab paid at the table
+
+// Guests at the table, signed in or not
+router.route("/tables/:token").get(optionalJwt, authRateLimiter, getTable); // Venue, menu and open tab of a scanned table
+
+router.route("/tables/:token/tab").post(optionalJwt, authRateLimiter, openTab). // Open or join the table's tab
+get(optionalJwt, authRateLimiter, getTab); // Tab with rounds and totals
+
+router.route("/tables/:token/tab/rounds").post(optionalJwt, authRateLimiter, addTabRound); // Send a round to the kitchen
+router.route("/tables/:token/tab/pay").post(optionalJwt, authRateLimiter, requestTabPayment); // Ask for the bill
+
+export default router;
@@ -0,0 +1,24 @@
+import {Router} from "express";
+import {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  getRevenueReport
+} from "../controllers/exchangeRate.controller.js";
+import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+// Apply admin authentication middleware to all routes
+router.use(verifyAdminJwt);
+
+// Exchange rates to the base currency, used for platform reports
+router.route("/").get(authRateLimiter, getExchangeRates); // Get exchange rates
+
+router.route("/revenue").get(authRateLimiter, getRevenueReport); // Revenue per currency and in the base currency
+
+router.route("/:currency").put(authRateLimiter, setExchangeRate). // Set exchange rate
+delete(authRateLimiter, deleteExchangeRate); // Delete exchange rate
+
+export default router;
@@ -1,6 +1,7 @@
 import {Router} from "express";
 import {
   createFoodDeliveryOrder,
+  reorderFoodDelivery,
   getCustomerOrders,
   getVenueOrders,
   updateOrderStatus,
@@ -12,13 +13,26 @@ import {
   submitOrderRating,
   getOrderDetailsForBusinessOwners,
   getOrderDetailsForDrivers,
-  getAllCustomerOrders
+  getCurrentTrip,
+  updateTripStopStatus,
+  getAllCustomerOrders,
+  cancelOrder,
+  cancelOrderByVenue,
+  cancelOrderByDriver,
+  reportUnavailableOrderItem,
+  respondToItemIssue,
+  removeUnansweredItem,
+  addOrderTip,
+  streamOrderUpdates,
+  streamVenueOrders
 } from "../controllers/foodDelivery.controller.js";
 import {verifyJwt} from "../middlewares/userAuth.middlewares.js";
 import {verifyDriverJwt} from "../middlewares/deliveryDriver.auth.middlewares.js";
+import {verifyAnyJwt} from "../middlewares/verifyByAnyJwt.middlewares.js";
 // import {verifyVenueOwnerJwt} from "../middlewares/venueOwner.auth.middlewares.js";
 import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
 import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+import {upload} from "../middlewares/multer.middlewares.js";
 
 const router = Router();
 
@@ -32,12 +46,17 @@ router.route("/customer").post(authRateLimiter, verifyJwt, (req, res, next) => {
   next();
 }, createFoodDeliveryOrder);
 router.route("/customer/:id/rating").post(authRateLimiter, submitOrderRating); // Submit rating
+router.route("/customer/:id/cancel").post(authRateLimiter, verifyJwt, cancelOrder); // Cancel order under the venue's cancellation policy
+router.route("/customer/:id/reorder").post(authRateLimiter, verifyJwt, reorderFoodDelivery); // Prefilled cart from a past order, or place it again
+router.route("/customer/:id/item-issues/:issueId").post(authRateLimiter, verifyJwt, respondToItemIssue); // Accept a substitute, remove the item or reject the change
+router.route("/customer/:id/tip").post(authRateLimiter, verifyJwt, addOrderTip); // Add a tip after delivery
 router.route("/:id/customer/orders").get(authRateLimiter, verifyJwt, getCustomerOrders); // Get customer's orders
 
 // Venue owner routes (require venue owner JWT authentication)
 // router.use("/venue", verifyJwt);
 
 router.route("/venue/orders").get(authRateLimiter, verifyJwt, getVenueOrders); // Get venue's orders
+router.route("/venue/stream").get(authRateLimiter, verifyJwt, streamVenueOrders); // Live feed of incoming orders (SSE)
 router.route("/customer/orders").get(authRateLimiter, verifyJwt, getAllCustomerOrders); // Get all customers orders
 router.route("/customer/:id").get(authRateLimiter, verifyJwt, getOrderDetailsForCustomers); // Get order details
 router.route("/business/:id").get(authRateLimiter, verifyJwt, getOrderDetailsForBusinessOwners); // Get order details
@@ -46,17 +65,32 @@ router.route("/venue/stats").get(authRateLimiter, verifyJwt, getVenueStats); //
 
 router.route("/venue/:id/status").patch(authRateLimiter, verifyJwt, updateOrderStatus); // Update order status
 
-router.route("/venue/:id/assign-driver").post(authRateLimiter, verifyJwt, assignDriverToOrder); // Assign driver to order
+router.route("/venue/:id/cancel").post(authRateLimiter, verifyJwt, cancelOrderByVenue); // Cancel order (customer fully refunded)
+
+router.route("/venue/:id/items/:itemId/unavailable").post(authRateLimiter, verifyJwt, reportUnavailableOrderItem); // Flag an item as unavailable and propose substitutes
+
+router.route("/venue/:id/item-issues/:issueId/remove").post(authRateLimiter, verifyJwt, removeUnansweredItem); // Remove an item the customer didn't answer for in time
+
+router.route("/venue/:id/assign-driver").post(authRateLimiter, verifyJwt, assignDriverToOrder); // Offer order to a driver
 
 router.route("/venue/:id/nearby-drivers").get(authRateLimiter, verifyJwt, getNearbyDrivers); // Get nearby drivers
 
 // Driver routes (require driver JWT authentication)
 router.use("/driver", verifyDriverJwt);
 
+router.route("/driver/trips/current").get(authRateLimiter, getCurrentTrip); // Current trip with its stop sequence
+
+router.route("/driver/trips/:tripId/stops/:stopId").patch(authRateLimiter, upload.single("photo"), updateTripStopStatus); // Arrive at or complete a trip stop (drop-off photo optional)
+
 router.route("/driver/:id").get(authRateLimiter, getOrderDetailsForDrivers); // Get order details
 
-router.route("/driver/:id/status").patch(authRateLimiter, updateOrderStatus); // Update order status
+router.route("/driver/:id/status").patch(authRateLimiter, upload.single("photo"), updateOrderStatus); // Update order status (drop-off photo as proof of delivery)
 
 router.route("/driver/:id/location").patch(authRateLimiter, updateDeliveryLocation); // Update delivery location
 
+router.route("/driver/:id/cancel").post(authRateLimiter, cancelOrderByDriver); // Cancel order (customer fully refunded)
+
+// Live order tracking (customer, venue owner or assigned driver)
+router.route("/:id/stream").get(authRateLimiter, verifyAnyJwt, streamOrderUpdates); // Live status, location and ETA updates (SSE)
+
 export default router;
\ No newline at end of file
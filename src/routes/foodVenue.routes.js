@@ -5,11 +5,19 @@ import {
   getFoodVenueById,
   updateFoodVenue,
   updateFoodVenueAvailability,
+  getFoodVenueThrottling,
+  updateFoodVenueThrottling,
+  pauseFoodVenueOrders,
+  resumeFoodVenueOrders,
   deleteFoodVenue,
   uploadVenueImages,
   deleteVenueImage,
   uploadMenuItemImages,
-  deleteMenuItemImage
+  deleteMenuItemImage,
+  getModifierGroups,
+  addModifierGroup,
+  updateModifierGroup,
+  deleteModifierGroup
 } from "../controllers/foodVenue.controller.js";
 import {upload} from "../middlewares/multer.middlewares.js";
 import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
@@ -30,6 +38,10 @@ delete(authRateLimiter, deleteFoodVenue); // Delete food venue (admin or busines
 
 // Food venue availability management
 router.route("/:id/availability").patch(authRateLimiter, updateFoodVenueAvailability); // Update food venue availability
+router.route("/:id/throttling").get(getFoodVenueThrottling). // Active order cap, busy mode and current load
+patch(authRateLimiter, updateFoodVenueThrottling); // Update active order cap and busy mode
+router.route("/:id/pause").post(authRateLimiter, pauseFoodVenueOrders). // Stop new orders for a number of minutes
+delete(authRateLimiter, resumeFoodVenueOrders); // Resume orders before the pause ends
 
 // Venue image management routes
 router.route("/:id/images").post(authRateLimiter, upload.array("images", 10), uploadVenueImages). // Upload venue images (max 10 at a time)
@@ -39,4 +51,11 @@ delete(authRateLimiter, deleteVenueImage); // Delete venue image
 router.route("/:id/menu-items/:menuItemId/images").post(authRateLimiter, upload.array("images", 5), uploadMenuItemImages). // Upload menu item images (max 5 at a time)
 delete(authRateLimiter, deleteMenuItemImage); // Delete menu item image
 
+// Menu item modifier group routes (sizes, add-ons, etc.)
+router.route("/:id/menu-items/:menuItemId/modifier-groups").get(getModifierGroups). // Get modifier groups for a menu item
+post(authRateLimiter, addModifierGroup); // Add a modifier group to a menu item
+
+router.route("/:id/menu-items/:menuItemId/modifier-groups/:groupId").put(authRateLimiter, updateModifierGroup). // Update a modifier group
+delete(authRateLimiter, deleteModifierGroup); // Delete a modifier group
+
 export default router;
\ No newline at end of file
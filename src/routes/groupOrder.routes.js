@@ -0,0 +1,47 @@
+import {Router} from "express";
+import {
+  createGroupOrder,
+  getMyGroupOrders,
+  getGroupOrderInvite,
+  joinGroupOrder,
+  getGroupOrder,
+  addGroupOrderItem,
+  updateGroupOrderItem,
+  removeGroupOrderItem,
+  leaveGroupOrder,
+  updateGroupOrderDetails,
+  lockGroupOrder,
+  unlockGroupOrder,
+  submitGroupOrder,
+  cancelGroupOrder
+} from "../controllers/groupOrder.controller.js";
+import {verifyJwt} from "../middlewares/userAuth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+router.use(verifyJwt);
+
+router.route("/").post(authRateLimiter, createGroupOrder). // Start a group order and get the invite link
+get(authRateLimiter, getMyGroupOrders); // Open group orders the customer hosts or joined
+
+router.route("/join/:inviteCode").get(authRateLimiter, getGroupOrderInvite). // Invite details before joining
+post(authRateLimiter, joinGroupOrder); // Join from the invite link
+
+router.route("/:id").get(authRateLimiter, getGroupOrder). // Shared cart with live prices and per-participant totals
+patch(authRateLimiter, updateGroupOrderDetails). // Host: delivery details, payment mode, promo code and tip
+delete(authRateLimiter, cancelGroupOrder); // Host: cancel
+
+router.route("/:id/items").post(authRateLimiter, addGroupOrderItem); // Add an item under your name
+
+router.route("/:id/items/:itemId").patch(authRateLimiter, updateGroupOrderItem). // Change your item
+delete(authRateLimiter, removeGroupOrderItem); // Remove your item (host: any item)
+
+router.route("/:id/participants/me").delete(authRateLimiter, leaveGroupOrder); // Leave the group order
+
+router.route("/:id/lock").post(authRateLimiter, lockGroupOrder); // Host: stop changes before checkout
+router.route("/:id/unlock").post(authRateLimiter, unlockGroupOrder); // Host: reopen for changes
+
+router.route("/:id/submit").post(authRateLimiter, submitGroupOrder); // Host: place the order
+
+export default router;
@@ -0,0 +1,16 @@
+import {Router} from "express";
+import {getKitchenQueue, bumpKitchenOrder, setKitchenItemDone} from "../controllers/kitchenDisplay.controller.js";
+import {verifyJwt} from "../middlewares/userAuth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+router.use(verifyJwt);
+
+router.route("/queue").get(authRateLimiter, getKitchenQueue); // Active orders by stage with timers and flags
+
+router.route("/orders/:id/bump").post(authRateLimiter, bumpKitchenOrder); // Move an order to its next stage
+
+router.route("/orders/:id/items/:itemId").patch(authRateLimiter, setKitchenItemDone); // Check an item off as done
+
+export default router;
@@ -0,0 +1,37 @@
+import {Router} from "express";
+import {
+  openOrderIssue,
+  getMyOrderIssues,
+  getMyOrderIssue,
+  getMyStoreCredit,
+  getVenueOrderIssues,
+  respondToOrderIssue,
+  getOrderIssues,
+  getOrderIssueById,
+  resolveOrderIssue,
+  getOrderIssueReport
+} from "../controllers/orderIssue.controller.js";
+import {verifyJwt} from "../middlewares/userAuth.middlewares.js";
+import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+import {upload} from "../middlewares/multer.middlewares.js";
+
+const router = Router();
+
+// Customer routes
+router.route("/customer").get(authRateLimiter, verifyJwt, getMyOrderIssues); // Own issues, or ?status=
+router.route("/customer/store-credit").get(authRateLimiter, verifyJwt, getMyStoreCredit); // Store credit balance per currency
+router.route("/customer/orders/:orderId").post(authRateLimiter, verifyJwt, upload.array("photos", 5), openOrderIssue); // Report problem items of a delivered order (max 5 photos)
+router.route("/customer/:id").get(authRateLimiter, verifyJwt, getMyOrderIssue); // Issue with its timeline
+
+// Business owner routes
+router.route("/venue").get(authRateLimiter, verifyJwt, getVenueOrderIssues); // Issues with the venue's orders, or ?status=
+router.route("/venue/:id/response").post(authRateLimiter, verifyJwt, respondToOrderIssue); // Accept or dispute an issue
+
+// Admin routes
+router.route("/admin").get(authRateLimiter, verifyAdminJwt, getOrderIssues); // All issues, by ?status=, ?venue= or ?driver=
+router.route("/admin/reports").get(authRateLimiter, verifyAdminJwt, getOrderIssueReport); // Outcomes per venue or driver
+router.route("/admin/:id").get(authRateLimiter, verifyAdminJwt, getOrderIssueById); // Issue with order, timeline and resolution
+router.route("/admin/:id/resolve").post(authRateLimiter, verifyAdminJwt, resolveOrderIssue); // Refund, store credit or no action
+
+export default router;
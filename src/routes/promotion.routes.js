@@ -0,0 +1,35 @@
+import {Router} from "express";
+import {
+  createPromotion,
+  getPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  validatePromotionCode
+} from "../controllers/promotion.controller.js";
+import {verifyJwt} from "../middlewares/userAuth.middlewares.js";
+import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+// Customer routes
+router.route("/validate").post(authRateLimiter, verifyJwt, validatePromotionCode); // Check a promotion code before checkout
+
+// Admin routes (platform-wide or venue scoped promotions)
+router.route("/admin").post(authRateLimiter, verifyAdminJwt, createPromotion). // Create promotion
+get(authRateLimiter, verifyAdminJwt, getPromotions); // Get all promotions
+
+router.route("/admin/:id").get(authRateLimiter, verifyAdminJwt, getPromotionById). // Get promotion with redemption summary
+patch(authRateLimiter, verifyAdminJwt, updatePromotion). // Update promotion
+delete(authRateLimiter, verifyAdminJwt, deletePromotion); // Delete unused promotion
+
+// Business owner routes (promotions scoped to their own venues)
+router.route("/venue").post(authRateLimiter, verifyJwt, createPromotion). // Create promotion
+get(authRateLimiter, verifyJwt, getPromotions); // Get own promotions
+
+router.route("/venue/:id").get(authRateLimiter, verifyJwt, getPromotionById). // Get promotion with redemption summary
+patch(authRateLimiter, verifyJwt, updatePromotion). // Update promotion
+delete(authRateLimiter, verifyJwt, deletePromotion); // Delete unused promotion
+
+export default router;
@@ -0,0 +1,25 @@
+import {Router} from "express";
+import {
+  createTaxRule,
+  getTaxRules,
+  getTaxRuleById,
+  updateTaxRule,
+  deleteTaxRule
+} from "../controllers/taxRule.controller.js";
+import {verifyAdminJwt} from "../middlewares/admin.auth.middlewares.js";
+import {authRateLimiter} from "../middlewares/ratelimit.middlewares.js";
+
+const router = Router();
+
+// Apply admin authentication middleware to all routes
+router.use(verifyAdminJwt);
+
+// Sales tax rules by country and city
+router.route("/").post(authRateLimiter, createTaxRule). // Create tax rule
+get(authRateLimiter, getTaxRules); // Get tax rules
+
+router.route("/:id").get(authRateLimiter, getTaxRuleById). // Get tax rule
+patch(authRateLimiter, updateTaxRule). // Update tax rule
+delete(authRateLimiter, deleteTaxRule); // Delete tax rule
+
+export default router;
@@ -0,0 +1,17 @@
+import {ApiError} from "./ApiError.js";
+import logger from "./logger.js";
+
+/**
+ * Make sure the signed in admin has a permission before an admin action
+ * @param {Object} admin - req.admin set by verifyAdminJwt
+ * @param {string} requiredPermission - Key of Admin.permissions, e.g. "manageOrders"
+ * @throws {ApiError} 403 when the admin lacks the permission
+ */
+export const checkAdminPermissions = (admin, requiredPermission) => {
+  if (!admin || !admin.permissions[requiredPermission]) {
+    logger.error(
+      `Permission denied for ${admin
+      ?._id} - required: ${requiredPermission}`);
+    throw new ApiError(403, "You don't have permission to perform this action");
+  }
+};
@@ -0,0 +1,216 @@
+import Cart from "../models/cart.models.js";
+import {ApiError} from "./ApiError.js";
+import {getUnitPrice, resolveOrderItems, roundMoney, toRequestItem} from "./orderPricing.js";
+import {checkVenueDelivers, quoteOrderCharges} from "./orderPlacement.js";
+import logger from "./logger.js";
+
+/**
+ * Server-side carts: live repricing from the venue menu, checkout previews and expiry
+ */
+
+const DEFAULT_CART_EXPIRY_HOURS = 72;
+const DEFAULT_EXPIRY_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * When a cart changed now is abandoned.
+ * Configurable with CART_EXPIRY_HOURS.
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getCartExpiry = (now = new Date()) => {
+  const hours = Number(process.env.CART_EXPIRY_HOURS) || DEFAULT_CART_EXPIRY_HOURS;
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Open cart of a customer at a venue. A cart found past its expiry is abandoned on the spot.
+ * @param {ObjectId|string} userId
+ * @param {ObjectId|string} venueId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document|null>}
+ */
+export const findActiveCart = async (userId, venueId, session = null) => {
+  const cart = await Cart.findOne({user: userId, venue: venueId, status: "active"}).session(session);
+  if (cart && cart.expiresAt <= new Date()) {
+    cart.status = "abandoned";
+    await cart.save({session});
+    return null;
+  }
+  return cart;
+};
+
+// Options are the same when they pick the same choices, whatever the order
+const getOptionsKey = options => (options || []).map(opt => `${opt.groupId}:${opt.optionId}`).sort().join("|");
+
+/**
+ * Find a cart line with the same menu item, options and instructions as a new one
+ * @param {Document} cart
+ * @param {Object} item - Priced item from resolveOrderItems
+ * @returns {Object|undefined}
+ */
+export const findMatchingLine = (cart, item) => cart.items.find(line => line.menuItemId.toString() === item.menuItemId.toString() && getOptionsKey(line.options) === getOptionsKey(item.options) && (line.specialInstructions || "") === (item.specialInstructions || ""));
+
+/**
+ * Re-resolve every cart line against the venue's current menu.
+ * Lines that can't be ordered stay in the cart, flagged with their issues, and are left out of the subtotal.
+ * @param {Document} cart - Cart document, updated in place
+ * @param {Object} venue - FoodVenue document of the cart
+ * @returns {{repriced: Array}} - Lines whose unit price changed since they were last priced
+ */
+export const repriceCart = (cart, venue) => {
+  const repriced = [];
+
+  for (const line of cart.items) {
+    const {items: [item], errors: [error]} = resolveOrderItems(venue, [toRequestItem(line)]);
+    if (error) {
+      line.isAvailable = false;
+      line.issues = error.reasons;
+      continue;
+    }
+
+    const previousUnitPrice = line.price === undefined
+      ? undefined
+      : getUnitPrice(line);
+    const unitPrice = getUnitPrice(item);
+    if (previousUnitPrice !== undefined && previousUnitPrice !== unitPrice) {
+      repriced.push({lineId: line._id, name: item.name, previousUnitPrice, unitPrice});
+    }
+
+    line.set({
+      name: item.name,
+      price: item.price,
+      options: item.options,
+      isAvailable: true,
+      issues: []
+    });
+  }
+
+  const subtotal = cart.items.filter(line => line.isAvailable).reduce((sum, line) => sum + getUnitPrice(line) * line.quantity, 0);
+  cart.subtotal = roundMoney(subtotal);
+
+  return {repriced};
+};
+
+/**
+ * Price a cart the way checkout would: items from the live menu, then tax, delivery fee, promotion and total.
+ * Problems that would stop checkout are listed instead of thrown, so the cart can still be shown.
+ * @param {Document} cart - Cart (or group order) document, repriced in place
+ * @param {Object} venue - FoodVenue document of the cart
+ * @param {ObjectId} [userId] - Customer the promotion is checked for, the cart's owner by default
+ * @returns {Promise<Object>} - {cart, repricedItems, charges, issues, canCheckout}
+ */
+export const buildCartPreview = async (cart, venue, userId = cart.user) => {
+  const {repriced} = repriceCart(cart, venue);
+  const issues = [];
+  let charges = null;
+
+  if (cart.items.length === 0) {
+    issues.push("Cart is empty");
+  }
+  if (cart.items.some(line => !line.isAvailable)) {
+    issues.push("Remove the unavailable items before checking out");
+  }
+
+  const fulfillmentType = cart.fulfillmentType || "delivery";
+  const coordinates = cart.coordinates?.length === 2
+    ? cart.coordinates
+    : null;
+
+  if (!coordinates && fulfillmentType === "delivery") {
+    issues.push("Add a delivery location to see delivery fees");
+  } else {
+    try {
+      const {distance} = await checkVenueDelivers(venue, coordinates, {fulfillmentType});
+      const quote = {
+        venue,
+        coordinates,
+        distance,
+        fulfillmentType,
+        items: cart.items.filter(line => line.isAvailable),
+        subtotal: cart.subtotal,
+        tip: cart.tip,
+        userId
+      };
+
+      let result;
+      try {
+        result = await quoteOrderCharges({
+          ...quote,
+          promoCode: cart.promoCode
+        });
+      } catch (error) {
+        // An unusable promotion code shouldn't hide the rest of the preview
+        if (!(error instanceof ApiError) || !cart.promoCode) {
+          throw error;
+        }
+        issues.push(error.message);
+        result = await quoteOrderCharges(quote);
+      }
+
+      charges = {
+        currency: result.currency,
+        subtotal: cart.subtotal,
+        tax: result.tax,
+        taxBreakdown: result.taxBreakdown,
+        deliveryFee: result.deliveryFee,
+        discount: result.discount,
+        tip: cart.tip,
+        totalAmount: result.totalAmount
+      };
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        throw error;
+      }
+      issues.push(error.message);
+    }
+  }
+
+  return {
+    cart,
+    repricedItems: repriced,
+    charges,
+    issues,
+    canCheckout: issues.length === 0
+  };
+};
+
+/**
+ * Mark carts nobody has touched before their expiry as abandoned
+ * @returns {Promise<number>} - Number of carts abandoned
+ */
+export const expireAbandonedCarts = async () => {
+  const {modifiedCount} = await Cart.updateMany({
+    status: "active",
+    expiresAt: {
+      $lte: new Date()
+    }
+  }, {
+    $set: {
+      status: "abandoned"
+    }
+  });
+
+  if (modifiedCount > 0) {
+    logger.info(`Marked ${modifiedCount} cart(s) as abandoned`);
+  }
+
+  return modifiedCount;
+};
+
+/**
+ * Periodically abandon expired carts.
+ * Interval is configurable with CART_EXPIRY_INTERVAL_MS.
+ * @returns {NodeJS.Timeout}
+ */
+export const startCartExpiry = () => {
+  const interval = parseInt(process.env.CART_EXPIRY_INTERVAL_MS, 10) || DEFAULT_EXPIRY_INTERVAL_MS;
+
+  const timer = setInterval(() => {
+    expireAbandonedCarts().catch(error => {
+      logger.error(`Failed to expire carts: ${error.message}`, {stack: error.stack});
+    });
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,126 @@
+/**
+ * Currency helpers. Venues price everything (menu, fees, orders) in their own currency; gateways are
+ * charged in minor units of it and platform reports convert to the base currency with admin-managed rates.
+ */
+
+// Currencies without minor units: 500 JPY is charged as 500, not 50000
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  "BIF",
+  "CLP",
+  "DJF",
+  "GNF",
+  "JPY",
+  "KMF",
+  "KRW",
+  "MGA",
+  "PYG",
+  "RWF",
+  "UGX",
+  "VND",
+  "VUV",
+  "XAF",
+  "XOF",
+  "XPF"
+]);
+
+// Currencies with 1000 minor units
+const THREE_DECIMAL_CURRENCIES = new Set(["BHD", "JOD", "KWD", "OMR", "TND"]);
+
+// Used for venues and orders from before currency was a venue setting
+export const DEFAULT_CURRENCY = "USD";
+
+/**
+ * Currency platform reports are converted to, BASE_CURRENCY in the environment or USD
+ * @returns {string}
+ */
+export const getBaseCurrency = () => (process.env.BASE_CURRENCY || DEFAULT_CURRENCY).toUpperCase();
+
+/**
+ * Whether a value is a 3-letter ISO 4217 currency code in upper case
+ * @param {*} code
+ * @returns {boolean}
+ */
+export const isValidCurrency = code => typeof code === "string" && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Number of decimals a currency is charged with
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+export const getCurrencyDecimals = currency => {
+  const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+  if (ZERO_DECIMAL_CURRENCIES.has(code)) {
+    return 0;
+  }
+  return THREE_DECIMAL_CURRENCIES.has(code)
+    ? 3
+    : 2;
+};
+
+/**
+ * Round an amount to what the currency can be charged in
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number}
+ */
+export const roundToCurrency = (amount, currency) => parseFloat((Number(amount) || 0).toFixed(getCurrencyDecimals(currency)));
+
+/**
+ * Amount in the currency's minor units, as Stripe and Razorpay expect it
+ * @param {number} amount - Amount in major units, e.g. 12.5 USD
+ * @param {string} currency
+ * @returns {number} - e.g. 1250
+ */
+export const toMinorUnits = (amount, currency) => Math.round((Number(amount) || 0) * 10 ** getCurrencyDecimals(currency));
+
+/**
+ * Amount in major units from the currency's minor units
+ * @param {number} minorAmount
+ * @param {string} currency
+ * @returns {number}
+ */
+export const fromMinorUnits = (minorAmount, currency) => roundToCurrency(minorAmount / 10 ** getCurrencyDecimals(currency), currency);
+
+/**
+ * Amount as a decimal string with the currency's decimals, as PayPal expects it
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string} - e.g. "12.50", or "500" for JPY
+ */
+export const formatGatewayAmount = (amount, currency) => (Number(amount) || 0).toFixed(getCurrencyDecimals(currency));
+
+/**
+ * Currency a venue prices its menu, fees and orders in
+ * @param {Object} venue - FoodVenue document
+ * @returns {string}
+ */
+export const getVenueCurrency = venue => venue.currency || venue.deliveryFee
+  ?.currency || DEFAULT_CURRENCY;
+
+/**
+ * Currency an order was placed and is paid in
+ * @param {Object} order - FoodDelivery order (or DiningTab)
+ * @returns {string}
+ */
+export const getOrderCurrency = order => order.currency || order.deliveryFee
+  ?.currency || DEFAULT_CURRENCY;
+
+/**
+ * Convert an amount to the base currency
+ * @param {number} amount
+ * @param {string} currency
+ * @param {Map<string, number>} rates - Base currency units per unit of each currency, see ExchangeRate
+ * @returns {number|null} - null when there is no rate for the currency
+ */
+export const convertToBaseCurrency = (amount, currency, rates) => {
+  const baseCurrency = getBaseCurrency();
+  const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+  if (code === baseCurrency) {
+    return roundToCurrency(amount, baseCurrency);
+  }
+
+  const rate = rates.get(code);
+  return rate
+    ? roundToCurrency(amount * rate, baseCurrency)
+    : null;
+};
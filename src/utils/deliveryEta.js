@@ -0,0 +1,390 @@
+import mongoose from "mongoose";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import DeliveryDriver from "../models/deliveryDriver.models.js";
+import DeliveryTrip from "../models/deliveryTrip.models.js";
+import {getDistanceKm} from "./geoZones.js";
+import {onStatusChange, publishEtaChange} from "./orderEvents.js";
+import logger from "./logger.js";
+
+/**
+ * Delivery ETA estimation: venue prep time from its order history, driver to venue
+ * and venue to customer travel at the driver's vehicle speed
+ */
+
+// Average urban speeds, in km/h
+const VEHICLE_SPEED_KMH = {
+  walking: 5,
+  bicycle: 15,
+  scooter: 25,
+  motorcycle: 30,
+  car: 25
+};
+const DEFAULT_SPEED_KMH = 25; // before a driver is assigned
+const ROAD_DISTANCE_FACTOR = 1.3; // straight line to road distance
+const PICKUP_MINUTES = 4; // parking and handing over at the venue
+const DROPOFF_MINUTES = 3; // finding the door and handing over to the customer
+
+const PREP_HISTORY_SIZE = 50;
+const MIN_PREP_SAMPLES = 5;
+const PREP_CACHE_TTL_MS = 10 * 60 * 1000;
+const ACTIVE_STATUSES = ["pending", "preparing", "ready", "ready_for_pickup", "dispatched", "in_transit"];
+
+const prepTimeCache = new Map();
+
+/**
+ * Minutes to travel between two points
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @param {string} [vehicleType] - DeliveryDriver vehicleType
+ * @returns {number}
+ */
+export const getTravelMinutes = (from, to, vehicleType) => {
+  const speed = VEHICLE_SPEED_KMH[vehicleType] || DEFAULT_SPEED_KMH;
+  return (getDistanceKm(from, to) * ROAD_DISTANCE_FACTOR / speed) * 60;
+};
+
+/**
+ * Minutes an order should take to prepare: the venue's historical average,
+ * or 15 minutes plus 2 per item when the venue has too little history.
+ * Orders placed while the venue was busy get its extra busy prep time on top.
+ * @param {Document|Object} order - FoodDelivery order, or the order being created
+ * @param {number|null} [historicalMinutes] - See getVenuePrepMinutes
+ * @returns {number}
+ */
+export const estimatePrepMinutes = (order, historicalMinutes = null) => Math.round((historicalMinutes ?? 15 + (order.items?.length || 0) * 2) + (order.busyExtraPrepMinutes || 0));
+
+/**
+ * When the kitchen started an order: its first "preparing" update, or checkout for orders that went straight to the kitchen
+ * @param {Document|Object} order - FoodDelivery order
+ * @returns {Date}
+ */
+export const getPrepStartedAt = order => order.trackingUpdates?.find(update => update.status === "preparing")?.timestamp || order.createdAt;
+
+/**
+ * Average minutes a venue took from starting an order to marking it ready, over its recent orders.
+ * Cached per venue for a few minutes.
+ * @param {ObjectId|string} venueId
+ * @returns {Promise<number|null>} - null when there is not enough history
+ */
+export const getVenuePrepMinutes = async venueId => {
+  const key = venueId.toString();
+  const cached = prepTimeCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.minutes;
+  }
+
+  const firstTimestamp = status => ({
+    $min: {
+      $map: {
+        input: {
+          $filter: {
+            input: "$trackingUpdates",
+            cond: {
+              $eq: ["$$this.status", status]
+            }
+          }
+        },
+        in: "$$this.timestamp"
+      }
+    }
+  });
+
+  const [history] = await FoodDelivery.aggregate([
+    {
+      $match: {
+        venue: new mongoose.Types.ObjectId(key),
+        "trackingUpdates.status": "ready"
+      }
+    }, {
+      $sort: {
+        createdAt: -1
+      }
+    }, {
+      $limit: PREP_HISTORY_SIZE
+    }, {
+      $project: {
+        startedAt: {
+          $ifNull: [
+            firstTimestamp("preparing"),
+            "$createdAt"
+          ]
+        },
+        readyAt: firstTimestamp("ready")
+      }
+    }, {
+      $group: {
+        _id: null,
+        averageMs: {
+          $avg: {
+            $subtract: ["$readyAt", "$startedAt"]
+          }
+        },
+        samples: {
+          $sum: 1
+        }
+      }
+    }
+  ]);
+
+  const minutes = history && history.samples >= MIN_PREP_SAMPLES && history.averageMs > 0
+    ? history.averageMs / 60000
+    : null;
+
+  prepTimeCache.set(key, {
+    minutes,
+    expiresAt: Date.now() + PREP_CACHE_TTL_MS
+  });
+  return minutes;
+};
+
+/**
+ * Estimate when an order will be delivered from its current stage, or ready for pickup and dine-in orders
+ * @param {Object} params
+ * @param {Document|Object} params.order - FoodDelivery order, or the order being created
+ * @param {Document} params.venue - FoodVenue the order was placed with
+ * @param {Document} [params.driver] - Assigned DeliveryDriver, with currentLocation and vehicleType
+ * @param {number|null} [params.prepMinutes] - Venue's historical prep time, see getVenuePrepMinutes
+ * @param {Date} [params.now] - Current time
+ * @returns {Date|null} - null once the order is delivered or failed
+ */
+export const estimateDeliveryTime = ({order, venue, driver = null, prepMinutes = null, now = new Date()}) => {
+  const status = order.deliveryStatus || "pending";
+  if (!ACTIVE_STATUSES.includes(status) && status !== "scheduled") {
+    return null;
+  }
+
+  // Scheduled orders are timed to arrive at their slot
+  if (status === "scheduled" && order.scheduledFor) {
+    return new Date(order.scheduledFor);
+  }
+
+  let prepRemaining = 0;
+  if (["pending", "scheduled", "preparing"].includes(status)) {
+    const prepTotal = estimatePrepMinutes(order, prepMinutes);
+    const elapsed = status === "preparing"
+      ? (now - new Date(getPrepStartedAt(order))) / 60000
+      : 0;
+    prepRemaining = Math.max(prepTotal - elapsed, 0);
+  }
+
+  // Pickup and dine-in orders are handed over as soon as the kitchen is done
+  if (["pickup", "dine_in"].includes(order.fulfillmentType)) {
+    const readyAt = new Date(now.getTime() + Math.ceil(prepRemaining) * 60000);
+    return order.scheduledFor && new Date(order.scheduledFor) > readyAt
+      ? new Date(order.scheduledFor)
+      : readyAt;
+  }
+
+  const pickup = venue.address.coordinates.coordinates;
+  const dropoff = order.deliveryAddress.coordinates.coordinates;
+  const driverPosition = driver?.currentLocation?.coordinates?.length === 2
+    ? driver.currentLocation.coordinates
+    : null;
+  const vehicleType = driver?.vehicleType;
+
+  let minutes;
+  if (status === "in_transit" && driverPosition) {
+    minutes = getTravelMinutes(driverPosition, dropoff, vehicleType) + DROPOFF_MINUTES;
+  } else {
+    const tripMinutes = getTravelMinutes(pickup, dropoff, vehicleType) + PICKUP_MINUTES + DROPOFF_MINUTES;
+
+    // The driver heads to the venue while the kitchen is still working
+    const driverToVenue = driverPosition
+      ? getTravelMinutes(driverPosition, pickup, vehicleType)
+      : 0;
+
+    minutes = Math.max(prepRemaining, driverToVenue) + tripMinutes;
+  }
+
+  const estimate = new Date(now.getTime() + Math.ceil(minutes) * 60000);
+
+  // Scheduled orders are not delivered ahead of their slot
+  return order.scheduledFor && new Date(order.scheduledFor) > estimate
+    ? new Date(order.scheduledFor)
+    : estimate;
+};
+
+// Save a new estimate on an order and publish it when it moved by a minute or more
+const applyEstimate = async (order, estimate) => {
+  const update = {};
+  if (!order.estimatedDeliveryTime || Math.abs(estimate - order.estimatedDeliveryTime) >= 60000) {
+    update.estimatedDeliveryTime = estimate;
+  }
+  if (order.deliveryStatus === "in_transit" && !order.etaAtPickup) {
+    update.etaAtPickup = estimate;
+  }
+
+  if (Object.keys(update).length > 0) {
+    await FoodDelivery.updateOne({_id: order._id}, {$set: update});
+    if (update.estimatedDeliveryTime) {
+      order.estimatedDeliveryTime = estimate;
+      publishEtaChange(order);
+    }
+  }
+
+  return order.estimatedDeliveryTime;
+};
+
+/**
+ * Estimate arrival at each remaining stop of a trip, visited in the given order.
+ * Pickups wait for the food when it is not ready yet.
+ * @param {Object} params
+ * @param {Array} params.stops - Remaining DeliveryTrip stops, in sequence
+ * @param {number[]} [params.origin] - Driver position [longitude, latitude]
+ * @param {string} [params.vehicleType] - DeliveryDriver vehicleType
+ * @param {Map} [params.readyAt] - Stop id to the time its order should be ready
+ * @param {Date} [params.now] - Current time
+ * @returns {Date[]} - Arrival time per stop
+ */
+export const estimateStopArrivals = ({stops, origin = null, vehicleType, readyAt = new Map(), now = new Date()}) => {
+  let clock = now.getTime();
+  let position = origin;
+
+  return stops.map(stop => {
+    if (stop.status !== "arrived" && position) {
+      clock += getTravelMinutes(position, stop.coordinates, vehicleType) * 60000;
+    }
+    const arrival = new Date(Math.ceil(clock / 60000) * 60000);
+
+    const foodReadyAt = readyAt.get(stop._id?.toString());
+    if (foodReadyAt) {
+      clock = Math.max(clock, foodReadyAt.getTime());
+    }
+    const handoverMinutes = stop.type === "pickup"
+      ? PICKUP_MINUTES
+      : DROPOFF_MINUTES;
+    clock += handoverMinutes * 60000;
+    position = stop.coordinates;
+
+    return arrival;
+  });
+};
+
+/**
+ * Re-estimate every remaining stop of a trip and the delivery time of each customer on it
+ * @param {ObjectId|string} tripId
+ * @returns {Promise<Map>} - Order id to its new delivery estimate
+ */
+export const refreshTripEtas = async tripId => {
+  const estimates = new Map();
+  const trip = await DeliveryTrip.findById(tripId);
+  if (!trip || trip.status !== "active") {
+    return estimates;
+  }
+
+  const driver = await DeliveryDriver.findById(trip.driver).select("currentLocation vehicleType");
+  const orders = await FoodDelivery.find({
+    _id: {
+      $in: trip.orders
+    }
+  });
+  const ordersById = new Map(orders.map(order => [order._id.toString(), order]));
+
+  const remaining = trip.stops.filter(stop => ["pending", "arrived"].includes(stop.status)).sort((a, b) => a.sequence - b.sequence);
+
+  // Food still in the kitchen holds up its pickup
+  const readyAt = new Map();
+  for (const stop of remaining) {
+    const order = ordersById.get(stop.order.toString());
+    if (stop.type === "pickup" && ["pending", "preparing"].includes(order?.deliveryStatus)) {
+      const prepMinutes = estimatePrepMinutes(order, await getVenuePrepMinutes(order.venue));
+      readyAt.set(stop._id.toString(), new Date(new Date(getPrepStartedAt(order)).getTime() + prepMinutes * 60000));
+    }
+  }
+
+  const origin = driver?.currentLocation?.coordinates?.length === 2
+    ? driver.currentLocation.coordinates
+    : null;
+  const arrivals = estimateStopArrivals({stops: remaining, origin, vehicleType: driver?.vehicleType, readyAt});
+
+  remaining.forEach((stop, index) => {
+    stop.estimatedArrival = arrivals[index];
+  });
+  await trip.save();
+
+  for (const [index, stop] of remaining.entries()) {
+    const order = ordersById.get(stop.order.toString());
+    if (stop.type === "dropoff" && order) {
+      const estimate = new Date(arrivals[index].getTime() + DROPOFF_MINUTES * 60000);
+      estimates.set(order._id.toString(), await applyEstimate(order, estimate));
+    }
+  }
+
+  return estimates;
+};
+
+/**
+ * Re-estimate an order's delivery time and publish it when it moved by a minute or more.
+ * Orders on a trip are estimated stop by stop with the rest of the trip.
+ * The first estimate made once the order is in transit is kept as etaAtPickup,
+ * which drivers' on-time rate is measured against.
+ * @param {ObjectId|string} orderId
+ * @returns {Promise<Date|null>} - The current estimate
+ */
+export const refreshOrderEta = async orderId => {
+  const order = await FoodDelivery.findById(orderId).populate("venue", "address pickupSettings");
+  if (!order || !order.venue) {
+    return null;
+  }
+
+  if (order.trip && ACTIVE_STATUSES.includes(order.deliveryStatus)) {
+    const estimates = await refreshTripEtas(order.trip);
+    if (estimates.has(order._id.toString())) {
+      return estimates.get(order._id.toString());
+    }
+  }
+
+  const driver = order.deliveryDriver
+    ? await DeliveryDriver.findById(order.deliveryDriver).select("currentLocation vehicleType")
+    : null;
+  const prepMinutes = !["pending", "preparing"].includes(order.deliveryStatus)
+    ? null
+    : order.fulfillmentType === "pickup"
+      ? order.venue.pickupSettings?.prepTimeMinutes
+      : await getVenuePrepMinutes(order.venue._id);
+
+  const estimate = estimateDeliveryTime({order, venue: order.venue, driver, prepMinutes});
+  if (!estimate) {
+    return null;
+  }
+
+  return applyEstimate(order, estimate);
+};
+
+/**
+ * Re-estimate every active order a driver is assigned to, e.g. after a location update
+ * @param {ObjectId|string} driverId
+ */
+export const refreshDriverOrderEtas = async driverId => {
+  const orders = await FoodDelivery.find({
+    deliveryDriver: driverId,
+    deliveryStatus: {
+      $in: ACTIVE_STATUSES
+    }
+  }).select("_id trip");
+
+  // A trip is re-estimated once for all of its orders
+  const refreshedTrips = new Set();
+  for (const {_id, trip} of orders) {
+    if (trip) {
+      if (!refreshedTrips.has(trip.toString())) {
+        refreshedTrips.add(trip.toString());
+        await refreshTripEtas(trip);
+      }
+      continue;
+    }
+    await refreshOrderEta(_id);
+  }
+};
+
+/**
+ * Re-estimate orders whenever their status changes
+ */
+export const startEtaUpdates = () => onStatusChange(({orderId, status}) => {
+  if (!ACTIVE_STATUSES.includes(status)) {
+    return;
+  }
+  refreshOrderEta(orderId).catch(error => {
+    logger.error(`Failed to update ETA for order ${orderId}: ${error.message}`, {stack: error.stack});
+  });
+});
@@ -0,0 +1,389 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import DeliveryDriver from "../models/deliveryDriver.models.js";
+import DeliveryTrip from "../models/deliveryTrip.models.js";
+import {ApiError} from "./ApiError.js";
+import {getDistanceKm} from "./geoZones.js";
+import {refreshTripEtas} from "./deliveryEta.js";
+import {collectDeliveryProof} from "./proofOfDelivery.js";
+import {getDeliveryEarnings} from "./driverEarnings.js";
+import {onStatusChange, publishOrderEvent, publishStatusChange} from "./orderEvents.js";
+import logger from "./logger.js";
+
+/**
+ * Driver trips: one or more orders carried on the same run, collected from their venues first
+ * and then dropped off, each stop in the order computed from its coordinates
+ */
+
+const MAX_TRIP_ORDERS = 3;
+const BATCH_PICKUP_RADIUS_KM = 2; // venues this close to a pickup already on the trip can be stacked
+const OPEN_STOP_STATUSES = ["pending", "arrived"];
+const ACTIVE_ORDER_STATUSES = ["preparing", "ready", "dispatched", "in_transit"];
+
+const isOpenStop = stop => OPEN_STOP_STATUSES.includes(stop.status);
+
+// Visit stops nearest first, starting from a position; stops the driver is already at go first
+const orderByNearest = (stops, start) => {
+  const ordered = stops.filter(stop => stop.status === "arrived");
+  const remaining = stops.filter(stop => stop.status !== "arrived");
+  let position = ordered.at(-1)?.coordinates || start;
+
+  while (remaining.length > 0) {
+    let nearest = 0;
+    if (position) {
+      remaining.forEach((stop, index) => {
+        if (getDistanceKm(position, stop.coordinates) < getDistanceKm(position, remaining[nearest].coordinates)) {
+          nearest = index;
+        }
+      });
+    }
+    const [next] = remaining.splice(nearest, 1);
+    ordered.push(next);
+    position = next.coordinates;
+  }
+
+  return ordered;
+};
+
+/**
+ * Sequence a trip's stops: finished stops keep their place, then every open pickup, then every open dropoff,
+ * each group visited nearest first. Updates each stop's sequence.
+ * @param {Array} stops - DeliveryTrip stops
+ * @param {number[]} [origin] - Driver position [longitude, latitude]
+ * @returns {Array} - Stops in visiting order
+ */
+export const sequenceStops = (stops, origin = null) => {
+  const finished = stops.filter(stop => !isOpenStop(stop)).sort((a, b) => a.sequence - b.sequence);
+  const pickups = orderByNearest(stops.filter(stop => isOpenStop(stop) && stop.type === "pickup"), origin);
+  const dropoffs = orderByNearest(stops.filter(stop => isOpenStop(stop) && stop.type === "dropoff"), pickups.at(-1)?.coordinates || origin);
+
+  const sequenced = [...finished, ...pickups, ...dropoffs];
+  sequenced.forEach((stop, index) => {
+    stop.sequence = index + 1;
+  });
+  return sequenced;
+};
+
+/**
+ * Whether more orders can be stacked onto a trip: it has room and the driver has not started dropping off
+ * @param {Document} trip - DeliveryTrip
+ * @returns {boolean}
+ */
+export const canTakeMoreOrders = trip => trip.status === "active" && trip.orders.length < MAX_TRIP_ORDERS && !trip.stops.some(stop => stop.type === "dropoff" && ["arrived", "completed"].includes(stop.status));
+
+/**
+ * Active trips with a pickup near a venue that can take another order
+ * @param {number[]} venueCoordinates - [longitude, latitude]
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.excludeDriverIds] - Drivers not to consider
+ * @returns {Promise<Document[]>}
+ */
+export const findBatchableTrips = async (venueCoordinates, {excludeDriverIds = []} = {}) => {
+  const trips = await DeliveryTrip.find({
+    status: "active",
+    hasPendingOffer: false,
+    driver: {
+      $nin: excludeDriverIds
+    },
+    "stops.coordinates": {
+      $geoWithin: {
+        $centerSphere: [
+          venueCoordinates,
+          BATCH_PICKUP_RADIUS_KM / 6378.1
+        ]
+      }
+    }
+  });
+
+  return trips.filter(trip => canTakeMoreOrders(trip) && trip.stops.some(stop => stop.type === "pickup" && stop.status !== "cancelled" && getDistanceKm(stop.coordinates, venueCoordinates) <= BATCH_PICKUP_RADIUS_KM));
+};
+
+/**
+ * Add an order the driver accepted to their trip, starting a new trip when they have none
+ * @param {Object} params
+ * @param {Document} params.order - FoodDelivery order
+ * @param {Document} params.venue - FoodVenue the order is picked up from, with name and address
+ * @param {ObjectId|string} params.driverId
+ * @param {ObjectId|string} [params.tripId] - Trip the order was offered for
+ * @returns {Promise<Document>} - The trip
+ */
+export const addOrderToTrip = async ({order, venue, driverId, tripId = null}) => {
+  let trip = tripId
+    ? await DeliveryTrip.findById(tripId)
+    : await DeliveryTrip.findOne({driver: driverId, status: "active"});
+
+  if (trip && !canTakeMoreOrders(trip)) {
+    throw new ApiError(409, "The driver's current trip cannot take more orders");
+  }
+  if (!trip) {
+    trip = new DeliveryTrip({driver: driverId, orders: [], stops: []});
+  }
+
+  const dropoff = order.deliveryAddress;
+  trip.orders.push(order._id);
+  trip.stops.push({
+    type: "pickup",
+    order: order._id,
+    venue: venue._id,
+    name: venue.name,
+    address: `${venue.address.street}, ${venue.address.city}`,
+    coordinates: venue.address.coordinates.coordinates,
+    sequence: trip.stops.length + 1
+  }, {
+    type: "dropoff",
+    order: order._id,
+    name: order.customer?.name,
+    address: [dropoff.unitNumber, dropoff.street, dropoff.city].filter(Boolean).join(", "),
+    coordinates: dropoff.coordinates.coordinates,
+    sequence: trip.stops.length + 2
+  });
+
+  const driver = await DeliveryDriver.findById(driverId).select("currentLocation");
+  sequenceStops(trip.stops, driver?.currentLocation?.coordinates);
+  trip.hasPendingOffer = false;
+  await trip.save();
+
+  await FoodDelivery.updateOne({
+    _id: order._id
+  }, {
+    $set: {
+      trip: trip._id
+    }
+  });
+  order.trip = trip._id;
+
+  logger.info(`Order ${order._id} added to trip ${trip._id} (${trip.orders.length} order(s))`);
+  return trip;
+};
+
+/**
+ * Make a driver available again once they have no active orders or trip left
+ * @param {ObjectId|string} driverId
+ */
+export const releaseDriverIfIdle = async driverId => {
+  const [activeOrders, activeTrip] = await Promise.all([
+    FoodDelivery.countDocuments({
+      deliveryDriver: driverId,
+      deliveryStatus: {
+        $in: ACTIVE_ORDER_STATUSES
+      }
+    }),
+    DeliveryTrip.exists({driver: driverId, status: "active"})
+  ]);
+
+  if (activeOrders === 0 && !activeTrip) {
+    await DeliveryDriver.updateOne({
+      _id: driverId,
+      isOnDuty: true
+    }, {
+      $set: {
+        isAvailable: true
+      }
+    });
+  }
+};
+
+// Complete a trip once every stop is done and free its driver
+const finishTripIfDone = async trip => {
+  if (trip.stops.some(isOpenStop)) {
+    return false;
+  }
+
+  trip.status = trip.stops.some(stop => stop.status === "completed")
+    ? "completed"
+    : "cancelled";
+  trip.completedAt = new Date();
+  await trip.save();
+  await releaseDriverIfIdle(trip.driver);
+
+  logger.info(`Trip ${trip._id} ${trip.status}`);
+  return true;
+};
+
+/**
+ * Bring an order's trip stops in line with its status, e.g. after the driver used the single order
+ * status endpoint or the order was cancelled, and free the driver when nothing is left
+ * @param {ObjectId|string} orderId
+ */
+export const syncTripWithOrder = async orderId => {
+  const order = await FoodDelivery.findById(orderId).select("deliveryStatus deliveryDriver trip");
+  if (!order) {
+    return;
+  }
+
+  const trip = order.trip && await DeliveryTrip.findById(order.trip);
+  if (!trip || trip.status !== "active") {
+    if (order.deliveryDriver && ["delivered", "failed"].includes(order.deliveryStatus)) {
+      await releaseDriverIfIdle(order.deliveryDriver);
+    }
+    return;
+  }
+
+  const now = new Date();
+  let changed = false;
+  for (const stop of trip.stops) {
+    if (stop.order.toString() !== order._id.toString() || !isOpenStop(stop)) {
+      continue;
+    }
+
+    const pickedUp = stop.type === "pickup" && ["in_transit", "delivered"].includes(order.deliveryStatus);
+    const delivered = stop.type === "dropoff" && order.deliveryStatus === "delivered";
+    if (pickedUp || delivered) {
+      stop.status = "completed";
+      stop.completedAt = now;
+      changed = true;
+    } else if (order.deliveryStatus === "failed") {
+      stop.status = "cancelled";
+      changed = true;
+    }
+  }
+
+  if (!changed) {
+    return;
+  }
+
+  await trip.save();
+  if (!(await finishTripIfDone(trip))) {
+    await refreshTripEtas(trip._id);
+  }
+};
+
+// Move the stop's order on when the driver finishes a stop, with the proof of delivery for dropoffs
+const advanceOrderForStop = async (stop, driverId, proofFields = {}) => {
+  const isPickup = stop.type === "pickup";
+  const fromStatuses = isPickup
+    ? ["ready", "dispatched"]
+    : ["in_transit"];
+  const nextStatus = isPickup
+    ? "in_transit"
+    : "delivered";
+  const notes = isPickup
+    ? "Order picked up"
+    : "Order delivered";
+
+  const order = await FoodDelivery.findOneAndUpdate({
+    _id: stop.order,
+    deliveryDriver: driverId,
+    deliveryStatus: {
+      $in: fromStatuses
+    }
+  }, {
+    $set: {
+      deliveryStatus: nextStatus,
+      ...(!isPickup && {
+        actualDeliveryTime: new Date(),
+        ...proofFields
+      })
+    },
+    $push: {
+      trackingUpdates: {
+        status: nextStatus,
+        notes,
+        updatedBy: "driver",
+        location: {
+          type: "Point",
+          coordinates: stop.coordinates
+        }
+      }
+    }
+  }, {new: true});
+
+  if (!order) {
+    throw new ApiError(400, isPickup
+      ? "Order is not ready for pickup"
+      : "Order has not been picked up");
+  }
+
+  if (!isPickup) {
+    const driver = await DeliveryDriver.findByIdAndUpdate(driverId, {
+      $inc: {
+        completedDeliveries: 1,
+        ...getDeliveryEarnings(order)
+      },
+      lastActive: new Date()
+    }, {new: true});
+    await driver?.calculateStats();
+  }
+
+  publishStatusChange(order, {updatedBy: "driver", notes});
+  return order;
+};
+
+/**
+ * Update one stop of a driver's trip. Completing a pickup puts its order in transit,
+ * completing a dropoff delivers it; the remaining stops and every customer's ETA are re-estimated.
+ * @param {Object} params
+ * @param {ObjectId|string} params.tripId
+ * @param {ObjectId|string} params.stopId
+ * @param {ObjectId|string} params.driverId - Driver making the update
+ * @param {string} params.status - "arrived" or "completed"
+ * @param {Object} [params.proof] - Handoff PIN, photo path and driver location for completing a dropoff
+ * @returns {Promise<Document>} - Updated trip
+ */
+export const updateTripStop = async ({tripId, stopId, driverId, status, proof = {}}) => {
+  if (!["arrived", "completed"].includes(status)) {
+    throw new ApiError(400, "Stop status must be 'arrived' or 'completed'");
+  }
+
+  const trip = await DeliveryTrip.findOne({_id: tripId, driver: driverId});
+  if (!trip) {
+    throw new ApiError(404, "Trip not found");
+  }
+  if (trip.status !== "active") {
+    throw new ApiError(400, `Trip is already ${trip.status}`);
+  }
+
+  const stop = trip.stops.id(stopId);
+  if (!stop) {
+    throw new ApiError(404, "Stop not found on this trip");
+  }
+  if (!isOpenStop(stop) || (stop.status === "arrived" && status === "arrived")) {
+    throw new ApiError(400, `Stop is already ${stop.status}`);
+  }
+
+  // Every order has to be collected before the first dropoff
+  if (stop.type === "dropoff" && trip.stops.some(other => other.type === "pickup" && isOpenStop(other))) {
+    throw new ApiError(400, "Complete every pickup on the trip before dropping off");
+  }
+
+  const now = new Date();
+  if (status === "arrived") {
+    stop.status = "arrived";
+    stop.arrivedAt = now;
+    publishOrderEvent(stop.order, "stop", {
+      orderId: stop.order,
+      stop: stop.type,
+      status: "arrived",
+      timestamp: now
+    });
+  } else {
+    const proofFields = stop.type === "dropoff"
+      ? await collectDeliveryProof({orderId: stop.order, ...proof})
+      : {};
+    await advanceOrderForStop(stop, driverId, proofFields);
+    stop.status = "completed";
+    stop.arrivedAt = stop.arrivedAt || now;
+    stop.completedAt = now;
+  }
+
+  await trip.save();
+
+  if (!(await finishTripIfDone(trip))) {
+    await refreshTripEtas(trip._id).catch(error => {
+      logger.error(`Failed to update ETAs for trip ${trip._id}: ${error.message}`);
+    });
+  }
+
+  return trip;
+};
+
+/**
+ * Keep trips in line with order status changes made outside the trip endpoints
+ */
+export const startTripSync = () => onStatusChange(({orderId, status}) => {
+  if (!["in_transit", "delivered", "failed"].includes(status)) {
+    return;
+  }
+  syncTripWithOrder(orderId).catch(error => {
+    logger.error(`Failed to sync trip for order ${orderId}: ${error.message}`, {stack: error.stack});
+  });
+});
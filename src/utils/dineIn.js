@@ -0,0 +1,385 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import DiningTab from "../models/diningTab.models.js";
+import {ApiError} from "./ApiError.js";
+import {cancelStripePaymentIntent} from "./payment_gateways/stripe.js";
+import {resolveOrderItems, roundMoney} from "./orderPricing.js";
+import {checkVenueDelivers, quoteOrderCharges} from "./orderPlacement.js";
+import {estimateDeliveryTime, estimatePrepMinutes, getVenuePrepMinutes} from "./deliveryEta.js";
+import {checkVenueTakingOrders} from "./venueThrottling.js";
+import {generateHandoffPin} from "./proofOfDelivery.js";
+
+/**
+ * Dine-in QR ordering: every table has a QR code with a signed venue/table token. Guests scanning it
+ * open a tab for the table, send rounds to the kitchen as orders and pay the tab at the end.
+ * The QR code outlives its tabs, so a tab is only used with the key handed out when it was opened or
+ * joined with its join code.
+ */
+
+// Status flow of dine-in rounds; "delivered" means served at the table
+export const DINE_IN_TRANSITIONS = {
+  pending: [
+    "preparing", "failed"
+  ],
+  preparing: [
+    "ready", "failed"
+  ],
+  ready: [
+    "delivered", "failed"
+  ],
+  delivered: [],
+  failed: []
+};
+
+/**
+ * Whether an order is a dine-in round served at a table
+ * @param {Object} order - FoodDelivery order
+ * @returns {boolean}
+ */
+export const isDineInOrder = order => order.fulfillmentType === "dine_in";
+
+const getTokenSecret = () => {
+  if (!process.env.DINE_IN_TOKEN_SECRET) {
+    throw new ApiError(500, "Dine-in ordering is not configured");
+  }
+  return process.env.DINE_IN_TOKEN_SECRET;
+};
+
+/**
+ * Signed token encoded in a table's QR code. It has no expiry: printed codes stay valid
+ * until the table's qrVersion is bumped.
+ * @param {ObjectId|string} venueId
+ * @param {Object} table - FoodVenue.diningTables entry
+ * @returns {string}
+ */
+export const signTableToken = (venueId, table) => jwt.sign({
+  venue: venueId.toString(),
+  table: table._id.toString(),
+  v: table.qrVersion
+}, getTokenSecret());
+
+/**
+ * Link the table's QR code points to
+ * @param {string} token - See signTableToken
+ * @returns {string}
+ */
+export const getTableLink = token => `${process.env.FRONTEND_URL}/dine-in/${token}`;
+
+/**
+ * Load the venue and table a scanned QR token belongs to
+ * @param {string} token
+ * @param {ClientSession} [session]
+ * @returns {Promise<{venue: Document, table: Object}>}
+ */
+export const resolveTableToken = async (token, session = null) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getTokenSecret());
+  } catch (error) {
+    if (error instanceof ApiError) {
+      throw error;
+    }
+    throw new ApiError(401, "Invalid table QR code");
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(payload.venue) || !mongoose.Types.ObjectId.isValid(payload.table)) {
+    throw new ApiError(401, "Invalid table QR code");
+  }
+
+  const venue = await FoodVenue.findById(payload.venue).session(session);
+  const table = venue
+    ?.diningTables.id(payload.table);
+  if (!table || table.qrVersion !== payload.v) {
+    throw new ApiError(401, "This table QR code is no longer valid. Ask the staff for a new one");
+  }
+  if (!table.isActive) {
+    throw new ApiError(400, "This table is not taking orders right now");
+  }
+
+  return {venue, table};
+};
+
+// Wrong join codes before the tab gets a new one, so the code can't be guessed
+const MAX_JOIN_ATTEMPTS = 5;
+
+/**
+ * Code guests at the table give each other to join its tab
+ * @returns {string}
+ */
+export const generateTabJoinCode = generateHandoffPin;
+
+/**
+ * Secret key of a tab, given to the guests who open or join it
+ * @returns {string}
+ */
+export const generateTabAccessKey = () => crypto.randomBytes(24).toString("hex");
+
+/**
+ * Check a guest's key against a tab loaded with its accessKey
+ * @param {Object} tab - DiningTab
+ * @param {string} [accessKey] - Key the guest sent
+ * @returns {boolean}
+ */
+export const isTabKeyValid = (tab, accessKey) => {
+  if (typeof accessKey !== "string" || !tab.accessKey || accessKey.length !== tab.accessKey.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(accessKey), Buffer.from(tab.accessKey));
+};
+
+/**
+ * Let a guest join a table's open tab with its join code. After MAX_JOIN_ATTEMPTS wrong codes the tab gets
+ * a new code, which the guests already on the tab can read from it.
+ * @param {Document} tab - Open DiningTab with its accessKey
+ * @param {string} [joinCode] - Code the guest was given
+ * @returns {Promise<string>} - The tab's access key
+ */
+export const joinTab = async (tab, joinCode) => {
+  if (!joinCode) {
+    throw new ApiError(403, "This table already has an open tab. Ask the guest who opened it for its join code");
+  }
+  if (String(joinCode) === tab.joinCode) {
+    return tab.accessKey;
+  }
+
+  const attempted = await DiningTab.findOneAndUpdate({
+    _id: tab._id
+  }, {
+    $inc: {
+      joinAttempts: 1
+    }
+  }, {new: true}).select("joinAttempts");
+  if (attempted
+    ?.joinAttempts >= MAX_JOIN_ATTEMPTS) {
+    await DiningTab.updateOne({
+      _id: tab._id,
+      joinAttempts: attempted.joinAttempts
+    }, {
+      $set: {
+        joinCode: generateTabJoinCode(),
+        joinAttempts: 0
+      }
+    });
+  }
+  throw new ApiError(403, "Incorrect join code");
+};
+
+/**
+ * Open tab of a table, if there is one
+ * @param {ObjectId|string} venueId
+ * @param {ObjectId|string} tableId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document|null>} - The tab with its accessKey
+ */
+export const findOpenTab = (venueId, tableId, session = null) => DiningTab.findOne({
+  venue: venueId,
+  "table._id": tableId,
+  status: {
+    $in: ["open", "payment_pending"]
+  }
+}).select("+accessKey").session(session);
+
+/**
+ * Recalculate a tab's totals from its rounds; cancelled rounds are not charged
+ * @param {Document} tab - DiningTab document, updated in place
+ * @param {ClientSession} [session]
+ * @returns {Promise<Document>} - The tab
+ */
+export const refreshTabTotals = async (tab, session = null) => {
+  const rounds = await FoodDelivery.find({
+    "dineIn.tab": tab._id,
+    deliveryStatus: {
+      $ne: "failed"
+    }
+  }).select("subtotal tax").session(session);
+
+  tab.subtotal = roundMoney(rounds.reduce((sum, round) => sum + round.subtotal, 0));
+  tab.tax = roundMoney(rounds.reduce((sum, round) => sum + (round.tax || 0), 0));
+  tab.totalAmount = roundMoney(tab.subtotal + tab.tax + (tab.tip || 0));
+  return tab;
+};
+
+/**
+ * Send a round of items from a table to the kitchen, as a dine-in order on the tab
+ * @param {Object} params
+ * @param {Document} params.tab - Open DiningTab
+ * @param {Document} params.venue - FoodVenue of the tab
+ * @param {Array} params.items - Items as submitted ({menuItemId, quantity, options, specialInstructions})
+ * @param {string} [params.customerNotes]
+ * @param {Object} [params.user] - Signed in guest placing the round
+ * @param {ClientSession} params.session
+ * @returns {Promise<Document>} - Created order
+ */
+export const placeDineInRound = async ({tab, venue, items, customerNotes, user = null, session}) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, "Add at least one item to the round");
+  }
+
+  const now = new Date();
+  await checkVenueDelivers(venue, null, {fulfillmentType: "dine_in", now});
+  const {busyExtraPrepMinutes} = await checkVenueTakingOrders(venue, {now, session});
+
+  const {items: orderItems, subtotal, errors: itemErrors} = resolveOrderItems(venue, items);
+  if (itemErrors.length > 0) {
+    throw new ApiError(400, "Some items in your order could not be processed", itemErrors);
+  }
+
+  // Tip is added to the tab when it is paid
+  const {currency, tax, taxBreakdown, deliveryFee, totalAmount} = await quoteOrderCharges({
+    venue,
+    fulfillmentType: "dine_in",
+    items: orderItems,
+    subtotal,
+    tip: 0,
+    userId: user?._id,
+    now,
+    session
+  });
+
+  const prepMinutes = await getVenuePrepMinutes(venue._id);
+  const [order] = await FoodDelivery.create([
+    {
+      customer: user
+        ? {
+          _id: user._id,
+          name: user.fullName,
+          email: user.email,
+          phone: user.phone
+        }
+        : undefined,
+      venue: venue._id,
+      fulfillmentType: "dine_in",
+      dineIn: {
+        tab: tab._id,
+        table: {
+          _id: tab.table._id,
+          label: tab.table.label
+        },
+        round: tab.rounds.length + 1
+      },
+      items: orderItems,
+      subtotal,
+      currency,
+      deliveryFee,
+      tax,
+      taxBreakdown,
+      tip: 0,
+      totalAmount,
+      customerNotes: customerNotes || "",
+      deliveryStatus: "pending",
+      estimatedPrepTime: estimatePrepMinutes({items: orderItems, busyExtraPrepMinutes}, prepMinutes),
+      busyExtraPrepMinutes,
+      estimatedDeliveryTime: estimateDeliveryTime({
+        order: {
+          fulfillmentType: "dine_in",
+          items: orderItems,
+          busyExtraPrepMinutes
+        },
+        venue,
+        prepMinutes,
+        now
+      })
+    }
+  ], {session});
+
+  tab.rounds.push(order._id);
+  await refreshTabTotals(tab, session);
+  await tab.save({session});
+
+  return order;
+};
+
+/**
+ * Cancel the tab's unpaid online payment before the bill is asked for again or settled at the table,
+ * so only the latest payment can close the tab
+ * @param {Document} tab - DiningTab, updated in place; the caller saves it
+ * @returns {Promise<void>}
+ */
+export const cancelPendingTabPayment = async tab => {
+  if (tab.payment
+    ?.method !== "stripe" || tab.payment.status !== "pending" || !tab.payment.transactionId) {
+    return;
+  }
+
+  try {
+    await cancelStripePaymentIntent(tab.payment.transactionId);
+  } catch {
+    // Stripe refuses once the guest's payment is going through
+    throw new ApiError(409, "A payment for this tab is already being processed");
+  }
+  tab.payment.status = "failed";
+};
+
+/**
+ * Close a tab as paid and mark its rounds paid. An online payment only closes the tab when it is the
+ * tab's current payment and covers the tab's total.
+ * @param {Object} params
+ * @param {ObjectId|string} params.tabId
+ * @param {string} params.method - "stripe", "cash" or "card_terminal"
+ * @param {string} [params.transactionId]
+ * @param {number} [params.amount] - Amount paid online
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Document|null>} - The tab, or null when it was already paid or closed or the payment doesn't match
+ */
+export const applyTabPayment = async ({tabId, method, transactionId, amount, session = null}) => {
+  const now = new Date();
+  const tab = await DiningTab.findOneAndUpdate({
+    _id: tabId,
+    status: {
+      $in: ["open", "payment_pending"]
+    },
+    ...(method === "stripe" && {
+      "payment.transactionId": transactionId,
+      totalAmount: {
+        $lte: amount
+      }
+    })
+  }, {
+    $set: {
+      status: "paid",
+      "payment.method": method,
+      "payment.status": "paid",
+      "payment.transactionId": transactionId,
+      "payment.paidAt": now,
+      closedAt: now
+    }
+  }, {
+    new: true,
+    session
+  });
+  if (!tab) {
+    return null;
+  }
+
+  await FoodDelivery.updateMany({
+    "dineIn.tab": tab._id,
+    deliveryStatus: {
+      $ne: "failed"
+    }
+  }, {
+    paymentStatus: "paid"
+  }, {session});
+
+  return tab;
+};
+
+/**
+ * Record a failed online payment; the tab stays unpaid so the guest can try again or pay staff
+ * @param {ObjectId|string} tabId
+ * @param {string} transactionId - Payment that failed, ignored unless it is the tab's current one
+ * @returns {Promise<void>}
+ */
+export const applyTabPaymentFailure = async (tabId, transactionId) => {
+  await DiningTab.updateOne({
+    _id: tabId,
+    status: "payment_pending",
+    "payment.transactionId": transactionId
+  }, {
+    $set: {
+      "payment.status": "failed"
+    }
+  });
+};
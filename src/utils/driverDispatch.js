@@ -0,0 +1,693 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import DeliveryDriver from "../models/deliveryDriver.models.js";
+import DeliveryOffer from "../models/deliveryOffer.models.js";
+import DeliveryTrip from "../models/deliveryTrip.models.js";
+import {ApiError} from "./ApiError.js";
+import {getDistanceKm} from "./geoZones.js";
+import {getOrderCurrency} from "./currency.js";
+import {getExpectedEarnings} from "./driverEarnings.js";
+import {addOrderToTrip, canTakeMoreOrders, findBatchableTrips} from "./deliveryTrips.js";
+import {onStatusChange, publishStatusChange, publishDriverEvent} from "./orderEvents.js";
+import logger from "./logger.js";
+
+/**
+ * Driver dispatch: scores drivers around the venue and offers the order to them one at a time.
+ * A driver accepts or declines an offer before it expires; declined and expired offers cascade
+ * to the next best candidate. Venues using automatic dispatch get offers sent as soon as an order
+ * is being prepared, manual venues pick the first driver themselves. Drivers already on a trip near
+ * the venue are offered the order to stack onto that trip.
+ */
+
+const SEARCH_RADIUS_KM = 15;
+const MAX_ACTIVE_DELIVERIES = 3;
+const DISPATCH_STATUSES = ["preparing", "ready"];
+const ACTIVE_DELIVERY_STATUSES = ["preparing", "ready", "dispatched", "in_transit"];
+const DEFAULT_SWEEP_INTERVAL_MS = 15 * 1000;
+const DEFAULT_OFFER_TIMEOUT_SECONDS = 60;
+const CANDIDATES_KEPT = 5;
+
+// Pickup and dine-in orders are handed over at the venue and never need a driver
+const isDeliveryOrder = order => (order.fulfillmentType || "delivery") === "delivery";
+
+// Score weights, summing to 100
+const WEIGHTS = {
+  distance: 35,
+  rating: 20,
+  onTime: 20,
+  vehicle: 10,
+  load: 15
+};
+
+// Longest trip (venue to customer) each vehicle type is suited for, in km
+const VEHICLE_RANGE_KM = {
+  walking: 2,
+  bicycle: 5,
+  scooter: 12,
+  motorcycle: 25,
+  car: 50
+};
+
+const round = value => parseFloat(value.toFixed(2));
+
+// How well a vehicle suits a trip: 1 well within range, falling to 0 at the edge of its range
+const getVehicleSuitability = (vehicleType, tripKm) => {
+  const range = VEHICLE_RANGE_KM[vehicleType] || 0;
+  if (tripKm > range) {
+    return 0;
+  }
+  return Math.min(1, (range - tripKm) / (range / 2));
+};
+
+/**
+ * Score one driver for an order. Drivers without history get neutral rating/on-time scores.
+ * @returns {{score: number, breakdown: Object}}
+ */
+const scoreDriver = ({driver, distanceKm, tripKm, activeDeliveries}) => {
+  const hasHistory = driver.completedDeliveries > 0;
+  const rating = driver.averageRating ?? 4;
+  const onTime = hasHistory
+    ? driver.onTimePercentage
+    : 80;
+
+  const breakdown = {
+    distance: round(WEIGHTS.distance * Math.max(0, 1 - distanceKm / SEARCH_RADIUS_KM)),
+    rating: round(WEIGHTS.rating * ((rating - 1) / 4)),
+    onTime: round(WEIGHTS.onTime * (onTime / 100)),
+    vehicle: round(WEIGHTS.vehicle * getVehicleSuitability(driver.vehicleType, tripKm)),
+    load: round(WEIGHTS.load * Math.max(0, 1 - activeDeliveries / MAX_ACTIVE_DELIVERIES))
+  };
+
+  return {
+    score: round(Object.values(breakdown).reduce((sum, value) => sum + value, 0)),
+    breakdown
+  };
+};
+
+/**
+ * Rank drivers around the venue for an order, best first: available drivers, and drivers on a trip
+ * with a pickup near the venue that can take another order (candidate.trip is set for those).
+ * Drivers are excluded when the pickup or the trip is beyond their maxDeliveryRadius,
+ * the trip is out of range for their vehicle, or they are at MAX_ACTIVE_DELIVERIES.
+ * @param {Document} order - FoodDelivery order
+ * @param {Document} venue - FoodVenue the order was placed with
+ * @param {Object} [options]
+ * @param {ObjectId[]} [options.excludeDriverIds] - Drivers not to consider
+ * @returns {Promise<Array<{driver: Document, trip: ObjectId|null, score: number, distanceKm: number, tripKm: number, activeDeliveries: number, breakdown: Object}>>}
+ */
+export const rankDispatchCandidates = async (order, venue, {excludeDriverIds = []} = {}) => {
+  const pickup = venue.address.coordinates.coordinates;
+  const dropoff = order.deliveryAddress.coordinates.coordinates;
+  const tripKm = getDistanceKm(pickup, dropoff);
+
+  const driverFields = "fullName phone vehicleType currentLocation maxDeliveryRadius averageRating onTimePercentage completedDeliveries";
+  const availableDrivers = await DeliveryDriver.find({
+    _id: {
+      $nin: excludeDriverIds
+    },
+    status: "active",
+    isAvailable: true,
+    isOnDuty: true,
+    currentLocation: {
+      $near: {
+        $geometry: {
+          type: "Point",
+          coordinates: pickup
+        },
+        $maxDistance: SEARCH_RADIUS_KM * 1000
+      }
+    }
+  }).select(driverFields);
+
+  // Drivers whose current trip passes close to this venue
+  const batchableTrips = await findBatchableTrips(pickup, {excludeDriverIds});
+  const tripByDriver = new Map(batchableTrips.map(trip => [trip.driver.toString(), trip._id]));
+  const batchDrivers = tripByDriver.size > 0
+    ? await DeliveryDriver.find({
+      _id: {
+        $in: [...tripByDriver.keys()]
+      },
+      status: "active",
+      isAvailable: false,
+      isOnDuty: true,
+      "currentLocation.coordinates.1": {
+        $exists: true
+      }
+    }).select(driverFields)
+    : [];
+
+  const drivers = [...availableDrivers, ...batchDrivers];
+  if (drivers.length === 0) {
+    return [];
+  }
+
+  const activeCounts = await FoodDelivery.aggregate([
+    {
+      $match: {
+        deliveryDriver: {
+          $in: drivers.map(d => d._id)
+        },
+        deliveryStatus: {
+          $in: ACTIVE_DELIVERY_STATUSES
+        }
+      }
+    }, {
+      $group: {
+        _id: "$deliveryDriver",
+        count: {
+          $sum: 1
+        }
+      }
+    }
+  ]);
+  const activeByDriver = new Map(activeCounts.map(({_id, count}) => [_id.toString(), count]));
+
+  return drivers.map(driver => {
+    const distanceKm = getDistanceKm(driver.currentLocation.coordinates, pickup);
+    const activeDeliveries = activeByDriver.get(driver._id.toString()) || 0;
+    return {
+      driver,
+      trip: tripByDriver.get(driver._id.toString()) || null,
+      distanceKm,
+      tripKm,
+      activeDeliveries,
+      ...scoreDriver({driver, distanceKm, tripKm, activeDeliveries})
+    };
+  }).filter(candidate => candidate.distanceKm <= candidate.driver.maxDeliveryRadius && candidate.tripKm <= candidate.driver.maxDeliveryRadius && candidate.breakdown.vehicle > 0 && candidate.activeDeliveries < MAX_ACTIVE_DELIVERIES).sort((a, b) => b.score - a.score);
+};
+
+// Human readable explanation of a pick, shown to admins
+const describeChoice = (chosen, candidateCount) => {
+  const {driver, score, distanceKm, activeDeliveries} = chosen;
+  const rating = driver.averageRating
+    ? `rating ${driver.averageRating}`
+    : "no rating yet";
+  return `Highest score ${score}/100 of ${candidateCount} candidate(s): ${distanceKm} km from the venue, ${rating}, ${driver.onTimePercentage}% on time, ${driver.vehicleType}, ${activeDeliveries} active deliveries`;
+};
+
+// Dispatch record stored on the order
+export const buildDispatchRecord = (candidates, chosen, {mode, attempts = 1}) => ({
+  mode,
+  status: chosen
+    ? "offered"
+    : "searching",
+  attempts,
+  score: chosen?.score,
+  reason: chosen
+    ? describeChoice(chosen, candidates.length)
+    : "No eligible driver available, retrying",
+  candidates: candidates.slice(0, CANDIDATES_KEPT).map(candidate => ({
+    driver: candidate.driver._id,
+    score: candidate.score,
+    distanceKm: candidate.distanceKm,
+    activeDeliveries: candidate.activeDeliveries,
+    breakdown: candidate.breakdown
+  }))
+});
+
+const getOfferTimeoutMs = () => (parseInt(process.env.DELIVERY_OFFER_TIMEOUT_SECONDS, 10) || DEFAULT_OFFER_TIMEOUT_SECONDS) * 1000;
+
+// Reserve a driver so they are not offered two orders at once
+const claimDriver = driverId => DeliveryDriver.findOneAndUpdate({
+  _id: driverId,
+  isAvailable: true,
+  isOnDuty: true,
+  status: "active"
+}, {
+  isAvailable: false
+});
+
+// Drivers on a trip are reserved through the trip, which takes one offer at a time
+const claimTrip = tripId => DeliveryTrip.findOneAndUpdate({
+  _id: tripId,
+  status: "active",
+  hasPendingOffer: false
+}, {
+  hasPendingOffer: true
+});
+
+const claimCandidate = candidate => candidate.trip
+  ? claimTrip(candidate.trip)
+  : claimDriver(candidate.driver._id);
+
+// Undo a claim: free the driver, or reopen their trip for offers
+const releaseClaim = (driverId, tripId = null) => tripId
+  ? DeliveryTrip.updateOne({
+    _id: tripId
+  }, {
+    hasPendingOffer: false
+  })
+  : DeliveryDriver.findByIdAndUpdate(driverId, {isAvailable: true});
+
+// Count a declined or expired offer against the driver and release them
+const recordMissedOffer = async (offer, counter) => {
+  await releaseClaim(offer.driver, offer.trip);
+  const driver = await DeliveryDriver.findByIdAndUpdate(offer.driver, {
+    $inc: {
+      [counter]: 1
+    }
+  }, {new: true});
+
+  if (driver) {
+    await driver.calculateStats();
+  }
+};
+
+const toOfferPayload = offer => ({
+  offerId: offer._id,
+  orderId: offer.order,
+  pickup: offer.pickup,
+  dropoff: offer.dropoff,
+  distanceKm: offer.distanceKm,
+  tripKm: offer.tripKm,
+  expectedEarnings: offer.expectedEarnings,
+  currency: offer.currency,
+  stacked: Boolean(offer.trip), // added to the driver's current trip
+  expiresAt: offer.expiresAt
+});
+
+/**
+ * Send an order to a driver who has already been claimed.
+ * Releases the driver and returns null if the order was assigned or moved on meanwhile.
+ */
+const sendOffer = async ({order, venue, candidate, dispatch}) => {
+  const dropoff = order.deliveryAddress;
+  const offer = await DeliveryOffer.create({
+    order: order._id,
+    driver: candidate.driver._id,
+    venue: venue._id,
+    trip: candidate.trip || undefined,
+    mode: dispatch.mode,
+    pickup: {
+      name: venue.name,
+      street: venue.address.street,
+      city: venue.address.city,
+      coordinates: venue.address.coordinates.coordinates
+    },
+    dropoff: {
+      street: dropoff.street,
+      city: dropoff.city,
+      coordinates: dropoff.coordinates.coordinates
+    },
+    distanceKm: candidate.distanceKm,
+    tripKm: candidate.tripKm,
+    expectedEarnings: getExpectedEarnings(order),
+    currency: getOrderCurrency(order),
+    score: candidate.score,
+    expiresAt: new Date(Date.now() + getOfferTimeoutMs())
+  });
+
+  const updated = await FoodDelivery.findOneAndUpdate({
+    _id: order._id,
+    deliveryDriver: null,
+    deliveryStatus: {
+      $in: DISPATCH_STATUSES
+    },
+    "dispatch.status": {
+      $ne: "offered"
+    }
+  }, {
+    $set: {
+      dispatch: {
+        ...dispatch,
+        offer: offer._id
+      }
+    }
+  }, {new: true});
+
+  if (!updated) {
+    offer.status = "withdrawn";
+    await offer.save();
+    await releaseClaim(candidate.driver._id, candidate.trip);
+    return null;
+  }
+
+  logger.info(`Order ${order._id} offered to driver ${candidate.driver._id} (${dispatch.mode})`);
+  publishDriverEvent(candidate.driver._id, "offer", toOfferPayload(offer));
+  return offer;
+};
+
+/**
+ * Offer an order to the best ranked driver who has not been offered it yet.
+ * Runs for venues using automatic dispatch, and for manual venues once their own offer was declined or expired.
+ * @param {ObjectId|string} orderId
+ * @returns {Promise<Document|null>} - The offer sent, or null when none was
+ */
+export const dispatchNextOffer = async orderId => {
+  const order = await FoodDelivery.findById(orderId);
+  if (!order || !isDeliveryOrder(order) || order.deliveryDriver || !DISPATCH_STATUSES.includes(order.deliveryStatus) || order.paymentStatus !== "paid" || order.dispatch?.status === "offered") {
+    return null;
+  }
+
+  const venue = await FoodVenue.findById(order.venue).select("name address dispatchMode");
+  if (!venue) {
+    return null;
+  }
+
+  // Manual venues only get here once they have offered the order themselves
+  const mode = order.dispatch?.mode || (venue.dispatchMode === "auto" && "auto");
+  if (!mode) {
+    return null;
+  }
+
+  const excludeDriverIds = await DeliveryOffer.distinct("driver", {order: order._id});
+  const candidates = await rankDispatchCandidates(order, venue, {excludeDriverIds});
+  const attempts = (order.dispatch?.attempts || 0) + 1;
+
+  for (const candidate of candidates) {
+    if (!(await claimCandidate(candidate))) {
+      continue;
+    }
+    return sendOffer({
+      order,
+      venue,
+      candidate,
+      dispatch: buildDispatchRecord(candidates, candidate, {mode, attempts})
+    });
+  }
+
+  // Nobody available right now, keep searching on the next sweep
+  await FoodDelivery.updateOne({
+    _id: order._id,
+    deliveryDriver: null,
+    "dispatch.status": {
+      $ne: "offered"
+    }
+  }, {
+    $set: {
+      dispatch: buildDispatchRecord(candidates, null, {mode, attempts})
+    }
+  });
+  logger.warn(`No driver available for order ${order._id} (attempt ${attempts})`);
+  return null;
+};
+
+/**
+ * Offer an order to a driver chosen by the venue
+ * @param {Object} params
+ * @param {Document} params.order - FoodDelivery order
+ * @param {Document} params.venue - FoodVenue the order was placed with
+ * @param {ObjectId|string} params.driverId - Driver picked by the venue
+ * @returns {Promise<Document>} - The offer sent
+ */
+export const offerOrderToDriver = async ({order, venue, driverId}) => {
+  if (!isDeliveryOrder(order)) {
+    throw new ApiError(400, "Only delivery orders can be offered to drivers");
+  }
+  if (order.deliveryDriver) {
+    throw new ApiError(400, "A driver is already assigned to this order");
+  }
+  if (order.dispatch?.status === "offered") {
+    throw new ApiError(409, "This order is already waiting for a driver to respond");
+  }
+
+  // A busy driver can still take the order onto their current trip when it passes by the venue
+  const pickup = venue.address.coordinates.coordinates;
+  let driver = await claimDriver(driverId);
+  let trip = null;
+  if (!driver) {
+    const batchableTrips = await findBatchableTrips(pickup);
+    const batchableTrip = batchableTrips.find(candidate => candidate.driver.toString() === driverId.toString());
+    trip = batchableTrip && await claimTrip(batchableTrip._id);
+    driver = trip && await DeliveryDriver.findOne({_id: driverId, status: "active", isOnDuty: true});
+    if (!driver) {
+      if (trip) {
+        await releaseClaim(driverId, trip._id);
+      }
+      throw new ApiError(400, "Driver is not available or not on duty");
+    }
+  }
+
+  const offer = await sendOffer({
+    order,
+    venue,
+    candidate: {
+      driver,
+      trip: trip?._id || null,
+      distanceKm: driver.currentLocation?.coordinates?.length === 2
+        ? getDistanceKm(driver.currentLocation.coordinates, pickup)
+        : undefined,
+      tripKm: getDistanceKm(pickup, order.deliveryAddress.coordinates.coordinates)
+    },
+    dispatch: {
+      mode: "manual",
+      status: "offered",
+      attempts: (order.dispatch?.attempts || 0) + 1,
+      reason: "Driver chosen by the venue",
+      candidates: []
+    }
+  });
+
+  if (!offer) {
+    throw new ApiError(409, "This order can no longer be offered to a driver");
+  }
+  return offer;
+};
+
+// Put an order whose offer was not taken back to searching and offer it to the next candidate
+const cascadeOffer = async offer => {
+  await FoodDelivery.updateOne({
+    _id: offer.order,
+    deliveryDriver: null,
+    "dispatch.offer": offer._id
+  }, {
+    $set: {
+      "dispatch.status": "searching"
+    }
+  });
+
+  try {
+    await dispatchNextOffer(offer.order);
+  } catch (error) {
+    logger.error(`Failed to pass order ${offer.order} to the next driver: ${error.message}`, {stack: error.stack});
+  }
+};
+
+// Explain why a driver can no longer respond to an offer
+const getUnavailableOfferError = async (offerId, driverId) => {
+  const offer = await DeliveryOffer.findOne({_id: offerId, driver: driverId});
+  if (!offer) {
+    return new ApiError(404, "Offer not found");
+  }
+  if (offer.status === "pending") {
+    return new ApiError(410, "Offer has expired");
+  }
+  return new ApiError(409, `Offer has already been ${offer.status}`);
+};
+
+/**
+ * Accept an offer: the driver is assigned to the order, a ready order is dispatched,
+ * and the order is added to the driver's trip
+ * @param {ObjectId|string} offerId
+ * @param {ObjectId|string} driverId - Driver responding
+ * @returns {Promise<{offer: Document, order: Document}>}
+ */
+export const acceptDeliveryOffer = async (offerId, driverId) => {
+  const offer = await DeliveryOffer.findOneAndUpdate({
+    _id: offerId,
+    driver: driverId,
+    status: "pending",
+    expiresAt: {
+      $gt: new Date()
+    }
+  }, {
+    status: "accepted",
+    respondedAt: new Date()
+  }, {new: true});
+
+  if (!offer) {
+    throw await getUnavailableOfferError(offerId, driverId);
+  }
+
+  const current = await FoodDelivery.findById(offer.order).select("deliveryStatus");
+  const currentStatus = current?.deliveryStatus;
+  const nextStatus = currentStatus === "ready"
+    ? "dispatched"
+    : currentStatus;
+
+  // A stacked order needs the driver's trip to still have room and no dropoff started
+  const trip = offer.trip && await DeliveryTrip.findById(offer.trip);
+  const tripStillOpen = !offer.trip || (trip && canTakeMoreOrders(trip));
+
+  // Only the order's current offer may assign it, and only while it is still waiting for a driver
+  let order = null;
+  if (tripStillOpen && DISPATCH_STATUSES.includes(currentStatus)) {
+    order = await FoodDelivery.findOneAndUpdate({
+      _id: offer.order,
+      deliveryDriver: null,
+      deliveryStatus: currentStatus,
+      "dispatch.offer": offer._id
+    }, {
+      $set: {
+        deliveryDriver: driverId,
+        deliveryStatus: nextStatus,
+        "dispatch.status": "assigned",
+        "dispatch.assignedAt": new Date()
+      },
+      $push: {
+        trackingUpdates: {
+          status: nextStatus,
+          notes: "Driver accepted the delivery",
+          updatedBy: "driver"
+        }
+      }
+    }, {new: true});
+  }
+
+  if (!order) {
+    offer.status = "withdrawn";
+    await offer.save();
+    await releaseClaim(driverId, offer.trip);
+    throw new ApiError(409, tripStillOpen
+      ? "This order is no longer available"
+      : "This order can no longer be added to your current trip");
+  }
+
+  const venue = await FoodVenue.findById(order.venue).select("name address");
+  await addOrderToTrip({order, venue, driverId, tripId: offer.trip});
+
+  logger.info(`Driver ${driverId} accepted order ${order._id}`);
+  publishStatusChange(order, {updatedBy: "driver", notes: "Driver assigned"});
+
+  return {offer, order};
+};
+
+/**
+ * Decline an offer. Counts towards the driver's cancellation rate and passes the order on.
+ * @param {ObjectId|string} offerId
+ * @param {ObjectId|string} driverId - Driver responding
+ * @param {string} [reason]
+ * @returns {Promise<Document>} - Declined offer
+ */
+export const declineDeliveryOffer = async (offerId, driverId, reason = "") => {
+  const offer = await DeliveryOffer.findOneAndUpdate({
+    _id: offerId,
+    driver: driverId,
+    status: "pending"
+  }, {
+    status: "declined",
+    respondedAt: new Date(),
+    declineReason: reason
+  }, {new: true});
+
+  if (!offer) {
+    throw await getUnavailableOfferError(offerId, driverId);
+  }
+
+  logger.info(`Driver ${driverId} declined order ${offer.order}`);
+  await recordMissedOffer(offer, "declinedOffers");
+  await cascadeOffer(offer);
+
+  return offer;
+};
+
+/**
+ * Expire offers left unanswered past their window and pass their orders on.
+ * Window is configurable with DELIVERY_OFFER_TIMEOUT_SECONDS.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of offers expired
+ */
+export const expireDueOffers = async (now = new Date()) => {
+  const dueOffers = await DeliveryOffer.find({
+    status: "pending",
+    expiresAt: {
+      $lte: now
+    }
+  }).select("_id");
+
+  let expired = 0;
+  for (const {_id} of dueOffers) {
+    // Conditional update so a late accept and the expiry never both win
+    const offer = await DeliveryOffer.findOneAndUpdate({
+      _id,
+      status: "pending"
+    }, {
+      status: "expired"
+    }, {new: true});
+
+    if (!offer) {
+      continue;
+    }
+
+    expired++;
+    publishDriverEvent(offer.driver, "offer_withdrawn", {
+      offerId: offer._id,
+      orderId: offer.order,
+      reason: "expired"
+    });
+    await recordMissedOffer(offer, "expiredOffers");
+    await cascadeOffer(offer);
+  }
+
+  return expired;
+};
+
+/**
+ * Withdraw an order's open offers, e.g. after it was cancelled. Not counted against the drivers.
+ * @param {ObjectId|string} orderId
+ */
+export const withdrawOrderOffers = async orderId => {
+  const openOffers = await DeliveryOffer.find({order: orderId, status: "pending"});
+
+  for (const offer of openOffers) {
+    const withdrawn = await DeliveryOffer.findOneAndUpdate({
+      _id: offer._id,
+      status: "pending"
+    }, {
+      status: "withdrawn"
+    });
+    if (withdrawn) {
+      await releaseClaim(offer.driver, offer.trip);
+      publishDriverEvent(offer.driver, "offer_withdrawn", {
+        offerId: offer._id,
+        orderId,
+        reason: "order_closed"
+      });
+    }
+  }
+};
+
+/**
+ * Offer orders to drivers as they reach "preparing" or "ready", withdraw offers of cancelled orders,
+ * and periodically expire unanswered offers and retry orders still waiting for a driver.
+ * Sweep interval is configurable with DISPATCH_RETRY_INTERVAL_MS.
+ * @returns {NodeJS.Timeout}
+ */
+export const startAutoDispatch = () => {
+  onStatusChange(({orderId, status}) => {
+    const task = DISPATCH_STATUSES.includes(status)
+      ? dispatchNextOffer(orderId)
+      : status === "failed"
+        ? withdrawOrderOffers(orderId)
+        : null;
+
+    task?.catch(error => {
+      logger.error(`Dispatch failed for order ${orderId}: ${error.message}`, {stack: error.stack});
+    });
+  });
+
+  const interval = parseInt(process.env.DISPATCH_RETRY_INTERVAL_MS, 10) || DEFAULT_SWEEP_INTERVAL_MS;
+  const timer = setInterval(async () => {
+    try {
+      await expireDueOffers();
+
+      const waiting = await FoodDelivery.find({
+        "dispatch.status": "searching",
+        deliveryDriver: null,
+        deliveryStatus: {
+          $in: DISPATCH_STATUSES
+        },
+        isDeleted: false
+      }).select("_id");
+
+      for (const {_id} of waiting) {
+        await dispatchNextOffer(_id);
+      }
+    } catch (error) {
+      logger.error(`Dispatch sweep failed: ${error.message}`, {stack: error.stack});
+    }
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
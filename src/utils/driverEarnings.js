@@ -0,0 +1,43 @@
+import DeliveryDriver from "../models/deliveryDriver.models.js";
+import {roundMoney} from "./orderPricing.js";
+
+/**
+ * Driver pay: the base, distance and surge delivery fees of an order plus its tip, credited to the
+ * driver's earnings when the order is delivered. Tips added after delivery are credited when paid.
+ */
+
+/**
+ * What the driver earns for an order: the base, distance and surge delivery fees plus the tip
+ * @param {Document} order - FoodDelivery order
+ * @returns {number}
+ */
+export const getExpectedEarnings = order => {
+  const fee = order.deliveryFee || {};
+  return roundMoney((fee.base || 0) + (fee.distanceFee || 0) + (fee.surgeFee || 0) + (order.tip || 0));
+};
+
+/**
+ * Earnings counters to increment on the driver who delivered an order
+ * @param {Object} order - FoodDelivery order
+ * @returns {{totalEarnings: number, totalTips: number}}
+ */
+export const getDeliveryEarnings = order => ({
+  totalEarnings: getExpectedEarnings(order),
+  totalTips: roundMoney(order.tip || 0)
+});
+
+/**
+ * Credit a tip added after delivery to the driver, in full
+ * @param {ObjectId|string} driverId
+ * @param {number} amount
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>}
+ */
+export const creditDriverTip = (driverId, amount, session = null) => DeliveryDriver.updateOne({
+  _id: driverId
+}, {
+  $inc: {
+    totalEarnings: amount,
+    totalTips: amount
+  }
+}, {session});
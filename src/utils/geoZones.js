@@ -0,0 +1,160 @@
+import DeliveryZone from "../models/deliveryZone.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import {roundMoney} from "./orderPricing.js";
+
+/**
+ * Helpers for GeoJSON polygon service areas and delivery fee zones
+ */
+
+const isPosition = position => Array.isArray(position) && position.length === 2 && position.every(c => typeof c === "number") && position[0] >= -180 && position[0] <= 180 && position[1] >= -90 && position[1] <= 90;
+
+const isClosedRing = ring => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+    return false;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+/**
+ * Check a GeoJSON Polygon or MultiPolygon is well formed ([longitude, latitude] positions, closed rings)
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean}
+ */
+export const isValidPolygon = geometry => {
+  if (!geometry || typeof geometry !== "object") {
+    return false;
+  }
+
+  if (geometry.type === "Polygon") {
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 && geometry.coordinates.every(isClosedRing);
+  }
+
+  if (geometry.type === "MultiPolygon") {
+    return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 && geometry.coordinates.every(polygon => Array.isArray(polygon) && polygon.length > 0 && polygon.every(isClosedRing));
+  }
+
+  return false;
+};
+
+// Ray casting test for a single linear ring
+const isPointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (intersects) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// First ring is the outer boundary, any further rings are holes
+const isPointInPolygonRings = (point, rings) => isPointInRing(point, rings[0]) && !rings.slice(1).some(hole => isPointInRing(point, hole));
+
+/**
+ * Check whether a [longitude, latitude] point lies inside a GeoJSON Polygon or MultiPolygon.
+ * Used for the fee zones kept on the venue, which are tried in order; service areas and platform zones
+ * are matched with 2dsphere queries instead.
+ * @param {number[]} point - [longitude, latitude]
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {boolean}
+ */
+export const isPointInPolygon = (point, geometry) => {
+  if (!isValidPolygon(geometry)) {
+    return false;
+  }
+
+  if (geometry.type === "Polygon") {
+    return isPointInPolygonRings(point, geometry.coordinates);
+  }
+
+  return geometry.coordinates.some(polygon => isPointInPolygonRings(point, polygon));
+};
+
+/**
+ * Great-circle distance between two [longitude, latitude] points (Haversine formula)
+ * @param {number[]} from - [longitude, latitude]
+ * @param {number[]} to - [longitude, latitude]
+ * @returns {number} - Distance in km, 2 decimal places
+ */
+export const getDistanceKm = ([lon1, lat1], [lon2, lat2]) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = ((lat2 - lat1) * Math.PI) / 180;
+  const dLon = ((lon2 - lon1) * Math.PI) / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) + Math.cos((lat1 * Math.PI) / 180) * Math.cos((lat2 * Math.PI) / 180) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return parseFloat((R * c).toFixed(2));
+};
+
+/**
+ * Whether a venue has a polygon service area configured
+ * @param {Object} venue - FoodVenue document
+ * @returns {boolean}
+ */
+export const hasServiceArea = venue => isValidPolygon(venue.serviceArea);
+
+/**
+ * Check a delivery point lies in the venue's polygon service area, querying the stored area's 2dsphere index
+ * @param {Object} venue - FoodVenue document with a service area
+ * @param {number[]} coordinates - Delivery [longitude, latitude]
+ * @param {ClientSession} [session] - Mongoose session of the surrounding transaction
+ * @returns {Promise<boolean>}
+ */
+export const isInServiceArea = async (venue, coordinates, session = null) => {
+  const match = await FoodVenue.exists({
+    _id: venue._id,
+    serviceArea: {
+      $geoIntersects: {
+        $geometry: {
+          type: "Point",
+          coordinates
+        }
+      }
+    }
+  }).session(session);
+  return !!match;
+};
+
+/**
+ * Resolve the fee zones a delivery point falls into.
+ * The venue's own zones are checked in their configured order and the first match wins;
+ * platform zones (admin managed, e.g. congestion charges) are matched with a 2dsphere query
+ * and the most expensive one applies. Both fees are charged when both match.
+ * @param {Object} params
+ * @param {Document} params.venue - FoodVenue document
+ * @param {number[]} params.coordinates - Delivery [longitude, latitude]
+ * @param {ClientSession} [params.session] - Mongoose session of the surrounding transaction
+ * @returns {Promise<{zones: Array, zoneFee: number}>}
+ */
+export const resolveDeliveryZones = async ({venue, coordinates, session = null}) => {
+  const zones = [];
+
+  const venueZone = (venue.deliveryFee?.zoneFees || []).find(zone => isPointInPolygon(coordinates, zone.area));
+  if (venueZone) {
+    zones.push({zoneId: venueZone._id, zoneName: venueZone.zoneName, source: "venue", fee: venueZone.fee});
+  }
+
+  const platformZone = await DeliveryZone.findOne({
+    isActive: true,
+    area: {
+      $geoIntersects: {
+        $geometry: {
+          type: "Point",
+          coordinates
+        }
+      }
+    }
+  }).sort({fee: -1}).session(session);
+  if (platformZone) {
+    zones.push({zoneId: platformZone._id, zoneName: platformZone.name, source: "platform", fee: platformZone.fee});
+  }
+
+  return {
+    zones,
+    zoneFee: roundMoney(zones.reduce((sum, zone) => sum + zone.fee, 0))
+  };
+};
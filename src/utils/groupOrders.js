@@ -0,0 +1,101 @@
+import crypto from "crypto";
+import {roundMoney} from "./orderPricing.js";
+
+/**
+ * Group orders: invite links and splitting the order total between participants
+ */
+
+const DEFAULT_GROUP_ORDER_EXPIRY_HOURS = 24;
+
+/**
+ * Random code for the invite link
+ * @returns {string}
+ */
+export const generateInviteCode = () => crypto.randomBytes(9).toString("base64url");
+
+/**
+ * Link participants open to join a group order
+ * @param {string} inviteCode
+ * @returns {string}
+ */
+export const getInviteLink = inviteCode => `${process.env.FRONTEND_URL}/group-orders/join/${inviteCode}`;
+
+/**
+ * When a new group order's invite link stops working.
+ * Configurable with GROUP_ORDER_EXPIRY_HOURS.
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export const getGroupOrderExpiry = (now = new Date()) => {
+  const hours = Number(process.env.GROUP_ORDER_EXPIRY_HOURS) || DEFAULT_GROUP_ORDER_EXPIRY_HOURS;
+  return new Date(now.getTime() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Whether a user has joined a group order
+ * @param {Object} group - GroupOrder document
+ * @param {ObjectId|string} userId
+ * @returns {boolean}
+ */
+export const isGroupParticipant = (group, userId) => group.participants.some(p => p.user.toString() === userId.toString());
+
+/**
+ * Work out what each participant of a group order owes.
+ * Everyone pays for their own items plus a part of tax, fees, tip and discount in proportion to their items;
+ * rounding is settled on the host. When the host pays, only the host owes anything.
+ * @param {Object} order - Placed FoodDelivery with participant on every item
+ * @param {Object} params
+ * @param {Array} params.participants - Group participants ({user, name})
+ * @param {ObjectId} params.hostId
+ * @param {string} params.paymentMode - "host" or "split"
+ * @returns {Array} - Participants for FoodDelivery.groupOrder.participants
+ */
+export const splitOrderTotal = (order, {participants, hostId, paymentMode}) => {
+  const itemTotals = new Map();
+  for (const item of order.items) {
+    const key = item.participant.toString();
+    const optionsCost = (item.options || []).reduce((sum, opt) => sum + (opt.additionalCost || 0), 0);
+    itemTotals.set(key, (itemTotals.get(key) || 0) + (item.price + optionsCost) * item.quantity);
+  }
+
+  const host = hostId.toString();
+  const extras = order.totalAmount - order.subtotal;
+
+  const shares = participants.map(participant => {
+    const key = participant.user.toString();
+    const itemsSubtotal = roundMoney(itemTotals.get(key) || 0);
+
+    let amountDue = 0;
+    if (paymentMode === "host") {
+      amountDue = key === host
+        ? order.totalAmount
+        : 0;
+    } else if (order.subtotal > 0) {
+      amountDue = roundMoney(itemsSubtotal + extras * (itemsSubtotal / order.subtotal));
+    }
+
+    return {
+      user: participant.user,
+      name: participant.name,
+      itemsSubtotal,
+      amountDue: Math.max(amountDue, 0),
+      paymentStatus: amountDue > 0
+        ? "pending"
+        : "not_required"
+    };
+  });
+
+  // Shares are rounded on their own, the host covers the difference to the order total
+  if (paymentMode === "split") {
+    const hostShare = shares.find(share => share.user.toString() === host);
+    const difference = roundMoney(order.totalAmount - shares.reduce((sum, share) => sum + share.amountDue, 0));
+    if (hostShare && difference !== 0) {
+      hostShare.amountDue = roundMoney(Math.max(hostShare.amountDue + difference, 0));
+      hostShare.paymentStatus = hostShare.amountDue > 0
+        ? "pending"
+        : "not_required";
+    }
+  }
+
+  return shares;
+};
@@ -0,0 +1,190 @@
+import mongoose from "mongoose";
+import {ApiError} from "./ApiError.js";
+import {getUnitPrice, resolveOrderItems, roundMoney} from "./orderPricing.js";
+import {refundOrderPayment} from "./orderCancellation.js";
+
+/**
+ * Items a venue runs out of after an order was placed. The venue flags the line and may propose substitutes;
+ * the customer accepts a substitute, removes the line, or rejects the change, which cancels the order.
+ * Totals are recalculated and paid orders are refunded the difference.
+ */
+
+// Minutes the customer has to answer before the venue may remove the line itself
+export const SUBSTITUTION_RESPONSE_MINUTES = 10;
+const MAX_SUBSTITUTES = 3;
+
+// Lines can only change while the kitchen is still working on the order
+const CHANGEABLE_STATUSES = ["pending", "scheduled", "preparing"];
+
+/**
+ * Whether an order has unavailable items the customer has not answered yet
+ * @param {Object} order - FoodDelivery order
+ * @returns {boolean}
+ */
+export const hasPendingItemIssues = order => (order.itemIssues || []).some(issue => issue.status === "pending");
+
+/**
+ * Flag a line of an order as unavailable and propose substitutes priced from the current menu
+ * @param {Object} params
+ * @param {Document} params.order - FoodDelivery order, updated in place
+ * @param {Document} params.venue - FoodVenue of the order
+ * @param {string} params.itemId - _id of the line in order.items
+ * @param {string} [params.reason]
+ * @param {Array} [params.substitutes] - Items as submitted ({menuItemId, options}), ordered in the line's quantity
+ * @returns {Object} - The new itemIssues entry
+ */
+export const reportUnavailableItem = ({order, venue, itemId, reason, substitutes = []}) => {
+  if (!CHANGEABLE_STATUSES.includes(order.deliveryStatus)) {
+    throw new ApiError(400, `Items cannot be changed once the order is ${order.deliveryStatus}`);
+  }
+  if (!order.customer) {
+    throw new ApiError(400, "Dine-in rounds are changed with the guests at the table");
+  }
+  if (!mongoose.Types.ObjectId.isValid(itemId)) {
+    throw new ApiError(400, "Invalid item ID");
+  }
+
+  const item = order.items.id(itemId);
+  if (!item) {
+    throw new ApiError(404, "Item not found in this order");
+  }
+  if (order.itemIssues.some(issue => issue.item.toString() === item._id.toString() && issue.status === "pending")) {
+    throw new ApiError(409, "This item is already waiting for the customer's answer");
+  }
+
+  if (reason !== undefined && (typeof reason !== "string" || reason.length > 200)) {
+    throw new ApiError(400, "Reason must be a string of at most 200 characters");
+  }
+  if (!Array.isArray(substitutes) || substitutes.length > MAX_SUBSTITUTES) {
+    throw new ApiError(400, `Substitutes must be an array of at most ${MAX_SUBSTITUTES} items`);
+  }
+
+  const {items: resolved, errors} = resolveOrderItems(venue, substitutes.map(substitute => ({
+    menuItemId: substitute
+      ?.menuItemId,
+    options: substitute
+      ?.options,
+    quantity: item.quantity
+  })));
+  if (errors.length > 0) {
+    throw new ApiError(400, "Some substitutes could not be offered", errors);
+  }
+
+  order.itemIssues.push({
+    item: item._id,
+    name: item.name,
+    quantity: item.quantity,
+    unitPrice: getUnitPrice(item),
+    reason,
+    substitutes: resolved.map(({menuItemId, name, price, options, taxCategory}) => ({menuItemId, name, price, options, taxCategory}))
+  });
+
+  return order.itemIssues[order.itemIssues.length - 1];
+};
+
+/**
+ * Apply the answer to an unavailable item. Accepting swaps the line for the substitute, which never costs more
+ * than the line it replaces; removing drops the line. Both recalculate the totals and refund a paid order the
+ * difference. Rejecting only records the answer: the caller cancels the order.
+ * The venue may only remove the line, once the customer had SUBSTITUTION_RESPONSE_MINUTES to answer.
+ * @param {Object} params
+ * @param {Document} params.order - FoodDelivery order, updated in place
+ * @param {string} params.issueId - _id of the entry in order.itemIssues
+ * @param {string} params.action - "accept", "remove" or "reject"
+ * @param {string} [params.substituteId] - Substitute accepted
+ * @param {string} params.resolvedBy - "customer" or "venue"
+ * @param {Object} params.feeConfig - FoodVenue.deliveryFee, for the fees that follow the subtotal
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<{issue: Object, refundAmount: number, cancelOrder: boolean}>}
+ */
+export const resolveItemIssue = async ({
+  order,
+  issueId,
+  action,
+  substituteId,
+  resolvedBy,
+  feeConfig,
+  session = null
+}) => {
+  if (!mongoose.Types.ObjectId.isValid(issueId)) {
+    throw new ApiError(400, "Invalid issue ID");
+  }
+
+  const issue = order.itemIssues.id(issueId);
+  if (!issue) {
+    throw new ApiError(404, "Unavailable item not found on this order");
+  }
+  if (issue.status !== "pending") {
+    throw new ApiError(400, `This item was already ${issue.status}`);
+  }
+  if (!CHANGEABLE_STATUSES.includes(order.deliveryStatus)) {
+    throw new ApiError(400, `Items cannot be changed once the order is ${order.deliveryStatus}`);
+  }
+  if (!["accept", "remove", "reject"].includes(action)) {
+    throw new ApiError(400, "Action must be 'accept', 'remove' or 'reject'");
+  }
+
+  if (resolvedBy === "venue") {
+    if (action !== "remove") {
+      throw new ApiError(403, "Only the customer can accept a substitute or reject the change");
+    }
+    const answerBy = new Date(issue.reportedAt.getTime() + SUBSTITUTION_RESPONSE_MINUTES * 60000);
+    if (new Date() < answerBy) {
+      throw new ApiError(400, `The customer has until ${answerBy.toISOString()} to answer`);
+    }
+  }
+
+  issue.resolvedBy = resolvedBy;
+  issue.resolvedAt = new Date();
+
+  if (action === "reject") {
+    issue.status = "rejected";
+    return {issue, refundAmount: 0, cancelOrder: true};
+  }
+
+  const item = order.items.id(issue.item);
+  const previousTotal = order.totalAmount;
+
+  if (action === "accept") {
+    const substitute = substituteId && mongoose.Types.ObjectId.isValid(substituteId)
+      ? issue.substitutes.id(substituteId)
+      : null;
+    if (!substitute) {
+      throw new ApiError(400, "Choose one of the proposed substitutes");
+    }
+
+    const options = substitute.options.map(opt => opt.toObject());
+    const optionsCost = options.reduce((sum, opt) => sum + (opt.additionalCost || 0), 0);
+    item.set({
+      menuItemId: substitute.menuItemId,
+      name: substitute.name,
+      price: roundMoney(Math.min(substitute.price, Math.max(issue.unitPrice - optionsCost, 0))),
+      options,
+      taxCategory: substitute.taxCategory
+    });
+    issue.substitute = substitute._id;
+    issue.status = "substituted";
+  } else {
+    if (order.items.length === 1) {
+      throw new ApiError(400, "This is the only item on the order. Reject the change to cancel the order instead");
+    }
+    item.deleteOne();
+    issue.status = "removed";
+  }
+
+  order.calculateTotals({feeConfig});
+
+  const difference = roundMoney(previousTotal - order.totalAmount);
+  const refund = await refundOrderPayment({
+    order,
+    amount: difference,
+    reason: `${issue.name} ${issue.status} (unavailable)`,
+    session
+  });
+  if (refund) {
+    issue.refundAmount = refund.refundAmount;
+    order.refundAmount = roundMoney((order.refundAmount || 0) + refund.refundAmount);
+  }
+
+  return {issue, refundAmount: issue.refundAmount, cancelOrder: false};
+};
@@ -0,0 +1,191 @@
+import {getPrepStartedAt, estimatePrepMinutes} from "./deliveryEta.js";
+import {PICKUP_TRANSITIONS, isPickupOrder} from "./pickupOrders.js";
+import {DINE_IN_TRANSITIONS, isDineInOrder} from "./dineIn.js";
+import {hasPendingItemIssues} from "./itemSubstitutions.js";
+
+/**
+ * Kitchen display: a venue's active orders as a working queue grouped by stage, with timers since
+ * each transition, item checkmarks and flags for urgent and overdue orders
+ */
+
+// Scheduled orders show up this long before they are released to the kitchen
+const UPCOMING_SCHEDULED_MINUTES = 60;
+// Scheduled orders are urgent when their slot is closer than the prep time plus this margin
+const PRIORITY_MARGIN_MINUTES = 15;
+
+export const KITCHEN_QUEUE_STATUSES = ["pending", "scheduled", "preparing", "ready", "ready_for_pickup", "dispatched"];
+
+const minutesSince = (date, now) => Math.max(Math.floor((now - new Date(date)) / 60000), 0);
+
+// When the order entered its current status: the latest matching tracking update
+const getStateEnteredAt = order => {
+  const update = [...(order.trackingUpdates || [])].reverse().find(entry => entry.status === order.deliveryStatus);
+  if (update) {
+    return update.timestamp;
+  }
+  return order.deliveryStatus === "preparing"
+    ? getPrepStartedAt(order)
+    : order.createdAt;
+};
+
+/**
+ * Column of the kitchen display an order belongs in, or null when it is not on the display
+ * @param {Object} order - FoodDelivery order
+ * @param {Date} [now]
+ * @returns {string|null} - "new", "preparing", "ready" or "awaitingDriver"
+ */
+export const getKitchenStage = (order, now = new Date()) => {
+  switch (order.deliveryStatus) {
+    case "pending":
+      // Unpaid orders are not sent to the kitchen; dine-in rounds are paid with their tab
+      return order.paymentStatus === "paid" || isDineInOrder(order)
+        ? "new"
+        : null;
+    case "scheduled":
+      return order.releaseAt && new Date(order.releaseAt) <= new Date(now.getTime() + UPCOMING_SCHEDULED_MINUTES * 60000)
+        ? "new"
+        : null;
+    case "preparing":
+      return "preparing";
+    case "ready":
+      return isDineInOrder(order)
+        ? "ready"
+        : "awaitingDriver";
+    case "ready_for_pickup":
+      return "ready";
+    case "dispatched":
+      return "awaitingDriver";
+    default:
+      return null;
+  }
+};
+
+/**
+ * Kitchen display card for an order
+ * @param {Object} order - FoodDelivery order, with deliveryDriver populated for orders awaiting a driver
+ * @param {Object} params
+ * @param {number|null} params.historicalPrepMinutes - See getVenuePrepMinutes
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const buildKitchenCard = (order, {historicalPrepMinutes = null, now = new Date()}) => {
+  const typicalPrepMinutes = estimatePrepMinutes(order, historicalPrepMinutes);
+  const stateSince = getStateEnteredAt(order);
+  const preparingMinutes = ["preparing", "ready", "ready_for_pickup", "dispatched"].includes(order.deliveryStatus)
+    ? minutesSince(getPrepStartedAt(order), now)
+    : null;
+
+  // Only the kitchen's own work can run late here; waiting for drivers and customers is tracked elsewhere
+  const overdueByMinutes = order.deliveryStatus === "preparing"
+    ? Math.max(preparingMinutes - typicalPrepMinutes, 0)
+    : 0;
+
+  const minutesToSlot = order.deliveryTiming === "scheduled" && order.scheduledFor
+    ? (new Date(order.scheduledFor) - now) / 60000
+    : null;
+
+  return {
+    _id: order._id,
+    status: order.deliveryStatus,
+    fulfillmentType: order.fulfillmentType || "delivery",
+    table: order.dineIn
+      ?.table
+        ?.label || null,
+    customerName: order.customer
+      ?.name || null,
+    customerNotes: order.customerNotes || "",
+    deliveryTiming: order.deliveryTiming,
+    scheduledFor: order.scheduledFor || null,
+    items: order.items.map(item => ({
+      _id: item._id,
+      name: item.name,
+      quantity: item.quantity,
+      options: (item.options || []).map(opt => `${opt.name}: ${opt.choice}`),
+      specialInstructions: item.specialInstructions || "",
+      done: !!item.preparedAt
+    })),
+    itemsDone: order.items.filter(item => item.preparedAt).length,
+    driver: order.deliveryDriver
+      ?.fullName
+        ? {
+          name: order.deliveryDriver.fullName,
+          phone: order.deliveryDriver.phone
+        }
+        : null,
+    placedAt: order.createdAt,
+    stateSince,
+    timers: {
+      sincePlacedMinutes: minutesSince(order.createdAt, now),
+      inStateMinutes: minutesSince(stateSince, now),
+      preparingMinutes
+    },
+    typicalPrepMinutes,
+    isOverdue: overdueByMinutes > 0,
+    overdueByMinutes,
+    isPriority: minutesToSlot !== null && ["pending", "scheduled", "preparing"].includes(order.deliveryStatus) && minutesToSlot <= typicalPrepMinutes + PRIORITY_MARGIN_MINUTES,
+    awaitingCustomer: hasPendingItemIssues(order)
+  };
+};
+
+/**
+ * Group a venue's active orders into the kitchen display columns, urgent and longest waiting first
+ * @param {Array} orders - FoodDelivery orders in KITCHEN_QUEUE_STATUSES
+ * @param {Object} params - See buildKitchenCard
+ * @returns {{new: Array, preparing: Array, ready: Array, awaitingDriver: Array}}
+ */
+export const buildKitchenQueue = (orders, {historicalPrepMinutes = null, now = new Date()}) => {
+  const queue = {
+    new: [],
+    preparing: [],
+    ready: [],
+    awaitingDriver: []
+  };
+
+  for (const order of orders) {
+    const stage = getKitchenStage(order, now);
+    if (stage) {
+      queue[stage].push(buildKitchenCard(order, {historicalPrepMinutes, now}));
+    }
+  }
+
+  for (const cards of Object.values(queue)) {
+    cards.sort((a, b) => (b.isPriority - a.isPriority) || (b.isOverdue - a.isOverdue) || (new Date(a.stateSince) - new Date(b.stateSince)));
+  }
+  return queue;
+};
+
+/**
+ * Status a bump on the kitchen display moves the order to, or null when the kitchen has nothing left to do.
+ * Delivery orders stop at "ready" for their driver and pickup orders are handed over with their pickup code.
+ * @param {Object} order - FoodDelivery order
+ * @returns {string|null}
+ */
+export const getBumpStatus = order => {
+  switch (order.deliveryStatus) {
+    case "pending":
+    case "scheduled":
+      return "preparing";
+    case "preparing":
+      return isPickupOrder(order)
+        ? "ready_for_pickup"
+        : "ready";
+    case "ready":
+      // Dine-in rounds are bumped off the display once served at the table
+      return isDineInOrder(order)
+        ? "delivered"
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Status flow an order follows, for FoodDelivery.updateStatus
+ * @param {Object} order - FoodDelivery order
+ * @returns {Object|undefined} - Transitions map, undefined for the delivery flow
+ */
+export const getStatusTransitions = order => isPickupOrder(order)
+  ? PICKUP_TRANSITIONS
+  : isDineInOrder(order)
+    ? DINE_IN_TRANSITIONS
+    : undefined;
@@ -0,0 +1,184 @@
+/**
+ * Utility functions for checking opening hours (FoodVenue / LiquorStore openingHours)
+ * in the venue's own IANA timezone
+ */
+
+const DAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday"
+];
+
+export const DEFAULT_TIMEZONE = "UTC";
+
+const formatters = new Map();
+
+const getFormatter = timeZone => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric"
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+/**
+ * Check that a string is a timezone the runtime knows (e.g. "Asia/Kathmandu")
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = timeZone => {
+  if (!timeZone || typeof timeZone !== "string") {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Wall clock date and time of a moment in a timezone
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, dayIndex: number}}
+ */
+export const getZonedParts = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({type, value}) => {
+    if (type !== "literal") {
+      parts[type] = Number(value);
+    }
+  });
+
+  return {
+    ...parts,
+    dayIndex: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+};
+
+/**
+ * Local "HH:mm" time of a moment in a timezone
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export const getLocalTime = (date, timeZone = DEFAULT_TIMEZONE) => {
+  const {hour, minute} = getZonedParts(date, timeZone);
+  return `${hour.toString().padStart(2, "0")}:${minute.toString().padStart(2, "0")}`;
+};
+
+// Offset of the timezone from UTC at a moment, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const {year, month, day, hour, minute, second} = getZonedParts(date, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - (date.getTime() - date.getMilliseconds());
+};
+
+// Moment at which the wall clock in the timezone shows the given local date and time
+const zonedTimeToDate = (year, month, day, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  // Re-check once in case the guess crossed a DST change
+  return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+};
+
+// "HH:mm" to minutes since midnight
+const toMinutes = time => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// A slot closing at or before its opening time runs past midnight (e.g. 18:00 - 02:00)
+const isOvernightSlot = slot => toMinutes(slot.closingTime) <= toMinutes(slot.openingTime);
+
+const getDaySlots = (openingHours, dayIndex) => openingHours.filter(schedule => schedule.day === DAYS[dayIndex]).flatMap(schedule => schedule.timeSlots || []);
+
+/**
+ * Check whether a venue is open at a given moment, in the venue's local time.
+ * Venues without any opening hours configured are treated as always open.
+ * @param {Array} openingHours - Venue openingHours
+ * @param {Date} [date] - Moment to check
+ * @param {string} [timeZone] - Venue timezone
+ * @returns {boolean}
+ */
+export const isOpenAt = (openingHours = [], date = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  if (!openingHours || openingHours.length === 0) {
+    return true;
+  }
+
+  const {dayIndex, hour, minute} = getZonedParts(date, timeZone);
+  const minutes = hour * 60 + minute;
+
+  // Slots that start today
+  const openToday = getDaySlots(openingHours, dayIndex).some(slot => {
+    const opening = toMinutes(slot.openingTime);
+    const closing = toMinutes(slot.closingTime);
+    return isOvernightSlot(slot)
+      ? minutes >= opening
+      : minutes >= opening && minutes < closing;
+  });
+  if (openToday) {
+    return true;
+  }
+
+  // Overnight slots that started yesterday and are still running
+  return getDaySlots(openingHours, (dayIndex + 6) % 7).some(slot => isOvernightSlot(slot) && minutes < toMinutes(slot.closingTime));
+};
+
+/**
+ * Next moment the venue opens after a given moment
+ * @param {Array} openingHours - Venue openingHours
+ * @param {Date} [from] - Moment to search from
+ * @param {string} [timeZone] - Venue timezone
+ * @returns {Date|null} - null when no opening hours are configured
+ */
+export const getNextOpenAt = (openingHours = [], from = new Date(), timeZone = DEFAULT_TIMEZONE) => {
+  if (!openingHours || openingHours.length === 0) {
+    return null;
+  }
+
+  const {year, month, day} = getZonedParts(from, timeZone);
+
+  // Every weekday repeats within 8 days, so the first opening after `from` is in this window
+  for (let offset = 0; offset <= 7; offset++) {
+    const localDate = new Date(Date.UTC(year, month - 1, day + offset));
+    const candidates = getDaySlots(openingHours, localDate.getUTCDay()).map(slot => zonedTimeToDate(localDate.getUTCFullYear(), localDate.getUTCMonth() + 1, localDate.getUTCDate(), toMinutes(slot.openingTime), timeZone)).filter(candidate => candidate > from).sort((a, b) => a - b);
+
+    if (candidates.length > 0) {
+      return candidates[0];
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Open/closed state of a venue for API responses
+ * @param {Object} venue - Venue document or plain object with openingHours and timezone
+ * @param {Date} [now]
+ * @returns {{isOpenNow: boolean, nextOpenAt: Date|null}} - nextOpenAt is null while the venue is open
+ */
+export const getOpeningStatus = (venue, now = new Date()) => {
+  const timeZone = venue.timezone || DEFAULT_TIMEZONE;
+  const isOpenNow = isOpenAt(venue.openingHours, now, timeZone);
+
+  return {
+    isOpenNow,
+    nextOpenAt: isOpenNow
+      ? null
+      : getNextOpenAt(venue.openingHours, now, timeZone)
+  };
+};
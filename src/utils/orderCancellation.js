@@ -0,0 +1,336 @@
+import FoodDeliveryPayment from "../models/foodDeliveryPayment.models.js";
+import {refundStripePayment} from "./payment_gateways/stripe.js";
+import {ApiError} from "./ApiError.js";
+import {roundMoney} from "./orderPricing.js";
+import {getOrderCurrency, roundToCurrency} from "./currency.js";
+import logger from "./logger.js";
+
+/**
+ * Utility functions for cancelling food delivery orders and refunding their payments
+ */
+
+// Kitchen progress before the order leaves the venue, in order
+const KITCHEN_STATUSES = [
+  "pending",
+  "scheduled",
+  "preparing",
+  "ready",
+  "ready_for_pickup"
+];
+
+// Statuses each party may cancel from
+const CANCELLABLE_STATUSES = {
+  customer: KITCHEN_STATUSES,
+  venue: KITCHEN_STATUSES,
+  driver: ["ready", "dispatched", "in_transit"]
+};
+
+/**
+ * Work out whether an order can be cancelled and what it costs the customer.
+ * Customers cancel free until the venue's freeUntilStatus is reached, then pay the policy fee.
+ * Cancellations by the venue or driver are never charged to the customer. Tips are always refunded.
+ * @param {Document} order - FoodDelivery order
+ * @param {Document} venue - FoodVenue the order was placed with
+ * @param {string} cancelledBy - "customer", "venue" or "driver"
+ * @returns {{cancellationFee: number, refundAmount: number}}
+ */
+export const getCancellationTerms = (order, venue, cancelledBy) => {
+  if (!order.isCancellable || !CANCELLABLE_STATUSES[cancelledBy]?.includes(order.deliveryStatus)) {
+    throw new ApiError(400, `Order cannot be cancelled by the ${cancelledBy} while it is ${order.deliveryStatus}`);
+  }
+
+  const paidAmount = order.paymentStatus === "paid"
+    ? order.totalAmount
+    : 0;
+
+  let cancellationFee = 0;
+  const policy = venue?.cancellationPolicy || {};
+  const freeUntilIndex = KITCHEN_STATUSES.indexOf(policy.freeUntilStatus || "preparing");
+
+  if (cancelledBy === "customer" && paidAmount > 0 && KITCHEN_STATUSES.indexOf(order.deliveryStatus) >= freeUntilIndex) {
+    const chargeable = Math.max(paidAmount - (order.tip || 0), 0);
+    cancellationFee = Math.min(chargeable * ((policy.feePercentage ?? 50) / 100) + (policy.flatFee || 0), chargeable);
+  }
+
+  return {
+    cancellationFee: roundMoney(cancellationFee),
+    refundAmount: roundMoney(paidAmount - cancellationFee)
+  };
+};
+
+// Payment statuses that still have money to give back
+const REFUNDABLE_PAYMENT_STATUSES = ["paid", "succeeded", "partially_refunded"];
+
+// Times a queued refund is sent before it is left to be completed by hand
+const MAX_REFUND_ATTEMPTS = 5;
+
+const DEFAULT_REFUND_RETRY_INTERVAL_MS = 60 * 1000;
+
+// Gateways refunds are sent through, by payment method. The Razorpay and PayPal SDKs are not dependencies
+// of every install, so their clients are only loaded when a refund needs them.
+const REFUND_GATEWAYS = {
+  stripe: (transactionId, amount, currency) => refundStripePayment(transactionId, amount, currency),
+  razorpay: async (transactionId, amount, currency) => {
+    const {refundRazorpayPayment} = await import("./payment_gateways/razor_pay.js");
+    return refundRazorpayPayment(transactionId, amount, currency);
+  },
+  paypal: async (transactionId, amount, currency) => {
+    const {refundPaypalPayment} = await import("./payment_gateways/paypal.js");
+    return refundPaypalPayment(transactionId, amount, currency);
+  }
+};
+
+/**
+ * Share a refund between an order's payments by weight (each payer's share of a split group order),
+ * never giving a payment back more than it has left. What a payment cannot take goes to the others.
+ * @param {number} amount
+ * @param {Array<{remaining: number, weight: number}>} entries
+ * @param {string} currency
+ * @returns {number[]} - Amount to refund from each entry
+ */
+export const allocateRefund = (amount, entries, currency) => {
+  const shares = entries.map(() => 0);
+  const totalRemaining = entries.reduce((sum, entry) => sum + Math.max(entry.remaining, 0), 0);
+  let left = roundToCurrency(Math.min(amount, totalRemaining), currency);
+
+  while (left > 0) {
+    const open = entries.map((entry, index) => index).filter(index => roundToCurrency(entries[index].remaining - shares[index], currency) > 0);
+    if (open.length === 0) {
+      break;
+    }
+    const totalWeight = open.reduce((sum, index) => sum + (entries[index].weight || 0), 0);
+
+    let given = 0;
+    open.forEach(index => {
+      const weight = totalWeight > 0
+        ? entries[index].weight || 0
+        : 1;
+      const share = roundToCurrency(left * weight / (
+        totalWeight > 0
+        ? totalWeight
+        : open.length), currency);
+      const amountTaken = Math.min(share, roundToCurrency(entries[index].remaining - shares[index], currency), roundToCurrency(left - given, currency));
+      shares[index] = roundToCurrency(shares[index] + amountTaken, currency);
+      given = roundToCurrency(given + amountTaken, currency);
+    });
+
+    // Too little left to share after rounding, the first payment with room takes it
+    if (given <= 0) {
+      const [index] = open;
+      given = Math.min(left, roundToCurrency(entries[index].remaining - shares[index], currency));
+      shares[index] = roundToCurrency(shares[index] + given, currency);
+    }
+    left = roundToCurrency(left - given, currency);
+  }
+
+  return shares;
+};
+
+/**
+ * Refund (part of) an order and record it on its payments.
+ * Orders can be refunded in several parts (e.g. removed items, then a cancellation) up to the amount paid.
+ * Split group orders have a payment per participant; a refund is shared between them by what each paid for.
+ * Refunds through Stripe, Razorpay and PayPal are queued on their payments with the caller's transaction and
+ * sent by issueOrderRefunds once it is committed; other payment methods are refunded by hand.
+ * @param {Object} params
+ * @param {Document} params.order - FoodDelivery order
+ * @param {number} params.amount - Amount to refund
+ * @param {string} [params.reason] - Reason stored with the refund
+ * @param {ClientSession} [params.session] - Mongoose session of the surrounding transaction
+ * @returns {Promise<{payments: Document[], refundAmount: number, isFullRefund: boolean}|null>} - null when there was nothing to refund
+ */
+export const refundOrderPayment = async ({order, amount, reason = "", session = null}) => {
+  if (!amount || amount <= 0 || order.paymentStatus !== "paid") {
+    return null;
+  }
+
+  const payments = await FoodDeliveryPayment.find({
+    order: order._id,
+    paymentStatus: {
+      $in: REFUNDABLE_PAYMENT_STATUSES
+    }
+  }).sort({createdAt: 1}).session(session);
+  if (payments.length === 0) {
+    logger.warn(`No refundable payment found for order ${order._id}`);
+    return null;
+  }
+
+  const currency = getOrderCurrency(order);
+  const isSplitOrder = order.groupOrder
+    ?.paymentMode === "split";
+  const shares = allocateRefund(amount, payments.map(payment => ({
+    remaining: roundToCurrency(payment.amount - (payment.refundAmount || 0), currency),
+    weight: isSplitOrder
+      ? order.groupOrder.participants.find(p => p.user
+        ?.toString() === payment.user.toString())
+        ?.amountDue || 0
+      : payment.amount
+  })), currency);
+
+  const refunded = [];
+  for (const [index, payment] of payments.entries()) {
+    const refundAmount = shares[index];
+    if (refundAmount <= 0) {
+      continue;
+    }
+
+    if (REFUND_GATEWAYS[payment.paymentMethod]) {
+      payment.gatewayRefunds.push({amount: refundAmount, currency, reason});
+    } else {
+      logger.warn(`Refund of ${refundAmount} for order ${order._id} via ${payment.paymentMethod} must be completed manually`);
+    }
+
+    const alreadyRefunded = payment.refundAmount || 0;
+    const isFullRefund = roundToCurrency(alreadyRefunded + refundAmount, currency) >= payment.amount;
+    payment.paymentStatus = isFullRefund
+      ? "refunded"
+      : "partially_refunded";
+    payment.refundStatus = isFullRefund
+      ? "fully_refunded"
+      : "partially_refunded";
+    payment.refundAmount = roundToCurrency(alreadyRefunded + refundAmount, currency);
+    payment.refundDate = new Date();
+
+    // Add refund details to paymentMetadata
+    payment.paymentMetadata.refunds = payment.paymentMetadata.refunds || [];
+    payment.paymentMetadata.refunds.push({
+      amount: refundAmount,
+      date: new Date(),
+      reason,
+      status: isFullRefund
+        ? "full"
+        : "partial"
+    });
+    payment.markModified("paymentMetadata");
+    refunded.push(payment);
+  }
+
+  if (refunded.length === 0) {
+    return null;
+  }
+  for (const payment of refunded) {
+    await payment.save({session});
+  }
+
+  return {
+    payments: refunded,
+    refundAmount: roundToCurrency(shares.reduce((sum, share) => sum + share, 0), currency),
+    isFullRefund: payments.every(payment => payment.paymentStatus === "refunded")
+  };
+};
+
+/**
+ * Send queued refunds to their gateways. Each refund is claimed before it is sent, so the retry job and the
+ * request that queued it never both send it. A refund still failing after MAX_REFUND_ATTEMPTS is left to be
+ * completed by hand.
+ * @param {Object} [params]
+ * @param {ObjectId|string} [params.orderId] - Only send the refunds of this order
+ * @returns {Promise<number>} - Number of refunds sent
+ */
+export const issuePendingRefunds = async ({orderId = null} = {}) => {
+  const retryable = {
+    status: {
+      $in: ["pending", "failed"]
+    },
+    attempts: {
+      $lt: MAX_REFUND_ATTEMPTS
+    }
+  };
+  const payments = await FoodDeliveryPayment.find({
+    ...(orderId && {
+      order: orderId
+    }),
+    gatewayRefunds: {
+      $elemMatch: retryable
+    }
+  }).select("order paymentMethod transactionId gatewayRefunds");
+
+  let issued = 0;
+  for (const payment of payments) {
+    for (const refund of payment.gatewayRefunds) {
+      if (!["pending", "failed"].includes(refund.status) || refund.attempts >= MAX_REFUND_ATTEMPTS) {
+        continue;
+      }
+
+      const {modifiedCount} = await FoodDeliveryPayment.updateOne({
+        _id: payment._id,
+        gatewayRefunds: {
+          $elemMatch: {
+            _id: refund._id,
+            status: refund.status,
+            attempts: refund.attempts
+          }
+        }
+      }, {
+        $set: {
+          "gatewayRefunds.$.status": "issuing"
+        },
+        $inc: {
+          "gatewayRefunds.$.attempts": 1
+        }
+      });
+      if (modifiedCount === 0) {
+        continue;
+      }
+
+      const entry = {
+        _id: payment._id,
+        "gatewayRefunds._id": refund._id
+      };
+      try {
+        const gatewayRefund = await REFUND_GATEWAYS[payment.paymentMethod](payment.transactionId, refund.amount, refund.currency);
+        await FoodDeliveryPayment.updateOne(entry, {
+          $set: {
+            "gatewayRefunds.$.status": "issued",
+            "gatewayRefunds.$.gatewayRefundId": gatewayRefund
+              ?.id,
+            "gatewayRefunds.$.issuedAt": new Date()
+          }
+        });
+        issued += 1;
+      } catch (error) {
+        logger.error(`Refund of ${refund.amount} ${refund.currency} for order ${payment.order} on ${payment.transactionId} failed: ${error.message}`);
+        await FoodDeliveryPayment.updateOne(entry, {
+          $set: {
+            "gatewayRefunds.$.status": "failed",
+            "gatewayRefunds.$.lastError": error.message
+          }
+        });
+        if (refund.attempts + 1 >= MAX_REFUND_ATTEMPTS) {
+          logger.error(`Refund ${refund._id} for order ${payment.order} gave up after ${MAX_REFUND_ATTEMPTS} attempts and must be completed manually`);
+        }
+      }
+    }
+  }
+
+  return issued;
+};
+
+/**
+ * Send an order's queued refunds once the transaction that queued them is committed, without holding up
+ * the response; whatever fails is picked up by the retry job
+ * @param {ObjectId|string} orderId
+ */
+export const issueOrderRefunds = orderId => {
+  issuePendingRefunds({orderId}).catch(error => {
+    logger.error(`Failed to issue refunds for order ${orderId}: ${error.message}`, {stack: error.stack});
+  });
+};
+
+/**
+ * Periodically send refunds that were not sent or failed.
+ * Interval is configurable with REFUND_RETRY_INTERVAL_MS.
+ * @returns {NodeJS.Timeout}
+ */
+export const startRefundRetry = () => {
+  const interval = parseInt(process.env.REFUND_RETRY_INTERVAL_MS, 10) || DEFAULT_REFUND_RETRY_INTERVAL_MS;
+
+  const timer = setInterval(() => {
+    issuePendingRefunds().catch(error => {
+      logger.error(`Failed to retry refunds: ${error.message}`, {stack: error.stack});
+    });
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
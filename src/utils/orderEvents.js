@@ -0,0 +1,186 @@
+import {EventEmitter} from "events";
+import logger from "./logger.js";
+
+/**
+ * In-process pub/sub for live order updates, streamed to clients with Server-Sent Events.
+ * Channels: one per order (status, driver location, ETA), one per venue (new and updated orders)
+ * and one per driver (delivery offers).
+ * Events only reach subscribers connected to the same app instance.
+ */
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+const STATUS_CHANGE = "status_change";
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per connected client
+
+const orderChannel = orderId => `order:${orderId}`;
+const venueChannel = venueId => `venue:${venueId}`;
+const driverChannel = driverId => `driver:${driverId}`;
+
+/**
+ * Publish an event to everyone following an order
+ * @param {ObjectId|string} orderId
+ * @param {string} event - Event name, e.g. "status", "location", "eta"
+ * @param {Object} data - JSON serialisable payload
+ */
+export const publishOrderEvent = (orderId, event, data) => {
+  emitter.emit(orderChannel(orderId), {event, data});
+};
+
+/**
+ * Publish an event to a venue's order channel
+ * @param {ObjectId|string} venueId
+ * @param {string} event - Event name, e.g. "new_order", "order_status"
+ * @param {Object} data - JSON serialisable payload
+ */
+export const publishVenueEvent = (venueId, event, data) => {
+  emitter.emit(venueChannel(venueId), {event, data});
+};
+
+/**
+ * Publish an event to a driver's channel
+ * @param {ObjectId|string} driverId
+ * @param {string} event - Event name, e.g. "offer", "offer_withdrawn"
+ * @param {Object} data - JSON serialisable payload
+ */
+export const publishDriverEvent = (driverId, event, data) => {
+  emitter.emit(driverChannel(driverId), {event, data});
+};
+
+/**
+ * Publish an order's current delivery status to the order and venue channels.
+ * Call after the change has been committed.
+ * @param {Document} order - FoodDelivery order
+ * @param {Object} [details]
+ * @param {string} [details.updatedBy] - "system", "venue", "driver" or "customer"
+ * @param {string} [details.notes]
+ */
+export const publishStatusChange = (order, {updatedBy = "system", notes = ""} = {}) => {
+  const data = {
+    orderId: order._id,
+    status: order.deliveryStatus,
+    paymentStatus: order.paymentStatus,
+    updatedBy,
+    notes,
+    timestamp: new Date()
+  };
+
+  publishOrderEvent(order._id, "status", data);
+  publishVenueEvent(order.venue?._id || order.venue, "order_status", data);
+  emitter.emit(STATUS_CHANGE, {
+    ...data,
+    venueId: order.venue?._id || order.venue
+  });
+};
+
+/**
+ * Run a server-side listener on every published status change (e.g. the dispatcher)
+ * @param {Function} listener - Receives {orderId, venueId, status, paymentStatus, updatedBy, notes, timestamp}
+ * @returns {Function} - Call to remove the listener
+ */
+export const onStatusChange = listener => {
+  emitter.on(STATUS_CHANGE, listener);
+  return () => emitter.off(STATUS_CHANGE, listener);
+};
+
+/**
+ * Publish an order's current ETA to the order channel
+ * @param {Document} order - FoodDelivery order
+ */
+export const publishEtaChange = order => {
+  publishOrderEvent(order._id, "eta", {
+    orderId: order._id,
+    estimatedDeliveryTime: order.estimatedDeliveryTime || null,
+    timestamp: new Date()
+  });
+};
+
+/**
+ * Publish a newly placed order to its venue's channel
+ * @param {Document} order - FoodDelivery order
+ */
+export const publishNewOrder = order => {
+  publishVenueEvent(order.venue?._id || order.venue, "new_order", {
+    orderId: order._id,
+    status: order.deliveryStatus,
+    fulfillmentType: order.fulfillmentType || "delivery",
+    table: order.dineIn
+      ?.table
+        ?.label || null, // dine-in rounds are served to a table instead of an address
+    deliveryTiming: order.deliveryTiming,
+    scheduledFor: order.scheduledFor || null,
+    itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+    totalAmount: order.totalAmount,
+    createdAt: order.createdAt
+  });
+};
+
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Open an SSE response and forward a channel to it until the client disconnects
+const streamChannel = (req, res, channel, initialEvent = null) => {
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  if (initialEvent) {
+    writeEvent(res, initialEvent.event, initialEvent.data);
+  }
+
+  const listener = ({event, data}) => writeEvent(res, event, data);
+  emitter.on(channel, listener);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    emitter.off(channel, listener);
+    logger.debug(`Live update stream closed for ${channel}`);
+  });
+};
+
+/**
+ * Stream an order's channel to an authorized client
+ * @param {Request} req
+ * @param {Response} res
+ * @param {ObjectId|string} orderId
+ * @param {Object} [snapshot] - Current state sent as the first "snapshot" event
+ */
+export const streamOrderEvents = (req, res, orderId, snapshot = null) => streamChannel(req, res, orderChannel(orderId), snapshot && {
+  event: "snapshot",
+  data: snapshot
+});
+
+/**
+ * Stream a venue's channel to an authorized client
+ * @param {Request} req
+ * @param {Response} res
+ * @param {ObjectId|string} venueId
+ */
+export const streamVenueEvents = (req, res, venueId) => streamChannel(req, res, venueChannel(venueId), {
+  event: "connected",
+  data: {
+    venueId
+  }
+});
+
+/**
+ * Stream a driver's channel to the driver
+ * @param {Request} req
+ * @param {Response} res
+ * @param {ObjectId|string} driverId
+ * @param {Array} [pendingOffers] - Offers still open, sent as the first "snapshot" event
+ */
+export const streamDriverEvents = (req, res, driverId, pendingOffers = []) => streamChannel(req, res, driverChannel(driverId), {
+  event: "snapshot",
+  data: {
+    offers: pendingOffers
+  }
+});
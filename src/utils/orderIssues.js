@@ -0,0 +1,324 @@
+import fs from "fs";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import OrderIssue from "../models/orderIssue.models.js";
+import StoreCredit from "../models/storeCredit.models.js";
+import {ApiError} from "./ApiError.js";
+import {uploadOnCloudinary} from "./cloudinary.js";
+import {getCurrencyDecimals, getOrderCurrency, roundToCurrency} from "./currency.js";
+import {refundOrderPayment} from "./orderCancellation.js";
+import {getUnitPrice} from "./orderPricing.js";
+import logger from "./logger.js";
+
+/**
+ * Order issues: customers report missing, wrong or damaged items of a delivered order with photos, the venue
+ * answers and an admin resolves the issue with a refund, store credit or no action. Each step is kept on the
+ * issue's timeline and the outcome is attributed to the venue, the driver or the platform for reporting.
+ */
+
+// Hours after delivery the customer can still report a problem
+export const ISSUE_REPORT_WINDOW_HOURS = 48;
+
+export const ISSUE_PROBLEMS = ["missing", "wrong_item", "damaged", "poor_quality"];
+
+export const RESOLUTION_OUTCOMES = ["full_refund", "partial_refund", "item_refund", "store_credit", "no_action"];
+
+export const RESPONSIBLE_PARTIES = ["venue", "driver", "platform", "none"];
+
+// Outcomes refunded to the order's payment
+const REFUND_OUTCOMES = ["full_refund", "partial_refund", "item_refund"];
+
+// Remove an uploaded file that will not be kept
+const discardUpload = filePath => {
+  if (filePath) {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+};
+
+/**
+ * Match the items a customer reports to the order's line items
+ * @param {Object} order - FoodDelivery order
+ * @param {Array} items - [{itemId, quantity, problem}], itemId being a FoodDelivery.items entry
+ * @returns {Array} - Issue items with the name and unit price charged
+ */
+export const buildIssueItems = (order, items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, "Select at least one item of the order");
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const issueItems = [];
+  items.forEach((entry, index) => {
+    const line = order.items.find(item => item._id.toString() === String(entry
+      ?.itemId));
+    if (!line) {
+      errors.push(`items[${index}] is not an item of this order`);
+      return;
+    }
+    if (seen.has(line._id.toString())) {
+      errors.push(`${line.name} is listed more than once`);
+      return;
+    }
+    seen.add(line._id.toString());
+
+    const quantity = entry.quantity === undefined
+      ? line.quantity
+      : Number(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > line.quantity) {
+      errors.push(`Quantity of ${line.name} must be between 1 and ${line.quantity}`);
+    }
+    if (!ISSUE_PROBLEMS.includes(entry.problem)) {
+      errors.push(`Problem with ${line.name} must be one of: ${ISSUE_PROBLEMS.join(", ")}`);
+    }
+
+    issueItems.push({item: line._id, name: line.name, quantity, unitPrice: getUnitPrice(line), problem: entry.problem});
+  });
+
+  if (errors.length > 0) {
+    throw new ApiError(400, "Invalid issue items", errors);
+  }
+  return issueItems;
+};
+
+/**
+ * Value of the items on an issue at the prices charged for them
+ * @param {Object} issue - OrderIssue
+ * @returns {number}
+ */
+export const getIssueItemsValue = issue => roundToCurrency(issue.items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0), issue.currency);
+
+/**
+ * Who an issue is attributed to when the admin does not say: damaged items on the driver who carried them,
+ * anything else on the venue that packed the order
+ * @param {Object} issue - OrderIssue
+ * @returns {string}
+ */
+export const getDefaultResponsibleParty = issue => issue.driver && issue.items.every(item => item.problem === "damaged")
+  ? "driver"
+  : "venue";
+
+/**
+ * Open an issue on a delivered order. Photos are uploaded once the report is valid and discarded otherwise.
+ * @param {Object} params
+ * @param {Document} params.order - FoodDelivery order
+ * @param {ObjectId|string} params.userId - Customer reporting the issue
+ * @param {Array} params.items - [{itemId, quantity, problem}]
+ * @param {string} [params.description]
+ * @param {string[]} [params.photoPaths] - Local paths of the photos uploaded with multer
+ * @param {Date} [params.now]
+ * @returns {Promise<Document>} - The new OrderIssue
+ */
+export const openOrderIssue = async ({order, userId, items, description, photoPaths = [], now = new Date()}) => {
+  let issueItems;
+  try {
+    if (order.customer
+      ?._id.toString() !== userId.toString()) {
+      throw new ApiError(403, "Not authorized to report an issue with this order");
+    }
+    if (order.deliveryStatus !== "delivered") {
+      throw new ApiError(400, "Issues can be reported once the order is delivered");
+    }
+    const deliveredAt = order.actualDeliveryTime || order.updatedAt;
+    if (now - deliveredAt > ISSUE_REPORT_WINDOW_HOURS * 60 * 60 * 1000) {
+      throw new ApiError(400, `Issues can only be reported within ${ISSUE_REPORT_WINDOW_HOURS} hours of delivery`);
+    }
+    if (description !== undefined && (typeof description !== "string" || description.length > 1000)) {
+      throw new ApiError(400, "Description must be text of at most 1000 characters");
+    }
+
+    issueItems = buildIssueItems(order, items);
+
+    const openIssue = await OrderIssue.exists({
+      order: order._id,
+      status: {
+        $ne: "resolved"
+      }
+    });
+    if (openIssue) {
+      throw new ApiError(409, "An issue with this order is already being handled");
+    }
+  } catch (error) {
+    photoPaths.forEach(discardUpload);
+    throw error;
+  }
+
+  const photos = [];
+  for (const photoPath of photoPaths) {
+    let photo;
+    try {
+      photo = await uploadOnCloudinary(photoPath);
+    } catch (error) {
+      logger.error(`Issue photo upload failed for order ${order._id}: ${error.message}`);
+    }
+    if (!photo
+      ?.url) {
+      photoPaths.forEach(discardUpload);
+      throw new ApiError(502, "Failed to upload the issue photos");
+    }
+    photos.push({url: photo.secure_url || photo.url, publicId: photo.public_id});
+  }
+
+  return OrderIssue.create({
+    order: order._id,
+    venue: order.venue,
+    driver: order.deliveryDriver || null,
+    customer: userId,
+    items: issueItems,
+    description,
+    photos,
+    currency: getOrderCurrency(order),
+    timeline: [
+      {
+        action: "opened",
+        actor: "customer",
+        actorId: userId,
+        note: description,
+        at: now
+      }
+    ]
+  });
+};
+
+/**
+ * Record the venue's answer to an open issue. The venue can answer once, before the issue is resolved.
+ * @param {Object} params
+ * @param {Document} params.issue - OrderIssue, updated in place; the caller saves it
+ * @param {string} params.stance - "accepted" or "disputed"
+ * @param {string} [params.message]
+ * @param {ObjectId|string} params.userId - Business owner answering
+ * @returns {Document}
+ */
+export const respondToOrderIssue = ({issue, stance, message, userId}) => {
+  if (issue.status !== "open") {
+    throw new ApiError(409, issue.status === "venue_responded"
+      ? "The venue has already responded to this issue"
+      : "This issue is already resolved");
+  }
+  if (!["accepted", "disputed"].includes(stance)) {
+    throw new ApiError(400, "Stance must be accepted or disputed");
+  }
+  if (message !== undefined && (typeof message !== "string" || message.length > 1000)) {
+    throw new ApiError(400, "Message must be text of at most 1000 characters");
+  }
+  if (stance === "disputed" && !message
+    ?.trim()) {
+    throw new ApiError(400, "Explain why the issue is disputed");
+  }
+
+  const now = new Date();
+  issue.venueResponse = {stance, message, respondedBy: userId, respondedAt: now};
+  issue.status = "venue_responded";
+  issue.timeline.push({action: "venue_responded", actor: "venue", actorId: userId, note: message, at: now});
+  return issue;
+};
+
+/**
+ * Resolve an issue. Refunds are queued on the order's payments and added to the order's refunds, the caller
+ * sends them with issueOrderRefunds once its transaction is committed; store credit is added to the
+ * customer's ledger in the order's currency.
+ * @param {Object} params
+ * @param {Document} params.issue - OrderIssue, updated in place; the caller saves it
+ * @param {Document} params.order - FoodDelivery order of the issue
+ * @param {string} params.outcome - One of RESOLUTION_OUTCOMES
+ * @param {number} [params.amount] - Required for partial_refund; for store_credit defaults to the items' value
+ * @param {string} [params.responsibleParty] - One of RESPONSIBLE_PARTIES, see getDefaultResponsibleParty
+ * @param {string} [params.note]
+ * @param {ObjectId|string} params.adminId
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Document>}
+ */
+export const resolveOrderIssue = async ({issue, order, outcome, amount, responsibleParty, note, adminId, session = null}) => {
+  if (issue.status === "resolved") {
+    throw new ApiError(409, "This issue is already resolved");
+  }
+  if (!RESOLUTION_OUTCOMES.includes(outcome)) {
+    throw new ApiError(400, `Outcome must be one of: ${RESOLUTION_OUTCOMES.join(", ")}`);
+  }
+  if (responsibleParty !== undefined && !RESPONSIBLE_PARTIES.includes(responsibleParty)) {
+    throw new ApiError(400, `Responsible party must be one of: ${RESPONSIBLE_PARTIES.join(", ")}`);
+  }
+  if (responsibleParty === "driver" && !issue.driver) {
+    throw new ApiError(400, "No driver delivered this order");
+  }
+  if (note !== undefined && (typeof note !== "string" || note.length > 1000)) {
+    throw new ApiError(400, "Note must be text of at most 1000 characters");
+  }
+
+  const currency = issue.currency;
+  const refundable = roundToCurrency(order.totalAmount - (order.refundAmount || 0), currency);
+
+  let resolvedAmount = 0;
+  if (outcome === "full_refund") {
+    resolvedAmount = refundable;
+  } else if (outcome === "item_refund") {
+    resolvedAmount = Math.min(getIssueItemsValue(issue), refundable);
+  } else if (outcome === "partial_refund" || outcome === "store_credit") {
+    resolvedAmount = amount === undefined && outcome === "store_credit"
+      ? getIssueItemsValue(issue)
+      : amount;
+    if (typeof resolvedAmount !== "number" || !Number.isFinite(resolvedAmount) || resolvedAmount <= 0 || roundToCurrency(resolvedAmount, currency) !== resolvedAmount) {
+      throw new ApiError(400, `Amount must be a positive amount with at most ${getCurrencyDecimals(currency)} decimals`);
+    }
+    if (resolvedAmount > refundable) {
+      throw new ApiError(400, `Amount cannot exceed the ${refundable} ${currency} of the order not yet refunded`);
+    }
+  }
+
+  if (REFUND_OUTCOMES.includes(outcome)) {
+    if (resolvedAmount <= 0) {
+      throw new ApiError(400, "Nothing is left to refund on this order");
+    }
+    const refund = await refundOrderPayment({
+      order,
+      amount: resolvedAmount,
+      reason: `Order issue ${issue._id}: ${outcome.replace("_", " ")}`,
+      session
+    });
+    if (!refund) {
+      throw new ApiError(400, "The order has no payment left to refund. Resolve the issue with store credit instead");
+    }
+    // The payments may have had less left to refund than the order
+    resolvedAmount = refund.refundAmount;
+
+    await FoodDelivery.updateOne({
+      _id: order._id
+    }, {
+      $inc: {
+        refundAmount: resolvedAmount
+      },
+      ...(refund.isFullRefund && {
+        $set: {
+          paymentStatus: "refunded"
+        }
+      })
+    }, {session});
+  } else if (outcome === "store_credit") {
+    await StoreCredit.create([
+      {
+        user: issue.customer,
+        amount: resolvedAmount,
+        currency,
+        reason: `Issue with order ${order._id}`,
+        orderIssue: issue._id,
+        order: order._id,
+        createdBy: adminId
+      }
+    ], {session});
+  }
+
+  const now = new Date();
+  issue.resolution = {
+    outcome,
+    amount: resolvedAmount,
+    responsibleParty: responsibleParty || (
+      outcome === "no_action"
+      ? "none"
+      : getDefaultResponsibleParty(issue)),
+    note,
+    resolvedBy: adminId,
+    resolvedAt: now
+  };
+  issue.status = "resolved";
+  issue.timeline.push({action: "resolved", actor: "admin", actorId: adminId, note: note || outcome, at: now});
+  return issue;
+};
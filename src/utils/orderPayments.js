@@ -0,0 +1,175 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import FoodDeliveryPayment from "../models/foodDeliveryPayment.models.js";
+import {ApiError} from "./ApiError.js";
+import {cancelStripePaymentIntent} from "./payment_gateways/stripe.js";
+import {paidOrderUpdate} from "./scheduledOrders.js";
+
+/**
+ * Payments against food delivery orders, including orders split between group participants
+ */
+
+// Participant entry of a split group order
+const getSplitShare = (order, userId) => order.groupOrder
+  ?.paymentMode === "split"
+    ? order.groupOrder.participants.find(p => p.user.toString() === userId.toString())
+    : null;
+
+/**
+ * What a user has to pay for an order: their share of a split group order, otherwise the total for the customer
+ * @param {Object} order - FoodDelivery document
+ * @param {ObjectId|string} userId
+ * @returns {number|null} - Amount due, or null when the user doesn't pay for this order
+ */
+export const getAmountDue = (order, userId) => {
+  if (
+    order.groupOrder
+    ?.paymentMode === "split") {
+    const share = getSplitShare(order, userId);
+    return share && share.paymentStatus !== "not_required"
+      ? share.amountDue
+      : null;
+  }
+
+  // Dine-in rounds are paid with their table's tab, not one by one
+  if (!order.customer) {
+    return null;
+  }
+
+  return order.customer._id.toString() === userId.toString()
+    ? order.totalAmount
+    : null;
+};
+
+// Payments that took the money, and those the gateway is still taking it with
+const PAID_PAYMENT_STATUSES = ["succeeded", "paid", "partially_refunded"];
+const PROCESSING_PAYMENT_STATUSES = ["processing", "requires_capture"];
+
+/**
+ * Make way for a new payment of an order, or of the user's share of a split group order. A payment that went
+ * through or is going through stops the new one; a Stripe payment the user never confirmed is canceled.
+ * @param {Object} params
+ * @param {Object} params.order - FoodDelivery document
+ * @param {ObjectId|string} params.userId - User about to pay
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<void>}
+ */
+export const closeOpenPayments = async ({order, userId, session = null}) => {
+  const isSplitOrder = order.groupOrder
+    ?.paymentMode === "split";
+  const paidMessage = isSplitOrder
+    ? "Your share of this order is already paid"
+    : "This order is already paid";
+  if (!isSplitOrder && order.paymentStatus === "paid") {
+    throw new ApiError(400, paidMessage);
+  }
+
+  const payments = await FoodDeliveryPayment.find({
+    order: order._id,
+    ...(isSplitOrder && {
+      user: userId
+    }),
+    paymentStatus: {
+      $nin: ["canceled", "failed", "refunded"]
+    }
+  }).session(session);
+
+  if (payments.some(payment => PAID_PAYMENT_STATUSES.includes(payment.paymentStatus))) {
+    throw new ApiError(400, paidMessage);
+  }
+  const blocking = payments.find(payment => payment.paymentMethod !== "stripe" || PROCESSING_PAYMENT_STATUSES.includes(payment.paymentStatus));
+  if (blocking) {
+    throw new ApiError(409, `A ${blocking.paymentMethod.replace(/_/g, " ")} payment for this order is already open`);
+  }
+
+  for (const payment of payments) {
+    try {
+      await cancelStripePaymentIntent(payment.transactionId);
+    } catch {
+      // Stripe refuses once the payment is going through
+      throw new ApiError(409, "A payment for this order is already being processed");
+    }
+    await FoodDeliveryPayment.updateOne({
+      _id: payment._id
+    }, {
+      paymentStatus: "canceled"
+    }, {session});
+  }
+};
+
+/**
+ * Record a successful payment. Split group orders only move on once every share is paid.
+ * @param {Object} params
+ * @param {ObjectId|string} params.orderId
+ * @param {ObjectId|string} params.userId - User the payment came from
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Document|null>} - The order when it became paid with this payment
+ */
+export const applyOrderPayment = async ({orderId, userId, session = null}) => {
+  const order = await FoodDelivery.findById(orderId).select("groupOrder customer").session(session);
+  if (!order) {
+    return null;
+  }
+
+  if (getSplitShare(order, userId)) {
+    const updated = await FoodDelivery.findOneAndUpdate({
+      _id: orderId,
+      "groupOrder.participants.user": userId
+    }, {
+      $set: {
+        "groupOrder.participants.$.paymentStatus": "paid",
+        "groupOrder.participants.$.paidAt": new Date()
+      }
+    }, {
+      new: true,
+      session
+    });
+
+    const outstanding = updated.groupOrder.participants.some(p => !["paid", "not_required"].includes(p.paymentStatus));
+    if (outstanding) {
+      return null;
+    }
+  }
+
+  // Conditional so a repeated confirmation doesn't send a paid order back to preparing
+  return FoodDelivery.findOneAndUpdate({
+    _id: orderId,
+    paymentStatus: {
+      $ne: "paid"
+    }
+  }, paidOrderUpdate(), {
+    new: true,
+    session
+  }); // Move to next status (scheduled orders wait for their release time)
+};
+
+/**
+ * Record a failed payment. A failed share of a split group order can be paid again, anything else fails the order.
+ * @param {Object} params
+ * @param {ObjectId|string} params.orderId
+ * @param {ObjectId|string} params.userId - User the payment came from
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<void>}
+ */
+export const applyOrderPaymentFailure = async ({orderId, userId, session = null}) => {
+  const order = await FoodDelivery.findById(orderId).select("groupOrder customer").session(session);
+  if (!order) {
+    return;
+  }
+
+  if (getSplitShare(order, userId)) {
+    await FoodDelivery.updateOne({
+      _id: orderId,
+      "groupOrder.participants.user": userId
+    }, {
+      $set: {
+        "groupOrder.participants.$.paymentStatus": "failed"
+      }
+    }, {session});
+    return;
+  }
+
+  await FoodDelivery.findByIdAndUpdate(orderId, {
+    paymentStatus: "failed",
+    deliveryStatus: "failed"
+  }, {session});
+};
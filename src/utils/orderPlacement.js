@@ -0,0 +1,472 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import FoodVenue from "../models/foodVenue.models.js";
+import User from "../models/users.models.js";
+import geocodeCoordinates from "./geoCordinates.js";
+import {ApiError} from "./ApiError.js";
+import {resolveOrderItems} from "./orderPricing.js";
+import {findApplicablePromotion, applyPromotion, redeemPromotion} from "./promotions.js";
+import {getDistanceKm, hasServiceArea, isInServiceArea, resolveDeliveryZones} from "./geoZones.js";
+import {validateScheduledDelivery} from "./scheduledOrders.js";
+import {getLocalTime, getOpeningStatus} from "./openingHours.js";
+import {estimateDeliveryTime, estimatePrepMinutes, getVenuePrepMinutes} from "./deliveryEta.js";
+import {generateHandoffPin} from "./proofOfDelivery.js";
+import {generatePickupCode} from "./pickupOrders.js";
+import {checkVenueTakingOrders} from "./venueThrottling.js";
+import {calculateTax, findVenueTaxRule} from "./taxes.js";
+import {getVenueCurrency} from "./currency.js";
+import logger from "./logger.js";
+
+/**
+ * Placing food delivery orders: venue checks, server-side pricing and order creation
+ */
+
+/**
+ * Delivery fee for an order from the venue's fee configuration and the zones it falls in
+ * @returns {Object} - Fee breakdown stored on the order
+ */
+export function calculateDynamicDeliveryFee({
+  venueConfig,
+  distance,
+  currentTime,
+  subtotal,
+  zones = [],
+  zoneFee = 0
+}) {
+  // Calculate distance fee
+  let distanceFee = 0;
+  for (const rate of venueConfig.distanceRates) {
+    if (distance >= rate.minDistance && distance <= rate.maxDistance) {
+      distanceFee = rate.rate * distance;
+      break;
+    }
+  }
+
+  // Check for surge pricing
+  let surgeMultiplier = 1;
+  for (const surge of venueConfig.surgeMultipliers) {
+    if (currentTime >= surge.startTime && currentTime <= surge.endTime) {
+      surgeMultiplier = surge.multiplier;
+      break;
+    }
+  }
+
+  // Calculate small order fee
+  const smallOrderFee = subtotal < venueConfig.smallOrderThreshold
+    ? venueConfig.smallOrderFee
+    : 0;
+
+  // Calculate service fee (percentage of subtotal)
+  const serviceFee = subtotal * (venueConfig.serviceFeePercentage / 100);
+
+  // Calculate total fee components
+  const baseFee = venueConfig.base * surgeMultiplier;
+  const distanceFeeWithSurge = distanceFee * surgeMultiplier;
+
+  const total = baseFee + distanceFeeWithSurge + smallOrderFee + serviceFee + venueConfig.handlingFee + zoneFee;
+
+  return {
+    base: parseFloat(venueConfig.base.toFixed(2)),
+    distanceFee: parseFloat(distanceFeeWithSurge.toFixed(2)),
+    surgeFee: parseFloat((baseFee * (surgeMultiplier - 1)).toFixed(2)), // only the surge portion
+    smallOrderFee: parseFloat(smallOrderFee.toFixed(2)),
+    serviceFee: parseFloat(serviceFee.toFixed(2)),
+    handlingFee: parseFloat(venueConfig.handlingFee.toFixed(2)),
+    zoneFee: parseFloat(zoneFee.toFixed(2)),
+    zones,
+    currency: venueConfig.currency,
+    discount: 0, // Can be applied from promotions
+    isFree: false, // Can be set based on promotions
+    breakdown: new Map([
+      [
+        "baseFee",
+        parseFloat(baseFee.toFixed(2))
+      ],
+      [
+        "distanceFee",
+        parseFloat(distanceFeeWithSurge.toFixed(2))
+      ],
+      [
+        "surgeMultiplier", surgeMultiplier
+      ],
+      [
+        "smallOrderFee",
+        parseFloat(smallOrderFee.toFixed(2))
+      ],
+      [
+        "serviceFee",
+        parseFloat(serviceFee.toFixed(2))
+      ],
+      [
+        "handlingFee",
+        parseFloat(venueConfig.handlingFee.toFixed(2))
+      ],
+      [
+        "zoneFee",
+        parseFloat(zoneFee.toFixed(2))
+      ]
+    ]),
+    total: parseFloat(total.toFixed(2))
+  };
+}
+
+// Delivery fee of an order that is not delivered (pickup, dine-in): nothing to charge, in the venue's currency
+const noDeliveryFee = venue => calculateDynamicDeliveryFee({
+  venueConfig: {
+    base: 0,
+    distanceRates: [],
+    surgeMultipliers: [],
+    smallOrderThreshold: 0,
+    smallOrderFee: 0,
+    serviceFeePercentage: 0,
+    handlingFee: 0,
+    currency: getVenueCurrency(venue)
+  },
+  distance: 0,
+  currentTime: null,
+  subtotal: 0
+});
+
+/**
+ * Check a venue takes this order: available, delivering to the location and open now or at the requested slot.
+ * Pickup orders need the venue to accept pickups, dine-in orders are served at the venue; neither needs a location.
+ * @param {Object} venue - FoodVenue document
+ * @param {number[]} [coordinates] - Delivery location [longitude, latitude], optional for pickup and dine-in orders
+ * @param {Object} [options]
+ * @param {string|Date} [options.scheduledFor] - Requested delivery slot for order-ahead deliveries
+ * @param {string} [options.fulfillmentType] - "delivery", "pickup" or "dine_in"
+ * @param {Date} [options.now]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{distance: number|null, schedule: Object|null}>} - Venue to customer distance and the validated slot
+ */
+export const checkVenueDelivers = async (venue, coordinates, {scheduledFor, fulfillmentType = "delivery", now = new Date(), session = null} = {}) => {
+  if (!venue.isAvailable) 
+    throw new ApiError(400, "Venue is currently unavailable for delivery");
+
+  if (fulfillmentType === "pickup" && !venue.pickupSettings
+    ?.isEnabled) {
+    throw new ApiError(400, "Venue does not accept pickup orders");
+  }
+
+  // Calculate distance between venue and delivery location
+  const distance = coordinates
+    ? getDistanceKm(venue.address.coordinates.coordinates, coordinates)
+    : null;
+
+  // Check the venue delivers here: polygon service area when configured, otherwise the delivery radius
+  if (fulfillmentType !== "delivery") {
+    // Collected or served at the venue, the customer's location doesn't matter
+  } else if (hasServiceArea(venue)) {
+    if (!(await isInServiceArea(venue, coordinates, session))) {
+      throw new ApiError(400, "Delivery location is outside the venue's delivery area");
+    }
+  } else if (distance > venue.deliveryRadius) {
+    throw new ApiError(400, `Delivery location is outside the venue's ${venue.deliveryRadius}km delivery radius`);
+  }
+
+  // Validate the requested delivery slot for order-ahead deliveries, otherwise the venue must be open now
+  const schedule = scheduledFor
+    ? validateScheduledDelivery(venue, scheduledFor, now)
+    : null;
+  if (!schedule) {
+    const {isOpenNow, nextOpenAt} = getOpeningStatus(venue, now);
+    if (!isOpenNow) {
+      throw new ApiError(400, nextOpenAt
+        ? `Venue is currently closed. It opens again at ${nextOpenAt.toISOString()}`
+        : "Venue is currently closed");
+    }
+  }
+
+  return {distance, schedule};
+};
+
+/**
+ * Work out what an order costs on top of its items: tax, delivery fee, promotion discount and total
+ * @param {Object} params
+ * @param {Object} params.venue - FoodVenue document
+ * @param {number[]} [params.coordinates] - Delivery location [longitude, latitude]
+ * @param {number} [params.distance] - Venue to customer distance in km
+ * @param {string} [params.fulfillmentType] - Only delivery orders have a delivery fee
+ * @param {Array} params.items - Priced items, taxed by their tax category
+ * @param {number} params.subtotal - Items subtotal
+ * @param {number} [params.tip]
+ * @param {string} [params.promoCode]
+ * @param {ObjectId} params.userId - Customer the promotion is checked for
+ * @param {Date} [params.now]
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Object>} - {currency, tax, taxBreakdown, deliveryFee, discount, promotion, totalDiscount, totalAmount}
+ */
+export const quoteOrderCharges = async ({
+  venue,
+  coordinates,
+  distance,
+  fulfillmentType = "delivery",
+  items,
+  subtotal,
+  tip = 0,
+  promoCode,
+  userId,
+  now = new Date(),
+  session
+}) => {
+  let deliveryFee;
+  if (fulfillmentType !== "delivery") {
+    deliveryFee = noDeliveryFee(venue);
+  } else {
+    // Surge windows are configured in the venue's local time
+    const currentTime = getLocalTime(now, venue.timezone);
+
+    // Resolve venue and platform fee zones for the delivery location
+    const {zones, zoneFee} = await resolveDeliveryZones({venue, coordinates, session});
+
+    // Calculate dynamic delivery fee, in the venue's currency
+    deliveryFee = calculateDynamicDeliveryFee({venueConfig: venue.deliveryFee, distance, currentTime, subtotal, zones, zoneFee});
+    deliveryFee.currency = getVenueCurrency(venue);
+  }
+
+  // Apply promotion code if provided (redeemed by the caller, once the order exists)
+  let promotion = null;
+  let discount;
+  let totalDiscount = 0;
+  if (promoCode) {
+    promotion = await findApplicablePromotion({code: promoCode, userId, venueId: venue._id, subtotal, session});
+    ({discount, deliveryFee, totalDiscount} = applyPromotion(promotion, {subtotal, deliveryFee}));
+  }
+
+  // Tax of the venue's location, on the fees as they are charged after any free delivery
+  const taxRule = await findVenueTaxRule(venue, session);
+  const {tax, taxBreakdown} = calculateTax({rule: taxRule, items, deliveryFee, venue});
+
+  // Calculate total amount
+  const totalAmount = parseFloat(Math.max(subtotal + deliveryFee.total + tax + (tip || 0) - (
+    discount
+    ?.amount || 0), 0).toFixed(2));
+
+  return {currency: getVenueCurrency(venue), tax, taxBreakdown, deliveryFee, discount, promotion, totalDiscount, totalAmount};
+};
+
+/**
+ * Create a food delivery order for a customer inside the caller's transaction.
+ * The caller commits and publishes the new order.
+ * @param {ObjectId|string} customerId
+ * @param {Object} orderData - Checkout fields, as accepted by POST /api/food-delivery/customer
+ * @param {ClientSession} session
+ * @returns {Promise<Document>} - Created order
+ */
+export const placeFoodDeliveryOrder = async (customerId, orderData, session) => {
+  const {
+    venue,
+    items,
+    customerNotes,
+    tip = 0,
+    paymentMethod,
+    promoCode,
+    scheduledFor,
+    fulfillmentType = "delivery",
+    requireHandoffPin = false,
+    contactlessDelivery = false,
+    deliveryAddress = {}
+  } = orderData;
+
+  // Extract unitNumber from either deliveryAddress object or root of request body
+  const unitNumber = deliveryAddress.unitNumber || orderData.unitNumber || "";
+
+  if (!["delivery", "pickup"].includes(fulfillmentType)) {
+    throw new ApiError(400, "Fulfillment type must be either 'delivery' or 'pickup'");
+  }
+  const isPickup = fulfillmentType === "pickup";
+
+  // Pickup orders are collected at the venue, so the customer's location is not needed
+  const coordinates = isPickup
+    ? null
+    : orderData.coordinates;
+
+  // Validate required fields
+  if (!venue || (!coordinates && !isPickup) || !items || items.length === 0 || !paymentMethod) {
+    throw new ApiError(400, isPickup
+      ? "Venue, items, and payment method are required"
+      : "Venue, coordinates, items, and payment method are required");
+  }
+
+  // Validate coordinates format
+  if (!isPickup && (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(c => typeof c === "number"))) {
+    throw new ApiError(400, "Coordinates must be an array of [longitude, latitude]");
+  }
+
+  // Validate items structure (prices are resolved from the venue menu, never taken from the client)
+  if (!Array.isArray(items)) {
+    throw new ApiError(400, "Items must be an array");
+  }
+
+  // Validate payment method
+  const validPaymentMethods = [
+    "credit_card",
+    "debit_card",
+    "paypal",
+    "stripe",
+    "cash_on_delivery",
+    "wallet",
+    "razorpay"
+  ];
+  if (!validPaymentMethods.includes(paymentMethod)) {
+    throw new ApiError(400, "Invalid payment method");
+  }
+
+  // Get customer details
+  const customer = await User.findById(customerId).select("fullName email phone").session(session);
+  if (!customer) {
+    throw new ApiError(404, "Customer not found");
+  }
+
+  logger.info(`Creating food delivery order for venue: ${venue} by user: ${customer._id}`);
+
+  // Get venue with delivery fee configuration
+  const venueDetails = await FoodVenue.findById(venue).session(session);
+  if (!venueDetails) 
+    throw new ApiError(404, "Venue not found");
+
+  const now = new Date();
+  const {distance, schedule} = await checkVenueDelivers(venueDetails, coordinates, {scheduledFor, fulfillmentType, now, session});
+
+  // Paused or full venues refuse the order; busy venues quote a longer prep time
+  const {busyExtraPrepMinutes} = await checkVenueTakingOrders(venueDetails, {
+    scheduledFor: schedule
+      ?.scheduledFor,
+    now,
+    session
+  });
+
+  // Resolve every item against this venue's menu and price it server-side
+  const {items: orderItems, subtotal, errors: itemErrors} = resolveOrderItems(venueDetails, items);
+  if (itemErrors.length > 0) {
+    throw new ApiError(400, "Some items in your order could not be processed", itemErrors);
+  }
+
+  const {currency, tax, taxBreakdown, deliveryFee, discount, promotion, totalDiscount, totalAmount} = await quoteOrderCharges({
+    venue: venueDetails,
+    coordinates,
+    distance,
+    fulfillmentType,
+    items: orderItems,
+    subtotal,
+    tip,
+    promoCode,
+    userId: customer._id,
+    now,
+    session
+  });
+
+  // Geocode coordinates using your actual utility
+  let geocodedAddress;
+  if (!isPickup) {
+    try {
+      geocodedAddress = await geocodeCoordinates(coordinates);
+    } catch (err) {
+      logger.warn("Geocoding failed, using default values", {error: err.message});
+      geocodedAddress = {
+        country: "Unknown",
+        city: "Unknown",
+        street: "Unknown",
+        zipCode: "Unknown"
+      };
+    }
+  }
+
+  // Estimate prep and delivery time from the venue's recent orders and the delivery distance.
+  // Pickup orders are quoted the venue's configured pickup prep time instead, both plus any busy time
+  const prepMinutes = isPickup
+    ? venueDetails.pickupSettings.prepTimeMinutes
+    : await getVenuePrepMinutes(venueDetails._id);
+  const estimatedDeliveryTime = estimateDeliveryTime({
+    order: {
+      fulfillmentType,
+      items: orderItems,
+      busyExtraPrepMinutes,
+      deliveryAddress: {
+        coordinates: {
+          coordinates
+        }
+      },
+      scheduledFor: schedule?.scheduledFor
+    },
+    venue: venueDetails,
+    prepMinutes,
+    now
+  });
+
+  // Create order with all address details including unitNumber
+  const [createdOrder] = await FoodDelivery.create([
+    {
+      customer: {
+        _id: customer._id,
+        name: customer.fullName,
+        email: customer.email,
+        phone: customer.phone
+      },
+      venue,
+      fulfillmentType,
+      deliveryAddress: isPickup
+        ? undefined
+        : {
+          country: geocodedAddress.country || deliveryAddress.country || "Unknown",
+          city: geocodedAddress.city || deliveryAddress.city || "Unknown",
+          street: geocodedAddress.street || deliveryAddress.street || "Unknown",
+          zipCode: geocodedAddress.zipCode || deliveryAddress.zipCode || "Unknown",
+          unitNumber: unitNumber || undefined, // Include unitNumber here
+          coordinates: {
+            type: "Point",
+            coordinates
+          },
+          additionalInfo: deliveryAddress.additionalInfo || ""
+        },
+      items: orderItems,
+      subtotal,
+      currency,
+      deliveryFee,
+      tax: parseFloat(tax),
+      taxBreakdown,
+      tip: parseFloat(tip),
+      totalAmount: parseFloat(totalAmount),
+      discount,
+      customerNotes: customerNotes || "",
+      paymentMethod,
+      deliveryStatus: "pending",
+      deliveryTiming: schedule
+        ? "scheduled"
+        : "asap",
+      scheduledFor: schedule?.scheduledFor,
+      releaseAt: schedule?.releaseAt,
+      estimatedPrepTime: estimatePrepMinutes({items: orderItems, busyExtraPrepMinutes}, prepMinutes),
+      busyExtraPrepMinutes,
+      estimatedDeliveryTime,
+      proofOfDelivery: isPickup
+        ? undefined
+        : {
+          pinRequired: Boolean(requireHandoffPin),
+          pin: requireHandoffPin
+            ? generateHandoffPin()
+            : undefined,
+          contactless: Boolean(contactlessDelivery)
+        },
+      pickup: isPickup
+        ? {
+          code: generatePickupCode()
+        }
+        : undefined
+    }
+  ], {session});
+
+  // Record the promotion redemption in the same transaction as the order
+  if (promotion) {
+    await redeemPromotion({promotion, userId: customer._id, order: createdOrder, discountAmount: totalDiscount, session});
+  }
+
+  // Update venue's order count
+  await FoodVenue.findByIdAndUpdate(venue, {
+    $inc: {
+      totalOrders: 1
+    }
+  }, {session});
+
+
+  return createdOrder;
+};
@@ -0,0 +1,219 @@
+/**
+ * Utility functions for pricing food delivery orders from the venue menu
+ */
+
+// Round a money value to 2 decimal places
+export const roundMoney = value => parseFloat((Number(value) || 0).toFixed(2));
+
+// Match a submitted value against a subdocument by id or (case-insensitive) name
+const matchesByIdOrName = (doc, id, name) => {
+  if (id) {
+    return doc._id.toString() === id.toString();
+  }
+  return !!name && doc.name.toLowerCase() === name.toString().trim().toLowerCase();
+};
+
+/**
+ * Smallest number of selections a modifier group accepts
+ * @param {Object} group - Modifier group subdocument
+ * @returns {number}
+ */
+export const getMinSelections = group => (
+  group.isRequired
+  ? Math.max(1, group.minSelections || 0)
+  : group.minSelections || 0);
+
+/**
+ * Validate and price the options submitted for a single line item against the menu item's modifier groups
+ * @param {Object} menuItem - Menu item subdocument from FoodVenue.menuItems
+ * @param {Array} options - Options submitted by the client ({groupId or name, optionId or choice})
+ * @returns {{options: Array, optionsCost: number, errors: string[]}} - Options priced per unit
+ */
+export const priceItemOptions = (menuItem, options = []) => {
+  const groups = menuItem.modifierGroups || [];
+  const priced = [];
+  const errors = [];
+  const selectionsByGroup = new Map();
+
+  for (const opt of options) {
+    const group = groups.find(g => matchesByIdOrName(g, opt?.groupId, opt?.name));
+    if (!group) {
+      errors.push(`"${opt?.name || opt?.groupId}" is not an option group for "${menuItem.name}"`);
+      continue;
+    }
+
+    const choice = group.options.find(o => matchesByIdOrName(o, opt.optionId, opt.choice));
+    if (!choice) {
+      errors.push(`"${opt.choice || opt.optionId}" is not a valid choice for "${group.name}"`);
+      continue;
+    }
+
+    if (choice.isAvailable === false) {
+      errors.push(`"${choice.name}" is currently unavailable for "${group.name}"`);
+      continue;
+    }
+
+    const selected = selectionsByGroup.get(group._id.toString()) || [];
+    if (selected.includes(choice._id.toString())) {
+      errors.push(`"${choice.name}" was selected more than once for "${group.name}"`);
+      continue;
+    }
+    selectionsByGroup.set(group._id.toString(), [
+      ...selected,
+      choice._id.toString()
+    ]);
+
+    priced.push({
+      name: group.name,
+      choice: choice.name,
+      additionalCost: roundMoney(choice.price || 0),
+      groupId: group._id,
+      optionId: choice._id
+    });
+  }
+
+  // Enforce each group's selection limits
+  for (const group of groups) {
+    const count = (selectionsByGroup.get(group._id.toString()) || []).length;
+    const min = getMinSelections(group);
+
+    if (count < min) {
+      errors.push(
+        min === 1
+        ? `"${group.name}" requires a selection`
+        : `"${group.name}" requires at least ${min} selections`);
+    }
+    if (count > group.maxSelections) {
+      errors.push(`"${group.name}" allows at most ${group.maxSelections} selection${group.maxSelections === 1
+        ? ""
+        : "s"}`);
+    }
+  }
+
+  const optionsCost = priced.reduce((sum, opt) => sum + opt.additionalCost, 0);
+  return {options: priced, optionsCost: roundMoney(optionsCost), errors};
+};
+
+/**
+ * Resolve client submitted items against a venue's menu
+ * @param {Object} venue - FoodVenue document the order is placed with
+ * @param {Array} items - Items submitted by the client ({menuItemId, quantity, options, specialInstructions})
+ * @returns {{items: Array, subtotal: number, errors: Array}} - Priced items, subtotal and per-line errors
+ */
+export const resolveOrderItems = (venue, items = []) => {
+  const resolvedItems = [];
+  const errors = [];
+
+  items.forEach((item, index) => {
+    const lineErrors = [];
+    const menuItemId = item
+      ?.menuItemId;
+
+    if (!menuItemId) {
+      errors.push({line: index, menuItemId: null, reasons: ["menuItemId is required"]});
+      return;
+    }
+
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      lineErrors.push("Quantity must be a whole number of at least 1");
+    }
+
+    const menuItem = venue.menuItems.find(mi => mi._id.toString() === menuItemId.toString());
+    if (!menuItem) {
+      errors.push({line: index, menuItemId, reasons: ["Menu item does not belong to this venue's menu"]});
+      return;
+    }
+
+    if (menuItem.isAvailable === false) {
+      lineErrors.push(`"${menuItem.name}" is currently unavailable`);
+    }
+
+    if (item.options !== undefined && !Array.isArray(item.options)) {
+      lineErrors.push("Options must be an array");
+    }
+
+    const {options, errors: optionErrors} = priceItemOptions(menuItem, Array.isArray(item.options)
+      ? item.options
+      : []);
+    lineErrors.push(...optionErrors);
+
+    if (lineErrors.length > 0) {
+      errors.push({line: index, menuItemId, name: menuItem.name, reasons: lineErrors});
+      return;
+    }
+
+    resolvedItems.push({
+      menuItemId: menuItem._id,
+      name: menuItem.name,
+      quantity,
+      price: roundMoney(menuItem.price),
+      specialInstructions: item.specialInstructions || "",
+      options,
+      taxCategory: menuItem.taxCategory || undefined
+    });
+  });
+
+  const subtotal = resolvedItems.reduce((sum, item) => {
+    const optionsCost = item.options.reduce((optSum, opt) => optSum + (opt.additionalCost || 0), 0);
+    return sum + (item.price + optionsCost) * item.quantity;
+  }, 0);
+
+  return {items: resolvedItems, subtotal: roundMoney(subtotal), errors};
+};
+
+/**
+ * Price of one unit of a line item including its options
+ * @param {Object} item - Line item ({price, options})
+ * @returns {number}
+ */
+export const getUnitPrice = item => roundMoney(item.price + (item.options || []).reduce((sum, opt) => sum + (opt.additionalCost || 0), 0));
+
+/**
+ * Line item in the form accepted by resolveOrderItems and checkout
+ * @param {Object} line - Cart line or item of a past order
+ * @returns {Object}
+ */
+export const toRequestItem = line => ({
+  menuItemId: line.menuItemId,
+  quantity: line.quantity,
+  specialInstructions: line.specialInstructions || "",
+  options: (line.options || []).map(opt => ({groupId: opt.groupId, optionId: opt.optionId, name: opt.name, choice: opt.choice}))
+});
+
+/**
+ * Re-resolve the items of a past order against the venue's current menu
+ * @param {Object} venue - FoodVenue document the past order was placed with
+ * @param {Array} pastItems - Items stored on the past FoodDelivery
+ * @returns {{items: Array, requestItems: Array, subtotal: number, unavailable: Array, repriced: Array}}
+ * - Priced items still on the menu, the same lines in checkout form, their subtotal, lines that are gone and lines whose price changed
+ */
+export const resolveReorderItems = (venue, pastItems = []) => {
+  const items = [];
+  const requestItems = [];
+  const unavailable = [];
+  const repriced = [];
+
+  for (const pastItem of pastItems) {
+    const requestItem = toRequestItem(pastItem);
+
+    // Resolved one line at a time so every line reports its own problems
+    const {items: [item], errors: [error]} = resolveOrderItems(venue, [requestItem]);
+    if (error) {
+      unavailable.push({menuItemId: pastItem.menuItemId, name: pastItem.name, quantity: pastItem.quantity, reasons: error.reasons});
+      continue;
+    }
+
+    const previousUnitPrice = getUnitPrice(pastItem);
+    const unitPrice = getUnitPrice(item);
+    if (previousUnitPrice !== unitPrice) {
+      repriced.push({menuItemId: item.menuItemId, name: item.name, previousUnitPrice, unitPrice});
+    }
+
+    items.push(item);
+    requestItems.push(requestItem);
+  }
+
+  const subtotal = items.reduce((sum, item) => sum + getUnitPrice(item) * item.quantity, 0);
+  return {items, requestItems, subtotal: roundMoney(subtotal), unavailable, repriced};
+};
@@ -1,5 +1,6 @@
 import paypal from "@paypal/checkout-server-sdk";
-import logger from "./logger.js"; // Import your logger utility
+import logger from "../logger.js"; // Import your logger utility
+import {formatGatewayAmount} from "../currency.js";
 
 // Initialize PayPal client
 const paypalClient = new paypal.core.PayPalHttpClient(new paypal.core.SandboxEnvironment(process.env.PAYPAL_CLIENT_ID, process.env.PAYPAL_CLIENT_SECRET));
@@ -17,7 +18,7 @@ export const createPaypalOrder = async (amount, currency = "USD") => {
       {
         amount: {
           currency_code: currency,
-          value: amount.toString()
+          value: formatGatewayAmount(amount, currency)
         }
       }
     ]
@@ -36,14 +37,14 @@ export const createPaypalOrder = async (amount, currency = "USD") => {
 /**
  * Refund a PayPal payment
  */
-export const refundPaypalPayment = async (orderId, amount) => {
+export const refundPaypalPayment = async (orderId, amount, currency = "USD") => {
   logger.info(`Refunding PayPal payment for order ID: ${orderId}, amount: ${amount}`);
 
   const request = new paypal.payments.CapturesRefundRequest(orderId);
   request.requestBody({
     amount: {
-      currency_code: "USD",
-      value: amount.toString()
+      currency_code: currency,
+      value: formatGatewayAmount(amount, currency)
     }
   });
 
@@ -1,5 +1,6 @@
 import Razorpay from "razorpay";
 import dotenv from "dotenv";
+import {toMinorUnits} from "../currency.js";
 
 dotenv.config();
 
@@ -11,7 +12,7 @@ const razorpay = new Razorpay({key_id: process.env.RAZORPAY_KEY_ID, key_secret:
 export const createRazorpayOrder = async (amount, currency = "INR") => {
   try {
     const order = await razorpay.orders.create({
-      amount: amount * 100, // Convert to paise
+      amount: toMinorUnits(amount, currency), // Convert to paise
       currency
     });
     return order;
@@ -23,10 +24,10 @@ export const createRazorpayOrder = async (amount, currency = "INR") => {
 /**
  * Refund a Razorpay payment
  */
-export const refundRazorpayPayment = async (paymentId, amount) => {
+export const refundRazorpayPayment = async (paymentId, amount, currency = "INR") => {
   try {
     const refund = await razorpay.payments.refund(paymentId, {
-      amount: amount * 100 // Convert to paise
+      amount: toMinorUnits(amount, currency) // Convert to paise
     });
     return refund;
   } catch (error) {
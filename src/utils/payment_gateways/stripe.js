@@ -1,6 +1,7 @@
 import Stripe from "stripe";
 import dotenv from "dotenv";
 import logger from "../logger.js"; // Assuming you have a logger utility
+import {toMinorUnits} from "../currency.js";
 
 dotenv.config({path: "./.env"});
 
@@ -9,6 +10,9 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 /**
  * Create a payment intent using Stripe
+ * @param {number} amount - Amount in major units of the currency
+ * @param {string} [currency] - ISO 4217 code, zero-decimal currencies are charged as is
+ * @param {Object} [options] - Metadata
  */
 export const createStripePaymentIntent = async (amount, currency = "usd", options = {}) => {
   const {
@@ -48,8 +52,8 @@ export const createStripePaymentIntent = async (amount, currency = "usd", option
     };
 
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency,
+      amount: toMinorUnits(amount, currency), // Convert to cents, or not for zero-decimal currencies
+      currency: currency.toLowerCase(),
       metadata,
       automatic_payment_methods: {
         enabled: true,
@@ -67,16 +71,19 @@ export const createStripePaymentIntent = async (amount, currency = "usd", option
 
 /**
  * Refund a payment using Stripe
+ * @param {string} paymentIntentId
+ * @param {number} [amount] - Amount in major units, the whole payment when omitted
+ * @param {string} [currency] - Currency the payment was made in
  */
 
-export const refundStripePayment = async (paymentIntentId, amount = null) => {
+export const refundStripePayment = async (paymentIntentId, amount = null, currency = "usd") => {
   try {
     logger.info(`Refunding Stripe payment intent: ${paymentIntentId}`);
     const refund = await stripe.refunds.create({
       payment_intent: paymentIntentId,
       amount: amount
-        ? amount * 100
-        : undefined // Convert to cents if amount is provided
+        ? toMinorUnits(amount, currency)
+        : undefined // Convert to minor units if amount is provided
     });
     logger.info(`Stripe refund created: ${refund.id}`);
     return refund;
@@ -86,6 +93,26 @@ export const refundStripePayment = async (paymentIntentId, amount = null) => {
   }
 };
 
+/**
+ * Cancel a PaymentIntent that was never paid; one already canceled is left as it is.
+ * Stripe refuses once the intent is processing or succeeded.
+ * @param {string} paymentIntentId
+ */
+export const cancelStripePaymentIntent = async paymentIntentId => {
+  try {
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    if (paymentIntent.status === "canceled") {
+      return paymentIntent;
+    }
+    const canceledPaymentIntent = await stripe.paymentIntents.cancel(paymentIntentId);
+    logger.info(`PaymentIntent canceled: ${canceledPaymentIntent.id}`);
+    return canceledPaymentIntent;
+  } catch (error) {
+    logger.error(`Stripe Cancel Error: ${error.message}`);
+    throw new Error(`Stripe Cancel Error: ${error.message}`);
+  }
+};
+
 /**
  * Handle Stripe webhook events
  */
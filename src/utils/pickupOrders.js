@@ -0,0 +1,97 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import {ApiError} from "./ApiError.js";
+import {generateHandoffPin} from "./proofOfDelivery.js";
+
+/**
+ * Pickup (takeaway) orders: the customer collects the order at the venue with a pickup code,
+ * so there is no delivery fee, driver dispatch or delivery address
+ */
+
+const MAX_CODE_ATTEMPTS = 5;
+
+// Status flow of pickup orders; "delivered" means collected
+export const PICKUP_TRANSITIONS = {
+  pending: [
+    "preparing", "failed"
+  ],
+  scheduled: [
+    "preparing", "failed"
+  ],
+  preparing: [
+    "ready_for_pickup", "failed"
+  ],
+  ready_for_pickup: [
+    "delivered", "failed"
+  ],
+  delivered: [],
+  failed: []
+};
+
+/**
+ * Code the customer shows at the counter to collect their order
+ * @returns {string}
+ */
+export const generatePickupCode = generateHandoffPin;
+
+/**
+ * Whether an order is collected by the customer instead of delivered
+ * @param {Object} order - FoodDelivery order
+ * @returns {boolean}
+ */
+export const isPickupOrder = order => order.fulfillmentType === "pickup";
+
+/**
+ * Validate a pickup settings update for a venue
+ * @param {Object} settings - Partial FoodVenue.pickupSettings
+ */
+export const validatePickupSettings = settings => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new ApiError(400, "Pickup settings must be an object");
+  }
+
+  const {isEnabled, prepTimeMinutes, instructions} = settings;
+  if (isEnabled !== undefined && typeof isEnabled !== "boolean") {
+    throw new ApiError(400, "pickupSettings.isEnabled must be a boolean");
+  }
+  if (prepTimeMinutes !== undefined && (!Number.isInteger(prepTimeMinutes) || prepTimeMinutes < 1 || prepTimeMinutes > 240)) {
+    throw new ApiError(400, "pickupSettings.prepTimeMinutes must be a whole number of minutes between 1 and 240");
+  }
+  if (instructions !== undefined && (typeof instructions !== "string" || instructions.length > 300)) {
+    throw new ApiError(400, "pickupSettings.instructions must be a string of at most 300 characters");
+  }
+};
+
+/**
+ * Check the code the customer showed before a pickup order is handed over.
+ * Wrong codes are counted and lock out after MAX_CODE_ATTEMPTS.
+ * @param {Object} params
+ * @param {ObjectId|string} params.orderId
+ * @param {string} [params.code] - Pickup code shown by the customer
+ * @returns {Promise<Object>} - Fields to set on the order
+ */
+export const verifyPickupCode = async ({orderId, code}) => {
+  const order = await FoodDelivery.findById(orderId).select("+pickup.code pickup");
+  if (!order) {
+    throw new ApiError(404, "Order not found");
+  }
+
+  const pickup = order.pickup || {};
+  if ((pickup.codeAttempts || 0) >= MAX_CODE_ATTEMPTS) {
+    throw new ApiError(403, "Too many incorrect pickup code attempts. Contact support to hand over this order");
+  }
+  if (!code) {
+    throw new ApiError(400, "The customer's pickup code is required to hand over this order");
+  }
+  if (String(code) !== pickup.code) {
+    await FoodDelivery.updateOne({
+      _id: orderId
+    }, {
+      $inc: {
+        "pickup.codeAttempts": 1
+      }
+    });
+    throw new ApiError(400, "Incorrect pickup code");
+  }
+
+  return {"pickup.collectedAt": new Date()};
+};
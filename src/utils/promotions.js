@@ -0,0 +1,175 @@
+import Promotion from "../models/promotion.models.js";
+import PromotionRedemption from "../models/promotionRedemption.models.js";
+import {ApiError} from "./ApiError.js";
+import {roundMoney} from "./orderPricing.js";
+
+/**
+ * Utility functions for validating and redeeming promotion codes on food delivery orders
+ */
+
+/**
+ * Delivery fee components a free delivery promotion waives.
+ * Service, small order and handling fees are still charged.
+ * @param {Object} deliveryFee - Delivery fee breakdown as stored on FoodDelivery
+ * @returns {number}
+ */
+export const getWaivableDeliveryFee = deliveryFee => roundMoney((deliveryFee.base || 0) + (deliveryFee.surgeFee || 0) + (deliveryFee.distanceFee || 0) + (deliveryFee.zoneFee || 0));
+
+/**
+ * Find a promotion by code and check it can be used for this order
+ * @param {Object} params
+ * @param {string} params.code - Code entered by the customer
+ * @param {ObjectId} params.userId - Customer placing the order
+ * @param {ObjectId} params.venueId - Venue the order is placed with
+ * @param {number} params.subtotal - Order subtotal priced from the menu
+ * @param {ClientSession} [params.session] - Mongoose session of the surrounding transaction
+ * @returns {Promise<Document>} - The applicable promotion
+ */
+export const findApplicablePromotion = async ({
+  code,
+  userId,
+  venueId,
+  subtotal,
+  session = null,
+  at = new Date()
+}) => {
+  if (!code || typeof code !== "string") {
+    throw new ApiError(400, "Promotion code must be a string");
+  }
+
+  const promotion = await Promotion.findOne({
+    code: code.trim().toUpperCase()
+  }).session(session);
+
+  if (!promotion || !promotion.isActive) {
+    throw new ApiError(404, "Promotion code is invalid");
+  }
+
+  if (promotion.startsAt > at) {
+    throw new ApiError(400, "Promotion code is not active yet");
+  }
+
+  if (promotion.endsAt && promotion.endsAt < at) {
+    throw new ApiError(400, "Promotion code has expired");
+  }
+
+  if (promotion.venues.length > 0 && !promotion.venues.some(v => v.toString() === venueId.toString())) {
+    throw new ApiError(400, "Promotion code cannot be used at this venue");
+  }
+
+  if (subtotal < (promotion.minSubtotal || 0)) {
+    throw new ApiError(400, `Promotion code requires a minimum subtotal of ${promotion.minSubtotal}`);
+  }
+
+  if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+    throw new ApiError(400, "Promotion code has reached its usage limit");
+  }
+
+  const userRedemptions = await PromotionRedemption.countDocuments({promotion: promotion._id, user: userId}).session(session);
+  if (promotion.usageLimitPerUser && userRedemptions >= promotion.usageLimitPerUser) {
+    throw new ApiError(400, "You have already used this promotion code the maximum number of times");
+  }
+
+  return promotion;
+};
+
+/**
+ * Work out the discount a promotion gives an order
+ * @param {Document} promotion - Promotion returned by findApplicablePromotion
+ * @param {Object} params
+ * @param {number} params.subtotal - Order subtotal
+ * @param {Object} params.deliveryFee - Delivery fee breakdown from calculateDynamicDeliveryFee
+ * @returns {{discount: Object, deliveryFee: Object, totalDiscount: number}} - Order discount subdocument and the adjusted delivery fee
+ */
+export const applyPromotion = (promotion, {subtotal, deliveryFee}) => {
+  const discount = {
+    promotion: promotion._id,
+    code: promotion.code,
+    type: promotion.type,
+    value: promotion.value,
+    maxAmount: promotion.maxDiscount,
+    amount: 0
+  };
+  let adjustedDeliveryFee = deliveryFee;
+
+  if (promotion.type === "percentage") {
+    const percentageDiscount = subtotal * (promotion.value / 100);
+    discount.amount = roundMoney(
+      promotion.maxDiscount
+      ? Math.min(percentageDiscount, promotion.maxDiscount)
+      : percentageDiscount);
+  } else if (promotion.type === "fixed") {
+    discount.amount = roundMoney(Math.min(promotion.value, subtotal));
+  } else if (promotion.type === "free_delivery") {
+    const deliveryDiscount = getWaivableDeliveryFee(deliveryFee);
+    adjustedDeliveryFee = {
+      ...deliveryFee,
+      discount: deliveryDiscount,
+      isFree: true,
+      total: roundMoney(deliveryFee.total - deliveryDiscount)
+    };
+  }
+
+  return {
+    discount,
+    deliveryFee: adjustedDeliveryFee,
+    totalDiscount: roundMoney(discount.amount + (adjustedDeliveryFee.discount || 0))
+  };
+};
+
+/**
+ * Record a redemption inside the order transaction.
+ * The conditional increment on the promotion makes concurrent checkouts conflict,
+ * so the global and per-user limits hold even under load.
+ * @param {Object} params
+ * @param {Document} params.promotion - Promotion being redeemed
+ * @param {ObjectId} params.userId - Customer redeeming the code
+ * @param {Document} params.order - Newly created FoodDelivery order
+ * @param {number} params.discountAmount - Total discount given (items and delivery)
+ * @param {ClientSession} params.session - Mongoose session of the order transaction
+ * @returns {Promise<Document>} - The redemption record
+ */
+export const redeemPromotion = async ({promotion, userId, order, discountAmount, session}) => {
+  const updated = await Promotion.findOneAndUpdate({
+    _id: promotion._id,
+    isActive: true,
+    $or: [
+      {
+        usageLimit: null
+      }, {
+        $expr: {
+          $lt: ["$usageCount", "$usageLimit"]
+        }
+      }
+    ]
+  }, {
+    $inc: {
+      usageCount: 1
+    }
+  }, {
+    new: true,
+    session
+  });
+
+  if (!updated) {
+    throw new ApiError(409, "Promotion code has reached its usage limit");
+  }
+
+  const userRedemptions = await PromotionRedemption.countDocuments({promotion: promotion._id, user: userId}).session(session);
+  if (updated.usageLimitPerUser && userRedemptions >= updated.usageLimitPerUser) {
+    throw new ApiError(409, "You have already used this promotion code the maximum number of times");
+  }
+
+  const [redemption] = await PromotionRedemption.create([
+    {
+      promotion: promotion._id,
+      user: userId,
+      order: order._id,
+      venue: order.venue,
+      code: promotion.code,
+      discountAmount: roundMoney(discountAmount)
+    }
+  ], {session});
+
+  return redemption;
+};
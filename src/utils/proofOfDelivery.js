@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import fs from "fs";
+import FoodDelivery from "../models/foodDelivery.models.js";
+import {ApiError} from "./ApiError.js";
+import {uploadOnCloudinary} from "./cloudinary.js";
+import logger from "./logger.js";
+
+/**
+ * Proof of delivery: a handoff PIN the customer gives the driver, or a drop-off photo for contactless deliveries
+ */
+
+const PIN_LENGTH = 4;
+const MAX_PIN_ATTEMPTS = 5;
+
+/**
+ * Random numeric PIN the customer reads out to the driver at the door
+ * @returns {string}
+ */
+export const generateHandoffPin = () => crypto.randomInt(0, 10 ** PIN_LENGTH).toString().padStart(PIN_LENGTH, "0");
+
+// Remove an uploaded file that will not be kept
+const discardUpload = filePath => {
+  if (filePath) {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
+};
+
+/**
+ * Check the driver's evidence before an order is marked delivered and upload the drop-off photo.
+ * Contactless orders need a photo; other orders with a handoff PIN need the customer's PIN.
+ * A photo may be attached to any delivery. Wrong PINs are counted and lock out after MAX_PIN_ATTEMPTS.
+ * @param {Object} params
+ * @param {ObjectId|string} params.orderId
+ * @param {string} [params.pin] - PIN given by the customer
+ * @param {string} [params.photoPath] - Local path of the photo uploaded with multer
+ * @param {number[]} [params.coordinates] - Driver position [longitude, latitude]
+ * @returns {Promise<Object>} - Fields to set on the order
+ */
+export const collectDeliveryProof = async ({orderId, pin, photoPath, coordinates}) => {
+  const order = await FoodDelivery.findById(orderId).select("+proofOfDelivery.pin proofOfDelivery");
+  const proof = order?.proofOfDelivery || {};
+
+  try {
+    if (!order) {
+      throw new ApiError(404, "Order not found");
+    }
+
+    if (proof.contactless) {
+      if (!photoPath) {
+        throw new ApiError(400, "A photo of the drop-off is required for contactless deliveries");
+      }
+    } else if (proof.pinRequired) {
+      if ((proof.pinAttempts || 0) >= MAX_PIN_ATTEMPTS) {
+        throw new ApiError(403, "Too many incorrect PIN attempts. Contact support to complete this delivery");
+      }
+      if (!pin) {
+        throw new ApiError(400, "The customer's handoff PIN is required to complete this delivery");
+      }
+      if (String(pin) !== proof.pin) {
+        await FoodDelivery.updateOne({
+          _id: orderId
+        }, {
+          $inc: {
+            "proofOfDelivery.pinAttempts": 1
+          }
+        });
+        throw new ApiError(400, "Incorrect handoff PIN");
+      }
+    }
+  } catch (error) {
+    discardUpload(photoPath);
+    throw error;
+  }
+
+  const fields = {
+    "proofOfDelivery.pinVerified": Boolean(proof.pinRequired && !proof.contactless),
+    "proofOfDelivery.capturedAt": new Date()
+  };
+
+  if (Array.isArray(coordinates) && coordinates.length === 2) {
+    fields["proofOfDelivery.location"] = {
+      type: "Point",
+      coordinates
+    };
+  }
+
+  if (photoPath) {
+    let photo;
+    try {
+      photo = await uploadOnCloudinary(photoPath);
+    } catch (error) {
+      logger.error(`Delivery photo upload failed for order ${orderId}: ${error.message}`);
+    }
+    if (!photo?.url) {
+      throw new ApiError(502, "Failed to upload the delivery photo");
+    }
+    fields["proofOfDelivery.photoUrl"] = photo.secure_url || photo.url;
+    fields["proofOfDelivery.photoPublicId"] = photo.public_id;
+  }
+
+  return fields;
+};
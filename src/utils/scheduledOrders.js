@@ -0,0 +1,142 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import {ApiError} from "./ApiError.js";
+import {isOpenAt} from "./openingHours.js";
+import {publishStatusChange} from "./orderEvents.js";
+import logger from "./logger.js";
+
+/**
+ * Utility functions for scheduled (order-ahead) food deliveries
+ */
+
+const DEFAULT_RELEASE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Validate a requested delivery time against the venue's order-ahead settings and opening hours
+ * @param {Document} venue - FoodVenue document
+ * @param {string|Date} requestedTime - Delivery time requested by the customer
+ * @param {Date} [now] - Current time
+ * @returns {{scheduledFor: Date, releaseAt: Date}} - Delivery slot and the time the order is released to the venue
+ */
+export const validateScheduledDelivery = (venue, requestedTime, now = new Date()) => {
+  const settings = venue.orderAhead || {};
+  if (settings.isEnabled === false) {
+    throw new ApiError(400, "This venue does not accept scheduled orders");
+  }
+
+  const scheduledFor = new Date(requestedTime);
+  if (Number.isNaN(scheduledFor.getTime())) {
+    throw new ApiError(400, "Scheduled delivery time must be a valid date");
+  }
+
+  const leadTimeMinutes = settings.leadTimeMinutes ?? 45;
+  const maxDaysAhead = settings.maxDaysAhead ?? 7;
+
+  if (scheduledFor.getTime() < now.getTime() + leadTimeMinutes * 60 * 1000) {
+    throw new ApiError(400, `Scheduled orders must be placed at least ${leadTimeMinutes} minutes ahead`);
+  }
+
+  if (scheduledFor.getTime() > now.getTime() + maxDaysAhead * 24 * 60 * 60 * 1000) {
+    throw new ApiError(400, `Scheduled orders can be placed at most ${maxDaysAhead} days ahead`);
+  }
+
+  if (!isOpenAt(venue.openingHours, scheduledFor, venue.timezone)) {
+    throw new ApiError(400, "The venue is closed at the requested delivery time");
+  }
+
+  return {
+    scheduledFor,
+    releaseAt: new Date(scheduledFor.getTime() - leadTimeMinutes * 60 * 1000)
+  };
+};
+
+/**
+ * Update applied when an order's payment succeeds.
+ * Scheduled orders wait in the "scheduled" state until their release time, everything else starts preparing.
+ * @returns {Array} - Aggregation pipeline update for findOneAndUpdate/findByIdAndUpdate
+ */
+export const paidOrderUpdate = () => [
+  {
+    $set: {
+      paymentStatus: "paid",
+      deliveryStatus: {
+        $cond: [
+          {
+            $and: [
+              {
+                $eq: ["$deliveryTiming", "scheduled"]
+              }, {
+                $gt: ["$releaseAt", "$$NOW"]
+              }
+            ]
+          },
+          "scheduled",
+          "preparing"
+        ]
+      }
+    }
+  }
+];
+
+/**
+ * Move scheduled orders whose release time has passed into the venue's queue
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array>} - Released orders
+ */
+export const releaseDueScheduledOrders = async (now = new Date()) => {
+  const dueOrders = await FoodDelivery.find({
+    deliveryStatus: "scheduled",
+    isDeleted: false,
+    releaseAt: {
+      $lte: now
+    }
+  }).select("_id");
+
+  const released = [];
+  for (const {_id} of dueOrders) {
+    // Conditional update so an order is only released once, even with several app instances running
+    const order = await FoodDelivery.findOneAndUpdate({
+      _id,
+      deliveryStatus: "scheduled"
+    }, {
+      $set: {
+        deliveryStatus: "preparing"
+      },
+      $push: {
+        trackingUpdates: {
+          status: "preparing",
+          notes: "Scheduled order released to the venue",
+          updatedBy: "system"
+        }
+      }
+    }, {new: true});
+
+    if (order) {
+      released.push(order);
+      publishStatusChange(order, {notes: "Scheduled order released to the venue"});
+    }
+  }
+
+  if (released.length > 0) {
+    logger.info(`Released ${released.length} scheduled order(s) to venues`);
+  }
+
+  return released;
+};
+
+/**
+ * Periodically release due scheduled orders.
+ * Interval is configurable with SCHEDULED_ORDER_RELEASE_INTERVAL_MS.
+ * @returns {NodeJS.Timeout}
+ */
+export const startScheduledOrderRelease = () => {
+  const interval = parseInt(process.env.SCHEDULED_ORDER_RELEASE_INTERVAL_MS, 10) || DEFAULT_RELEASE_INTERVAL_MS;
+
+  const timer = setInterval(() => {
+    releaseDueScheduledOrders().catch(error => {
+      logger.error(`Failed to release scheduled orders: ${error.message}`, {stack: error.stack});
+    });
+  }, interval);
+  timer.unref();
+
+  return timer;
+};
@@ -0,0 +1,194 @@
+import TaxRule from "../models/taxRule.models.js";
+import {getUnitPrice, roundMoney} from "./orderPricing.js";
+
+/**
+ * Sales tax of orders. Admins keep a tax rule per country, optionally overridden for a city, with its own
+ * rates for menu item tax categories (e.g. alcohol). Venues no rule covers are charged the platform default.
+ */
+
+// Charged where no tax rule covers the venue, the flat rate orders had before rules could be configured
+export const DEFAULT_TAX_RULE = {
+  name: "Tax",
+  rate: 10,
+  categoryRates: [],
+  pricesIncludeTax: false,
+  appliesToDeliveryFee: false,
+  appliesToServiceFee: false
+};
+
+/**
+ * Active tax rule of a venue's location: its city's rule, otherwise its country's, otherwise the default
+ * @param {Object} venue - FoodVenue document
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} - TaxRule document or DEFAULT_TAX_RULE
+ */
+export const findVenueTaxRule = async (venue, session = null) => {
+  const {country, city} = venue.address || {};
+  if (!country) {
+    return DEFAULT_TAX_RULE;
+  }
+
+  // Matched case-insensitively, the same way the unique index compares rules
+  const rules = await TaxRule.find({
+    country,
+    city: {
+      $in: [
+        city || null,
+        null
+      ]
+    },
+    isActive: true
+  }).collation({locale: "en", strength: 2}).session(session);
+
+  return rules.find(rule => rule.city) || rules[0] || DEFAULT_TAX_RULE;
+};
+
+/**
+ * Rate a rule charges on a menu item tax category
+ * @param {Object} rule - TaxRule or the snapshot stored on an order
+ * @param {string} [category]
+ * @returns {number} - Percentage
+ */
+export const getCategoryRate = (rule, category) => {
+  const categoryRate = category
+    ? (rule.categoryRates || []).find(entry => entry.category === category.toLowerCase())
+    : null;
+  return categoryRate
+    ? categoryRate.rate
+    : rule.rate;
+};
+
+/**
+ * Tax category of a line item: the one stored with the item, otherwise its menu item's
+ * @param {Object} item - Line item ({menuItemId, taxCategory})
+ * @param {Object} [venue] - FoodVenue document to look the menu item up in
+ * @returns {string|null}
+ */
+export const getItemTaxCategory = (item, venue = null) => {
+  if (item.taxCategory) {
+    return item.taxCategory;
+  }
+  const menuItem = venue
+    ?.menuItems.find(mi => mi._id.toString() === item.menuItemId
+      ?.toString());
+  return menuItem
+    ?.taxCategory || null;
+};
+
+/**
+ * Calculate the tax of an order's items and fees under a tax rule.
+ * Lines charged the same rate are grouped; items of a category with its own rate get their own line.
+ * When prices include tax the tax is worked out of the prices and nothing is added to the total.
+ * @param {Object} params
+ * @param {Object} params.rule - TaxRule, DEFAULT_TAX_RULE or the snapshot stored on an order
+ * @param {Array} params.items - Priced line items ({price, options, quantity, taxCategory})
+ * @param {Object} [params.deliveryFee] - Delivery fee of the order, after any free delivery promotion
+ * @param {Object} [params.venue] - FoodVenue document, for items without a stored tax category
+ * @returns {{tax: number, taxBreakdown: Object}} - tax is the amount added on top of the order total
+ */
+export const calculateTax = ({rule, items = [], deliveryFee = null, venue = null}) => {
+  const taxable = new Map();
+  const addTaxable = (type, category, rate, amount) => {
+    const key = `${type}:${category || ""}`;
+    const line = taxable.get(key) || {
+      type,
+      category,
+      rate,
+      taxableAmount: 0
+    };
+    line.taxableAmount += amount;
+    taxable.set(key, line);
+  };
+
+  for (const item of items) {
+    const category = getItemTaxCategory(item, venue);
+    const hasOwnRate = !!category && (rule.categoryRates || []).some(entry => entry.category === category.toLowerCase());
+    addTaxable("items", hasOwnRate
+      ? category.toLowerCase()
+      : null, getCategoryRate(rule, category), getUnitPrice(item) * item.quantity);
+  }
+
+  if (deliveryFee) {
+    const serviceFee = deliveryFee.serviceFee || 0;
+    if (rule.appliesToDeliveryFee) {
+      addTaxable("delivery_fee", null, rule.rate, Math.max((deliveryFee.total || 0) - serviceFee, 0));
+    }
+    if (rule.appliesToServiceFee) {
+      addTaxable("service_fee", null, rule.rate, serviceFee);
+    }
+  }
+
+  const lines = [...taxable.values()].filter(line => line.taxableAmount > 0).map(line => ({
+    ...line,
+    taxableAmount: roundMoney(line.taxableAmount),
+    amount: roundMoney(
+      rule.pricesIncludeTax
+      ? line.taxableAmount * line.rate / (100 + line.rate)
+      : line.taxableAmount * line.rate / 100)
+  }));
+  const totalTax = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    tax: rule.pricesIncludeTax
+      ? 0
+      : totalTax,
+    taxBreakdown: {
+      rule: rule._id,
+      name: rule.name,
+      rate: rule.rate,
+      categoryRates: (rule.categoryRates || []).map(({category, rate}) => ({category, rate})),
+      pricesIncludeTax: !!rule.pricesIncludeTax,
+      appliesToDeliveryFee: !!rule.appliesToDeliveryFee,
+      appliesToServiceFee: !!rule.appliesToServiceFee,
+      lines,
+      totalTax
+    }
+  };
+};
+
+/**
+ * Validate the editable fields of a tax rule
+ * @param {Object} fields - Partial TaxRule
+ * @returns {string[]} - Problems found, empty when valid
+ */
+export const validateTaxRuleFields = ({rate, categoryRates, pricesIncludeTax, appliesToDeliveryFee, appliesToServiceFee}) => {
+  const errors = [];
+  const isValidRate = value => typeof value === "number" && value >= 0 && value <= 100;
+
+  if (rate !== undefined && !isValidRate(rate)) {
+    errors.push("Rate must be a percentage between 0 and 100");
+  }
+
+  if (categoryRates !== undefined) {
+    if (!Array.isArray(categoryRates)) {
+      errors.push("categoryRates must be an array");
+    } else {
+      const seen = new Set();
+      categoryRates.forEach((entry, index) => {
+        const category = typeof entry
+          ?.category === "string"
+            ? entry.category.trim().toLowerCase()
+            : "";
+        if (!category) {
+          errors.push(`categoryRates[${index}] needs a category`);
+        } else if (seen.has(category)) {
+          errors.push(`Category "${category}" is listed more than once`);
+        }
+        seen.add(category);
+
+        if (!isValidRate(entry
+          ?.rate)) {
+          errors.push(`categoryRates[${index}] rate must be a percentage between 0 and 100`);
+        }
+      });
+    }
+  }
+
+  for (const [field, value] of Object.entries({pricesIncludeTax, appliesToDeliveryFee, appliesToServiceFee})) {
+    if (value !== undefined && typeof value !== "boolean") {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,179 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import FoodDeliveryPayment from "../models/foodDeliveryPayment.models.js";
+import {ApiError} from "./ApiError.js";
+import {cancelStripePaymentIntent, createStripePaymentIntent} from "./payment_gateways/stripe.js";
+import {getCurrencyDecimals, getOrderCurrency, roundToCurrency} from "./currency.js";
+import {creditDriverTip} from "./driverEarnings.js";
+import {roundMoney} from "./orderPricing.js";
+import logger from "./logger.js";
+
+/**
+ * Tips customers add after delivery. Each tip is charged on its own through the order's payment method and,
+ * once paid, added to the order's tip and payment and credited in full to the driver who delivered it.
+ */
+
+// Hours after delivery the customer can still add a tip
+export const TIP_ADJUSTMENT_WINDOW_HOURS = 24;
+
+/**
+ * Start charging a tip added after delivery. Stripe orders get a PaymentIntent of their own for the client
+ * to confirm; the tip is applied once Stripe reports it paid. An earlier tip left unconfirmed is canceled.
+ * @param {Object} params
+ * @param {Document} params.order - FoodDelivery order, updated in place; the caller saves it
+ * @param {number} params.amount - Tip to add, on top of any tip given at checkout
+ * @param {ObjectId|string} params.userId - Customer adding the tip
+ * @param {Date} [params.now]
+ * @returns {Promise<{adjustment: Object, clientSecret: string}>}
+ */
+export const requestTipAdjustment = async ({order, amount, userId, now = new Date()}) => {
+  if (order.customer
+    ?._id.toString() !== userId.toString()) {
+    throw new ApiError(403, "Not authorized to tip on this order");
+  }
+  if ((order.fulfillmentType || "delivery") !== "delivery" || !order.deliveryDriver) {
+    throw new ApiError(400, "Only orders delivered by a driver can be tipped after delivery");
+  }
+  if (order.deliveryStatus !== "delivered") {
+    throw new ApiError(400, "Tips can be added once the order is delivered");
+  }
+  if (!order.actualDeliveryTime || now - order.actualDeliveryTime > TIP_ADJUSTMENT_WINDOW_HOURS * 60 * 60 * 1000) {
+    throw new ApiError(400, `Tips can only be added within ${TIP_ADJUSTMENT_WINDOW_HOURS} hours of delivery`);
+  }
+
+  const currency = getOrderCurrency(order);
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0 || roundToCurrency(amount, currency) !== amount) {
+    throw new ApiError(400, `Tip must be a positive amount with at most ${getCurrencyDecimals(currency)} decimals`);
+  }
+  if (roundMoney((order.tip || 0) + amount) > order.subtotal) {
+    throw new ApiError(400, "The total tip cannot be more than the order's items subtotal");
+  }
+
+  // Stripe is the only gateway food delivery payments can be charged through from the server
+  if (order.paymentMethod !== "stripe" || order.paymentStatus !== "paid") {
+    throw new ApiError(400, "Tips after delivery can only be charged to orders paid online with Stripe. Cash tips can be given to the driver directly");
+  }
+
+  // A tip the customer never confirmed is replaced by the new one; Stripe refuses to cancel one being paid
+  for (const pending of order.tipAdjustments.filter(adjustment => adjustment.status === "pending")) {
+    try {
+      await cancelStripePaymentIntent(pending.transactionId);
+    } catch (error) {
+      logger.warn(`Pending tip ${pending._id} on order ${order._id} could not be canceled: ${error.message}`);
+      throw new ApiError(409, "A tip for this order is still being processed");
+    }
+    // Saved straight away, the new tip may still fail to be created
+    await applyTipAdjustmentFailure({orderId: order._id, adjustmentId: pending._id});
+    pending.status = "failed";
+  }
+
+  const adjustment = order.tipAdjustments.create({amount, paymentMethod: order.paymentMethod, requestedAt: now});
+  let paymentIntent;
+  try {
+    paymentIntent = await createStripePaymentIntent(amount, currency, {
+      order: order._id.toString(),
+      user: userId,
+      tipAdjustment: adjustment._id.toString()
+    });
+  } catch (error) {
+    logger.error(`Stripe Error for tip on order ${order._id}: ${error.message}`);
+    throw new ApiError(502, "The tip could not be charged, please try again");
+  }
+
+  adjustment.transactionId = paymentIntent.id;
+  order.tipAdjustments.push(adjustment);
+
+  return {adjustment, clientSecret: paymentIntent.client_secret};
+};
+
+/**
+ * Apply a tip paid after delivery: add it to the order's tip and total, record it on the order's payment
+ * and credit it to the driver. Only the pending tip's own PaymentIntent, paid in full, applies it, and only once
+ * however often the gateway reports it.
+ * @param {Object} params
+ * @param {ObjectId|string} params.orderId
+ * @param {ObjectId|string} params.adjustmentId - FoodDelivery.tipAdjustments entry
+ * @param {string} params.transactionId
+ * @param {number} params.amount - Amount the gateway received, in major units
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<{order: Document, amount: number}|null>} - null when the tip was already applied, is unknown
+ * or doesn't match the payment
+ */
+export const applyTipAdjustmentPayment = async ({orderId, adjustmentId, transactionId, amount, session = null}) => {
+  const current = await FoodDelivery.findOne({_id: orderId, "tipAdjustments._id": adjustmentId}).select("tipAdjustments").session(session);
+  const adjustment = current
+    ?.tipAdjustments.id(adjustmentId);
+  if (!adjustment || adjustment.status !== "pending" || adjustment.transactionId !== transactionId) {
+    return null;
+  }
+  if (amount !== adjustment.amount) {
+    logger.error(`Payment ${transactionId} of ${amount} does not match tip ${adjustmentId} of ${adjustment.amount}`);
+    return null;
+  }
+
+  const now = new Date();
+  const order = await FoodDelivery.findOneAndUpdate({
+    _id: orderId,
+    tipAdjustments: {
+      $elemMatch: {
+        _id: adjustmentId,
+        status: "pending",
+        transactionId
+      }
+    }
+  }, {
+    $set: {
+      "tipAdjustments.$.status": "paid",
+      "tipAdjustments.$.paidAt": now
+    },
+    $inc: {
+      tip: adjustment.amount,
+      totalAmount: adjustment.amount
+    }
+  }, {
+    new: true,
+    session
+  });
+  if (!order) {
+    return null;
+  }
+
+  await creditDriverTip(order.deliveryDriver, adjustment.amount, session);
+  await FoodDeliveryPayment.updateOne({
+    order: order._id,
+    user: order.customer._id
+  }, {
+    $push: {
+      tips: {
+        tipAdjustment: adjustment._id,
+        amount: adjustment.amount,
+        transactionId,
+        paidAt: now
+      }
+    }
+  }, {session});
+
+  return {order, amount: adjustment.amount};
+};
+
+/**
+ * Record a failed tip charge; the customer can try again with a new tip
+ * @param {Object} params
+ * @param {ObjectId|string} params.orderId
+ * @param {ObjectId|string} params.adjustmentId
+ * @returns {Promise<void>}
+ */
+export const applyTipAdjustmentFailure = async ({orderId, adjustmentId}) => {
+  await FoodDelivery.updateOne({
+    _id: orderId,
+    tipAdjustments: {
+      $elemMatch: {
+        _id: adjustmentId,
+        status: "pending"
+      }
+    }
+  }, {
+    $set: {
+      "tipAdjustments.$.status": "failed"
+    }
+  });
+};
@@ -0,0 +1,146 @@
+import FoodDelivery from "../models/foodDelivery.models.js";
+import {ApiError} from "./ApiError.js";
+
+/**
+ * Venue rush controls: a timed pause that resumes by itself, a cap on the orders the kitchen holds at once,
+ * and a busy state from a lower threshold that quotes longer prep times instead of refusing orders
+ */
+
+const MIN_PAUSE_MINUTES = 5;
+const MAX_PAUSE_MINUTES = 12 * 60;
+// Suggested wait before retrying an order at a venue at capacity
+const CAPACITY_RETRY_SECONDS = 5 * 60;
+
+/**
+ * Number of orders the venue's kitchen holds right now: started or waiting to be handed over.
+ * Unpaid orders are not counted; dine-in rounds are paid with their tab.
+ * @param {ObjectId|string} venueId
+ * @param {ClientSession} [session]
+ * @returns {Promise<number>}
+ */
+export const countActiveOrders = (venueId, session = null) => FoodDelivery.countDocuments({
+  venue: venueId,
+  isDeleted: false,
+  $or: [
+    {
+      deliveryStatus: {
+        $in: ["preparing", "ready", "ready_for_pickup"]
+      }
+    }, {
+      deliveryStatus: "pending",
+      $or: [
+        {
+          paymentStatus: "paid"
+        }, {
+          fulfillmentType: "dine_in"
+        }
+      ]
+    }
+  ]
+}).session(session);
+
+/**
+ * Current load of a venue against its throttling settings
+ * @param {Document} venue - FoodVenue document
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<Object>} - {activeOrders, maxActiveOrders, isAtCapacity, isBusy, busyExtraPrepMinutes, isPaused, pausedUntil, pauseReason}
+ */
+export const getVenueLoad = async (venue, {now = new Date(), session = null} = {}) => {
+  const settings = venue.orderThrottling || {};
+  const activeOrders = await countActiveOrders(venue._id, session);
+  const isPaused = !!settings.pausedUntil && new Date(settings.pausedUntil) > now;
+  const isBusy = !!settings.busyThreshold && activeOrders >= settings.busyThreshold;
+
+  return {
+    activeOrders,
+    maxActiveOrders: settings.maxActiveOrders || null,
+    isAtCapacity: !!settings.maxActiveOrders && activeOrders >= settings.maxActiveOrders,
+    isBusy,
+    busyExtraPrepMinutes: isBusy
+      ? settings.busyExtraPrepMinutes ?? 10
+      : 0,
+    isPaused,
+    pausedUntil: isPaused
+      ? settings.pausedUntil
+      : null,
+    pauseReason: isPaused
+      ? settings.pauseReason || null
+      : null
+  };
+};
+
+/**
+ * Check a venue takes another order right now and return the extra prep time to quote when it is busy.
+ * Paused venues refuse orders until the pause ends, including scheduled orders due before then. Venues at
+ * their cap refuse ASAP orders; scheduled orders are let through as they reach the kitchen later.
+ * Orders placed at the same moment can go a little over the cap, which is accepted rather than locking the venue.
+ * @param {Document} venue - FoodVenue document
+ * @param {Object} [options]
+ * @param {Date} [options.scheduledFor] - Slot of a scheduled order
+ * @param {Date} [options.now]
+ * @param {ClientSession} [options.session]
+ * @returns {Promise<{busyExtraPrepMinutes: number}>}
+ */
+export const checkVenueTakingOrders = async (venue, {scheduledFor = null, now = new Date(), session = null} = {}) => {
+  const load = await getVenueLoad(venue, {now, session});
+
+  if (load.isPaused && (!scheduledFor || new Date(scheduledFor) <= new Date(load.pausedUntil))) {
+    throw new ApiError(503, `${venue.name} has paused new orders until ${new Date(load.pausedUntil).toISOString()}`, [
+      {
+        reason: "paused",
+        resumesAt: load.pausedUntil,
+        message: load.pauseReason,
+        retryAfterSeconds: Math.ceil((new Date(load.pausedUntil) - now) / 1000)
+      }
+    ]);
+  }
+
+  if (load.isAtCapacity && !scheduledFor) {
+    throw new ApiError(503, `${venue.name} is too busy to take more orders right now. Try again in a few minutes or schedule your order`, [
+      {
+        reason: "at_capacity",
+        activeOrders: load.activeOrders,
+        maxActiveOrders: load.maxActiveOrders,
+        retryAfterSeconds: CAPACITY_RETRY_SECONDS
+      }
+    ]);
+  }
+
+  return {
+    busyExtraPrepMinutes: scheduledFor
+      ? 0
+      : load.busyExtraPrepMinutes
+  };
+};
+
+/**
+ * Validate a throttling settings update for a venue
+ * @param {Object} settings - Partial FoodVenue.orderThrottling, without the pause
+ */
+export const validateThrottlingSettings = settings => {
+  if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+    throw new ApiError(400, "Throttling settings must be an object");
+  }
+
+  const {maxActiveOrders, busyThreshold, busyExtraPrepMinutes} = settings;
+  for (const [field, value] of Object.entries({maxActiveOrders, busyThreshold})) {
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+      throw new ApiError(400, `${field} must be a whole number of at least 1, or null to turn it off`);
+    }
+  }
+  if (busyExtraPrepMinutes !== undefined && (!Number.isInteger(busyExtraPrepMinutes) || busyExtraPrepMinutes < 0 || busyExtraPrepMinutes > 120)) {
+    throw new ApiError(400, "busyExtraPrepMinutes must be a whole number of minutes between 0 and 120");
+  }
+};
+
+/**
+ * Validate a pause length
+ * @param {number} minutes
+ */
+export const validatePauseMinutes = minutes => {
+  if (!Number.isInteger(minutes) || minutes < MIN_PAUSE_MINUTES || minutes > MAX_PAUSE_MINUTES) {
+    throw new ApiError(400, `Pause must be a whole number of minutes between ${MIN_PAUSE_MINUTES} and ${MAX_PAUSE_MINUTES}`);
+  }
+};